@@ -18,6 +18,8 @@
  *   user:set-password <email>           Change user password
  *   user:activate <email>               Activate user account
  *   user:deactivate <email>             Deactivate user account
+ *   user:unlock <email>                 Clear failed logins and lockout for account
+ *   user:mfa-reset <email>              Remove two-factor authentication for account
  *
  *   group:create <name>                 Create new group
  *   group:list                          List all groups
@@ -27,6 +29,30 @@
  *   membership:remove <email> <group>   Remove user from group
  *   membership:list <email>             List user's groups
  *
+ *   session:list <email>                List user's active sessions
+ *   session:revoke-all <email>          Revoke all of user's sessions and refresh tokens
+ *
+ *   throttle:list                       List failed login counters and lockouts
+ *   throttle:clear-ip <ip>              Clear failed login back-off for an IP
+ *
+ *   keys:list                           List JWT signing and verification keys
+ *   keys:rotate [--grace <seconds>]     Generate a new signing key, old one verifies during grace
+ *   keys:retire <kid>                   Stop accepting tokens signed with a previous key
+ *
+ *   client:create <name> <redirect-uri>... [--public]  Register an OIDC client
+ *   client:list                         List OIDC clients
+ *   client:delete <client-id>           Delete an OIDC client
+ *
+ *   token:create <email> <name> [--groups <g1,g2>] [--expires <days>]  Create a personal access token
+ *   token:list [email]                  List personal access tokens
+ *   token:revoke <id>                   Revoke a personal access token
+ *
+ *   audit:query [--user <email|id>] [--event <type>] [--since <date>] [--until <date>] [--limit <n>] [--json]
+ *                                       Show authentication events, newest first
+ *
+ *   import <file> [--format json|csv] [--dry-run]  Create and update users, groups and memberships
+ *   export [--format json|csv] [--output <file>]   Write users, groups and memberships
+ *
  * Environment Variables:
  *   DB_HOST     Database host (default: localhost)
  *   DB_PORT     Database port (default: 5432)
@@ -35,9 +61,19 @@
  *   DB_PASSWORD Database password (default: auth_password)
  */
 
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
-const bcrypt = require('bcrypt');
 const readline = require('readline');
+const { DEFAULT_GRACE, listKeys, retireKey, rotateKeys } = require('./lib/key-rotation');
+const { createClientStore } = require('./lib/oidc-clients');
+const { createAccessTokenStore } = require('./lib/access-tokens');
+const { queryAuditLog } = require('./lib/audit');
+const { createUserAdmin, isWikiJsDatabase } = require('./lib/user-admin');
+const { FORMATS, ImportError, exportUsers, formatExport, importUsers, parseImport } = require('./lib/user-import');
+
+// token:create default lifetime in days
+const DEFAULT_TOKEN_DAYS = 90;
 
 // Database configuration
 const pool = new Pool({
@@ -48,6 +84,9 @@ const pool = new Pool({
   password: process.env.DB_PASSWORD || 'auth_password'
 });
 
+// Users, groups and memberships (shared with the web console)
+const users = createUserAdmin(pool);
+
 // Colors for terminal output
 const colors = {
   reset: '\x1b[0m',
@@ -102,14 +141,7 @@ function warn(message) {
 // User Commands
 async function userCreate(email, name) {
   try {
-    // Validate email
-    if (!email || !email.includes('@')) {
-      throw new Error('Invalid email address');
-    }
-
-    // Check if user exists
-    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
+    if (await users.findUser(email)) {
       throw new Error(`User ${email} already exists`);
     }
 
@@ -121,23 +153,8 @@ async function userCreate(email, name) {
       throw new Error('Passwords do not match');
     }
 
-    if (password.length < 8) {
-      throw new Error('Password must be at least 8 characters');
-    }
-
-    // Hash password
     info('Hashing password...');
-    const passwordHash = await bcrypt.hash(password, 10);
-
-    // Insert user
-    const result = await pool.query(
-      `INSERT INTO users (email, name, password, "isActive", "isVerified", "providerKey")
-       VALUES ($1, $2, $3, true, true, 'local')
-       RETURNING id, email, name`,
-      [email, name, passwordHash]
-    );
-
-    const user = result.rows[0];
+    const user = await users.createUser({ email, name, password });
     success(`User created: ${user.email} (ID: ${user.id})`);
   } catch (err) {
     error(`Failed to create user: ${err.message}`);
@@ -147,23 +164,9 @@ async function userCreate(email, name) {
 
 async function userList() {
   try {
-    const result = await pool.query(`
-      SELECT
-        u.id,
-        u.email,
-        u.name,
-        u."isActive",
-        u."isVerified",
-        u."createdAt",
-        array_agg(g.name ORDER BY g.name) FILTER (WHERE g.name IS NOT NULL) as groups
-      FROM users u
-      LEFT JOIN "userGroups" ug ON u.id = ug."userId"
-      LEFT JOIN groups g ON ug."groupId" = g.id
-      GROUP BY u.id, u.email, u.name, u."isActive", u."isVerified", u."createdAt"
-      ORDER BY u.id
-    `);
+    const rows = await users.listUsers();
 
-    if (result.rows.length === 0) {
+    if (rows.length === 0) {
       warn('No users found');
       return;
     }
@@ -171,9 +174,9 @@ async function userList() {
     console.log('\n' + colors.cyan + 'Users:' + colors.reset);
     console.log('─'.repeat(80));
 
-    result.rows.forEach(user => {
+    rows.forEach(user => {
       const status = user.isActive ? colors.green + 'active' : colors.red + 'inactive';
-      const groups = user.groups ? user.groups.join(', ') : colors.yellow + 'none';
+      const groups = user.groups.length > 0 ? user.groups.join(', ') : colors.yellow + 'none';
 
       console.log(`ID: ${user.id}`);
       console.log(`  Email:  ${user.email}`);
@@ -183,24 +186,25 @@ async function userList() {
       console.log('');
     });
 
-    info(`Total users: ${result.rows.length}`);
+    info(`Total users: ${rows.length}`);
   } catch (err) {
     error(`Failed to list users: ${err.message}`);
     process.exit(1);
   }
 }
 
+// Look up a user by email for the commands below
+async function requireUser(email) {
+  const user = await users.findUser(email);
+  if (!user) {
+    throw new Error(`User ${email} not found`);
+  }
+  return user;
+}
+
 async function userDelete(email) {
   try {
-    const result = await pool.query(
-      'DELETE FROM users WHERE email = $1 RETURNING id, email',
-      [email]
-    );
-
-    if (result.rows.length === 0) {
-      throw new Error(`User ${email} not found`);
-    }
-
+    await users.deleteUser((await requireUser(email)).id);
     success(`User deleted: ${email}`);
   } catch (err) {
     error(`Failed to delete user: ${err.message}`);
@@ -210,11 +214,7 @@ async function userDelete(email) {
 
 async function userSetPassword(email) {
   try {
-    // Check if user exists
-    const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (userResult.rows.length === 0) {
-      throw new Error(`User ${email} not found`);
-    }
+    const user = await requireUser(email);
 
     // Prompt for new password
     const password = await promptPassword('Enter new password: ');
@@ -224,19 +224,8 @@ async function userSetPassword(email) {
       throw new Error('Passwords do not match');
     }
 
-    if (password.length < 8) {
-      throw new Error('Password must be at least 8 characters');
-    }
-
-    // Hash password
     info('Hashing password...');
-    const passwordHash = await bcrypt.hash(password, 10);
-
-    // Update password
-    await pool.query(
-      'UPDATE users SET password = $1 WHERE email = $2',
-      [passwordHash, email]
-    );
+    await users.setPassword(user.id, password);
 
     success(`Password updated for: ${email}`);
   } catch (err) {
@@ -247,15 +236,7 @@ async function userSetPassword(email) {
 
 async function userActivate(email) {
   try {
-    const result = await pool.query(
-      'UPDATE users SET "isActive" = true WHERE email = $1 RETURNING email',
-      [email]
-    );
-
-    if (result.rows.length === 0) {
-      throw new Error(`User ${email} not found`);
-    }
-
+    await users.setActive((await requireUser(email)).id, true);
     success(`User activated: ${email}`);
   } catch (err) {
     error(`Failed to activate user: ${err.message}`);
@@ -264,63 +245,76 @@ async function userActivate(email) {
 }
 
 async function userDeactivate(email) {
+  try {
+    await users.setActive((await requireUser(email)).id, false);
+    warn(`User deactivated: ${email}`);
+  } catch (err) {
+    error(`Failed to deactivate user: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function userUnlock(email) {
   try {
     const result = await pool.query(
-      'UPDATE users SET "isActive" = false WHERE email = $1 RETURNING email',
-      [email]
+      `DELETE FROM "loginThrottle" WHERE scope = 'account' AND key = $1 RETURNING failures`,
+      [email.trim().toLowerCase()]
     );
 
     if (result.rows.length === 0) {
-      throw new Error(`User ${email} not found`);
+      warn(`No failed logins recorded for: ${email}`);
+      return;
     }
 
-    warn(`User deactivated: ${email}`);
+    success(`Account unlocked: ${email} (cleared ${result.rows[0].failures} failed attempt(s))`);
   } catch (err) {
-    error(`Failed to deactivate user: ${err.message}`);
+    error(`Failed to unlock user: ${err.message}`);
     process.exit(1);
   }
 }
 
-// Group Commands
-async function groupCreate(name) {
+async function userMfaReset(email) {
   try {
-    // Validate group name (lowercase, no spaces, alphanumeric + dash/underscore)
-    if (!/^[a-z0-9_-]+$/.test(name)) {
-      throw new Error('Group name must be lowercase alphanumeric (a-z, 0-9, -, _)');
+    const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      throw new Error(`User ${email} not found`);
     }
+    const userId = userResult.rows[0].id;
 
+    await pool.query('DELETE FROM "mfaRecoveryCodes" WHERE "userId" = $1', [userId]);
     const result = await pool.query(
-      'INSERT INTO groups (name) VALUES ($1) RETURNING id, name',
-      [name]
+      'DELETE FROM "userMfa" WHERE "userId" = $1 RETURNING "enabledAt"',
+      [userId]
     );
 
-    const group = result.rows[0];
+    if (result.rows.length === 0) {
+      warn(`Two-factor authentication is not configured for: ${email}`);
+      return;
+    }
+
+    warn(`Two-factor authentication removed for: ${email} (user can log in with password only)`);
+  } catch (err) {
+    error(`Failed to reset two-factor authentication: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Group Commands
+async function groupCreate(name) {
+  try {
+    const group = await users.createGroup(name);
     success(`Group created: ${group.name} (ID: ${group.id})`);
   } catch (err) {
-    if (err.code === '23505') { // Unique violation
-      error(`Group "${name}" already exists`);
-    } else {
-      error(`Failed to create group: ${err.message}`);
-    }
+    error(err.reason === 'conflict' ? err.message : `Failed to create group: ${err.message}`);
     process.exit(1);
   }
 }
 
 async function groupList() {
   try {
-    const result = await pool.query(`
-      SELECT
-        g.id,
-        g.name,
-        COUNT(ug."userId") as member_count,
-        g."createdAt"
-      FROM groups g
-      LEFT JOIN "userGroups" ug ON g.id = ug."groupId"
-      GROUP BY g.id, g.name, g."createdAt"
-      ORDER BY g.name
-    `);
+    const groups = await users.listGroups();
 
-    if (result.rows.length === 0) {
+    if (groups.length === 0) {
       warn('No groups found');
       return;
     }
@@ -328,125 +322,565 @@ async function groupList() {
     console.log('\n' + colors.cyan + 'Groups:' + colors.reset);
     console.log('─'.repeat(60));
 
-    result.rows.forEach(group => {
+    groups.forEach(group => {
       console.log(`${colors.green}${group.name}${colors.reset}`);
       console.log(`  ID:      ${group.id}`);
-      console.log(`  Members: ${group.member_count}`);
+      console.log(`  Members: ${group.memberCount}`);
       console.log('');
     });
 
-    info(`Total groups: ${result.rows.length}`);
+    info(`Total groups: ${groups.length}`);
   } catch (err) {
     error(`Failed to list groups: ${err.message}`);
     process.exit(1);
   }
 }
 
+// Look up a group by name for the commands below
+async function requireGroup(name) {
+  const group = await users.findGroup(name);
+  if (!group) {
+    throw new Error(`Group "${name}" not found`);
+  }
+  return group;
+}
+
 async function groupDelete(name) {
   try {
-    // Check if it's the admin group
-    if (name === 'admin' || name === 'Administrators') {
-      throw new Error('Cannot delete admin group');
+    await users.deleteGroup((await requireGroup(name)).id);
+    success(`Group deleted: ${name}`);
+  } catch (err) {
+    error(`Failed to delete group: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Membership Commands
+async function membershipAdd(email, groupName) {
+  try {
+    const user = await requireUser(email);
+    const group = await requireGroup(groupName);
+
+    if (await users.addMembership(user.id, group.id)) {
+      success(`Added ${email} to group "${groupName}"`);
+    } else {
+      warn(`User ${email} is already in group "${groupName}"`);
+    }
+  } catch (err) {
+    error(`Failed to add membership: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function membershipRemove(email, groupName) {
+  try {
+    const user = await requireUser(email);
+    const group = await requireGroup(groupName);
+
+    if (!await users.removeMembership(user.id, group.id)) {
+      throw new Error(`User ${email} is not in group "${groupName}"`);
+    }
+
+    success(`Removed ${email} from group "${groupName}"`);
+  } catch (err) {
+    error(`Failed to remove membership: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function membershipList(email) {
+  try {
+    const groups = await users.listMemberships((await requireUser(email)).id);
+
+    if (groups.length === 0) {
+      warn(`User ${email} is not in any groups`);
+      return;
+    }
+
+    console.log(`\n${colors.cyan}Groups for ${email}:${colors.reset}`);
+    groups.forEach(group => {
+      console.log(`  ${colors.green}${group.name}${colors.reset} (ID: ${group.id})`);
+    });
+    console.log('');
+  } catch (err) {
+    error(`Failed to list memberships: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Session Commands
+async function sessionList(email) {
+  try {
+    const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      throw new Error(`User ${email} not found`);
     }
 
     const result = await pool.query(
-      'DELETE FROM groups WHERE name = $1 RETURNING id, name',
-      [name]
+      `SELECT id, ip, "userAgent", "createdAt", "lastSeenAt", "expiresAt"
+       FROM "authSessions"
+       WHERE "userId" = $1 AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+       ORDER BY "createdAt" DESC`,
+      [userResult.rows[0].id]
     );
 
     if (result.rows.length === 0) {
-      throw new Error(`Group "${name}" not found`);
+      warn(`User ${email} has no active sessions`);
+      return;
     }
 
-    success(`Group deleted: ${name}`);
+    console.log(`\n${colors.cyan}Active sessions for ${email}:${colors.reset}`);
+    console.log('─'.repeat(80));
+
+    result.rows.forEach(session => {
+      console.log(`${colors.green}${session.id}${colors.reset}`);
+      console.log(`  IP:         ${session.ip || 'unknown'}`);
+      console.log(`  User agent: ${session.userAgent || 'unknown'}`);
+      console.log(`  Issued:     ${session.createdAt.toISOString()}`);
+      console.log(`  Last seen:  ${session.lastSeenAt ? session.lastSeenAt.toISOString() : 'never refreshed'}`);
+      console.log(`  Expires:    ${session.expiresAt.toISOString()}`);
+      console.log('');
+    });
+
+    info(`Total active sessions: ${result.rows.length}`);
   } catch (err) {
-    error(`Failed to delete group: ${err.message}`);
+    error(`Failed to list sessions: ${err.message}`);
     process.exit(1);
   }
 }
 
-// Membership Commands
-async function membershipAdd(email, groupName) {
+async function sessionRevokeAll(email) {
   try {
-    // Get user ID
     const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     if (userResult.rows.length === 0) {
       throw new Error(`User ${email} not found`);
     }
     const userId = userResult.rows[0].id;
 
-    // Get group ID
-    const groupResult = await pool.query('SELECT id FROM groups WHERE name = $1', [groupName]);
-    if (groupResult.rows.length === 0) {
-      throw new Error(`Group "${groupName}" not found`);
-    }
-    const groupId = groupResult.rows[0].id;
+    const sessions = await pool.query(
+      `UPDATE "authSessions" SET "revokedAt" = NOW()
+       WHERE "userId" = $1 AND "revokedAt" IS NULL
+       RETURNING id`,
+      [userId]
+    );
 
-    // Add membership
+    // Refresh tokens too, so no session can be renewed
     await pool.query(
-      'INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)',
-      [userId, groupId]
+      `UPDATE "refreshTokens" SET "revokedAt" = NOW()
+       WHERE "userId" = $1 AND "revokedAt" IS NULL`,
+      [userId]
     );
 
-    success(`Added ${email} to group "${groupName}"`);
+    warn(`Revoked ${sessions.rows.length} session(s) for: ${email}`);
   } catch (err) {
-    if (err.code === '23505') { // Unique violation
-      warn(`User ${email} is already in group "${groupName}"`);
-    } else {
-      error(`Failed to add membership: ${err.message}`);
-      process.exit(1);
-    }
+    error(`Failed to revoke sessions: ${err.message}`);
+    process.exit(1);
   }
 }
 
-async function membershipRemove(email, groupName) {
+// Throttle Commands
+async function throttleList() {
   try {
-    const result = await pool.query(
-      `DELETE FROM "userGroups" ug
-       USING users u, groups g
-       WHERE ug."userId" = u.id
-         AND ug."groupId" = g.id
-         AND u.email = $1
-         AND g.name = $2
-       RETURNING u.email, g.name`,
-      [email, groupName]
-    );
+    const result = await pool.query(`
+      SELECT scope, key, failures, "lastFailureAt", "blockedUntil", "lockedUntil"
+      FROM "loginThrottle"
+      ORDER BY scope, "lastFailureAt" DESC
+    `);
 
     if (result.rows.length === 0) {
-      throw new Error(`User ${email} is not in group "${groupName}"`);
+      info('No failed logins recorded');
+      return;
     }
 
-    success(`Removed ${email} from group "${groupName}"`);
+    const now = new Date();
+    console.log('\n' + colors.cyan + 'Failed logins:' + colors.reset);
+    console.log('─'.repeat(80));
+
+    result.rows.forEach(row => {
+      let status = colors.green + 'ok';
+      if (row.lockedUntil && row.lockedUntil > now) {
+        status = `${colors.red}locked until ${row.lockedUntil.toISOString()}`;
+      } else if (row.blockedUntil && row.blockedUntil > now) {
+        status = `${colors.yellow}backing off until ${row.blockedUntil.toISOString()}`;
+      }
+
+      console.log(`${row.scope === 'account' ? 'Account' : 'IP'}: ${row.key}`);
+      console.log(`  Failures:     ${row.failures}`);
+      console.log(`  Last failure: ${row.lastFailureAt ? row.lastFailureAt.toISOString() : 'never'}`);
+      console.log(`  Status:       ${status}${colors.reset}`);
+      console.log('');
+    });
+
+    info(`Total entries: ${result.rows.length}`);
   } catch (err) {
-    error(`Failed to remove membership: ${err.message}`);
+    error(`Failed to list failed logins: ${err.message}`);
     process.exit(1);
   }
 }
 
-async function membershipList(email) {
+async function throttleClearIp(ip) {
   try {
     const result = await pool.query(
-      `SELECT g.name, g.id
-       FROM groups g
-       JOIN "userGroups" ug ON g.id = ug."groupId"
-       JOIN users u ON ug."userId" = u.id
-       WHERE u.email = $1
-       ORDER BY g.name`,
-      [email]
+      `DELETE FROM "loginThrottle" WHERE scope = 'ip' AND key = $1 RETURNING failures`,
+      [ip]
     );
 
     if (result.rows.length === 0) {
-      warn(`User ${email} is not in any groups`);
+      warn(`No failed logins recorded for IP: ${ip}`);
       return;
     }
 
-    console.log(`\n${colors.cyan}Groups for ${email}:${colors.reset}`);
-    result.rows.forEach(group => {
-      console.log(`  ${colors.green}${group.name}${colors.reset} (ID: ${group.id})`);
+    success(`Cleared ${result.rows[0].failures} failed attempt(s) for IP: ${ip}`);
+  } catch (err) {
+    error(`Failed to clear IP: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Key Commands
+async function keysList() {
+  try {
+    const keys = await listKeys(pool);
+
+    console.log('\n' + colors.cyan + 'JWT keys:' + colors.reset);
+    console.log('─'.repeat(80));
+
+    keys.forEach(key => {
+      const color = { signing: colors.green, verifying: colors.yellow, expired: colors.red }[key.status];
+      console.log(`${color}${key.kid}${colors.reset}`);
+      console.log(`  Status:  ${key.status}`);
+      if (key.rotatedAt) {
+        console.log(`  Rotated: ${key.rotatedAt.toISOString()}`);
+      }
+      if (key.expiresAt) {
+        console.log(`  Expires: ${key.expiresAt.toISOString()}`);
+      }
+      console.log('');
     });
+
+    info(`Total keys: ${keys.length}`);
+  } catch (err) {
+    error(`Failed to list keys: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function keysRotate(grace) {
+  try {
+    info('Generating 2048-bit RSA key pair...');
+    const result = await rotateKeys(pool, { grace });
+
+    success(`New signing key: ${result.kid}`);
+    info(`Previous key ${result.previousKid} verifies tokens until ${result.expiresAt.toISOString()}`);
+    if (result.pruned > 0) {
+      info(`Removed ${result.pruned} expired key(s)`);
+    }
+    warn('Running auth services switch keys on their next reload (KEYS_POLL_INTERVAL / KEYS_LISTEN)');
+    warn('Wiki.js reads certs only at startup - restart it if it shares this database');
+  } catch (err) {
+    error(`Failed to rotate keys: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function keysRetire(kid) {
+  try {
+    if (!(await retireKey(pool, kid))) {
+      warn(`No previous key with kid: ${kid}`);
+      return;
+    }
+    warn(`Retired key: ${kid} - tokens signed with it are no longer accepted`);
+  } catch (err) {
+    error(`Failed to retire key: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// OIDC Client Commands
+async function clientCreate(name, redirectUris, confidential) {
+  try {
+    const { id, secret } = await createClientStore(pool).create({ name, redirectUris, confidential });
+
+    success(`Client created: ${name}`);
+    console.log(`  Client ID:     ${id}`);
+    if (secret) {
+      console.log(`  Client secret: ${secret}`);
+      warn('Store the secret now - it cannot be shown again');
+    } else {
+      info('Public client: no secret, PKCE only');
+    }
+  } catch (err) {
+    error(`Failed to create client: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function clientList() {
+  try {
+    const clients = await createClientStore(pool).list();
+
+    if (clients.length === 0) {
+      info('No OIDC clients registered');
+      return;
+    }
+
+    console.log('\n' + colors.cyan + 'OIDC clients:' + colors.reset);
+    console.log('─'.repeat(80));
+
+    clients.forEach(client => {
+      console.log(`${colors.green}${client.name}${colors.reset}`);
+      console.log(`  Client ID: ${client.id}`);
+      console.log(`  Type:      ${client.confidential ? 'confidential (secret)' : 'public (PKCE only)'}`);
+      console.log(`  Redirects: ${client.redirectUris.join('\n             ')}`);
+      console.log(`  Created:   ${client.createdAt.toISOString()}`);
+      console.log('');
+    });
+
+    info(`Total clients: ${clients.length}`);
+  } catch (err) {
+    error(`Failed to list clients: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function clientDelete(id) {
+  try {
+    if (!(await createClientStore(pool).delete(id))) {
+      throw new Error(`Client ${id} not found`);
+    }
+    warn(`Deleted client: ${id}`);
+  } catch (err) {
+    error(`Failed to delete client: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Access Token Commands
+async function tokenCreate(email, name, groupNames, days) {
+  try {
+    const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      throw new Error(`User ${email} not found`);
+    }
+
+    let groups = null;
+    if (groupNames) {
+      const groupResult = await pool.query('SELECT id, name FROM groups');
+      groups = groupNames.map(groupName => {
+        const group = groupResult.rows.find(row => row.name === groupName);
+        if (!group) {
+          throw new Error(`Group ${groupName} not found`);
+        }
+        return group.id;
+      });
+    }
+
+    const created = await createAccessTokenStore(pool).create({
+      userId: userResult.rows[0].id,
+      name,
+      groups,
+      expiresAt: days === 0 ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    success(`Token created for ${email}: ${name} (ID: ${created.id})`);
+    console.log(`  Token:   ${created.token}`);
+    console.log(`  Groups:  ${groupNames ? groupNames.join(', ') : 'all of the user\'s groups'}`);
+    console.log(`  Expires: ${created.expiresAt ? created.expiresAt.toISOString() : 'never'}`);
+    warn('Store the token now - it cannot be shown again');
+  } catch (err) {
+    error(`Failed to create token: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function tokenList(email) {
+  try {
+    let userId = null;
+    if (email) {
+      const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+      if (userResult.rows.length === 0) {
+        throw new Error(`User ${email} not found`);
+      }
+      userId = userResult.rows[0].id;
+    }
+
+    const tokens = await createAccessTokenStore(pool).list(userId);
+
+    if (tokens.length === 0) {
+      info(email ? `User ${email} has no access tokens` : 'No access tokens');
+      return;
+    }
+
+    const groupResult = await pool.query('SELECT id, name FROM groups');
+    const groupName = id => (groupResult.rows.find(row => row.id === id) || { name: `#${id}` }).name;
+
+    console.log(`\n${colors.cyan}Access tokens${email ? ` for ${email}` : ''}:${colors.reset}`);
+    console.log('─'.repeat(80));
+
+    tokens.forEach(token => {
+      const status = token.expired ? `${colors.red}expired${colors.reset}` : `${colors.green}active${colors.reset}`;
+      console.log(`${colors.green}${token.name}${colors.reset} (ID: ${token.id}) ${status}`);
+      console.log(`  User:      ${token.email}`);
+      console.log(`  Token:     ${token.tokenPrefix}...`);
+      console.log(`  Groups:    ${token.groups ? token.groups.map(groupName).join(', ') || 'none' : 'all'}`);
+      console.log(`  Created:   ${token.createdAt.toISOString()}`);
+      console.log(`  Last used: ${token.lastUsedAt ? token.lastUsedAt.toISOString() : 'never'}`);
+      console.log(`  Expires:   ${token.expiresAt ? token.expiresAt.toISOString() : 'never'}`);
+      console.log('');
+    });
+
+    info(`Total tokens: ${tokens.length}`);
+  } catch (err) {
+    error(`Failed to list tokens: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function tokenRevoke(id) {
+  try {
+    if (!(await createAccessTokenStore(pool).revoke(id))) {
+      throw new Error(`Token ${id} not found or already revoked`);
+    }
+    warn(`Revoked token: ${id}`);
+  } catch (err) {
+    error(`Failed to revoke token: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Audit Commands
+
+/**
+ * --since/--until value: an ISO date or timestamp. A bare date as --until
+ * includes that whole day.
+ */
+function parseAuditDate(value, endOfDay) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+async function auditQuery(filters, asJson) {
+  try {
+    const events = await queryAuditLog(pool, filters);
+
+    if (asJson) {
+      events.forEach(event => console.log(JSON.stringify(event)));
+      return;
+    }
+
+    if (events.length === 0) {
+      info('No matching audit events');
+      return;
+    }
+
+    console.log('\n' + colors.cyan + 'Audit events (newest first):' + colors.reset);
+    console.log('─'.repeat(100));
+
+    events.forEach(event => {
+      const outcome = event.outcome === 'success'
+        ? `${colors.green}${event.outcome}${colors.reset}`
+        : event.outcome === 'failure'
+          ? `${colors.red}${event.outcome}${colors.reset}`
+          : `${colors.yellow}${event.outcome}${colors.reset}`;
+      const who = event.email || (event.userId ? `user #${event.userId}` : '-');
+      console.log(`${event.createdAt.toISOString()}  ${event.eventType.padEnd(16)} ${outcome}${event.reason ? ` (${event.reason})` : ''}`);
+      console.log(`  User: ${who}   IP: ${event.ip || '-'}${event.details ? `   ${JSON.stringify(event.details)}` : ''}`);
+    });
+
     console.log('');
+    info(`Shown: ${events.length}${events.length === filters.limit ? ` (limit reached, use --limit)` : ''}`);
   } catch (err) {
-    error(`Failed to list memberships: ${err.message}`);
+    error(`Failed to query audit log: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Import / Export Commands
+
+// --format, else the file extension, else JSON
+function fileFormat(format, file) {
+  return format || (file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+}
+
+function printImportEntries(title, entries, describe) {
+  const changed = entries.filter(entry => entry.action !== 'skip');
+  if (changed.length === 0) {
+    return;
+  }
+  console.log(`${colors.cyan}${title}:${colors.reset}`);
+  changed.forEach(entry => {
+    const mark = entry.action === 'update' ? `${colors.yellow}~` : `${colors.green}+`;
+    console.log(`  ${mark}${colors.reset} ${describe(entry)}`);
+  });
+}
+
+const IMPORT_ACTIONS = { create: 'created', update: 'updated', add: 'added', skip: 'unchanged' };
+
+function countActions(entries, ...actions) {
+  return actions
+    .map(action => `${entries.filter(entry => entry.action === action).length} ${IMPORT_ACTIONS[action]}`)
+    .join(', ');
+}
+
+async function importFile(file, format, dryRun) {
+  try {
+    const data = parseImport(fs.readFileSync(file, 'utf8'), fileFormat(format, file));
+    const plan = await importUsers(pool, data, { dryRun });
+
+    console.log('');
+    printImportEntries('Groups', plan.groups, entry => entry.name);
+    printImportEntries('Users', plan.users, entry =>
+      entry.action === 'update' ? `${entry.email} (${entry.changes.join(', ')})` : entry.email);
+    printImportEntries('Memberships', plan.memberships, entry => `${entry.email} → ${entry.group}`);
+    console.log('');
+
+    info(`Groups:      ${countActions(plan.groups, 'create', 'skip')}`);
+    info(`Users:       ${countActions(plan.users, 'create', 'update', 'skip')}`);
+    info(`Memberships: ${countActions(plan.memberships, 'add', 'skip')}`);
+
+    if (dryRun) {
+      warn('Dry run - nothing was changed');
+      return;
+    }
+
+    const generated = plan.users.filter(entry => entry.password);
+    if (generated.length > 0) {
+      console.log('\n' + colors.cyan + 'Generated passwords:' + colors.reset);
+      generated.forEach(entry => console.log(`  ${entry.email}  ${entry.password}`));
+      warn('Pass these on now - they cannot be shown again');
+    }
+    success(`Imported ${file}`);
+  } catch (err) {
+    if (err instanceof ImportError) {
+      error(`Nothing imported, ${file} has problems:`);
+      err.errors.forEach(problem => console.error(`  ${problem}`));
+    } else {
+      error(`Failed to import (nothing was changed): ${err.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+async function exportFile(format, output) {
+  try {
+    const data = await exportUsers(pool);
+    const text = formatExport(data, fileFormat(format, output));
+
+    if (!output) {
+      process.stdout.write(text);
+      return;
+    }
+    // Contains password hashes
+    fs.writeFileSync(output, text, { mode: 0o600 });
+    success(`Exported ${data.users.length} users and ${data.groups.length} groups to ${output}`);
+  } catch (err) {
+    error(`Failed to export: ${err.message}`);
     process.exit(1);
   }
 }
@@ -469,6 +903,8 @@ ${colors.yellow}User Commands:${colors.reset}
   user:set-password <email>           Change user password
   user:activate <email>               Activate user account
   user:deactivate <email>             Deactivate user account
+  user:unlock <email>                 Clear failed logins and lockout for account
+  user:mfa-reset <email>              Remove 2FA secret and recovery codes (lost device)
 
 ${colors.yellow}Group Commands:${colors.reset}
   group:create <name>                 Create new group (lowercase, no spaces)
@@ -480,6 +916,55 @@ ${colors.yellow}Membership Commands:${colors.reset}
   membership:remove <email> <group>   Remove user from group
   membership:list <email>             List user's groups
 
+${colors.yellow}Session Commands:${colors.reset}
+  session:list <email>                List user's active sessions (IP, user agent, issued)
+  session:revoke-all <email>          Revoke all sessions and refresh tokens (incident response)
+
+${colors.yellow}Login Throttle Commands:${colors.reset}
+  throttle:list                       List failed login counters and lockouts
+  throttle:clear-ip <ip>              Clear failed login back-off for an IP
+
+${colors.yellow}Key Commands:${colors.reset}
+  keys:list                           List JWT signing and verification keys (kid, status, expiry)
+  keys:rotate [--grace <seconds>]     Generate a new signing key; the old one keeps verifying
+                                      tokens for the grace period (default: ${DEFAULT_GRACE})
+  keys:retire <kid>                   Stop accepting tokens signed with a previous key
+
+${colors.yellow}OIDC Client Commands:${colors.reset}
+  client:create <name> <redirect-uri>... [--public]
+                                      Register a client (prints client ID and secret;
+                                      --public: no secret, PKCE only)
+  client:list                         List clients and their redirect URIs
+  client:delete <client-id>           Delete a client
+
+${colors.yellow}Access Token Commands:${colors.reset}
+  token:create <email> <name> [--groups <g1,g2>] [--expires <days>]
+                                      Create a personal access token (prints it once;
+                                      --groups limits it to some of the user's groups,
+                                      --expires 0: never, default: ${DEFAULT_TOKEN_DAYS} days)
+  token:list [email]                  List access tokens (prefix, groups, last use, expiry)
+  token:revoke <id>                   Revoke an access token
+
+${colors.yellow}Audit Commands:${colors.reset}
+  audit:query [options]               Show authentication events, newest first
+    --user <email|id>                 Only this user
+    --event <type>                    Only this event type (login, logout, ...);
+                                      "password" also matches password.change etc.
+    --since <date>                    From this ISO date or timestamp
+    --until <date>                    Up to this date (a bare date includes the day)
+    --limit <n>                       At most n events (default: 100)
+    --json                            One JSON object per line
+
+${colors.yellow}Import / Export Commands:${colors.reset}
+  import <file> [options]             Create and update users, groups and memberships
+                                      from a JSON or CSV file (never deletes); all or nothing
+    --format json|csv                 File format (default: from the extension, else json)
+    --dry-run                         Only show what would change
+  export [options]                    Write all users (with password hashes), groups
+                                      and memberships in the format import reads
+    --format json|csv                 Output format (default: from --output, else json)
+    --output <file>                   Write to a file (default: stdout)
+
 ${colors.yellow}Environment Variables:${colors.reset}
   DB_HOST     Database host (default: localhost)
   DB_PORT     Database port (default: 5432)
@@ -492,6 +977,8 @@ ${colors.yellow}Examples:${colors.reset}
   node admin.js group:create finance
   node admin.js membership:add alice@company.com finance
   node admin.js user:list
+  node admin.js export --output users.csv
+  node admin.js import users.csv --dry-run
 `);
 }
 
@@ -508,10 +995,11 @@ async function main() {
     // Test database connection
     await pool.query('SELECT NOW()');
 
-    // Warn if database name suggests Wiki.js database
-    if (process.env.DB_NAME === 'wikijs' || pool.options.database === 'wikijs') {
+    // Warn if this is (or the database name suggests) a Wiki.js database
+    const wikiJs = await isWikiJsDatabase(pool);
+    if (wikiJs || process.env.DB_NAME === 'wikijs' || pool.options.database === 'wikijs') {
       console.log('');
-      warn('You are connected to a database named "wikijs"');
+      warn('You are connected to a Wiki.js database');
       warn('This tool is intended for STANDALONE databases only!');
       warn('Use Wiki.js\'s admin interface to manage Wiki.js users.');
       console.log('');
@@ -563,6 +1051,22 @@ async function main() {
         await userDeactivate(args[0]);
         break;
 
+      case 'user:unlock':
+        if (args.length < 1) {
+          error('Usage: user:unlock <email>');
+          process.exit(1);
+        }
+        await userUnlock(args[0]);
+        break;
+
+      case 'user:mfa-reset':
+        if (args.length < 1) {
+          error('Usage: user:mfa-reset <email>');
+          process.exit(1);
+        }
+        await userMfaReset(args[0]);
+        break;
+
       // Group commands
       case 'group:create':
         if (args.length < 1) {
@@ -609,6 +1113,208 @@ async function main() {
         await membershipList(args[0]);
         break;
 
+      // Session commands
+      case 'session:list':
+        if (args.length < 1) {
+          error('Usage: session:list <email>');
+          process.exit(1);
+        }
+        await sessionList(args[0]);
+        break;
+
+      case 'session:revoke-all':
+        if (args.length < 1) {
+          error('Usage: session:revoke-all <email>');
+          process.exit(1);
+        }
+        await sessionRevokeAll(args[0]);
+        break;
+
+      // Throttle commands
+      case 'throttle:list':
+        await throttleList();
+        break;
+
+      case 'throttle:clear-ip':
+        if (args.length < 1) {
+          error('Usage: throttle:clear-ip <ip>');
+          process.exit(1);
+        }
+        await throttleClearIp(args[0]);
+        break;
+
+      // Key commands
+      case 'keys:list':
+        await keysList();
+        break;
+
+      case 'keys:rotate': {
+        let grace = DEFAULT_GRACE;
+        if (args[0] === '--grace') {
+          grace = Number(args[1]);
+          if (!Number.isInteger(grace) || grace < 0) {
+            error('Usage: keys:rotate [--grace <seconds>]');
+            process.exit(1);
+          }
+        } else if (args.length > 0) {
+          error('Usage: keys:rotate [--grace <seconds>]');
+          process.exit(1);
+        }
+        await keysRotate(grace);
+        break;
+      }
+
+      case 'keys:retire':
+        if (args.length < 1) {
+          error('Usage: keys:retire <kid>');
+          process.exit(1);
+        }
+        await keysRetire(args[0]);
+        break;
+
+      // OIDC client commands
+      case 'client:create': {
+        const confidential = !args.includes('--public');
+        const [name, ...redirectUris] = args.filter(arg => arg !== '--public');
+        if (!name || redirectUris.length === 0) {
+          error('Usage: client:create <name> <redirect-uri>... [--public]');
+          process.exit(1);
+        }
+        await clientCreate(name, redirectUris, confidential);
+        break;
+      }
+
+      case 'client:list':
+        await clientList();
+        break;
+
+      case 'client:delete':
+        if (args.length < 1) {
+          error('Usage: client:delete <client-id>');
+          process.exit(1);
+        }
+        await clientDelete(args[0]);
+        break;
+
+      // Access token commands
+      case 'token:create': {
+        const usage = 'Usage: token:create <email> <name> [--groups <g1,g2>] [--expires <days>]';
+        const rest = [];
+        let groupNames = null;
+        let days = DEFAULT_TOKEN_DAYS;
+        for (let i = 0; i < args.length; i++) {
+          if (args[i] === '--groups') {
+            groupNames = (args[++i] || '').split(',').map(name => name.trim()).filter(Boolean);
+          } else if (args[i] === '--expires') {
+            days = Number(args[++i]);
+          } else {
+            rest.push(args[i]);
+          }
+        }
+        if (rest.length < 2 || (groupNames && groupNames.length === 0) || !Number.isInteger(days) || days < 0) {
+          error(usage);
+          process.exit(1);
+        }
+        await tokenCreate(rest[0], rest.slice(1).join(' '), groupNames, days);
+        break;
+      }
+
+      case 'token:list':
+        await tokenList(args[0]);
+        break;
+
+      case 'token:revoke':
+        if (args.length < 1 || !Number.isInteger(Number(args[0]))) {
+          error('Usage: token:revoke <id>');
+          process.exit(1);
+        }
+        await tokenRevoke(Number(args[0]));
+        break;
+
+      // Audit commands
+      case 'audit:query': {
+        const usage = 'Usage: audit:query [--user <email|id>] [--event <type>] [--since <date>] [--until <date>] [--limit <n>] [--json]';
+        const filters = { limit: 100 };
+        let asJson = false;
+        for (let i = 0; i < args.length; i++) {
+          const value = args[i + 1];
+          switch (args[i]) {
+            case '--user':
+              if (/^\d+$/.test(value || '')) {
+                filters.userId = Number(value);
+              } else {
+                filters.email = value;
+              }
+              i++;
+              break;
+            case '--event':
+              filters.type = value;
+              i++;
+              break;
+            case '--since':
+              filters.since = parseAuditDate(value, false);
+              i++;
+              break;
+            case '--until':
+              filters.until = parseAuditDate(value, true);
+              i++;
+              break;
+            case '--limit':
+              filters.limit = Number(value);
+              i++;
+              break;
+            case '--json':
+              asJson = true;
+              break;
+            default:
+              error(usage);
+              process.exit(1);
+          }
+          if (Object.values(filters).some(filter => filter === null || filter === undefined || Number.isNaN(filter))) {
+            error(usage);
+            process.exit(1);
+          }
+        }
+        if (!Number.isInteger(filters.limit) || filters.limit < 1) {
+          error(usage);
+          process.exit(1);
+        }
+        await auditQuery(filters, asJson);
+        break;
+      }
+
+      // Import / export commands
+      case 'import':
+      case 'export': {
+        const usage = command === 'import'
+          ? 'Usage: import <file> [--format json|csv] [--dry-run]'
+          : 'Usage: export [--format json|csv] [--output <file>]';
+        const options = { files: [] };
+        for (let i = 0; i < args.length; i++) {
+          if (args[i] === '--format') {
+            options.format = args[++i];
+          } else if (args[i] === '--dry-run' && command === 'import') {
+            options.dryRun = true;
+          } else if (args[i] === '--output' && command === 'export') {
+            options.output = args[++i];
+          } else {
+            options.files.push(args[i]);
+          }
+        }
+        const fileCount = command === 'import' ? 1 : 0;
+        if (options.files.length !== fileCount || (options.format !== undefined && !FORMATS.includes(options.format)) ||
+            (command === 'export' && 'output' in options && !options.output)) {
+          error(usage);
+          process.exit(1);
+        }
+        if (command === 'import') {
+          await importFile(options.files[0], options.format, Boolean(options.dryRun));
+        } else {
+          await exportFile(options.format, options.output);
+        }
+        break;
+      }
+
       default:
         error(`Unknown command: ${command}`);
         console.log('Run "node admin.js help" for usage information');
@@ -1,65 +1,244 @@
 /**
  * Configuration Example
  *
- * Copy the relevant sections to auth-service.js and update with your values
+ * Copy this file to config.js (or config.json with the same shape) and update
+ * with your values. auth-service.js loads it automatically at startup; set
+ * AUTH_CONFIG=/path/to/file to load a config file from somewhere else.
+ *
+ * Every setting can also be overridden with an environment variable (shown
+ * next to each option). Environment variables take precedence over the file.
  *
  * DEPLOYMENT MODES:
  * 1. Wiki.js Database Mode - Connect to existing Wiki.js database
  * 2. Standalone Mode - Use independent auth database (see database/README.md)
  */
 
-// ============================================
-// Database Configuration
-// ============================================
-// Find: const pool = new Pool({ ... })
-// Location: Near the top of auth-service.js, after imports
-
-// OPTION 1: Wiki.js Database Mode
-// Use this if you have an existing Wiki.js installation
-const wikiJsDatabaseConfig = {
-  host: 'localhost',              // PostgreSQL host
-  database: 'wikijs',             // Existing Wiki.js database
-  user: 'wikijs',                 // Database user
-  password: 'your_password_here', // Database password
-  port: 5432                      // PostgreSQL port
-};
+module.exports = {
+  // ============================================
+  // Server Configuration
+  // ============================================
+  port: 3004,                       // PORT - Port for auth service to listen on
+  trustProxy: false,                // TRUST_PROXY - true, hop count or 'loopback' when behind nginx
+  publicUrl: undefined,             // PUBLIC_URL - External base URL, e.g. 'https://yourdomain.com/auth'
 
-// OPTION 2: Standalone Database Mode
-// Use this if you ran database/init-database.sh to create independent auth DB
-const standaloneDatabaseConfig = {
-  host: 'localhost',              // PostgreSQL host
-  database: 'auth_db',            // Standalone auth database
-  user: 'auth_user',              // Database user
-  password: 'auth_password',      // Database password (set during init-database.sh)
-  port: 5432                      // PostgreSQL port
-};
+  // ============================================
+  // Database Configuration
+  // ============================================
+  // OPTION 1: Wiki.js Database Mode
+  // Use this if you have an existing Wiki.js installation
+  database: {
+    host: 'localhost',              // DB_HOST - PostgreSQL host
+    port: 5432,                     // DB_PORT - PostgreSQL port
+    database: 'wikijs',             // DB_NAME - Existing Wiki.js database
+    user: 'wikijs',                 // DB_USER - Database user
+    password: 'your_password_here'  // DB_PASSWORD - Database password
+  },
 
-// ============================================
-// Server Configuration
-// ============================================
-// Find: const PORT =
-// Location: Near the bottom of auth-service.js
-
-const PORT = 3004;  // Port for auth service to listen on
-
-// ============================================
-// JWT/Cookie Configuration
-// ============================================
-// Find: res.cookie('jwt', token, { ... })
-// Location: In the /api/login route handler
-
-const cookieConfig = {
-  httpOnly: true,           // Prevent JavaScript access (security)
-  secure: false,            // Set to true for HTTPS in production
-  sameSite: 'lax',          // CSRF protection
-  domain: undefined,        // Set to '.yourdomain.com' for subdomain cookie sharing
-  maxAge: 60 * 60 * 1000   // 1 hour in milliseconds
-};
+  // Startup waits for the database, retrying with back-off before giving up
+  dbConnect: {
+    retries: 10,                    // DB_CONNECT_RETRIES - 0 exits on the first failure
+    backoffBase: 1,                 // DB_CONNECT_BACKOFF_BASE - Seconds before the first retry, doubles each time
+    backoffMax: 30                  // DB_CONNECT_BACKOFF_MAX - Longest wait between retries
+  },
+
+  // OPTION 2: Standalone Database Mode
+  // Use this if you ran database/init-database.sh to create independent auth DB
+  // database: {
+  //   host: 'localhost',
+  //   port: 5432,
+  //   database: 'auth_db',          // Standalone auth database
+  //   user: 'auth_user',
+  //   password: 'auth_password'     // Set during init-database.sh
+  // },
+
+  // ============================================
+  // Cookie Configuration
+  // ============================================
+  cookie: {
+    name: 'jwt',                    // COOKIE_NAME - Wiki.js reads the "jwt" cookie
+    domain: undefined,              // COOKIE_DOMAIN - '.yourdomain.com' for subdomain sharing
+    secure: 'auto',                 // COOKIE_SECURE - auto (Secure on HTTPS requests), true or false
+    sameSite: 'lax',                // COOKIE_SAMESITE - lax, strict or none (none requires secure: true)
+    hostPrefix: false               // COOKIE_HOST_PREFIX - __Host- cookie names (HTTPS only, no domain; Wiki.js cannot read them)
+  },
+
+  // CSRF tokens on state-changing requests (double-submit cookie)
+  csrf: {
+    enabled: true,                  // CSRF_ENABLED
+    cookieName: 'csrf_token'        // CSRF_COOKIE_NAME - Readable by scripts, echoed in X-CSRF-Token
+  },
+
+  // Response headers on every page and API response
+  securityHeaders: {
+    // contentSecurityPolicy: "default-src 'self'",  // CONTENT_SECURITY_POLICY - 'off' for none
+    frameAncestors: "'none'",       // FRAME_ANCESTORS - e.g. "'self' https://wiki.yourdomain.com", 'off' for any
+    hstsMaxAge: 15552000,           // HSTS_MAX_AGE - Seconds, sent on HTTPS only; 0 = off
+    hstsIncludeSubdomains: false    // HSTS_INCLUDE_SUBDOMAINS
+  },
+
+  // ============================================
+  // JWT Configuration
+  // ============================================
+  jwt: {
+    expiresIn: 60 * 60,             // JWT_EXPIRES_IN - Token lifetime in seconds (also cookie max-age)
+    issuer: 'urn:wiki.js',          // JWT_ISSUER - Must match what Wiki.js expects
+    audience: 'urn:wiki.js',        // JWT_AUDIENCE - Must match what Wiki.js expects
+    groupNames: false               // JWT_GROUP_NAMES - Add a groupNames claim next to the group IDs
+  },
+
+  // ============================================
+  // Refresh Tokens
+  // ============================================
+  // Requires the refreshTokens table from database/schema.sql
+  refresh: {
+    enabled: true,                  // REFRESH_ENABLED - Issue refresh tokens on login
+    cookieName: 'jwt_refresh',      // REFRESH_COOKIE_NAME
+    expiresIn: 60 * 60 * 24 * 30    // REFRESH_EXPIRES_IN - Lifetime in seconds (30 days)
+  },
+
+  // ============================================
+  // Server-side Sessions
+  // ============================================
+  // Requires the authSessions table from database/schema.sql
+  sessions: {
+    enabled: true                   // SESSIONS_ENABLED - Reject revoked tokens in /api/verify
+  },
+
+  // ============================================
+  // Brute-force Protection (/api/login)
+  // ============================================
+  // Requires the loginThrottle table from database/schema.sql
+  loginThrottle: {
+    enabled: true,                  // LOGIN_THROTTLE_ENABLED
+    ipFreeAttempts: 10,             // LOGIN_IP_FREE_ATTEMPTS - Failures per IP before back-off
+    accountFreeAttempts: 3,         // LOGIN_ACCOUNT_FREE_ATTEMPTS - Failures per account before back-off
+    backoffBase: 1,                 // LOGIN_BACKOFF_BASE - First delay in seconds, doubles each failure
+    backoffMax: 15 * 60,            // LOGIN_BACKOFF_MAX - Maximum delay in seconds
+    failureWindow: 15 * 60,         // LOGIN_FAILURE_WINDOW - Counters reset after this long without failures
+    lockoutThreshold: 10,           // LOCKOUT_THRESHOLD - Consecutive failures that lock an account (0 = never)
+    lockoutDuration: 15 * 60        // LOCKOUT_DURATION - Lockout length in seconds
+  },
 
-// ============================================
-// JWT Expiration
-// ============================================
-// Find: exp: Math.floor(Date.now() / 1000) + ...
-// Location: In the /api/login route, JWT payload creation
+  // Optional TOTP two-factor authentication (users opt in via /api/mfa/enroll)
+  // Requires the userMfa and mfaRecoveryCodes tables from database/schema.sql
+  mfa: {
+    enabled: true,                  // MFA_ENABLED
+    issuer: 'Wiki.js',              // MFA_ISSUER - Name shown in authenticator apps
+    pendingExpiresIn: 5 * 60,       // MFA_PENDING_EXPIRES_IN - Seconds to enter the code after the password
+    cookieName: 'jwt_mfa'           // MFA_COOKIE_NAME
+  },
 
-const jwtExpiration = 60 * 60;  // 1 hour in seconds
+  // Forgot-password flow (requires the passwordResets table from database/schema.sql)
+  passwordReset: {
+    enabled: false,                 // PASSWORD_RESET_ENABLED - Needs url or publicUrl
+    expiresIn: 60 * 60,             // PASSWORD_RESET_EXPIRES_IN - Reset link lifetime in seconds
+    // url: 'https://auth.yourdomain.com/'  // PASSWORD_RESET_URL - Page that handles ?token= (default: publicUrl + '/')
+  },
+
+  // Outgoing mail (password reset links)
+  mail: {
+    transport: 'console',           // MAIL_TRANSPORT - console, file or smtp (console logs reset links: testing only)
+    from: 'Wiki.js <noreply@yourdomain.com>',  // MAIL_FROM
+    file: 'mail.log',               // MAIL_FILE - Used by the file transport
+    smtp: {
+      host: 'smtp.yourdomain.com',  // SMTP_HOST
+      port: 587,                    // SMTP_PORT
+      secure: false,                // SMTP_SECURE - true for port 465
+      user: undefined,              // SMTP_USER
+      password: undefined           // SMTP_PASSWORD
+    }
+  },
+
+  // Where the login page may send users back to (returnTo / redirect parameter)
+  redirect: {
+    allowedHosts: ['yourdomain.com', '.yourdomain.com'],  // REDIRECT_ALLOWED_HOSTS - comma-separated in env
+    allowedPaths: ['/']             // REDIRECT_ALLOWED_PATHS - Path prefixes, e.g. ['/secure', '/wiki']
+  },
+
+  // Picking up new JWT keys (certs row) without a restart
+  keys: {
+    pollInterval: 60,               // KEYS_POLL_INTERVAL - Seconds, 0 = load once at startup
+    listen: false                   // KEYS_LISTEN - Reload on NOTIFY (database/notify-keys.sql)
+  },
+
+  // OpenID Connect provider for other apps (clients: node admin.js client:create)
+  oidc: {
+    enabled: false,                 // OIDC_ENABLED - Requires publicUrl (the issuer)
+    codeExpiresIn: 60,              // OIDC_CODE_EXPIRES_IN - Seconds
+    tokenExpiresIn: 3600            // OIDC_TOKEN_EXPIRES_IN - ID/access token lifetime in seconds
+  },
+
+  // LDAP / Active Directory login for users without a local account
+  ldap: {
+    enabled: false,                 // LDAP_ENABLED
+    url: 'ldaps://ldap.example.com', // LDAP_URL
+    bindDn: 'cn=wiki-reader,dc=example,dc=com', // LDAP_BIND_DN - Omit for anonymous search
+    bindCredentials: 'secret',      // LDAP_BIND_CREDENTIALS
+    searchBase: 'ou=people,dc=example,dc=com', // LDAP_SEARCH_BASE
+    searchFilter: '(mail={{username}})', // LDAP_SEARCH_FILTER
+    // groupSearchBase: 'ou=groups,dc=example,dc=com', // LDAP_GROUP_SEARCH_BASE - Instead of memberOf
+    groupSearchFilter: '(member={{dn}})', // LDAP_GROUP_SEARCH_FILTER
+    groupMap: {                     // LDAP_GROUP_MAP - LDAP group DN or CN -> Wiki.js group name
+      'wiki-admins': 'Administrators'
+    },
+    emailAttribute: 'mail',         // LDAP_EMAIL_ATTRIBUTE
+    nameAttribute: 'displayName',   // LDAP_NAME_ATTRIBUTE
+    providerKey: 'ldap',            // LDAP_PROVIDER_KEY - users."providerKey" for LDAP accounts
+    timeout: 5000,                  // LDAP_TIMEOUT - Milliseconds
+    tlsRejectUnauthorized: true     // LDAP_TLS_REJECT_UNAUTHORIZED
+  },
+
+  // "Sign in with ..." through an upstream OpenID Connect provider
+  // (redirect URI to register there: <publicUrl>/api/sso/callback)
+  sso: {
+    enabled: false,                 // SSO_ENABLED - Requires publicUrl
+    name: 'Keycloak',               // SSO_NAME - Button label
+    issuer: 'https://keycloak.yourdomain.com/realms/main', // SSO_ISSUER
+    clientId: 'wiki',               // SSO_CLIENT_ID
+    clientSecret: 'secret',         // SSO_CLIENT_SECRET - Omit for a public client
+    scopes: 'openid profile email', // SSO_SCOPES
+    emailClaim: 'email',            // SSO_EMAIL_CLAIM
+    nameClaim: 'name',              // SSO_NAME_CLAIM
+    groupsClaim: 'groups',          // SSO_GROUPS_CLAIM - Dotted path, e.g. 'realm_access.roles'
+    groupMap: {                     // SSO_GROUP_MAP - Provider group -> Wiki.js group name
+      'wiki-admins': 'Administrators'
+    },
+    providerKey: 'oidc',            // SSO_PROVIDER_KEY - users."providerKey" for SSO accounts
+    requireVerifiedEmail: true,     // SSO_REQUIRE_VERIFIED_EMAIL
+    timeout: 5000,                  // SSO_TIMEOUT - Milliseconds
+    stateExpiresIn: 600,            // SSO_STATE_EXPIRES_IN - Seconds
+    cookieName: 'jwt_sso'           // SSO_COOKIE_NAME
+  },
+
+  // Personal access tokens for scripts, traded for a JWT at POST /api/token/exchange
+  accessTokens: {
+    enabled: true,                  // ACCESS_TOKENS_ENABLED
+    jwtExpiresIn: 900,              // ACCESS_TOKEN_JWT_EXPIRES_IN - Seconds
+    maxExpiresIn: 31536000          // ACCESS_TOKEN_MAX_EXPIRES_IN - Seconds, 0 = tokens may never expire
+  },
+
+  // RFC 7662 token introspection at POST /api/introspect
+  introspection: {
+    enabled: false,                 // INTROSPECTION_ENABLED
+    secret: 'change-me'             // INTROSPECTION_SECRET - Callers send "Authorization: Bearer <secret>"; omit to leave open
+  },
+
+  // Audit log of logins, logouts, failures and account changes
+  audit: {
+    database: true,                 // AUDIT_DATABASE - Write events to the auditLog table
+    stdout: false                   // AUDIT_STDOUT - Also write events as JSON lines on stdout
+  },
+
+  // Prometheus metrics at GET /metrics
+  metrics: {
+    enabled: false,                 // METRICS_ENABLED
+    secret: 'change-me'             // METRICS_SECRET - Scrapers send "Authorization: Bearer <secret>"; omit to leave open
+  },
+
+  // Web admin console at /admin (users, groups, memberships)
+  admin: {
+    enabled: true,                  // ADMIN_ENABLED
+    group: 'admin',                 // ADMIN_GROUP - Members may use the console
+    allowWikiJs: false              // ADMIN_ALLOW_WIKIJS - Also manage a Wiki.js database (not recommended)
+  }
+};
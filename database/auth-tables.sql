@@ -0,0 +1,189 @@
+-- ============================================
+-- Migration: Authentication Service Tables
+-- ============================================
+-- Adds the tables this service keeps beside the users and groups
+-- (sessions, refresh tokens, login throttle, 2FA, password resets, OIDC,
+-- access tokens, audit log) to an existing database:
+-- - a Wiki.js database, which has users and groups but none of these
+-- - a standalone database created with an older schema.sql
+--
+-- Usage: psql -U wikijs -d wikijs -f database/auth-tables.sql
+--
+-- Safe to run more than once. database/schema.sql includes this file, so
+-- new tables for the service go here, not there.
+-- ============================================
+
+-- Auth sessions: One row per login, referenced by the JWT "jti" claim
+-- (named authSessions to avoid clashing with Wiki.js's own sessions table)
+CREATE TABLE IF NOT EXISTS "authSessions" (
+  id TEXT PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ip TEXT,
+  "userAgent" TEXT,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "lastSeenAt" TIMESTAMP,
+  "revokedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "authSessions" IS 'Server-side login sessions (JWT jti = session id)';
+COMMENT ON COLUMN "authSessions"."expiresAt" IS 'When the last token (JWT or refresh token) issued for the session expires';
+COMMENT ON COLUMN "authSessions"."revokedAt" IS 'Set on logout or revocation; /api/verify rejects tokens for revoked sessions';
+
+-- Refresh tokens: Long-lived, rotating tokens used to renew the jwt cookie
+CREATE TABLE IF NOT EXISTS "refreshTokens" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  "familyId" TEXT NOT NULL,
+  "tokenHash" TEXT UNIQUE NOT NULL,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "usedAt" TIMESTAMP,
+  "revokedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "refreshTokens" IS 'Server-tracked refresh tokens (one row per rotation)';
+COMMENT ON COLUMN "refreshTokens"."familyId" IS 'Shared by all tokens rotated from the same login';
+COMMENT ON COLUMN "refreshTokens"."tokenHash" IS 'SHA-256 hash of the refresh token (token itself is never stored)';
+COMMENT ON COLUMN "refreshTokens"."usedAt" IS 'Set when rotated; presenting a used token revokes the family';
+
+-- Login throttle: Failed login counters for brute-force protection
+CREATE TABLE IF NOT EXISTS "loginThrottle" (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  "lastFailureAt" TIMESTAMP,
+  "blockedUntil" TIMESTAMP,
+  "lockedUntil" TIMESTAMP,
+  PRIMARY KEY (scope, key)
+);
+
+COMMENT ON TABLE "loginThrottle" IS 'Failed login attempts per client IP and per account';
+COMMENT ON COLUMN "loginThrottle".scope IS '"ip" or "account"';
+COMMENT ON COLUMN "loginThrottle".key IS 'Client IP address or lowercased email';
+COMMENT ON COLUMN "loginThrottle"."blockedUntil" IS 'Exponential back-off: logins refused until this time';
+COMMENT ON COLUMN "loginThrottle"."lockedUntil" IS 'Account lockout after too many consecutive failures';
+
+-- Two-factor authentication: TOTP secret per user
+CREATE TABLE IF NOT EXISTS "userMfa" (
+  "userId" INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  "enabledAt" TIMESTAMP,
+  "lastUsedStep" INTEGER,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "userMfa" IS 'TOTP (RFC 6238) two-factor authentication';
+COMMENT ON COLUMN "userMfa".secret IS 'Base32 TOTP secret (keep database backups secure)';
+COMMENT ON COLUMN "userMfa"."enabledAt" IS 'NULL while enrollment is unconfirmed';
+COMMENT ON COLUMN "userMfa"."lastUsedStep" IS 'Last accepted time step, prevents code replay';
+
+-- Two-factor recovery codes: One-time codes for a lost authenticator
+CREATE TABLE IF NOT EXISTS "mfaRecoveryCodes" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  "codeHash" TEXT NOT NULL,
+  "usedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "mfaRecoveryCodes" IS 'One-time two-factor recovery codes';
+COMMENT ON COLUMN "mfaRecoveryCodes"."codeHash" IS 'SHA-256 hash of the recovery code';
+
+-- Password resets: Single-use tokens sent by the forgot-password flow
+CREATE TABLE IF NOT EXISTS "passwordResets" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  "tokenHash" TEXT UNIQUE NOT NULL,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "usedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "passwordResets" IS 'Password reset tokens (forgot-password flow)';
+COMMENT ON COLUMN "passwordResets"."tokenHash" IS 'SHA-256 hash of the reset token (token itself is only sent by mail)';
+COMMENT ON COLUMN "passwordResets"."usedAt" IS 'Set when the token is consumed or superseded';
+
+-- OIDC clients: Applications that log users in through this service (OIDC provider mode)
+CREATE TABLE IF NOT EXISTS "oidcClients" (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  "secretHash" TEXT,
+  "redirectUris" JSONB NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "oidcClients" IS 'Registered OAuth2/OpenID Connect clients';
+COMMENT ON COLUMN "oidcClients".id IS 'client_id';
+COMMENT ON COLUMN "oidcClients"."secretHash" IS 'SHA-256 hash of the client secret, NULL for public clients (PKCE only)';
+COMMENT ON COLUMN "oidcClients"."redirectUris" IS 'JSON array of allowed redirect_uri values (exact match)';
+
+-- OIDC authorization codes: Single-use, short-lived, bound to client and PKCE challenge
+CREATE TABLE IF NOT EXISTS "oidcAuthCodes" (
+  id SERIAL PRIMARY KEY,
+  "codeHash" TEXT UNIQUE NOT NULL,
+  "clientId" TEXT NOT NULL REFERENCES "oidcClients"(id) ON DELETE CASCADE,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  "redirectUri" TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  nonce TEXT,
+  "codeChallenge" TEXT NOT NULL,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "usedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "oidcAuthCodes" IS 'OIDC authorization codes (authorization code flow with PKCE)';
+COMMENT ON COLUMN "oidcAuthCodes"."codeHash" IS 'SHA-256 hash of the code (code itself is only sent to the client)';
+COMMENT ON COLUMN "oidcAuthCodes"."codeChallenge" IS 'PKCE S256 code_challenge';
+
+-- Personal access tokens: Long-lived secrets for scripts, traded for a short-lived JWT
+CREATE TABLE IF NOT EXISTS "accessTokens" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  "tokenHash" TEXT UNIQUE NOT NULL,
+  "tokenPrefix" TEXT NOT NULL,
+  groups JSONB,
+  "expiresAt" TIMESTAMP,
+  "lastUsedAt" TIMESTAMP,
+  "revokedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE "accessTokens" IS 'Personal access tokens (exchanged for a JWT at /api/token/exchange)';
+COMMENT ON COLUMN "accessTokens"."tokenHash" IS 'SHA-256 hash of the token (token itself is only shown at creation)';
+COMMENT ON COLUMN "accessTokens"."tokenPrefix" IS 'First characters of the token, to recognise it in lists';
+COMMENT ON COLUMN "accessTokens".groups IS 'JSON array of group IDs the token is limited to, NULL for all of the user''s groups';
+COMMENT ON COLUMN "accessTokens"."expiresAt" IS 'NULL for tokens that do not expire';
+
+-- Audit log: Structured record of authentication events (logins, logouts, failures)
+CREATE TABLE IF NOT EXISTS "auditLog" (
+  id SERIAL PRIMARY KEY,
+  "createdAt" TIMESTAMP NOT NULL DEFAULT NOW(),
+  "eventType" TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  reason TEXT,
+  "userId" INTEGER,
+  email TEXT,
+  ip TEXT,
+  "userAgent" TEXT,
+  details JSONB
+);
+
+COMMENT ON TABLE "auditLog" IS 'Authentication events (see lib/audit.js for event types)';
+COMMENT ON COLUMN "auditLog".outcome IS 'success, failure or pending (second factor required)';
+COMMENT ON COLUMN "auditLog".reason IS 'Why the event failed, e.g. user_not_found, inactive, bad_password';
+COMMENT ON COLUMN "auditLog"."userId" IS 'No foreign key: events outlive deleted users';
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_mfarecoverycodes_userid ON "mfaRecoveryCodes"("userId");
+CREATE INDEX IF NOT EXISTS idx_authsessions_userid ON "authSessions"("userId");
+CREATE INDEX IF NOT EXISTS idx_refreshtokens_familyid ON "refreshTokens"("familyId");
+CREATE INDEX IF NOT EXISTS idx_refreshtokens_userid ON "refreshTokens"("userId");
+CREATE INDEX IF NOT EXISTS idx_passwordresets_userid ON "passwordResets"("userId");
+CREATE INDEX IF NOT EXISTS idx_oidcauthcodes_clientid ON "oidcAuthCodes"("clientId");
+CREATE INDEX IF NOT EXISTS idx_accesstokens_userid ON "accessTokens"("userId");
+CREATE INDEX IF NOT EXISTS idx_auditlog_createdat ON "auditLog"("createdAt");
+CREATE INDEX IF NOT EXISTS idx_auditlog_userid ON "auditLog"("userId");
+CREATE INDEX IF NOT EXISTS idx_auditlog_eventtype ON "auditLog"("eventType");
@@ -12,6 +12,9 @@
  *
  * Options:
  *   --encrypted    Generate encrypted private key with passphrase
+ *
+ * Overwrites existing keys, so every token issued so far stops verifying.
+ * To replace keys on a live system use `node admin.js keys:rotate` instead.
  */
 
 const crypto = require('crypto');
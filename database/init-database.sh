@@ -109,6 +109,7 @@ echo ""
 # Create schema
 echo -e "${BLUE}3. Creating database schema...${NC}"
 PGPASSWORD="$DB_PASSWORD" psql -h "$DB_HOST" -p "$DB_PORT" -U "$DB_USER" -d "$DB_NAME" -f schema.sql
+PGPASSWORD="$DB_PASSWORD" psql -h "$DB_HOST" -p "$DB_PORT" -U "$DB_USER" -d "$DB_NAME" -f notify-keys.sql
 echo -e "${GREEN}✓${NC} Schema created"
 echo ""
 
@@ -0,0 +1,26 @@
+-- ============================================
+-- Key Reload Notification
+-- ============================================
+-- Sends NOTIFY auth_keys_changed whenever the certs (or sessionSecret) row in
+-- settings changes, so auth services started with KEYS_LISTEN=true reload
+-- their JWT keys immediately instead of waiting for the next poll.
+--
+-- Works for both the standalone auth database and a Wiki.js database.
+--
+-- Usage: psql -U auth_user -d auth_db -f notify-keys.sql
+-- ============================================
+
+CREATE OR REPLACE FUNCTION notify_auth_keys_changed() RETURNS trigger AS $$
+BEGIN
+  IF NEW.key IN ('certs', 'sessionSecret') THEN
+    PERFORM pg_notify('auth_keys_changed', NEW.key);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS settings_auth_keys_changed ON settings;
+
+CREATE TRIGGER settings_auth_keys_changed
+  AFTER INSERT OR UPDATE ON settings
+  FOR EACH ROW EXECUTE PROCEDURE notify_auth_keys_changed();
@@ -7,6 +7,9 @@
 --
 -- Compatible with Wiki.js database structure but can
 -- be used completely independently.
+--
+-- Run with psql from any directory: it includes auth-tables.sql
+-- (\ir, relative to this file).
 -- ============================================
 
 -- Settings table: Stores RSA keys and secrets
@@ -43,12 +46,16 @@ COMMENT ON COLUMN users."providerKey" IS 'Authentication provider (local, oauth,
 CREATE TABLE IF NOT EXISTS groups (
   id SERIAL PRIMARY KEY,
   name TEXT UNIQUE NOT NULL,
+  permissions JSONB,
+  "pageRules" JSONB,
   "createdAt" TIMESTAMP DEFAULT NOW(),
   "updatedAt" TIMESTAMP DEFAULT NOW()
 );
 
 COMMENT ON TABLE groups IS 'Permission groups for authorization';
 COMMENT ON COLUMN groups.name IS 'Unique group name';
+COMMENT ON COLUMN groups.permissions IS 'Wiki.js global permissions, e.g. ["read:pages"] (POST /api/can)';
+COMMENT ON COLUMN groups."pageRules" IS 'Wiki.js page rules: [{id, deny, match, roles, path, locales}] (POST /api/can)';
 
 -- User-Group junction table: Many-to-many relationship
 CREATE TABLE IF NOT EXISTS "userGroups" (
@@ -60,6 +67,11 @@ CREATE TABLE IF NOT EXISTS "userGroups" (
 
 COMMENT ON TABLE "userGroups" IS 'User membership in groups';
 
+-- The service's own tables (sessions, refresh tokens, login throttle, 2FA,
+-- password resets, OIDC, access tokens, audit log) and their indexes.
+-- Kept in one file so existing databases can be migrated with it alone.
+\ir auth-tables.sql
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_provider ON users("providerKey");
@@ -77,7 +89,9 @@ BEGIN
   RAISE NOTICE '==========================================';
   RAISE NOTICE '  Authentication Database Schema Created';
   RAISE NOTICE '==========================================';
-  RAISE NOTICE '  Tables: settings, users, groups, userGroups';
+  RAISE NOTICE '  Tables: settings, users, groups, userGroups, authSessions, refreshTokens,';
+  RAISE NOTICE '          loginThrottle, userMfa, mfaRecoveryCodes, passwordResets,';
+  RAISE NOTICE '          oidcClients, oidcAuthCodes, accessTokens, auditLog';
   RAISE NOTICE '  Default group: admin';
   RAISE NOTICE '';
   RAISE NOTICE '  Next steps:';
@@ -8,6 +8,22 @@ const AUTH_CONFIG = {
     DASHBOARD_PAGE: 'dashboard.html'
 };
 
+// CSRF token from /api/csrf, fetched on the first POST
+let csrfToken = null;
+
+/**
+ * Headers for POST requests: the auth service wants its CSRF token echoed
+ * (none when CSRF checks are off)
+ * @returns {Promise<Object>}
+ */
+async function csrfHeaders() {
+    if (csrfToken === null) {
+        const response = await fetch(`${AUTH_CONFIG.API_BASE}/csrf`, { credentials: 'include' });
+        csrfToken = response.ok ? (await response.json()).csrfToken : '';
+    }
+    return csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+}
+
 /**
  * Check if user is authenticated
  * @returns {Promise<Object|null>} User data if authenticated, null otherwise
@@ -22,13 +38,37 @@ async function checkAuth() {
         if (data.authenticated) {
             return data.user;
         }
-        return null;
+
+        // JWT missing or expired - try to renew it with the refresh token
+        return await refreshSession();
     } catch (error) {
         console.error('Auth check failed:', error);
         return null;
     }
 }
 
+/**
+ * Renew the JWT cookie using the refresh token cookie
+ * @returns {Promise<Object|null>} User data if renewed, null otherwise
+ */
+async function refreshSession() {
+    try {
+        const response = await fetch(`${AUTH_CONFIG.API_BASE}/refresh`, {
+            method: 'POST',
+            headers: await csrfHeaders(),
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            return null;
+        }
+        const data = await response.json();
+        return data.success ? data.user : null;
+    } catch (error) {
+        console.error('Session refresh failed:', error);
+        return null;
+    }
+}
+
 /**
  * Require authentication - redirect to login if not authenticated
  * @returns {Promise<Object>} User data
@@ -62,7 +102,8 @@ async function login(email, password) {
     const response = await fetch(`${AUTH_CONFIG.API_BASE}/login`, {
         method: 'POST',
         headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(await csrfHeaders())
         },
         credentials: 'include',
         body: JSON.stringify({ email, password })
@@ -78,6 +119,7 @@ async function login(email, password) {
 async function logout() {
     const response = await fetch(`${AUTH_CONFIG.API_BASE}/logout`, {
         method: 'POST',
+        headers: await csrfHeaders(),
         credentials: 'include'
     });
 
@@ -85,19 +127,22 @@ async function logout() {
 }
 
 /**
- * Get group names from group IDs
- * @param {Array<number>} groupIds
- * @returns {Array<string>} Group names
+ * Get the user's group names from the auth service: /api/verify includes
+ * them, other responses (e.g. /api/refresh) only have the IDs
+ * @param {Object} user - User object from checkAuth()
+ * @returns {Promise<Array<string>>} Group names
  */
-function getGroupNames(groupIds) {
-    const groupMap = {
-        1: 'admin',
-        2: 'mgmt',
-        3: 'dev',
-        4: 'view'
-    };
-
-    return groupIds.map(id => groupMap[id] || `Group ${id}`);
+async function getGroupNames(user) {
+    const groupIds = user.groups || [];
+    let names = user.groupNames;
+
+    if (!names) {
+        const response = await fetch(`${AUTH_CONFIG.API_BASE}/groups`, { credentials: 'include' });
+        const groups = response.ok ? (await response.json()).groups : [];
+        names = groupIds.map(id => (groups.find(group => group.id === id) || {}).name);
+    }
+
+    return groupIds.map((id, i) => names[i] || `Group ${id}`);
 }
 
 /**
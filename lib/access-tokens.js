@@ -0,0 +1,167 @@
+/**
+ * Personal Access Token Store
+ *
+ * Long-lived secrets for scripts and CI jobs, traded for a short-lived JWT at
+ * POST /api/token/exchange (lib/routes/access-tokens.js). Each token belongs
+ * to one user and may be limited to a subset of that user's groups. Only a
+ * SHA-256 hash is stored (accessTokens table); the token is shown once at
+ * creation. The "wjat_" prefix makes leaked tokens easy to find in logs and
+ * repositories.
+ *
+ * Used by the routes and by admin.js token:create, token:list, token:revoke.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./refresh-tokens');
+
+const TOKEN_PREFIX = 'wjat_';
+const TOKEN_BYTES = 32;
+
+/**
+ * Raised when a token cannot be created (e.g. a group the user is not in)
+ */
+class AccessTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessTokenError';
+  }
+}
+
+/**
+ * Create an access token store backed by the accessTokens table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ */
+function createAccessTokenStore(pool) {
+  async function userGroupIds(userId) {
+    const result = await pool.query(
+      'SELECT "groupId" FROM "userGroups" WHERE "userId" = $1',
+      [userId]
+    );
+    return result.rows.map(row => row.groupId);
+  }
+
+  /**
+   * Create a token
+   * @param {Object} options
+   * @param {number} options.userId
+   * @param {string} options.name - What the token is for, e.g. "CI deploy"
+   * @param {number[]|null} [options.groups] - Group IDs the token is limited to
+   *   (all of them must be the user's); null for all of the user's groups
+   * @param {Date|null} [options.expiresAt] - null for no expiry
+   * @returns {Promise<Object>} { id, token, tokenPrefix, name, groups, expiresAt } -
+   *   the token is not stored and cannot be shown again
+   * @throws {AccessTokenError}
+   */
+  async function create({ userId, name, groups = null, expiresAt = null }) {
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw new AccessTokenError('name is required (at most 100 characters)');
+    }
+    if (groups !== null) {
+      if (!Array.isArray(groups) || groups.some(id => !Number.isInteger(id))) {
+        throw new AccessTokenError('groups must be a list of group IDs');
+      }
+      const own = await userGroupIds(userId);
+      const foreign = groups.filter(id => !own.includes(id));
+      if (foreign.length > 0) {
+        throw new AccessTokenError(`not a member of group ${foreign.join(', ')}`);
+      }
+      groups = [...new Set(groups)];
+    }
+
+    const secret = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const token = `${TOKEN_PREFIX}${secret}`;
+    // Enough to recognise the token in a list, too little to guess the rest
+    const tokenPrefix = token.slice(0, TOKEN_PREFIX.length + 6);
+
+    const result = await pool.query(
+      `INSERT INTO "accessTokens" ("userId", name, "tokenHash", "tokenPrefix", groups, "expiresAt", "createdAt")
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [userId, name, hashToken(token), tokenPrefix, groups && JSON.stringify(groups), expiresAt, new Date()]
+    );
+
+    return { id: result.rows[0].id, token, tokenPrefix, name, groups, expiresAt };
+  }
+
+  /**
+   * Check a token and record its use
+   * @returns {Promise<Object|null>} { id, userId, name, groups } or null if unknown,
+   *   revoked or expired
+   */
+  async function verify(token) {
+    if (!token || typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    const now = new Date();
+    const result = await pool.query(
+      `SELECT id, "userId", name, groups, "expiresAt", "revokedAt"
+       FROM "accessTokens" WHERE "tokenHash" = $1`,
+      [hashToken(token)]
+    );
+    const row = result.rows[0];
+    if (!row || row.revokedAt || (row.expiresAt && new Date(row.expiresAt) <= now)) {
+      return null;
+    }
+
+    await pool.query('UPDATE "accessTokens" SET "lastUsedAt" = $2 WHERE id = $1', [row.id, now]);
+    return { id: row.id, userId: row.userId, name: row.name, groups: row.groups };
+  }
+
+  /**
+   * Tokens of a user (or of everyone), newest first; revoked ones are left out
+   * @param {number|null} [userId]
+   * @returns {Promise<Object[]>} { id, userId, email, name, tokenPrefix, groups, expiresAt,
+   *   lastUsedAt, createdAt, expired }
+   */
+  async function list(userId = null) {
+    const result = await pool.query(
+      `SELECT t.id, t."userId", u.email, t.name, t."tokenPrefix", t.groups,
+              t."expiresAt", t."lastUsedAt", t."createdAt"
+       FROM "accessTokens" t
+       JOIN users u ON u.id = t."userId"
+       WHERE t."revokedAt" IS NULL ${userId === null ? '' : 'AND t."userId" = $1'}
+       ORDER BY t."createdAt" DESC, t.id DESC`,
+      userId === null ? [] : [userId]
+    );
+    const now = new Date();
+    return result.rows.map(row => ({
+      ...row,
+      expired: Boolean(row.expiresAt && new Date(row.expiresAt) <= now)
+    }));
+  }
+
+  /**
+   * Revoke a token. Pass userId to only revoke a token owned by that user.
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async function revoke(id, userId = null) {
+    const result = userId === null
+      ? await pool.query(
+        `UPDATE "accessTokens" SET "revokedAt" = $2
+         WHERE id = $1 AND "revokedAt" IS NULL
+         RETURNING id`,
+        [id, new Date()]
+      )
+      : await pool.query(
+        `UPDATE "accessTokens" SET "revokedAt" = $3
+         WHERE id = $1 AND "userId" = $2 AND "revokedAt" IS NULL
+         RETURNING id`,
+        [id, userId, new Date()]
+      );
+    return result.rows.length > 0;
+  }
+
+  return {
+    create,
+    verify,
+    list,
+    revoke
+  };
+}
+
+module.exports = {
+  AccessTokenError,
+  TOKEN_PREFIX,
+  createAccessTokenStore
+};
@@ -0,0 +1,1135 @@
+/**
+ * Auth App Factory
+ *
+ * Builds the Express app for the Wiki.js JWT authentication service without
+ * connecting to the database or listening on a port, so it can be mounted
+ * in another Express server or exercised in tests.
+ *
+ * Usage:
+ *   const { createAuthApp } = require('wikijs-jwt-auth');
+ *   const app = createAuthApp({ pool, keys, config });
+ *   app.listen(config.port);
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
+const bodyParser = require('body-parser');
+const path = require('path');
+const { createRefreshTokenStore, RefreshTokenError } = require('./refresh-tokens');
+const { createSessionStore } = require('./sessions');
+const { createLoginThrottle } = require('./login-throttle');
+const { createMfaStore } = require('./mfa');
+const { issueMfaChallenge, registerMfaRoutes } = require('./routes/mfa');
+const { createPasswordResetStore } = require('./password-resets');
+const { createMailer } = require('./mailer');
+const { registerPasswordRoutes } = require('./routes/password');
+const { createRedirectValidator } = require('./redirects');
+const { registerAuthorizeRoutes } = require('./routes/authorize');
+const { registerCanRoutes } = require('./routes/can');
+const { registerWellKnownRoutes } = require('./routes/well-known');
+const { registerIntrospectionRoutes } = require('./routes/introspect');
+const { createClientStore } = require('./oidc-clients');
+const { createAuthorizationCodeStore } = require('./oidc-codes');
+const { registerOidcRoutes } = require('./routes/oidc');
+const { registerSsoRoutes } = require('./routes/sso');
+const { createCredentialProviders } = require('./providers');
+const { provisionUser, ProvisioningError } = require('./provisioning');
+const { createAccessTokenStore } = require('./access-tokens');
+const { registerAccessTokenRoutes } = require('./routes/access-tokens');
+const { createAuditLog } = require('./audit');
+const { createMetrics } = require('./metrics');
+const { registerMetricsRoutes } = require('./routes/metrics');
+const { registerHealthRoutes } = require('./routes/health');
+const { registerAdminRoutes } = require('./routes/admin');
+const { createCsrfProtection } = require('./csrf');
+const { createSecurityHeaders } = require('./security-headers');
+const { createStaticKeyStore, activeVerificationKeys } = require('./keys');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Logins that can answer with the token instead of cookies (?mode=token, Accept: application/jwt)
+const TOKEN_LOGIN_PATHS = ['/api/login', '/api/login/mfa'];
+
+/**
+ * Create the auth service Express app
+ *
+ * @param {Object} options
+ * @param {Pool} options.pool - pg Pool (or compatible) for the Wiki.js/auth database
+ * @param {Object} options.keys - Key store from createKeyStore(), or PEM keys
+ *   { privateKey, publicKey, passphrase } as returned by loadKeys() (see lib/keys.js)
+ * @param {Object} options.config - Validated config (see lib/config.js)
+ * @param {Object} [options.logger=console] - Object with log() and error()
+ * @param {Object} [options.mailer] - Object with send({ to, subject, text }); defaults to
+ *   the transport in config.mail (see lib/mailer.js)
+ * @param {Object[]} [options.credentialProviders] - Checked for logins without a local
+ *   account; defaults to the providers enabled in config (see lib/providers/index.js)
+ * @param {Object} [options.audit] - Object with record(event); defaults to the audit
+ *   log in config.audit (see lib/audit.js)
+ * @param {Object} [options.metrics] - From createMetrics() (see lib/metrics.js); defaults
+ *   to new metrics without process metrics
+ * @returns {express.Application}
+ */
+function createAuthApp({ pool, keys, config, logger = console, mailer, credentialProviders, audit, metrics }) {
+  if (!pool) throw new TypeError('createAuthApp: pool is required');
+  const keyStore = keys && typeof keys.getKeys === 'function' ? keys : null;
+  if (!keyStore && (!keys || !keys.privateKey || !keys.publicKey)) {
+    throw new TypeError('createAuthApp: keys must be a key store or have privateKey and publicKey');
+  }
+  if (!config) throw new TypeError('createAuthApp: config is required');
+
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+
+  // Middleware
+  app.use(createSecurityHeaders(config.securityHeaders));
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+  app.use(cookieParser());
+  if (config.csrf.enabled) {
+    // Token-mode logins set no cookies: a forged one gains nothing. Other
+    // routes ignore the mode, so it must not lift their check.
+    const exempt = req => TOKEN_LOGIN_PATHS.includes(req.path) && tokenMode(req) !== null;
+    app.use(createCsrfProtection(config.csrf, { cookieOptions, exempt, logger }));
+  }
+  app.use(express.static(PUBLIC_DIR));
+
+  // Parsed KeyObjects, possibly reloaded at runtime (see lib/keys.js)
+  const { getKeys } = keyStore || createStaticKeyStore(keys);
+
+  // Everything below queries through the instrumented pool
+  if (!metrics) {
+    metrics = createMetrics();
+  }
+  metrics.watchPool(pool);
+  metrics.watchKeys(keyStore || { getKeys });
+  pool = metrics.instrumentPool(pool);
+
+  /**
+   * Cookie options shared by login (set) and logout (clear)
+   * @param {express.Request} req - Decides Secure when cookie.secure is "auto"
+   */
+  function cookieOptions(req) {
+    const options = {
+      httpOnly: true,
+      secure: config.cookie.secure === 'auto' ? req.secure : config.cookie.secure,
+      sameSite: config.cookie.sameSite
+    };
+    if (config.cookie.domain) {
+      options.domain = config.cookie.domain;
+    }
+    return options;
+  }
+
+  const refreshTokens = config.refresh.enabled
+    ? createRefreshTokenStore(pool, { expiresIn: config.refresh.expiresIn })
+    : null;
+
+  const sessions = config.sessions.enabled ? createSessionStore(pool) : null;
+
+  const loginThrottle = config.loginThrottle.enabled
+    ? createLoginThrottle(pool, config.loginThrottle)
+    : null;
+
+  const mfa = config.mfa.enabled ? createMfaStore(pool) : null;
+
+  const passwordResets = config.passwordReset.enabled
+    ? createPasswordResetStore(pool, { expiresIn: config.passwordReset.expiresIn })
+    : null;
+
+  const oidcClients = config.oidc.enabled ? createClientStore(pool) : null;
+  const oidcCodes = config.oidc.enabled
+    ? createAuthorizationCodeStore(pool, { expiresIn: config.oidc.codeExpiresIn })
+    : null;
+
+  const accessTokens = config.accessTokens.enabled ? createAccessTokenStore(pool) : null;
+
+  if (passwordResets && !mailer) {
+    mailer = createMailer(config.mail, { logger });
+  }
+
+  if (!credentialProviders) {
+    credentialProviders = createCredentialProviders(config);
+  }
+
+  if (!audit) {
+    audit = createAuditLog(pool, config.audit, { logger });
+  }
+  // Login events also feed the login_attempts_total metric
+  audit = metrics.observeAudit(audit);
+
+  /**
+   * bcrypt.compare, timed for the metrics
+   */
+  function comparePassword(password, hash) {
+    return metrics.timeBcrypt(() => bcrypt.compare(password, hash));
+  }
+
+  /**
+   * Group IDs for a user (Wiki.js "groups" claim)
+   */
+  async function getUserGroups(userId) {
+    const groupsResult = await pool.query(`
+      SELECT g.id
+      FROM groups g
+      JOIN "userGroups" ug ON g.id = ug."groupId"
+      WHERE ug."userId" = $1
+    `, [userId]);
+
+    return groupsResult.rows.map(row => row.id);
+  }
+
+  /**
+   * Names for group IDs, in the same order (null for a deleted group)
+   * @param {number[]} groupIds
+   * @returns {Promise<Array<string|null>>}
+   */
+  async function getGroupNames(groupIds) {
+    const ids = [...new Set(groupIds.map(Number))].filter(Number.isInteger);
+    if (ids.length === 0) {
+      return groupIds.map(() => null);
+    }
+    const placeholders = ids.map((id, i) => `$${i + 1}`).join(', ');
+    const groupsResult = await pool.query(`SELECT id, name FROM groups WHERE id IN (${placeholders})`, ids);
+    const names = new Map(groupsResult.rows.map(row => [row.id, row.name]));
+    return groupIds.map(id => names.get(Number(id)) ?? null);
+  }
+
+  /**
+   * Sign a Wiki.js-compatible JWT for the user
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session ID, sent as the jti claim
+   * @param {number} [options.expiresIn=config.jwt.expiresIn] - Lifetime in seconds
+   * @param {Object} [options.claims] - Extra claims
+   * @returns {Promise<string>}
+   */
+  async function signAccessToken(user, groups, { sessionId, expiresIn = config.jwt.expiresIn, claims = {} } = {}) {
+    // Create JWT payload with essential claims
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      ...claims,
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      groups: groups,
+      iat: now,
+      exp: now + expiresIn,
+      aud: config.jwt.audience,  // Standard JWT audience claim
+      iss: config.jwt.issuer     // Standard JWT issuer claim
+    };
+    if (sessionId) {
+      payload.jti = sessionId;
+    }
+    // Optional: Wiki.js only reads the IDs in groups
+    if (config.jwt.groupNames) {
+      payload.groupNames = await getGroupNames(groups);
+    }
+
+    // Sign JWT with RSA private key; kid matches /.well-known/jwks.json
+    const { privateKey, kid } = getKeys();
+    const token = jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid });
+    metrics.countToken('access');
+    return token;
+  }
+
+  /**
+   * Sign a JWT for the user and set it as the jwt cookie
+   * @param {string} [sessionId] - Session ID, sent as the jti claim
+   */
+  async function setAccessToken(res, user, groups, sessionId) {
+    const token = await signAccessToken(user, groups, { sessionId });
+
+    // Set cookie (matching Wiki.js cookie settings)
+    res.cookie(config.cookie.name, token, {
+      ...cookieOptions(res.req),
+      maxAge: config.jwt.expiresIn * 1000
+    });
+
+    return token;
+  }
+
+  function setRefreshToken(res, refresh) {
+    metrics.countToken('refresh');
+    res.cookie(config.refresh.cookieName, refresh.token, {
+      ...cookieOptions(res.req),
+      maxAge: config.refresh.expiresIn * 1000
+    });
+  }
+
+  function clearSessionCookies(res) {
+    res.clearCookie(config.cookie.name, cookieOptions(res.req));
+    if (refreshTokens) {
+      res.clearCookie(config.refresh.cookieName, cookieOptions(res.req));
+    }
+  }
+
+  /**
+   * Start a session for an authenticated user: record it, then set the
+   * jwt cookie and (if enabled) a refresh token cookie
+   * @returns {Promise<number[]>} The user's group IDs
+   */
+  async function startSession(req, res, user) {
+    const groups = await getUserGroups(user.id);
+
+    let sessionId;
+    if (sessions) {
+      const lifetime = refreshTokens ? config.refresh.expiresIn : config.jwt.expiresIn;
+      sessionId = await sessions.create({
+        userId: user.id,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        expiresAt: new Date(Date.now() + lifetime * 1000)
+      });
+    }
+
+    await setAccessToken(res, user, groups, sessionId);
+
+    // Start a new refresh token family for this login
+    if (refreshTokens) {
+      setRefreshToken(res, await refreshTokens.issue(user.id, sessionId));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Start a session for a client that keeps the JWT itself (no cookies, no
+   * refresh token): the session ends when the JWT expires
+   * @param {Object} [options] - expiresIn and claims, see signAccessToken()
+   * @returns {Promise<string>} The signed JWT
+   */
+  async function startTokenSession(req, user, groups, { expiresIn = config.jwt.expiresIn, claims } = {}) {
+    let sessionId;
+    if (sessions) {
+      sessionId = await sessions.create({
+        userId: user.id,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      });
+    }
+    return signAccessToken(user, groups, { sessionId, expiresIn, claims });
+  }
+
+  /**
+   * How the client wants a successful login answered
+   * @returns {string|null} 'jwt' for Accept: application/jwt (the bare token),
+   *   'token' for ?mode=token (JSON with the token), null for the jwt cookie
+   */
+  function tokenMode(req) {
+    if (/\bapplication\/jwt\b/i.test(req.get('accept') || '')) {
+      return 'jwt';
+    }
+    return (req.query.mode || req.body.mode) === 'token' ? 'token' : null;
+  }
+
+  /**
+   * Answer a login in token mode
+   * @param {Object} body - JSON response, the token fields are added to it
+   */
+  function sendToken(res, mode, token, body) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    if (mode === 'jwt') {
+      return res.type('application/jwt').send(token);
+    }
+    return res.json({ ...body, token, tokenType: 'Bearer', expiresIn: config.jwt.expiresIn });
+  }
+
+  /**
+   * Revoke a session and every refresh token issued for it
+   */
+  async function revokeSession(sessionId) {
+    if (sessions) {
+      await sessions.revoke(sessionId);
+    }
+    if (refreshTokens) {
+      await refreshTokens.revokeFamily(sessionId);
+    }
+  }
+
+  /**
+   * Verify a token against the current or a previous (still valid) key.
+   * The kid header picks the key; tokens without one try each in turn.
+   * @throws {jwt.JsonWebTokenError}
+   */
+  function verifyToken(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    const candidates = activeVerificationKeys(getKeys(), decoded && decoded.header.kid);
+    if (candidates.length === 0) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    let lastError;
+    for (const { publicKey } of candidates) {
+      try {
+        return jwt.verify(token, publicKey, {
+          algorithms: ['RS256'],
+          issuer: config.jwt.issuer,
+          audience: config.jwt.audience,
+          ...options
+        });
+      } catch (err) {
+        // Only a bad signature means "try the next key"; expiry etc. are final
+        if (err.message !== 'invalid signature') throw err;
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * The JWT of a request: "Authorization: Bearer <token>", else the jwt cookie
+   */
+  function requestToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : req.cookies[config.cookie.name];
+  }
+
+  /**
+   * Check a Wiki.js JWT: signature, issuer, audience, expiry and its session
+   * @returns {Promise<{claims: Object}|{error: string, reason: string}>} reason is
+   *   invalid, expired or revoked (metrics label)
+   */
+  async function checkAccessToken(token) {
+    let claims;
+    try {
+      claims = verifyToken(token);
+    } catch (err) {
+      return {
+        error: 'Invalid or expired token',
+        reason: err instanceof jwt.TokenExpiredError ? 'expired' : 'invalid'
+      };
+    }
+
+    // Tokens without a known, unrevoked session are rejected
+    if (sessions && !(await sessions.isActive(claims.jti))) {
+      return { error: 'Session revoked or not found', reason: 'revoked' };
+    }
+
+    return { claims };
+  }
+
+  /**
+   * Authenticate a request from its Bearer token or jwt cookie
+   * @returns {Promise<{claims: Object}|{error: string, reason: string}>} reason as for
+   *   checkAccessToken(), or missing
+   */
+  async function authenticate(req) {
+    const token = requestToken(req);
+
+    if (!token) {
+      return { error: 'No token found', reason: 'missing' };
+    }
+
+    return checkAccessToken(token);
+  }
+
+  /**
+   * Middleware: require a valid JWT, exposes claims as req.auth
+   */
+  async function requireAuth(req, res, next) {
+    try {
+      const result = await authenticate(req);
+      if (result.error) {
+        return res.status(401).json({
+          success: false,
+          authenticated: false,
+          message: result.error
+        });
+      }
+      req.auth = result.claims;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Middleware after requireAuth: refuse JWTs exchanged from a personal access
+   * token ("pat" claim) on routes that manage credentials or sessions, so a
+   * token cannot be used to widen or outlive itself
+   */
+  function refuseTokenSessions(req, res, next) {
+    if (req.auth.pat) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not allowed with an access token - log in with your password'
+      });
+    }
+    next();
+  }
+
+  const validateRedirect = createRedirectValidator(config.redirect);
+
+  /**
+   * Validated returnTo/redirect target from the body or query string.
+   * Refused targets (off-site, not allow-listed, malformed) are logged and dropped.
+   * @returns {string|null} URL or path to send the user to
+   */
+  function redirectTarget(req) {
+    const target = req.body.returnTo || req.body.redirect || req.query.returnTo || req.query.redirect;
+    if (!target) return null;
+
+    const result = validateRedirect(target);
+    if (result.error) {
+      logger.log(`  Redirect: ❌ REFUSED (${result.error}): ${String(target).slice(0, 200)}`);
+      return null;
+    }
+    return result.url;
+  }
+
+  // Shared with route modules in lib/routes/
+  const routeContext = {
+    pool,
+    getKeys,
+    verifyToken,
+    config,
+    logger,
+    metrics,
+    comparePassword,
+    cookieOptions,
+    authenticate,
+    checkAccessToken,
+    getUserGroups,
+    getGroupNames,
+    accessTokens,
+    audit,
+    loginThrottle,
+    mfa,
+    oidcClients,
+    oidcCodes,
+    mailer,
+    passwordResets,
+    sessions,
+    refreshTokens,
+    requireAuth,
+    refuseTokenSessions,
+    signAccessToken,
+    startSession,
+    startTokenSession,
+    tokenMode,
+    sendToken,
+    clearSessionCookies,
+    redirectTarget
+  };
+
+  /**
+   * Offer a login without a local account to the credential providers
+   * @returns {Promise<Object|null>} { user, provider } for the first provider that
+   *   accepts the credentials, { unavailable: true } if none did and one could not
+   *   be asked, otherwise null
+   */
+  async function authenticateWithProviders(email, password) {
+    let unavailable = false;
+
+    for (const provider of credentialProviders) {
+      let profile;
+      try {
+        profile = await provider.authenticate(email, password);
+      } catch (err) {
+        logger.error(`  ${provider.name}: ❌ ERROR:`, err.message);
+        unavailable = true;
+        continue;
+      }
+      if (!profile) {
+        continue;
+      }
+
+      try {
+        const { user, created, unknownGroups } = await provisionUser(pool, {
+          providerKey: provider.key,
+          email: profile.email,
+          name: profile.name,
+          groups: profile.groups
+        });
+        logger.log(`  Provider: ${provider.name}${created ? ' (account created)' : ''}`);
+        if (unknownGroups.length > 0) {
+          logger.log(`  Ignored groups (not in Wiki.js): ${unknownGroups.join(', ')}`);
+        }
+        return { user, provider };
+      } catch (err) {
+        if (err instanceof ProvisioningError) {
+          logger.log(`  ${provider.name}: ${err.message}`);
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    return unavailable ? { unavailable: true } : null;
+  }
+
+  /**
+   * POST /api/login
+   * Authenticates user and creates JWT token. Sets the jwt cookie, or returns
+   * the token in the body with ?mode=token or Accept: application/jwt.
+   */
+  app.post('/api/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    logger.log(`[${new Date().toISOString()}] LOGIN REQUEST:`);
+    logger.log(`  Email: ${email}`);
+
+    const redirectTo = redirectTarget(req);
+    const mode = tokenMode(req);
+
+    if (!email || !password) {
+      logger.log(`  Result: ❌ DENIED (missing credentials)`);
+      await audit.record({ type: 'login', outcome: 'failure', reason: 'missing_credentials', email, req });
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password required'
+      });
+    }
+
+    try {
+      // Brute-force protection: refuse before spending time on bcrypt
+      if (loginThrottle) {
+        const throttle = await loginThrottle.check({ ip: req.ip, email });
+        if (!throttle.allowed) {
+          logger.log(`  Result: ❌ DENIED (${throttle.reason === 'locked' ? 'account locked' : `too many attempts (${throttle.reason})`}, retry in ${throttle.retryAfter}s)`);
+          await audit.record({
+            type: 'login',
+            outcome: 'failure',
+            reason: throttle.reason === 'locked' ? 'locked' : 'throttled',
+            email,
+            req,
+            details: { scope: throttle.reason, retryAfter: throttle.retryAfter }
+          });
+          res.set('Retry-After', String(throttle.retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: throttle.reason === 'locked'
+              ? 'Account temporarily locked due to too many failed login attempts'
+              : 'Too many failed login attempts, please try again later',
+            retryAfter: throttle.retryAfter
+          });
+        }
+      }
+
+      // Audit the failure and count it against the IP and account
+      const recordFailure = async (reason, user = null) => {
+        await audit.record({ type: 'login', outcome: 'failure', reason, user, email, req });
+        if (!loginThrottle) return;
+        const state = await loginThrottle.recordFailure({ ip: req.ip, email });
+        if (state.locked) {
+          logger.log(`  Account locked after ${state.accountFailures} consecutive failures`);
+          await audit.record({
+            type: 'account.locked',
+            outcome: 'success',
+            user,
+            email,
+            req,
+            details: { failures: state.accountFailures }
+          });
+        }
+      };
+
+      // Query user from database
+      const result = await pool.query(`
+        SELECT
+          id,
+          email,
+          name,
+          password,
+          "isActive",
+          "isVerified"
+        FROM users
+        WHERE email = $1 AND "providerKey" = 'local'
+      `, [email]);
+
+      let user = result.rows[0];
+      let external = null;
+
+      // No local account: LDAP etc. may know the user (see lib/providers)
+      if (!user && credentialProviders.length > 0) {
+        external = await authenticateWithProviders(email, password);
+        if (external && external.unavailable) {
+          // Not the user's fault, so not counted as a failed attempt
+          logger.log(`  Result: ❌ DENIED (credential provider unavailable)`);
+          await audit.record({ type: 'login', outcome: 'failure', reason: 'provider_unavailable', email, req });
+          return res.status(503).json({
+            success: false,
+            message: 'Login service temporarily unavailable'
+          });
+        }
+        user = external && external.user;
+      }
+
+      if (!user) {
+        logger.log(`  Result: ❌ DENIED (${credentialProviders.length > 0 ? 'invalid credentials' : 'user not found'})`);
+        await recordFailure('user_not_found');
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      // Check if user is active
+      if (!user.isActive) {
+        logger.log(`  Result: ❌ DENIED (user inactive)`);
+        await recordFailure('inactive', user);
+        return res.status(401).json({
+          success: false,
+          message: 'Account is inactive'
+        });
+      }
+
+      // Verify password (external accounts were checked by their provider)
+      const passwordMatch = external || await comparePassword(password, user.password);
+
+      if (!passwordMatch) {
+        logger.log(`  Result: ❌ DENIED (invalid password)`);
+        await recordFailure('bad_password', user);
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      // Second step: the throttle is only reset once the code is accepted
+      if (mfa && (await mfa.isEnabled(user.id))) {
+        const mfaToken = issueMfaChallenge(routeContext, res, user);
+        logger.log(`  User: ${user.email} (ID: ${user.id})`);
+        logger.log(`  Result: 🔐 PASSWORD OK, TWO-FACTOR CODE REQUIRED`);
+        await audit.record({ type: 'login', outcome: 'pending', reason: 'mfa_required', user, req });
+        return res.json({
+          success: false,
+          mfaRequired: true,
+          message: 'Two-factor authentication code required',
+          mfaToken
+        });
+      }
+
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email });
+      }
+
+      await audit.record({
+        type: 'login',
+        outcome: 'success',
+        user,
+        req,
+        details: {
+          ...(external && { provider: external.provider.key }),
+          ...(mode && { mode })
+        }
+      });
+
+      if (mode) {
+        const groups = await getUserGroups(user.id);
+        const token = await startTokenSession(req, user, groups);
+
+        logger.log(`  User: ${user.email} (ID: ${user.id})`);
+        logger.log(`  Groups: ${groups.join(', ') || 'none'}`);
+        logger.log(`  Result: ✅ LOGIN SUCCESS (token in response)`);
+
+        return sendToken(res, mode, token, {
+          success: true,
+          message: 'Login successful',
+          user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            groups: groups
+          }
+        });
+      }
+
+      // Get user groups, record the session and set cookies
+      const groups = await startSession(req, res, user);
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+      logger.log(`  Groups: ${groups.join(', ') || 'none'}`);
+      if (redirectTo) {
+        logger.log(`  Redirect: ${redirectTo}`);
+      }
+      logger.log(`  Result: ✅ LOGIN SUCCESS`);
+
+      return res.json({
+        success: true,
+        message: 'Login successful',
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          groups: groups
+        },
+        ...(redirectTo && { redirectTo })
+      });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * POST /api/refresh
+   * Rotates the refresh token and issues a new JWT with current groups
+   */
+  if (refreshTokens) {
+    app.post('/api/refresh', async (req, res) => {
+      const refreshToken = req.cookies[config.refresh.cookieName];
+
+      logger.log(`[${new Date().toISOString()}] REFRESH REQUEST`);
+
+      if (!refreshToken) {
+        logger.log(`  Result: ❌ DENIED (no refresh token)`);
+        await audit.record({ type: 'refresh', outcome: 'failure', reason: 'no_token', req });
+        return res.status(401).json({
+          success: false,
+          message: 'No refresh token found'
+        });
+      }
+
+      try {
+        const rotated = await refreshTokens.rotate(refreshToken);
+
+        // Re-read the user so deactivation and group changes take effect
+        const result = await pool.query(`
+          SELECT id, email, name, "isActive"
+          FROM users
+          WHERE id = $1
+        `, [rotated.userId]);
+        const user = result.rows[0];
+
+        // The refresh family ID is the session ID when sessions are enabled
+        const sessionId = sessions ? rotated.familyId : undefined;
+        if (sessions && !(await sessions.isActive(sessionId))) {
+          await refreshTokens.revokeFamily(rotated.familyId);
+          clearSessionCookies(res);
+          logger.log(`  Result: ❌ DENIED (session revoked)`);
+          await audit.record({ type: 'refresh', outcome: 'failure', reason: 'session_revoked', user, req });
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired refresh token'
+          });
+        }
+
+        if (!user || !user.isActive) {
+          await revokeSession(rotated.familyId);
+          clearSessionCookies(res);
+          logger.log(`  Result: ❌ DENIED (user ${user ? 'inactive' : 'not found'})`);
+          await audit.record({
+            type: 'refresh',
+            outcome: 'failure',
+            reason: user ? 'inactive' : 'user_not_found',
+            user: user || { id: rotated.userId },
+            req
+          });
+          return res.status(401).json({
+            success: false,
+            message: user ? 'Account is inactive' : 'Invalid refresh token'
+          });
+        }
+
+        const groups = await getUserGroups(user.id);
+        if (sessions) {
+          await sessions.touch(sessionId, rotated.expiresAt);
+        }
+        await setAccessToken(res, user, groups, sessionId);
+        setRefreshToken(res, rotated);
+
+        logger.log(`  User: ${user.email} (ID: ${user.id})`);
+        logger.log(`  Groups: ${groups.join(', ') || 'none'}`);
+        logger.log(`  Result: ✅ REFRESH SUCCESS`);
+        await audit.record({ type: 'refresh', outcome: 'success', user, req });
+
+        return res.json({
+          success: true,
+          message: 'Token refreshed',
+          user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            groups: groups
+          }
+        });
+
+      } catch (err) {
+        if (err instanceof RefreshTokenError) {
+          // A replayed token means the session is compromised
+          if (err.reason === 'reused' && sessions) {
+            await sessions.revoke(err.familyId);
+          }
+          clearSessionCookies(res);
+          logger.log(`  Result: ❌ DENIED (${err.reason})`);
+          await audit.record({ type: 'refresh', outcome: 'failure', reason: err.reason, req });
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired refresh token'
+          });
+        }
+        logger.error(`  Result: ❌ ERROR:`, err.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error'
+        });
+      }
+    });
+  }
+
+  /**
+   * POST /api/logout
+   * Revokes the session (and its refresh tokens) and clears cookies
+   */
+  app.post('/api/logout', async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] LOGOUT REQUEST`);
+
+    // Whose session ended, for the audit log
+    let user = null;
+
+    try {
+      const sessionIds = new Set();
+
+      // Session from the JWT (an expired token still identifies its session)
+      const token = requestToken(req);
+      if (token) {
+        try {
+          const claims = verifyToken(token, { ignoreExpiration: true });
+          user = { id: claims.id, email: claims.email };
+          if (claims.jti) sessionIds.add(claims.jti);
+        } catch (err) {
+          // Invalid token - nothing to revoke
+        }
+      }
+
+      // Refresh token family
+      const refreshToken = refreshTokens && req.cookies[config.refresh.cookieName];
+      if (refreshToken) {
+        const row = await refreshTokens.find(refreshToken);
+        if (row) {
+          sessionIds.add(row.familyId);
+          user = user || { id: row.userId };
+        }
+      }
+
+      for (const sessionId of sessionIds) {
+        await revokeSession(sessionId);
+        logger.log(`  Session: ${sessionId} revoked`);
+      }
+    } catch (err) {
+      logger.error(`  Failed to revoke session:`, err.message);
+    }
+
+    clearSessionCookies(res);
+
+    logger.log(`  Result: ✅ LOGOUT SUCCESS`);
+    await audit.record({ type: 'logout', outcome: 'success', user, req });
+
+    return res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  });
+
+  if (config.csrf.enabled) {
+    /**
+     * GET /api/csrf
+     * The CSRF token, for pages that cannot read its cookie (see lib/csrf.js)
+     */
+    app.get('/api/csrf', (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.json({ csrfToken: req.csrfToken });
+    });
+  }
+
+  /**
+   * GET /api/verify
+   * Verifies the JWT from the Authorization header or jwt cookie
+   */
+  app.get('/api/verify', async (req, res) => {
+    try {
+      const result = await authenticate(req);
+      metrics.countVerify('verify', result.error ? result.reason : 'valid');
+
+      if (result.error) {
+        return res.status(401).json({
+          success: false,
+          authenticated: false,
+          message: result.error
+        });
+      }
+
+      // Login page visited while already logged in: tell it where to go
+      let redirectTo = null;
+      if (req.query.returnTo || req.query.redirect) {
+        logger.log(`[${new Date().toISOString()}] VERIFY WITH REDIRECT: ${result.claims.email}`);
+        redirectTo = redirectTarget(req);
+      }
+
+      const decoded = result.claims;
+      const groups = decoded.groups || [];
+      return res.json({
+        success: true,
+        authenticated: true,
+        user: {
+          id: decoded.id,
+          email: decoded.email,
+          name: decoded.name,
+          groups: groups,
+          // Only what the token carries: verify runs on every request, keep it off the database
+          ...(decoded.groupNames && { groupNames: decoded.groupNames })
+        },
+        ...(redirectTo && { redirectTo })
+      });
+
+    } catch (err) {
+      metrics.countVerify('verify', 'error');
+      logger.error(`[${new Date().toISOString()}] VERIFY ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        authenticated: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * GET /api/groups
+   * Lists every group as id and name, for clients that only have the IDs
+   */
+  app.get('/api/groups', requireAuth, async (req, res) => {
+    try {
+      const result = await pool.query('SELECT id, name FROM groups ORDER BY id');
+      return res.json({
+        success: true,
+        groups: result.rows.map(row => ({ id: row.id, name: row.name }))
+      });
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] GROUP LIST ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  registerAuthorizeRoutes(app, routeContext);
+  registerCanRoutes(app, routeContext);
+  registerWellKnownRoutes(app, routeContext);
+
+  if (config.introspection.enabled) {
+    registerIntrospectionRoutes(app, routeContext);
+  }
+
+  if (sessions) {
+    /**
+     * GET /api/sessions
+     * Lists the current user's active sessions
+     */
+    app.get('/api/sessions', requireAuth, async (req, res) => {
+      try {
+        const rows = await sessions.listForUser(req.auth.id);
+        return res.json({
+          success: true,
+          sessions: rows.map(row => ({
+            id: row.id,
+            ip: row.ip,
+            userAgent: row.userAgent,
+            issuedAt: row.createdAt,
+            lastSeenAt: row.lastSeenAt,
+            expiresAt: row.expiresAt,
+            current: row.id === req.auth.jti
+          }))
+        });
+      } catch (err) {
+        logger.error(`[${new Date().toISOString()}] SESSION LIST ERROR:`, err.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error'
+        });
+      }
+    });
+
+    /**
+     * DELETE /api/sessions/:id
+     * Revokes one of the current user's sessions
+     */
+    app.delete('/api/sessions/:id', requireAuth, refuseTokenSessions, async (req, res) => {
+      logger.log(`[${new Date().toISOString()}] SESSION REVOKE REQUEST:`);
+      logger.log(`  User: ${req.auth.email} (ID: ${req.auth.id})`);
+      logger.log(`  Session: ${req.params.id}`);
+
+      try {
+        const revoked = await sessions.revoke(req.params.id, req.auth.id);
+
+        if (!revoked) {
+          logger.log(`  Result: ❌ NOT FOUND`);
+          return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+          });
+        }
+
+        if (refreshTokens) {
+          await refreshTokens.revokeFamily(req.params.id);
+        }
+        if (req.params.id === req.auth.jti) {
+          clearSessionCookies(res);
+        }
+
+        logger.log(`  Result: ✅ SESSION REVOKED`);
+        await audit.record({
+          type: 'session.revoke',
+          outcome: 'success',
+          user: { id: req.auth.id, email: req.auth.email },
+          req,
+          details: { sessionId: req.params.id }
+        });
+        return res.json({
+          success: true,
+          message: 'Session revoked'
+        });
+      } catch (err) {
+        logger.error(`  Result: ❌ ERROR:`, err.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Server error'
+        });
+      }
+    });
+  }
+
+  if (mfa) {
+    registerMfaRoutes(app, routeContext);
+  }
+
+  registerPasswordRoutes(app, routeContext);
+
+  if (oidcClients) {
+    registerOidcRoutes(app, routeContext);
+  }
+
+  if (config.sso.enabled) {
+    registerSsoRoutes(app, routeContext);
+  }
+
+  if (accessTokens) {
+    registerAccessTokenRoutes(app, routeContext);
+  }
+
+  // Login page is served by static middleware (public/index.html)
+
+  if (config.metrics.enabled) {
+    registerMetricsRoutes(app, routeContext);
+  }
+
+  if (config.admin.enabled) {
+    registerAdminRoutes(app, routeContext);
+  }
+
+  registerHealthRoutes(app, routeContext);
+
+  return app;
+}
+
+module.exports = {
+  createAuthApp
+};
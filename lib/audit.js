@@ -0,0 +1,135 @@
+/**
+ * Audit Log
+ *
+ * Structured record of authentication events (logins, logouts, failures,
+ * token and 2FA changes), next to the human-readable console log:
+ *
+ *   await audit.record({ type: 'login', outcome: 'failure', reason: 'bad_password', req, user });
+ *
+ * Each event is written to the auditLog table (config.audit.database) and/or
+ * as one JSON line on stdout (config.audit.stdout) for log shippers. A failed
+ * write is logged and never fails the request that caused the event.
+ *
+ * Event types: login, login.mfa, sso.login, logout, refresh, account.locked,
+ * token.exchange, token.create, token.revoke, session.revoke,
+ * password.change, password.reset, mfa.enable, mfa.disable, and the admin console's
+ * admin.user.create, admin.user.update, admin.user.delete, admin.user.password,
+ * admin.group.create, admin.group.delete, admin.membership.add,
+ * admin.membership.remove (user is the admin, details name the target). Outcomes:
+ * success, failure, and pending (password accepted, second factor still required).
+ *
+ * Read back with queryAuditLog() (admin.js audit:query).
+ */
+
+/**
+ * Create an audit log
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options - config.audit (see lib/config.js)
+ * @param {boolean} options.database - Insert events into the auditLog table
+ * @param {boolean} options.stdout - Write events as JSON lines
+ * @param {Object} [deps]
+ * @param {Object} [deps.logger=console] - Reports failed writes
+ * @param {Object} [deps.stream=process.stdout] - Destination of the JSON lines
+ */
+function createAuditLog(pool, options, { logger = console, stream = process.stdout } = {}) {
+  /**
+   * Record an event
+   * @param {Object} event
+   * @param {string} event.type - e.g. "login"
+   * @param {string} event.outcome - success, failure or pending
+   * @param {string} [event.reason] - Why it failed, e.g. "user_not_found"
+   * @param {Object} [event.user] - Row with id and email
+   * @param {string} [event.email] - When there is no user row (unknown email)
+   * @param {express.Request} [event.req] - Source of IP and user agent
+   * @param {Object} [event.details] - Event-specific extras
+   */
+  async function record({ type, outcome, reason = null, user = null, email = null, req = null, details = null }) {
+    if (details && Object.keys(details).length === 0) {
+      details = null;
+    }
+    const entry = {
+      time: new Date(),
+      event: type,
+      outcome,
+      reason,
+      userId: user ? user.id : null,
+      email: (user && user.email) || (typeof email === 'string' ? email.slice(0, 320) : null),
+      ip: req ? req.ip || null : null,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 500) || null : null,
+      details
+    };
+
+    if (options.stdout) {
+      stream.write(JSON.stringify({ ...entry, time: entry.time.toISOString() }) + '\n');
+    }
+
+    if (options.database) {
+      try {
+        await pool.query(
+          `INSERT INTO "auditLog" ("createdAt", "eventType", outcome, reason, "userId", email, ip, "userAgent", details)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [entry.time, type, outcome, reason, entry.userId, entry.email, entry.ip, entry.userAgent,
+            details && JSON.stringify(details)]
+        );
+      } catch (err) {
+        logger.error(`  Audit: ❌ could not record ${type} event:`, err.message);
+      }
+    }
+  }
+
+  return { record };
+}
+
+/**
+ * Read audit events, newest first
+ *
+ * @param {Pool} pool
+ * @param {Object} [filters]
+ * @param {number} [filters.userId]
+ * @param {string} [filters.email] - Case-insensitive
+ * @param {string} [filters.type] - Event type; "password" also matches password.change etc.
+ * @param {Date} [filters.since] - Inclusive
+ * @param {Date} [filters.until] - Exclusive
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<Object[]>}
+ */
+async function queryAuditLog(pool, { userId, email, type, since, until, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (userId !== undefined) {
+    conditions.push(`"userId" = ${param(userId)}`);
+  }
+  if (email) {
+    conditions.push(`LOWER(email) = ${param(email.toLowerCase())}`);
+  }
+  if (type) {
+    conditions.push(`("eventType" = ${param(type)} OR "eventType" LIKE ${param(`${type}.%`)})`);
+  }
+  if (since) {
+    conditions.push(`"createdAt" >= ${param(since)}`);
+  }
+  if (until) {
+    conditions.push(`"createdAt" < ${param(until)}`);
+  }
+
+  const result = await pool.query(
+    `SELECT id, "createdAt", "eventType", outcome, reason, "userId", email, ip, "userAgent", details
+     FROM "auditLog"
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY "createdAt" DESC, id DESC
+     LIMIT ${param(limit)}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  createAuditLog,
+  queryAuditLog
+};
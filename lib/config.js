@@ -0,0 +1,919 @@
+/**
+ * Configuration Loader
+ *
+ * Builds the auth service configuration from three layers, later layers
+ * overriding earlier ones:
+ *   1. Built-in defaults (Wiki.js database mode on localhost)
+ *   2. Optional config file (JSON or JS module)
+ *   3. Environment variables
+ *
+ * The config file is taken from AUTH_CONFIG if set, otherwise ./config.js or
+ * ./config.json in the service directory are used when present.
+ *
+ * Environment Variables:
+ *   AUTH_CONFIG      Path to config file
+ *   PORT             Port to listen on (default: 3004)
+ *   TRUST_PROXY      Express "trust proxy" setting: true, hop count or subnet list (default: false)
+ *   PUBLIC_URL       External base URL of the service, used in /.well-known documents
+ *                    (default: derived from each request)
+ *   DB_HOST          Database host (default: localhost)
+ *   DB_PORT          Database port (default: 5432)
+ *   DB_NAME          Database name (default: wikijs)
+ *   DB_USER          Database user (default: wikijs)
+ *   DB_PASSWORD      Database password (default: wikijspassword)
+ *   DB_CONNECT_RETRIES       Startup retries while the database is unreachable (default: 10)
+ *   DB_CONNECT_BACKOFF_BASE  Seconds before the first retry, doubles each time (default: 1)
+ *   DB_CONNECT_BACKOFF_MAX   Longest wait between retries in seconds (default: 30)
+ *   COOKIE_NAME      JWT cookie name (default: jwt)
+ *   COOKIE_DOMAIN    Cookie domain, e.g. .yourdomain.com (default: none)
+ *   COOKIE_SECURE    Only send cookies over HTTPS: true, false, or auto = when the request
+ *                    came over HTTPS, per X-Forwarded-Proto behind TRUST_PROXY (default: auto)
+ *   COOKIE_SAMESITE  lax, strict or none (default: lax)
+ *   COOKIE_HOST_PREFIX  Prefix every cookie name with __Host- (default: false)
+ *   JWT_EXPIRES_IN   Token lifetime in seconds (default: 3600)
+ *   JWT_ISSUER       iss claim (default: urn:wiki.js)
+ *   JWT_AUDIENCE     aud claim (default: urn:wiki.js)
+ *   JWT_GROUP_NAMES  Add a groupNames claim next to the group IDs (default: false)
+ *   REFRESH_ENABLED      Issue refresh tokens on login (default: true)
+ *   REFRESH_COOKIE_NAME  Refresh token cookie name (default: jwt_refresh)
+ *   REFRESH_EXPIRES_IN   Refresh token lifetime in seconds (default: 2592000 = 30 days)
+ *   SESSIONS_ENABLED     Track sessions server-side, enables revocation (default: true)
+ *   LOGIN_THROTTLE_ENABLED  Brute-force protection on /api/login (default: true)
+ *   LOGIN_IP_FREE_ATTEMPTS  Failures per IP before back-off starts (default: 10)
+ *   LOGIN_ACCOUNT_FREE_ATTEMPTS  Failures per account before back-off starts (default: 3)
+ *   LOGIN_BACKOFF_BASE      First back-off delay in seconds, doubles each failure (default: 1)
+ *   LOGIN_BACKOFF_MAX       Maximum back-off delay in seconds (default: 900)
+ *   LOGIN_FAILURE_WINDOW    Seconds without failures before counters reset (default: 900)
+ *   LOCKOUT_THRESHOLD       Consecutive failures that lock an account, 0 = never (default: 10)
+ *   LOCKOUT_DURATION        Lockout length in seconds (default: 900)
+ *   MFA_ENABLED             TOTP two-factor authentication (default: true)
+ *   MFA_ISSUER              Issuer name shown in authenticator apps (default: Wiki.js)
+ *   MFA_PENDING_EXPIRES_IN  Seconds to enter the code after the password (default: 300)
+ *   MFA_COOKIE_NAME         Cookie holding the pending login (default: jwt_mfa)
+ *   PASSWORD_RESET_ENABLED     Forgot-password flow, requires PASSWORD_RESET_URL or
+ *                              PUBLIC_URL (default: false)
+ *   PASSWORD_RESET_EXPIRES_IN  Reset link lifetime in seconds (default: 3600)
+ *   PASSWORD_RESET_URL         Page the reset link points to (default: the login page under PUBLIC_URL)
+ *   MAIL_TRANSPORT   console, file or smtp (default: console - logs messages, use only for testing)
+ *   MAIL_FROM        Sender address (default: Wiki.js <noreply@localhost>)
+ *   MAIL_FILE        File for the file transport, one JSON message per line (default: mail.log)
+ *   SMTP_HOST        SMTP server (required for the smtp transport)
+ *   SMTP_PORT        SMTP port (default: 587)
+ *   SMTP_SECURE      Use TLS from the start, usually with port 465 (default: false)
+ *   SMTP_USER        SMTP username (default: none)
+ *   SMTP_PASSWORD    SMTP password (default: none)
+ *   REDIRECT_ALLOWED_HOSTS  Comma-separated hosts allowed as returnTo targets, ".example.com"
+ *                           includes subdomains (default: none - relative paths only)
+ *   REDIRECT_ALLOWED_PATHS  Comma-separated path prefixes allowed as returnTo targets (default: /)
+ *   KEYS_POLL_INTERVAL  Seconds between checks for changed keys in settings, 0 = never (default: 60)
+ *   KEYS_LISTEN         Reload keys on NOTIFY from database/notify-keys.sql (default: false)
+ *   OIDC_ENABLED            Act as an OpenID Connect provider for registered clients,
+ *                           requires PUBLIC_URL (default: false)
+ *   OIDC_CODE_EXPIRES_IN    Authorization code lifetime in seconds (default: 60)
+ *   OIDC_TOKEN_EXPIRES_IN   ID/access token lifetime in seconds (default: 3600)
+ *   LDAP_ENABLED            Check logins without a local account against LDAP (default: false)
+ *   LDAP_URL                ldap:// or ldaps:// server URL (required when enabled)
+ *   LDAP_BIND_DN            Service account used for searches (default: anonymous)
+ *   LDAP_BIND_CREDENTIALS   Service account password
+ *   LDAP_SEARCH_BASE        Where user entries live (required when enabled)
+ *   LDAP_SEARCH_FILTER      User filter, {{username}} is the login (default: (mail={{username}}))
+ *   LDAP_GROUP_SEARCH_BASE  Search group entries here instead of reading memberOf (default: none)
+ *   LDAP_GROUP_SEARCH_FILTER  Group filter, {{dn}} is the user DN (default: (member={{dn}}))
+ *   LDAP_GROUP_MAP          Semicolon-separated ldapGroup=wikiGroup pairs, ldapGroup a DN or CN
+ *                           (default: none - directory groups are ignored, memberships managed locally)
+ *   LDAP_EMAIL_ATTRIBUTE    Attribute holding the email address (default: mail)
+ *   LDAP_NAME_ATTRIBUTE     Attribute holding the display name (default: displayName)
+ *   LDAP_PROVIDER_KEY       users."providerKey" for LDAP accounts (default: ldap)
+ *   LDAP_TIMEOUT            Connect and operation timeout in milliseconds (default: 5000)
+ *   LDAP_TLS_REJECT_UNAUTHORIZED  Verify the server certificate for ldaps:// (default: true)
+ *   SSO_ENABLED             Sign in through an upstream OpenID Connect provider,
+ *                           requires PUBLIC_URL (default: false)
+ *   SSO_NAME                Label of the login page button (default: Single Sign-On)
+ *   SSO_ISSUER              Provider issuer URL (required when enabled)
+ *   SSO_CLIENT_ID           Client ID registered at the provider (required when enabled)
+ *   SSO_CLIENT_SECRET       Client secret (default: none - public client)
+ *   SSO_SCOPES              Requested scopes (default: openid profile email)
+ *   SSO_EMAIL_CLAIM         ID token claim with the email address (default: email)
+ *   SSO_NAME_CLAIM          ID token claim with the display name (default: name)
+ *   SSO_GROUPS_CLAIM        ID token claim with group names, dotted path (default: groups)
+ *   SSO_GROUP_MAP           Semicolon-separated providerGroup=wikiGroup pairs
+ *                           (default: none - provider groups are ignored, memberships managed locally)
+ *   SSO_PROVIDER_KEY        users."providerKey" for SSO accounts (default: oidc)
+ *   SSO_REQUIRE_VERIFIED_EMAIL  Refuse ID tokens without email_verified = true (default: true)
+ *   SSO_TIMEOUT             Timeout for requests to the provider in milliseconds (default: 5000)
+ *   SSO_STATE_EXPIRES_IN    Seconds to complete the login at the provider (default: 600)
+ *   SSO_COOKIE_NAME         Cookie holding the pending SSO login (default: jwt_sso)
+ *   ACCESS_TOKENS_ENABLED   Personal access tokens and POST /api/token/exchange (default: true)
+ *   ACCESS_TOKEN_JWT_EXPIRES_IN   Lifetime of exchanged JWTs in seconds (default: 900)
+ *   ACCESS_TOKEN_MAX_EXPIRES_IN   Longest lifetime users may give their tokens in seconds,
+ *                                 0 = no limit (default: 31536000 - 1 year)
+ *   INTROSPECTION_ENABLED   POST /api/introspect token introspection (default: false)
+ *   INTROSPECTION_SECRET    Callers must send "Authorization: Bearer <secret>" (default: none - open)
+ *   AUDIT_DATABASE          Record authentication events in the auditLog table (default: true)
+ *   AUDIT_STDOUT            Also write them to stdout as JSON lines (default: false)
+ *   METRICS_ENABLED         GET /metrics in Prometheus text format (default: false)
+ *   METRICS_SECRET          Scrapers must send "Authorization: Bearer <secret>" (default: none - open)
+ *   CSRF_ENABLED            Require a CSRF token on state-changing requests (default: true)
+ *   CSRF_COOKIE_NAME        Cookie holding the CSRF token (default: csrf_token)
+ *   CONTENT_SECURITY_POLICY Content-Security-Policy header, off for none (default: see DEFAULT_CSP)
+ *   FRAME_ANCESTORS         CSP frame-ancestors, who may frame the pages, off for anyone
+ *                           (default: 'none')
+ *   HSTS_MAX_AGE            Strict-Transport-Security max-age on HTTPS responses, 0 = off
+ *                           (default: 15552000 - 180 days)
+ *   HSTS_INCLUDE_SUBDOMAINS Add includeSubDomains to HSTS (default: false)
+ *   ADMIN_ENABLED           Web admin console at /admin (default: true)
+ *   ADMIN_GROUP             Group whose members may use it (default: admin)
+ *   ADMIN_ALLOW_WIKIJS      Run the console on a Wiki.js database too (default: false)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+  port: 3004,
+  trustProxy: false,
+  publicUrl: undefined,
+  database: {
+    host: 'localhost',
+    port: 5432,
+    database: 'wikijs',
+    user: 'wikijs',
+    password: 'wikijspassword'
+  },
+  dbConnect: {
+    retries: 10,
+    backoffBase: 1,
+    backoffMax: 30
+  },
+  cookie: {
+    name: 'jwt',
+    domain: undefined,
+    secure: 'auto',
+    sameSite: 'lax',
+    hostPrefix: false
+  },
+  jwt: {
+    expiresIn: 60 * 60, // 1 hour
+    issuer: 'urn:wiki.js',
+    audience: 'urn:wiki.js',
+    groupNames: false
+  },
+  refresh: {
+    enabled: true,
+    cookieName: 'jwt_refresh',
+    expiresIn: 60 * 60 * 24 * 30 // 30 days
+  },
+  sessions: {
+    enabled: true
+  },
+  loginThrottle: {
+    enabled: true,
+    ipFreeAttempts: 10,
+    accountFreeAttempts: 3,
+    backoffBase: 1,
+    backoffMax: 15 * 60,
+    failureWindow: 15 * 60,
+    lockoutThreshold: 10,
+    lockoutDuration: 15 * 60
+  },
+  mfa: {
+    enabled: true,
+    issuer: 'Wiki.js',
+    pendingExpiresIn: 5 * 60,
+    cookieName: 'jwt_mfa'
+  },
+  passwordReset: {
+    enabled: false,
+    expiresIn: 60 * 60, // 1 hour
+    url: undefined
+  },
+  mail: {
+    transport: 'console',
+    from: 'Wiki.js <noreply@localhost>',
+    file: 'mail.log',
+    smtp: {
+      host: undefined,
+      port: 587,
+      secure: false,
+      user: undefined,
+      password: undefined
+    }
+  },
+  redirect: {
+    allowedHosts: [],
+    allowedPaths: ['/']
+  },
+  keys: {
+    pollInterval: 60,
+    listen: false
+  },
+  oidc: {
+    enabled: false,
+    codeExpiresIn: 60,
+    tokenExpiresIn: 60 * 60 // 1 hour
+  },
+  ldap: {
+    enabled: false,
+    url: undefined,
+    bindDn: undefined,
+    bindCredentials: undefined,
+    searchBase: undefined,
+    searchFilter: '(mail={{username}})',
+    groupSearchBase: undefined,
+    groupSearchFilter: '(member={{dn}})',
+    groupMap: {},
+    emailAttribute: 'mail',
+    nameAttribute: 'displayName',
+    providerKey: 'ldap',
+    timeout: 5000,
+    tlsRejectUnauthorized: true
+  },
+  sso: {
+    enabled: false,
+    name: 'Single Sign-On',
+    issuer: undefined,
+    clientId: undefined,
+    clientSecret: undefined,
+    scopes: 'openid profile email',
+    emailClaim: 'email',
+    nameClaim: 'name',
+    groupsClaim: 'groups',
+    groupMap: {},
+    providerKey: 'oidc',
+    requireVerifiedEmail: true,
+    timeout: 5000,
+    stateExpiresIn: 10 * 60,
+    cookieName: 'jwt_sso'
+  },
+  accessTokens: {
+    enabled: true,
+    jwtExpiresIn: 15 * 60,
+    maxExpiresIn: 365 * 24 * 60 * 60 // 1 year
+  },
+  introspection: {
+    enabled: false,
+    secret: undefined
+  },
+  audit: {
+    database: true,
+    stdout: false
+  },
+  metrics: {
+    enabled: false,
+    secret: undefined
+  },
+  csrf: {
+    enabled: true,
+    cookieName: 'csrf_token'
+  },
+  securityHeaders: {
+    contentSecurityPolicy: undefined, // DEFAULT_CSP
+    frameAncestors: "'none'",
+    hstsMaxAge: 180 * 24 * 60 * 60,
+    hstsIncludeSubdomains: false
+  },
+  admin: {
+    enabled: true,
+    group: 'admin',
+    allowWikiJs: false
+  }
+};
+
+// Environment variable → config path
+const ENV_MAP = {
+  PORT: ['port'],
+  TRUST_PROXY: ['trustProxy'],
+  PUBLIC_URL: ['publicUrl'],
+  DB_HOST: ['database', 'host'],
+  DB_PORT: ['database', 'port'],
+  DB_NAME: ['database', 'database'],
+  DB_USER: ['database', 'user'],
+  DB_PASSWORD: ['database', 'password'],
+  DB_CONNECT_RETRIES: ['dbConnect', 'retries'],
+  DB_CONNECT_BACKOFF_BASE: ['dbConnect', 'backoffBase'],
+  DB_CONNECT_BACKOFF_MAX: ['dbConnect', 'backoffMax'],
+  COOKIE_NAME: ['cookie', 'name'],
+  COOKIE_DOMAIN: ['cookie', 'domain'],
+  COOKIE_SECURE: ['cookie', 'secure'],
+  COOKIE_SAMESITE: ['cookie', 'sameSite'],
+  COOKIE_HOST_PREFIX: ['cookie', 'hostPrefix'],
+  JWT_EXPIRES_IN: ['jwt', 'expiresIn'],
+  JWT_ISSUER: ['jwt', 'issuer'],
+  JWT_AUDIENCE: ['jwt', 'audience'],
+  JWT_GROUP_NAMES: ['jwt', 'groupNames'],
+  REFRESH_ENABLED: ['refresh', 'enabled'],
+  REFRESH_COOKIE_NAME: ['refresh', 'cookieName'],
+  REFRESH_EXPIRES_IN: ['refresh', 'expiresIn'],
+  SESSIONS_ENABLED: ['sessions', 'enabled'],
+  LOGIN_THROTTLE_ENABLED: ['loginThrottle', 'enabled'],
+  LOGIN_IP_FREE_ATTEMPTS: ['loginThrottle', 'ipFreeAttempts'],
+  LOGIN_ACCOUNT_FREE_ATTEMPTS: ['loginThrottle', 'accountFreeAttempts'],
+  LOGIN_BACKOFF_BASE: ['loginThrottle', 'backoffBase'],
+  LOGIN_BACKOFF_MAX: ['loginThrottle', 'backoffMax'],
+  LOGIN_FAILURE_WINDOW: ['loginThrottle', 'failureWindow'],
+  LOCKOUT_THRESHOLD: ['loginThrottle', 'lockoutThreshold'],
+  LOCKOUT_DURATION: ['loginThrottle', 'lockoutDuration'],
+  MFA_ENABLED: ['mfa', 'enabled'],
+  MFA_ISSUER: ['mfa', 'issuer'],
+  MFA_PENDING_EXPIRES_IN: ['mfa', 'pendingExpiresIn'],
+  MFA_COOKIE_NAME: ['mfa', 'cookieName'],
+  PASSWORD_RESET_ENABLED: ['passwordReset', 'enabled'],
+  PASSWORD_RESET_EXPIRES_IN: ['passwordReset', 'expiresIn'],
+  PASSWORD_RESET_URL: ['passwordReset', 'url'],
+  MAIL_TRANSPORT: ['mail', 'transport'],
+  MAIL_FROM: ['mail', 'from'],
+  MAIL_FILE: ['mail', 'file'],
+  SMTP_HOST: ['mail', 'smtp', 'host'],
+  SMTP_PORT: ['mail', 'smtp', 'port'],
+  SMTP_SECURE: ['mail', 'smtp', 'secure'],
+  SMTP_USER: ['mail', 'smtp', 'user'],
+  SMTP_PASSWORD: ['mail', 'smtp', 'password'],
+  REDIRECT_ALLOWED_HOSTS: ['redirect', 'allowedHosts'],
+  REDIRECT_ALLOWED_PATHS: ['redirect', 'allowedPaths'],
+  KEYS_POLL_INTERVAL: ['keys', 'pollInterval'],
+  KEYS_LISTEN: ['keys', 'listen'],
+  OIDC_ENABLED: ['oidc', 'enabled'],
+  OIDC_CODE_EXPIRES_IN: ['oidc', 'codeExpiresIn'],
+  OIDC_TOKEN_EXPIRES_IN: ['oidc', 'tokenExpiresIn'],
+  LDAP_ENABLED: ['ldap', 'enabled'],
+  LDAP_URL: ['ldap', 'url'],
+  LDAP_BIND_DN: ['ldap', 'bindDn'],
+  LDAP_BIND_CREDENTIALS: ['ldap', 'bindCredentials'],
+  LDAP_SEARCH_BASE: ['ldap', 'searchBase'],
+  LDAP_SEARCH_FILTER: ['ldap', 'searchFilter'],
+  LDAP_GROUP_SEARCH_BASE: ['ldap', 'groupSearchBase'],
+  LDAP_GROUP_SEARCH_FILTER: ['ldap', 'groupSearchFilter'],
+  LDAP_GROUP_MAP: ['ldap', 'groupMap'],
+  LDAP_EMAIL_ATTRIBUTE: ['ldap', 'emailAttribute'],
+  LDAP_NAME_ATTRIBUTE: ['ldap', 'nameAttribute'],
+  LDAP_PROVIDER_KEY: ['ldap', 'providerKey'],
+  LDAP_TIMEOUT: ['ldap', 'timeout'],
+  LDAP_TLS_REJECT_UNAUTHORIZED: ['ldap', 'tlsRejectUnauthorized'],
+  SSO_ENABLED: ['sso', 'enabled'],
+  SSO_NAME: ['sso', 'name'],
+  SSO_ISSUER: ['sso', 'issuer'],
+  SSO_CLIENT_ID: ['sso', 'clientId'],
+  SSO_CLIENT_SECRET: ['sso', 'clientSecret'],
+  SSO_SCOPES: ['sso', 'scopes'],
+  SSO_EMAIL_CLAIM: ['sso', 'emailClaim'],
+  SSO_NAME_CLAIM: ['sso', 'nameClaim'],
+  SSO_GROUPS_CLAIM: ['sso', 'groupsClaim'],
+  SSO_GROUP_MAP: ['sso', 'groupMap'],
+  SSO_PROVIDER_KEY: ['sso', 'providerKey'],
+  SSO_REQUIRE_VERIFIED_EMAIL: ['sso', 'requireVerifiedEmail'],
+  SSO_TIMEOUT: ['sso', 'timeout'],
+  SSO_STATE_EXPIRES_IN: ['sso', 'stateExpiresIn'],
+  SSO_COOKIE_NAME: ['sso', 'cookieName'],
+  ACCESS_TOKENS_ENABLED: ['accessTokens', 'enabled'],
+  ACCESS_TOKEN_JWT_EXPIRES_IN: ['accessTokens', 'jwtExpiresIn'],
+  ACCESS_TOKEN_MAX_EXPIRES_IN: ['accessTokens', 'maxExpiresIn'],
+  INTROSPECTION_ENABLED: ['introspection', 'enabled'],
+  INTROSPECTION_SECRET: ['introspection', 'secret'],
+  AUDIT_DATABASE: ['audit', 'database'],
+  AUDIT_STDOUT: ['audit', 'stdout'],
+  METRICS_ENABLED: ['metrics', 'enabled'],
+  METRICS_SECRET: ['metrics', 'secret'],
+  CSRF_ENABLED: ['csrf', 'enabled'],
+  CSRF_COOKIE_NAME: ['csrf', 'cookieName'],
+  CONTENT_SECURITY_POLICY: ['securityHeaders', 'contentSecurityPolicy'],
+  FRAME_ANCESTORS: ['securityHeaders', 'frameAncestors'],
+  HSTS_MAX_AGE: ['securityHeaders', 'hstsMaxAge'],
+  HSTS_INCLUDE_SUBDOMAINS: ['securityHeaders', 'hstsIncludeSubdomains'],
+  ADMIN_ENABLED: ['admin', 'enabled'],
+  ADMIN_GROUP: ['admin', 'group'],
+  ADMIN_ALLOW_WIKIJS: ['admin', 'allowWikiJs']
+};
+
+const DEFAULT_CONFIG_FILES = ['config.js', 'config.json'];
+
+// The login page uses inline scripts and styles
+const DEFAULT_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'"
+].join('; ');
+
+// Cookie name prefix for COOKIE_HOST_PREFIX: Secure, Path=/ and no Domain
+const HOST_PREFIX = '__Host-';
+
+/**
+ * Raised when configuration cannot be loaded or fails validation.
+ * `problems` lists every individual issue so they can be reported together.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge plain objects; undefined values in source are ignored
+function merge(target, source) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value === undefined) continue;
+    out[key] = isPlainObject(value) && isPlainObject(out[key])
+      ? merge(out[key], value)
+      : value;
+  }
+  return out;
+}
+
+function setPath(obj, keys, value) {
+  let node = obj;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Resolve which config file to load (if any)
+ */
+function resolveConfigFile(env, baseDir) {
+  if (env.AUTH_CONFIG) {
+    return path.resolve(baseDir, env.AUTH_CONFIG);
+  }
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(baseDir, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function loadConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new ConfigError([`Config file not found: ${file}`]);
+  }
+  try {
+    if (file.endsWith('.json')) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return require(file);
+  } catch (err) {
+    throw new ConfigError([`Failed to read config file ${file}: ${err.message}`]);
+  }
+}
+
+function envOverrides(env) {
+  const overrides = {};
+  for (const [name, keys] of Object.entries(ENV_MAP)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(overrides, keys, env[name]);
+    }
+  }
+  return overrides;
+}
+
+// Coerce string values (from env vars) into the expected types
+function toInteger(value) {
+  if (typeof value === 'number') return value;
+  return /^-?\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+  return undefined;
+}
+
+/**
+ * Normalize types and validate the merged config.
+ * Collects all problems before throwing so the operator can fix them in one go.
+ */
+function validate(config) {
+  const problems = [];
+
+  const integer = (label, value, min, max) => {
+    const n = toInteger(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      problems.push(`${label} must be an integer between ${min} and ${max} (got "${value}")`);
+    }
+    return n;
+  };
+
+  const string = (label, value, { optional = false } = {}) => {
+    if (value === undefined || value === null || value === '') {
+      if (!optional) problems.push(`${label} is required`);
+      return undefined;
+    }
+    if (typeof value !== 'string') {
+      problems.push(`${label} must be a string`);
+    }
+    return value;
+  };
+
+  const boolean = (label, value) => {
+    const b = toBoolean(value);
+    if (b === undefined) {
+      problems.push(`${label} must be true or false (got "${value}")`);
+    }
+    return b;
+  };
+
+  // Header value; "off" (from an env var) or an empty string for none
+  const headerSetting = value => {
+    const text = String(value || '').trim();
+    return text.toLowerCase() === 'off' ? '' : text;
+  };
+
+  // true, false or "auto"
+  const secureSetting = (label, value) => {
+    if (String(value).trim().toLowerCase() === 'auto') return 'auto';
+    const b = toBoolean(value);
+    if (b === undefined) {
+      problems.push(`${label} must be true, false or auto (got "${value}")`);
+    }
+    return b;
+  };
+
+  const cookieName = (label, value) => {
+    const name = string(label, value);
+    if (name && !/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name)) {
+      problems.push(`${label} contains invalid characters: "${name}"`);
+    }
+    return name;
+  };
+
+  // Array, or comma-separated string from an env var
+  const list = (label, value, check) => {
+    const items = Array.isArray(value)
+      ? value
+      : String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    for (const item of items) {
+      if (typeof item !== 'string' || !check(item)) {
+        problems.push(`${label} has an invalid entry: "${item}"`);
+      }
+    }
+    return items;
+  };
+
+  // Object, or semicolon-separated key=value pairs from an env var
+  // (not commas: keys may be DNs). The last "=" separates key and value.
+  const mapping = (label, value) => {
+    if (isPlainObject(value)) {
+      for (const [key, item] of Object.entries(value)) {
+        if (typeof item !== 'string' || !item) {
+          problems.push(`${label} has an invalid entry: "${key}"`);
+        }
+      }
+      return value;
+    }
+    const out = {};
+    for (const pair of String(value || '').split(';').map(item => item.trim()).filter(Boolean)) {
+      const separator = pair.lastIndexOf('=');
+      if (separator <= 0 || separator === pair.length - 1) {
+        problems.push(`${label} has an invalid entry: "${pair}"`);
+        continue;
+      }
+      out[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+    return out;
+  };
+
+  // true/false, a hop count, or a subnet list such as "loopback, 10.0.0.0/8"
+  const trustProxy = value => {
+    const b = toBoolean(value);
+    if (b !== undefined) return b;
+    const n = toInteger(value);
+    if (Number.isInteger(n) && n >= 0) return n;
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    problems.push(`trustProxy (TRUST_PROXY) must be true, false, a hop count or a subnet list (got "${value}")`);
+    return false;
+  };
+
+  const result = {
+    port: integer('port (PORT)', config.port, 1, 65535),
+    trustProxy: trustProxy(config.trustProxy),
+    publicUrl: string('publicUrl (PUBLIC_URL)', config.publicUrl, { optional: true }),
+    database: {
+      host: string('database.host (DB_HOST)', config.database.host),
+      port: integer('database.port (DB_PORT)', config.database.port, 1, 65535),
+      database: string('database.database (DB_NAME)', config.database.database),
+      user: string('database.user (DB_USER)', config.database.user),
+      password: string('database.password (DB_PASSWORD)', config.database.password, { optional: true })
+    },
+    dbConnect: {
+      retries: integer('dbConnect.retries (DB_CONNECT_RETRIES)', config.dbConnect.retries, 0, 1000),
+      backoffBase: integer('dbConnect.backoffBase (DB_CONNECT_BACKOFF_BASE)', config.dbConnect.backoffBase, 1, 60 * 60),
+      backoffMax: integer('dbConnect.backoffMax (DB_CONNECT_BACKOFF_MAX)', config.dbConnect.backoffMax, 1, 60 * 60)
+    },
+    cookie: {
+      name: cookieName('cookie.name (COOKIE_NAME)', config.cookie.name),
+      domain: string('cookie.domain (COOKIE_DOMAIN)', config.cookie.domain, { optional: true }),
+      secure: secureSetting('cookie.secure (COOKIE_SECURE)', config.cookie.secure),
+      sameSite: String(config.cookie.sameSite || '').toLowerCase(),
+      hostPrefix: boolean('cookie.hostPrefix (COOKIE_HOST_PREFIX)', config.cookie.hostPrefix)
+    },
+    jwt: {
+      expiresIn: integer('jwt.expiresIn (JWT_EXPIRES_IN)', config.jwt.expiresIn, 1, 60 * 60 * 24 * 365),
+      issuer: string('jwt.issuer (JWT_ISSUER)', config.jwt.issuer),
+      audience: string('jwt.audience (JWT_AUDIENCE)', config.jwt.audience),
+      groupNames: boolean('jwt.groupNames (JWT_GROUP_NAMES)', config.jwt.groupNames)
+    },
+    refresh: {
+      enabled: boolean('refresh.enabled (REFRESH_ENABLED)', config.refresh.enabled),
+      cookieName: cookieName('refresh.cookieName (REFRESH_COOKIE_NAME)', config.refresh.cookieName),
+      expiresIn: integer('refresh.expiresIn (REFRESH_EXPIRES_IN)', config.refresh.expiresIn, 60, 60 * 60 * 24 * 365)
+    },
+    sessions: {
+      enabled: boolean('sessions.enabled (SESSIONS_ENABLED)', config.sessions.enabled)
+    },
+    loginThrottle: {
+      enabled: boolean('loginThrottle.enabled (LOGIN_THROTTLE_ENABLED)', config.loginThrottle.enabled),
+      ipFreeAttempts: integer('loginThrottle.ipFreeAttempts (LOGIN_IP_FREE_ATTEMPTS)', config.loginThrottle.ipFreeAttempts, 0, 10000),
+      accountFreeAttempts: integer('loginThrottle.accountFreeAttempts (LOGIN_ACCOUNT_FREE_ATTEMPTS)', config.loginThrottle.accountFreeAttempts, 0, 10000),
+      backoffBase: integer('loginThrottle.backoffBase (LOGIN_BACKOFF_BASE)', config.loginThrottle.backoffBase, 1, 60 * 60),
+      backoffMax: integer('loginThrottle.backoffMax (LOGIN_BACKOFF_MAX)', config.loginThrottle.backoffMax, 1, 60 * 60 * 24),
+      failureWindow: integer('loginThrottle.failureWindow (LOGIN_FAILURE_WINDOW)', config.loginThrottle.failureWindow, 1, 60 * 60 * 24 * 30),
+      lockoutThreshold: integer('loginThrottle.lockoutThreshold (LOCKOUT_THRESHOLD)', config.loginThrottle.lockoutThreshold, 0, 10000),
+      lockoutDuration: integer('loginThrottle.lockoutDuration (LOCKOUT_DURATION)', config.loginThrottle.lockoutDuration, 1, 60 * 60 * 24 * 30)
+    },
+    mfa: {
+      enabled: boolean('mfa.enabled (MFA_ENABLED)', config.mfa.enabled),
+      issuer: string('mfa.issuer (MFA_ISSUER)', config.mfa.issuer),
+      pendingExpiresIn: integer('mfa.pendingExpiresIn (MFA_PENDING_EXPIRES_IN)', config.mfa.pendingExpiresIn, 30, 60 * 60),
+      cookieName: cookieName('mfa.cookieName (MFA_COOKIE_NAME)', config.mfa.cookieName)
+    },
+    passwordReset: {
+      enabled: boolean('passwordReset.enabled (PASSWORD_RESET_ENABLED)', config.passwordReset.enabled),
+      expiresIn: integer('passwordReset.expiresIn (PASSWORD_RESET_EXPIRES_IN)', config.passwordReset.expiresIn, 60, 60 * 60 * 24 * 7),
+      url: string('passwordReset.url (PASSWORD_RESET_URL)', config.passwordReset.url, { optional: true })
+    },
+    mail: {
+      transport: String(config.mail.transport || '').toLowerCase(),
+      from: string('mail.from (MAIL_FROM)', config.mail.from),
+      file: string('mail.file (MAIL_FILE)', config.mail.file, { optional: true }),
+      smtp: {
+        host: string('mail.smtp.host (SMTP_HOST)', config.mail.smtp.host, { optional: true }),
+        port: integer('mail.smtp.port (SMTP_PORT)', config.mail.smtp.port, 1, 65535),
+        secure: boolean('mail.smtp.secure (SMTP_SECURE)', config.mail.smtp.secure),
+        user: string('mail.smtp.user (SMTP_USER)', config.mail.smtp.user, { optional: true }),
+        password: string('mail.smtp.password (SMTP_PASSWORD)', config.mail.smtp.password, { optional: true })
+      }
+    },
+    redirect: {
+      allowedHosts: list('redirect.allowedHosts (REDIRECT_ALLOWED_HOSTS)', config.redirect.allowedHosts,
+        host => /^\.?[a-z0-9.-]+(:\d+)?$/i.test(host)),
+      allowedPaths: list('redirect.allowedPaths (REDIRECT_ALLOWED_PATHS)', config.redirect.allowedPaths,
+        prefix => prefix.startsWith('/'))
+    },
+    keys: {
+      pollInterval: integer('keys.pollInterval (KEYS_POLL_INTERVAL)', config.keys.pollInterval, 0, 60 * 60 * 24),
+      listen: boolean('keys.listen (KEYS_LISTEN)', config.keys.listen)
+    },
+    oidc: {
+      enabled: boolean('oidc.enabled (OIDC_ENABLED)', config.oidc.enabled),
+      codeExpiresIn: integer('oidc.codeExpiresIn (OIDC_CODE_EXPIRES_IN)', config.oidc.codeExpiresIn, 10, 10 * 60),
+      tokenExpiresIn: integer('oidc.tokenExpiresIn (OIDC_TOKEN_EXPIRES_IN)', config.oidc.tokenExpiresIn, 60, 60 * 60 * 24)
+    },
+    ldap: {
+      enabled: boolean('ldap.enabled (LDAP_ENABLED)', config.ldap.enabled),
+      url: string('ldap.url (LDAP_URL)', config.ldap.url, { optional: true }),
+      bindDn: string('ldap.bindDn (LDAP_BIND_DN)', config.ldap.bindDn, { optional: true }),
+      bindCredentials: string('ldap.bindCredentials (LDAP_BIND_CREDENTIALS)', config.ldap.bindCredentials, { optional: true }),
+      searchBase: string('ldap.searchBase (LDAP_SEARCH_BASE)', config.ldap.searchBase, { optional: true }),
+      searchFilter: string('ldap.searchFilter (LDAP_SEARCH_FILTER)', config.ldap.searchFilter),
+      groupSearchBase: string('ldap.groupSearchBase (LDAP_GROUP_SEARCH_BASE)', config.ldap.groupSearchBase, { optional: true }),
+      groupSearchFilter: string('ldap.groupSearchFilter (LDAP_GROUP_SEARCH_FILTER)', config.ldap.groupSearchFilter),
+      groupMap: mapping('ldap.groupMap (LDAP_GROUP_MAP)', config.ldap.groupMap),
+      emailAttribute: string('ldap.emailAttribute (LDAP_EMAIL_ATTRIBUTE)', config.ldap.emailAttribute),
+      nameAttribute: string('ldap.nameAttribute (LDAP_NAME_ATTRIBUTE)', config.ldap.nameAttribute),
+      providerKey: string('ldap.providerKey (LDAP_PROVIDER_KEY)', config.ldap.providerKey),
+      timeout: integer('ldap.timeout (LDAP_TIMEOUT)', config.ldap.timeout, 100, 60 * 1000),
+      tlsRejectUnauthorized: boolean('ldap.tlsRejectUnauthorized (LDAP_TLS_REJECT_UNAUTHORIZED)', config.ldap.tlsRejectUnauthorized)
+    },
+    sso: {
+      enabled: boolean('sso.enabled (SSO_ENABLED)', config.sso.enabled),
+      name: string('sso.name (SSO_NAME)', config.sso.name),
+      issuer: string('sso.issuer (SSO_ISSUER)', config.sso.issuer, { optional: true }),
+      clientId: string('sso.clientId (SSO_CLIENT_ID)', config.sso.clientId, { optional: true }),
+      clientSecret: string('sso.clientSecret (SSO_CLIENT_SECRET)', config.sso.clientSecret, { optional: true }),
+      scopes: string('sso.scopes (SSO_SCOPES)', config.sso.scopes),
+      emailClaim: string('sso.emailClaim (SSO_EMAIL_CLAIM)', config.sso.emailClaim),
+      nameClaim: string('sso.nameClaim (SSO_NAME_CLAIM)', config.sso.nameClaim),
+      groupsClaim: string('sso.groupsClaim (SSO_GROUPS_CLAIM)', config.sso.groupsClaim),
+      groupMap: mapping('sso.groupMap (SSO_GROUP_MAP)', config.sso.groupMap),
+      providerKey: string('sso.providerKey (SSO_PROVIDER_KEY)', config.sso.providerKey),
+      requireVerifiedEmail: boolean('sso.requireVerifiedEmail (SSO_REQUIRE_VERIFIED_EMAIL)', config.sso.requireVerifiedEmail),
+      timeout: integer('sso.timeout (SSO_TIMEOUT)', config.sso.timeout, 100, 60 * 1000),
+      stateExpiresIn: integer('sso.stateExpiresIn (SSO_STATE_EXPIRES_IN)', config.sso.stateExpiresIn, 60, 60 * 60),
+      cookieName: cookieName('sso.cookieName (SSO_COOKIE_NAME)', config.sso.cookieName)
+    },
+    accessTokens: {
+      enabled: boolean('accessTokens.enabled (ACCESS_TOKENS_ENABLED)', config.accessTokens.enabled),
+      jwtExpiresIn: integer('accessTokens.jwtExpiresIn (ACCESS_TOKEN_JWT_EXPIRES_IN)', config.accessTokens.jwtExpiresIn, 60, 60 * 60 * 24),
+      maxExpiresIn: integer('accessTokens.maxExpiresIn (ACCESS_TOKEN_MAX_EXPIRES_IN)', config.accessTokens.maxExpiresIn, 0, 10 * 365 * 24 * 60 * 60)
+    },
+    introspection: {
+      enabled: boolean('introspection.enabled (INTROSPECTION_ENABLED)', config.introspection.enabled),
+      secret: string('introspection.secret (INTROSPECTION_SECRET)', config.introspection.secret, { optional: true })
+    },
+    audit: {
+      database: boolean('audit.database (AUDIT_DATABASE)', config.audit.database),
+      stdout: boolean('audit.stdout (AUDIT_STDOUT)', config.audit.stdout)
+    },
+    metrics: {
+      enabled: boolean('metrics.enabled (METRICS_ENABLED)', config.metrics.enabled),
+      secret: string('metrics.secret (METRICS_SECRET)', config.metrics.secret, { optional: true })
+    },
+    csrf: {
+      enabled: boolean('csrf.enabled (CSRF_ENABLED)', config.csrf.enabled),
+      cookieName: cookieName('csrf.cookieName (CSRF_COOKIE_NAME)', config.csrf.cookieName)
+    },
+    securityHeaders: {
+      contentSecurityPolicy: config.securityHeaders.contentSecurityPolicy === undefined
+        ? DEFAULT_CSP
+        : headerSetting(config.securityHeaders.contentSecurityPolicy),
+      frameAncestors: headerSetting(config.securityHeaders.frameAncestors),
+      hstsMaxAge: integer('securityHeaders.hstsMaxAge (HSTS_MAX_AGE)', config.securityHeaders.hstsMaxAge, 0, 2 * 365 * 24 * 60 * 60),
+      hstsIncludeSubdomains: boolean('securityHeaders.hstsIncludeSubdomains (HSTS_INCLUDE_SUBDOMAINS)', config.securityHeaders.hstsIncludeSubdomains)
+    },
+    admin: {
+      enabled: boolean('admin.enabled (ADMIN_ENABLED)', config.admin.enabled),
+      group: string('admin.group (ADMIN_GROUP)', config.admin.group),
+      allowWikiJs: boolean('admin.allowWikiJs (ADMIN_ALLOW_WIKIJS)', config.admin.allowWikiJs)
+    }
+  };
+
+  if (result.refresh.enabled && result.refresh.cookieName === result.cookie.name) {
+    problems.push('refresh.cookieName (REFRESH_COOKIE_NAME) must differ from cookie.name (COOKIE_NAME)');
+  }
+
+  if (!['lax', 'strict', 'none'].includes(result.cookie.sameSite)) {
+    problems.push(`cookie.sameSite (COOKIE_SAMESITE) must be lax, strict or none (got "${config.cookie.sameSite}")`);
+  } else if (result.cookie.sameSite === 'none' && result.cookie.secure !== true) {
+    problems.push('cookie.sameSite "none" requires cookie.secure = true (browsers reject it otherwise)');
+  }
+
+  if (/[;,]/.test(result.securityHeaders.frameAncestors)) {
+    problems.push('securityHeaders.frameAncestors (FRAME_ANCESTORS) must be a list of sources such as \'self\' https://wiki.example.com');
+  }
+
+  if (!['console', 'file', 'smtp'].includes(result.mail.transport)) {
+    problems.push(`mail.transport (MAIL_TRANSPORT) must be console, file or smtp (got "${config.mail.transport}")`);
+  } else if (result.mail.transport === 'smtp' && !result.mail.smtp.host) {
+    problems.push('mail.smtp.host (SMTP_HOST) is required when mail.transport is smtp');
+  } else if (result.mail.transport === 'file' && !result.mail.file) {
+    problems.push('mail.file (MAIL_FILE) is required when mail.transport is file');
+  }
+
+  // Reset links carry a live token: never build them from the request's Host
+  if (result.passwordReset.enabled && !result.passwordReset.url && !config.publicUrl) {
+    problems.push('passwordReset.url (PASSWORD_RESET_URL) or publicUrl (PUBLIC_URL) is required when passwordReset.enabled is true');
+  }
+
+  if (result.passwordReset.url) {
+    try {
+      new URL(result.passwordReset.url);
+    } catch (err) {
+      problems.push(`passwordReset.url (PASSWORD_RESET_URL) must be an absolute URL (got "${result.passwordReset.url}")`);
+    }
+  }
+
+  if (result.publicUrl) {
+    let url = null;
+    try {
+      url = new URL(result.publicUrl);
+    } catch (err) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+      problems.push(`publicUrl (PUBLIC_URL) must be an absolute http(s) URL without query (got "${result.publicUrl}")`);
+    } else {
+      result.publicUrl = result.publicUrl.replace(/\/+$/, '');
+    }
+  }
+
+  // The issuer must be a fixed URL that clients can compare against
+  if (result.oidc.enabled && !result.publicUrl) {
+    problems.push('publicUrl (PUBLIC_URL) is required when oidc.enabled is true (it is the OIDC issuer)');
+  }
+
+  if (result.ldap.enabled) {
+    if (!result.ldap.url) {
+      problems.push('ldap.url (LDAP_URL) is required when ldap.enabled is true');
+    } else if (!/^ldaps?:\/\/[^/]/i.test(result.ldap.url)) {
+      problems.push(`ldap.url (LDAP_URL) must be an ldap:// or ldaps:// URL (got "${result.ldap.url}")`);
+    }
+    if (!result.ldap.searchBase) {
+      problems.push('ldap.searchBase (LDAP_SEARCH_BASE) is required when ldap.enabled is true');
+    }
+    if (result.ldap.searchFilter && !result.ldap.searchFilter.includes('{{username}}')) {
+      problems.push('ldap.searchFilter (LDAP_SEARCH_FILTER) must contain {{username}}');
+    }
+    // Local accounts are checked with their bcrypt password, never against LDAP
+    if (result.ldap.providerKey === 'local') {
+      problems.push('ldap.providerKey (LDAP_PROVIDER_KEY) must not be "local"');
+    }
+  }
+
+  if (result.sso.enabled) {
+    let issuer = null;
+    try {
+      issuer = result.sso.issuer && new URL(result.sso.issuer);
+    } catch (err) {
+      // Reported below
+    }
+    if (!issuer || !['http:', 'https:'].includes(issuer.protocol)) {
+      problems.push(`sso.issuer (SSO_ISSUER) must be the provider's http(s) issuer URL when sso.enabled is true (got "${result.sso.issuer}")`);
+    }
+    if (!result.sso.clientId) {
+      problems.push('sso.clientId (SSO_CLIENT_ID) is required when sso.enabled is true');
+    }
+    if (result.sso.scopes && !result.sso.scopes.split(' ').includes('openid')) {
+      problems.push('sso.scopes (SSO_SCOPES) must include openid');
+    }
+    // The callback URL registered at the provider is built from it
+    if (!result.publicUrl) {
+      problems.push('publicUrl (PUBLIC_URL) is required when sso.enabled is true (it forms the callback URL)');
+    }
+    if (result.sso.providerKey === 'local') {
+      problems.push('sso.providerKey (SSO_PROVIDER_KEY) must not be "local"');
+    } else if (result.ldap.enabled && result.sso.providerKey === result.ldap.providerKey) {
+      problems.push('sso.providerKey (SSO_PROVIDER_KEY) must differ from ldap.providerKey (LDAP_PROVIDER_KEY)');
+    }
+    if ([result.cookie.name, result.refresh.cookieName, result.mfa.cookieName].includes(result.sso.cookieName)) {
+      problems.push('sso.cookieName (SSO_COOKIE_NAME) must differ from the other cookie names');
+    }
+  }
+
+  const cookieNames = [result.cookie.name, result.refresh.cookieName, result.mfa.cookieName, result.sso.cookieName];
+  if (result.csrf.enabled && cookieNames.includes(result.csrf.cookieName)) {
+    problems.push('csrf.cookieName (CSRF_COOKIE_NAME) must differ from the other cookie names');
+  }
+
+  if (result.cookie.hostPrefix) {
+    if (result.cookie.domain) {
+      problems.push('cookie.hostPrefix (COOKIE_HOST_PREFIX) cannot be used with cookie.domain (COOKIE_DOMAIN)');
+    }
+    if (result.cookie.secure === false) {
+      problems.push('cookie.hostPrefix (COOKIE_HOST_PREFIX) requires cookie.secure = true or auto');
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  // Browsers only accept __Host- cookies that are Secure, for Path=/ and without Domain
+  if (result.cookie.hostPrefix) {
+    result.cookie.name = HOST_PREFIX + result.cookie.name;
+    result.refresh.cookieName = HOST_PREFIX + result.refresh.cookieName;
+    result.mfa.cookieName = HOST_PREFIX + result.mfa.cookieName;
+    result.sso.cookieName = HOST_PREFIX + result.sso.cookieName;
+    result.csrf.cookieName = HOST_PREFIX + result.csrf.cookieName;
+  }
+
+  return result;
+}
+
+/**
+ * Load and validate configuration
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.baseDir] - Directory for relative/default config file paths
+ * @param {Object} [options.overrides] - Values applied on top of everything (e.g. tests)
+ * @returns {Object} Validated config
+ * @throws {ConfigError}
+ */
+function loadConfig({ env = process.env, baseDir = path.join(__dirname, '..'), overrides } = {}) {
+  let config = merge({}, DEFAULTS);
+
+  const file = resolveConfigFile(env, baseDir);
+  if (file) {
+    const fileConfig = loadConfigFile(file);
+    if (!isPlainObject(fileConfig)) {
+      throw new ConfigError([`Config file ${file} must export an object`]);
+    }
+    config = merge(config, fileConfig);
+  }
+
+  config = merge(config, envOverrides(env));
+  config = merge(config, overrides);
+
+  const validated = validate(config);
+  Object.defineProperty(validated, 'source', { value: file, enumerable: false });
+  return validated;
+}
+
+module.exports = {
+  DEFAULTS,
+  ConfigError,
+  loadConfig
+};
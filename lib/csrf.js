@@ -0,0 +1,88 @@
+/**
+ * CSRF Protection (double-submit cookie)
+ *
+ * Every response to a request without a token cookie sets one (readable by
+ * scripts, same SameSite/Secure settings as the session cookies). Requests
+ * that change state - anything but GET, HEAD and OPTIONS - must echo it in
+ * the X-CSRF-Token header or a _csrf form field. Another site can make the
+ * browser send the cookie but cannot read it, so it cannot forge the echo.
+ *
+ * Not checked:
+ *   - requests with an "Authorization: Bearer" token: a cross-site request
+ *     cannot carry one, and the bearer token - not the session cookie - is
+ *     the credential the app then uses. Other schemes (Basic, Negotiate) are
+ *     checked: browsers cache and resend them, and the app falls back to the
+ *     session cookie for them
+ *   - EXEMPT_PATHS, called by servers that authenticate with secrets
+ *   - requests the app exempts (token-mode logins, which set no cookies -
+ *     only the login routes, never a route that acts on the session cookies)
+ *
+ * GET /api/csrf returns the token for pages that cannot read the cookie
+ * (e.g. served from another subdomain).
+ */
+
+const crypto = require('crypto');
+
+const CSRF_HEADER = 'X-CSRF-Token';
+const CSRF_FIELD = '_csrf';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// OIDC token/userinfo endpoints, introspection and the access token exchange
+const EXEMPT_PATHS = ['/token', '/userinfo', '/api/introspect', '/api/token/exchange'];
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Same test as the app's requestToken(): only then is the cookie not used
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+function tokensMatch(sent, expected) {
+  if (typeof sent !== 'string' || sent.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+/**
+ * Create the CSRF middleware
+ *
+ * @param {Object} options - config.csrf (see lib/config.js)
+ * @param {string} options.cookieName
+ * @param {Object} deps
+ * @param {function(express.Request): Object} deps.cookieOptions - Shared cookie options
+ * @param {function(express.Request): boolean} [deps.exempt] - Requests not to check
+ * @param {Object} [deps.logger=console]
+ * @returns {express.RequestHandler} Sets req.csrfToken
+ */
+function createCsrfProtection({ cookieName }, { cookieOptions, exempt = () => false, logger = console }) {
+  return function csrfProtection(req, res, next) {
+    const cookie = req.cookies[cookieName];
+    const existing = typeof cookie === 'string' && TOKEN_PATTERN.test(cookie) ? cookie : null;
+
+    req.csrfToken = existing;
+    if (!existing) {
+      req.csrfToken = crypto.randomBytes(32).toString('base64url');
+      res.cookie(cookieName, req.csrfToken, { ...cookieOptions(req), httpOnly: false });
+    }
+
+    if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.includes(req.path) ||
+        BEARER_PATTERN.test(req.get('authorization') || '') || exempt(req)) {
+      return next();
+    }
+
+    const sent = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+    if (existing && tokensMatch(sent, existing)) {
+      return next();
+    }
+
+    logger.log(`[${new Date().toISOString()}] CSRF: ❌ REFUSED ${req.method} ${req.path} (${sent ? 'token mismatch' : 'no token'})`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token - reload the page and try again'
+    });
+  };
+}
+
+module.exports = {
+  CSRF_FIELD,
+  CSRF_HEADER,
+  createCsrfProtection
+};
@@ -0,0 +1,45 @@
+/**
+ * Startup Database Check
+ *
+ * Waits for the database to answer before the service starts, retrying with
+ * exponential back-off (backoffBase, doubling per attempt, at most backoffMax
+ * seconds apart). A database that is still starting, or a brief network
+ * problem, then delays startup instead of ending it.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a test query until it succeeds or the retries are used up
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options - config.dbConnect (see lib/config.js)
+ * @param {number} options.retries - Retries after the first attempt (0 = fail at once)
+ * @param {number} options.backoffBase - Seconds before the first retry
+ * @param {number} options.backoffMax - Longest wait between attempts in seconds
+ * @param {Object} [deps]
+ * @param {Object} [deps.logger=console]
+ * @param {function(number): Promise} [deps.wait] - Sleeps for the given milliseconds
+ * @returns {Promise<void>}
+ * @throws {Error} The last connection error once every attempt failed
+ */
+async function waitForDatabase(pool, { retries, backoffBase, backoffMax }, { logger = console, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await pool.query('SELECT NOW()');
+      return;
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+      const delay = Math.min(backoffBase * 2 ** attempt, backoffMax);
+      logger.error(`❌ Database connection failed (attempt ${attempt + 1} of ${retries + 1}): ${err.message}`);
+      logger.error(`   Retrying in ${delay}s...`);
+      await wait(delay * 1000);
+    }
+  }
+}
+
+module.exports = {
+  waitForDatabase
+};
@@ -0,0 +1,184 @@
+/**
+ * JWT Key Rotation
+ *
+ * Replaces the key pair in the certs row without invalidating tokens that
+ * are already out there:
+ *   1. rotateKeys() generates a new pair and makes it the signing key. The
+ *      old public key moves to certs.previous with an expiry (grace period).
+ *   2. Running services pick up the change (see createKeyStore in lib/keys.js),
+ *      sign with the new key and keep accepting the old one until it expires.
+ *   3. retireKey() drops a previous key early; expired ones are pruned on the
+ *      next rotation.
+ *
+ * Both change the certs row in a transaction that locks it first (SELECT ...
+ * FOR UPDATE), so two admins rotating at once cannot drop each other's key.
+ *
+ * Used by admin.js keys:rotate, keys:list and keys:retire.
+ */
+
+const crypto = require('crypto');
+const { keyId } = require('./keys');
+
+// Default grace period: comfortably longer than a token lifetime plus JWKS caching
+const DEFAULT_GRACE = 24 * 60 * 60;
+
+async function readCerts(db, { forUpdate = false } = {}) {
+  const lock = forUpdate ? ' FOR UPDATE' : '';
+  const result = await db.query(`SELECT value::text FROM settings WHERE key = 'certs'${lock}`);
+  if (result.rows.length === 0) {
+    throw new Error('certs not found in database');
+  }
+  return JSON.parse(result.rows[0].value);
+}
+
+async function writeCerts(db, certs) {
+  await db.query("UPDATE settings SET value = $1 WHERE key = 'certs'", [JSON.stringify(certs)]);
+}
+
+/**
+ * Run change(client, certs) in a transaction holding the lock on the certs row
+ * @returns {Promise<*>} What change returns
+ */
+async function updateCerts(pool, change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await change(client, await readCerts(client, { forUpdate: true }));
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function kidOf(publicKeyPem) {
+  return keyId(crypto.createPublicKey(publicKeyPem));
+}
+
+/**
+ * Generate a 2048-bit RSA key pair the same way database/generate-keys.js does
+ *
+ * @param {string|null} passphrase - Encrypt the private key with this (sessionSecret)
+ * @returns {{publicKey: string, privateKey: string}} PEMs
+ */
+function generateKeyPair(passphrase) {
+  const privateKeyEncoding = { type: 'pkcs8', format: 'pem' };
+  if (passphrase) {
+    privateKeyEncoding.cipher = 'aes-256-cbc';
+    privateKeyEncoding.passphrase = passphrase;
+  }
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding
+  });
+}
+
+/**
+ * Make a new key pair the signing key; the old public key keeps verifying
+ * for the grace period
+ *
+ * @param {Pool} pool
+ * @param {Object} [options]
+ * @param {number} [options.grace=DEFAULT_GRACE] - Seconds the old key stays valid
+ * @param {Date} [options.now]
+ * @returns {Promise<{kid: string, previousKid: string, expiresAt: Date, pruned: number}>}
+ */
+async function rotateKeys(pool, { grace = DEFAULT_GRACE, now = new Date() } = {}) {
+  return updateCerts(pool, async (client, certs) => {
+    // Keep the private key encrypted if it was
+    let passphrase = null;
+    if (certs.private.includes('ENCRYPTED')) {
+      const secretResult = await client.query("SELECT value::text FROM settings WHERE key = 'sessionSecret'");
+      if (secretResult.rows.length === 0) {
+        throw new Error('private key is encrypted but sessionSecret not found in database');
+      }
+      passphrase = JSON.parse(secretResult.rows[0].value).v;
+    }
+
+    const { publicKey, privateKey } = generateKeyPair(passphrase);
+    const expiresAt = new Date(now.getTime() + grace * 1000);
+    const previousKid = kidOf(certs.public);
+
+    const stillValid = (certs.previous || []).filter(key => new Date(key.expiresAt) > now);
+
+    await writeCerts(client, {
+      ...certs,
+      public: publicKey,
+      private: privateKey,
+      previous: [
+        { kid: previousKid, public: certs.public, rotatedAt: now.toISOString(), expiresAt: expiresAt.toISOString() },
+        ...stillValid
+      ]
+    });
+
+    return {
+      kid: kidOf(publicKey),
+      previousKid,
+      expiresAt,
+      pruned: (certs.previous || []).length - stillValid.length
+    };
+  });
+}
+
+/**
+ * Describe the signing key and previous keys
+ *
+ * @param {Pool} pool
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{kid: string, status: string, rotatedAt: Date|null, expiresAt: Date|null}>>}
+ *   status is 'signing', 'verifying' (in grace period) or 'expired'
+ */
+async function listKeys(pool, { now = new Date() } = {}) {
+  const certs = await readCerts(pool);
+
+  return [
+    { kid: kidOf(certs.public), status: 'signing', rotatedAt: null, expiresAt: null },
+    ...(certs.previous || []).map(key => {
+      const expiresAt = new Date(key.expiresAt);
+      return {
+        kid: kidOf(key.public),
+        status: expiresAt > now ? 'verifying' : 'expired',
+        rotatedAt: key.rotatedAt ? new Date(key.rotatedAt) : null,
+        expiresAt
+      };
+    })
+  ];
+}
+
+/**
+ * Stop accepting tokens signed with a previous key
+ *
+ * @param {Pool} pool
+ * @param {string} kid
+ * @returns {Promise<boolean>} False if no previous key has this kid
+ * @throws {Error} If kid is the current signing key
+ */
+async function retireKey(pool, kid) {
+  return updateCerts(pool, async (client, certs) => {
+    if (kidOf(certs.public) === kid) {
+      throw new Error(`${kid} is the current signing key - run keys:rotate first`);
+    }
+
+    const previous = certs.previous || [];
+    const remaining = previous.filter(key => kidOf(key.public) !== kid);
+    if (remaining.length === previous.length) {
+      return false;
+    }
+
+    await writeCerts(client, { ...certs, previous: remaining });
+    return true;
+  });
+}
+
+module.exports = {
+  DEFAULT_GRACE,
+  generateKeyPair,
+  listKeys,
+  retireKey,
+  rotateKeys
+};
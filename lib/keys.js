@@ -0,0 +1,286 @@
+/**
+ * JWT Key Loading
+ *
+ * Wiki.js stores its RSA key pair in the settings table:
+ *   certs         { public: '<PEM>', private: '<PEM>' }
+ *   sessionSecret { v: '<hex>' } - passphrase when the private key is encrypted
+ *
+ * After a rotation (see lib/key-rotation.js) certs also lists the public keys
+ * it replaced, which still verify tokens until their grace period ends:
+ *   certs         { public, private, previous: [{ kid, public, rotatedAt, expiresAt }] }
+ * Wiki.js only reads public/private, so the row stays in its format.
+ *
+ * loadKeys() reads the PEMs once. createKeyStore() keeps both keys parsed as
+ * KeyObjects (so signing and verifying never re-parse PEM) and reloads them
+ * when the certs row changes - by polling, by LISTEN/NOTIFY, or both - so key
+ * rotation works without a restart.
+ *
+ * Every key pair has a key ID (kid): the RFC 7638 thumbprint of the public
+ * key. It only depends on the key itself, so all instances of the service
+ * agree on it and it stays the same across restarts.
+ */
+
+const crypto = require('crypto');
+
+// Channel used by database/notify-keys.sql
+const NOTIFY_CHANNEL = 'auth_keys_changed';
+
+/**
+ * Load JWT signing/verification keys from the database
+ * Wiki.js uses RS256 (RSA) for JWT signing
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @returns {Promise<{privateKey: string, publicKey: string, passphrase: string|null, previous: Object[]}>}
+ *   previous: [{ publicKey: '<PEM>', expiresAt: '<ISO date>' }] from earlier rotations
+ * @throws {Error} If the certs setting is missing
+ */
+async function loadKeys(pool) {
+  const result = await pool.query(
+    "SELECT value::text FROM settings WHERE key = 'certs'"
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('certs not found in database');
+  }
+
+  const certsData = JSON.parse(result.rows[0].value);
+  let passphrase = null;
+
+  // Check if private key is encrypted (contains "ENCRYPTED" header)
+  if (certsData.private.includes('ENCRYPTED')) {
+    // Load sessionSecret as passphrase for encrypted private key
+    const secretResult = await pool.query(
+      "SELECT value::text FROM settings WHERE key = 'sessionSecret'"
+    );
+    if (secretResult.rows.length === 0) {
+      throw new Error('private key is encrypted but sessionSecret not found in database');
+    }
+    passphrase = JSON.parse(secretResult.rows[0].value).v;
+  }
+
+  return {
+    privateKey: certsData.private,
+    publicKey: certsData.public,
+    passphrase,
+    previous: (certsData.previous || []).map(key => ({ publicKey: key.public, expiresAt: key.expiresAt }))
+  };
+}
+
+/**
+ * RFC 7638 JWK thumbprint of an RSA public key
+ *
+ * @param {KeyObject} publicKey
+ * @returns {string} base64url SHA-256 of the canonical {e, kty, n} JSON
+ */
+function keyId(publicKey) {
+  const { e, kty, n } = publicKey.export({ format: 'jwk' });
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url');
+}
+
+/**
+ * Public key as a JWK for /.well-known/jwks.json
+ *
+ * @param {{publicKey: KeyObject, kid: string}} keys - As returned by toKeyObjects()
+ * @returns {Object}
+ */
+function toPublicJwk({ publicKey, kid }) {
+  const { kty, n, e } = publicKey.export({ format: 'jwk' });
+  return { kty, use: 'sig', alg: 'RS256', kid, n, e };
+}
+
+/**
+ * Parse PEM keys into KeyObjects (decrypting the private key if needed)
+ *
+ * verificationKeys holds the signing key's public key first, then any
+ * previous keys with the time (ms) they stop being accepted.
+ *
+ * @param {{privateKey: string, publicKey: string, passphrase: string|null, previous: Object[]}} keys
+ * @returns {{privateKey: KeyObject, publicKey: KeyObject, kid: string, verificationKeys: Object[]}}
+ */
+function toKeyObjects({ privateKey, publicKey, passphrase, previous = [] }) {
+  const publicKeyObject = crypto.createPublicKey(publicKey);
+  const kid = keyId(publicKeyObject);
+
+  const verificationKeys = [{ kid, publicKey: publicKeyObject, expiresAt: null }];
+  for (const key of previous) {
+    const previousKey = crypto.createPublicKey(key.publicKey);
+    verificationKeys.push({
+      kid: keyId(previousKey),
+      publicKey: previousKey,
+      expiresAt: key.expiresAt ? new Date(key.expiresAt).getTime() : null
+    });
+  }
+
+  return {
+    privateKey: crypto.createPrivateKey(passphrase ? { key: privateKey, passphrase } : privateKey),
+    publicKey: publicKeyObject,
+    kid,
+    verificationKeys
+  };
+}
+
+/**
+ * Public keys that may verify a token right now
+ *
+ * @param {Object} keys - As returned by toKeyObjects()
+ * @param {string} [kid] - Token header kid; tokens issued before key IDs have none
+ * @returns {Object[]} Matching, unexpired entries of keys.verificationKeys
+ */
+function activeVerificationKeys(keys, kid) {
+  const now = Date.now();
+  return keys.verificationKeys.filter(key =>
+    (key.expiresAt === null || key.expiresAt > now) && (!kid || key.kid === kid));
+}
+
+/**
+ * Key store for keys that never change (e.g. passed in by an embedding app)
+ */
+function createStaticKeyStore(keys) {
+  const keyObjects = toKeyObjects(keys);
+  const loadedAt = new Date();
+  return {
+    getKeys: () => keyObjects,
+    status: () => ({ loadedAt, reloadFailures: 0 }),
+    reload: async () => false,
+    close: async () => {}
+  };
+}
+
+/**
+ * Load the keys and keep them up to date
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} [options] - config.keys (see lib/config.js)
+ * @param {number} [options.pollInterval=0] - Seconds between checks of the certs row (0 = off)
+ * @param {boolean} [options.listen=false] - LISTEN for NOTIFY from database/notify-keys.sql
+ * @param {Object} [options.logger=console]
+ * @returns {Promise<{getKeys: function, status: function, reload: function, close: function}>}
+ * @throws {Error} If the keys cannot be loaded initially
+ */
+async function createKeyStore(pool, { pollInterval = 0, listen = false, logger = console } = {}) {
+  let current = null;
+  let currentCerts = null;
+  let loadedAt = null;
+  let reloadFailures = 0;
+  let pollTimer = null;
+  let listenClient = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  async function readCerts() {
+    const result = await pool.query("SELECT value::text FROM settings WHERE key = 'certs'");
+    return result.rows.length > 0 ? result.rows[0].value : null;
+  }
+
+  /**
+   * Reload the keys if the certs row changed. A broken new key pair is
+   * logged and ignored; the previous keys stay in use.
+   * @returns {Promise<boolean>} True if new keys were loaded
+   */
+  async function reload() {
+    try {
+      const certs = await readCerts();
+      if (certs === currentCerts) {
+        return false;
+      }
+      current = toKeyObjects(await loadKeys(pool));
+      currentCerts = certs;
+      loadedAt = new Date();
+      logger.log(`[${new Date().toISOString()}] KEYS: ✅ JWT keys reloaded from database`);
+      return true;
+    } catch (err) {
+      reloadFailures++;
+      logger.error(`[${new Date().toISOString()}] KEYS: ❌ Reload failed, keeping current keys:`, err.message);
+      return false;
+    }
+  }
+
+  async function startListening() {
+    try {
+      listenClient = await pool.connect();
+      listenClient.on('notification', msg => {
+        if (msg.channel === NOTIFY_CHANNEL) reload();
+      });
+      listenClient.on('error', err => {
+        logger.error(`[${new Date().toISOString()}] KEYS: ❌ LISTEN connection lost:`, err.message);
+        restartListening(err);
+      });
+      await listenClient.query(`LISTEN ${NOTIFY_CHANNEL}`);
+      // Catch changes made while (re)connecting
+      await reload();
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] KEYS: ❌ LISTEN failed:`, err.message);
+      restartListening(err);
+    }
+  }
+
+  function restartListening(err) {
+    if (listenClient) {
+      listenClient.release(err);
+      listenClient = null;
+    }
+    if (!closed && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        startListening();
+      }, 5000);
+      reconnectTimer.unref();
+    }
+  }
+
+  // Initial load: failures here are fatal
+  currentCerts = await readCerts();
+  current = toKeyObjects(await loadKeys(pool));
+  loadedAt = new Date();
+
+  if (pollInterval > 0) {
+    pollTimer = setInterval(reload, pollInterval * 1000);
+    pollTimer.unref();
+  }
+  if (listen) {
+    await startListening();
+  }
+
+  return {
+    /**
+     * @returns {{privateKey: KeyObject, publicKey: KeyObject, kid: string, verificationKeys: Object[]}}
+     */
+    getKeys: () => current,
+    /**
+     * For monitoring (see lib/metrics.js)
+     * @returns {{loadedAt: Date, reloadFailures: number}}
+     */
+    status: () => ({ loadedAt, reloadFailures }),
+    reload,
+    /**
+     * Stop polling and listening
+     */
+    async close() {
+      closed = true;
+      clearInterval(pollTimer);
+      clearTimeout(reconnectTimer);
+      if (listenClient) {
+        try {
+          await listenClient.query(`UNLISTEN ${NOTIFY_CHANNEL}`);
+        } catch (err) {
+          // Connection already gone
+        }
+        listenClient.release();
+        listenClient = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  NOTIFY_CHANNEL,
+  activeVerificationKeys,
+  createKeyStore,
+  createStaticKeyStore,
+  keyId,
+  loadKeys,
+  toKeyObjects,
+  toPublicJwk
+};
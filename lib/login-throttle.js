@@ -0,0 +1,156 @@
+/**
+ * Login Throttle
+ *
+ * Brute-force protection for /api/login, stored in the loginThrottle table so
+ * it survives restarts and is shared by every instance using the database.
+ *
+ * Failures are counted per client IP and per account (email):
+ *   - Back-off: once a key has more than its free attempts, each further
+ *     failure blocks it for baseDelay * 2^n seconds (capped at maxDelay)
+ *   - Lockout: an account with lockoutThreshold consecutive failures is locked
+ *     for lockoutDuration seconds
+ *
+ * Counters reset after failureWindow seconds without failures. A successful
+ * login resets the account counter; IP counters only decay, so one valid
+ * account cannot be used to reset an IP that is guessing others.
+ */
+
+const SCOPE_IP = 'ip';
+const SCOPE_ACCOUNT = 'account';
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Create a login throttle backed by the loginThrottle table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options - config.loginThrottle (see lib/config.js)
+ */
+function createLoginThrottle(pool, options) {
+  const {
+    ipFreeAttempts,
+    accountFreeAttempts,
+    backoffBase,
+    backoffMax,
+    failureWindow,
+    lockoutThreshold,
+    lockoutDuration
+  } = options;
+
+  function backoffSeconds(failures, freeAttempts) {
+    if (failures <= freeAttempts) return 0;
+    const exponent = Math.min(failures - freeAttempts - 1, 30);
+    return Math.min(backoffBase * Math.pow(2, exponent), backoffMax);
+  }
+
+  function secondsUntil(date, now) {
+    return Math.ceil((new Date(date).getTime() - now.getTime()) / 1000);
+  }
+
+  /**
+   * Check whether a login attempt may proceed (call before bcrypt)
+   *
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+   *   reason is 'locked' (account lockout), 'account' or 'ip' (back-off)
+   */
+  async function check({ ip, email }) {
+    const now = new Date();
+    const result = await pool.query(
+      `SELECT scope, "blockedUntil", "lockedUntil"
+       FROM "loginThrottle"
+       WHERE (scope = $1 AND key = $2) OR (scope = $3 AND key = $4)`,
+      [SCOPE_IP, ip || '', SCOPE_ACCOUNT, normalizeEmail(email)]
+    );
+
+    const account = result.rows.find(row => row.scope === SCOPE_ACCOUNT);
+    const client = result.rows.find(row => row.scope === SCOPE_IP);
+
+    if (account && account.lockedUntil && new Date(account.lockedUntil) > now) {
+      return { allowed: false, reason: 'locked', retryAfter: secondsUntil(account.lockedUntil, now) };
+    }
+    if (account && account.blockedUntil && new Date(account.blockedUntil) > now) {
+      return { allowed: false, reason: 'account', retryAfter: secondsUntil(account.blockedUntil, now) };
+    }
+    if (client && client.blockedUntil && new Date(client.blockedUntil) > now) {
+      return { allowed: false, reason: 'ip', retryAfter: secondsUntil(client.blockedUntil, now) };
+    }
+
+    return { allowed: true };
+  }
+
+  // Atomically increment a counter, starting over if the last failure is outside the window
+  async function increment(scope, key, now) {
+    const result = await pool.query(
+      `INSERT INTO "loginThrottle" (scope, key, failures, "lastFailureAt")
+       VALUES ($1, $2, 1, $3)
+       ON CONFLICT (scope, key) DO UPDATE SET
+         failures = CASE
+           WHEN "loginThrottle"."lastFailureAt" < $4 THEN 1
+           ELSE "loginThrottle".failures + 1
+         END,
+         "lastFailureAt" = $3
+       RETURNING failures`,
+      [scope, key, now, new Date(now.getTime() - failureWindow * 1000)]
+    );
+    return result.rows[0].failures;
+  }
+
+  async function block(scope, key, column, until) {
+    await pool.query(
+      `UPDATE "loginThrottle" SET "${column}" = $3 WHERE scope = $1 AND key = $2`,
+      [scope, key, until]
+    );
+  }
+
+  /**
+   * Record a failed login (unknown user, inactive account or wrong password)
+   *
+   * @returns {Promise<{ipFailures: number, accountFailures: number, locked: boolean}>}
+   */
+  async function recordFailure({ ip, email }) {
+    const now = new Date();
+    const accountKey = normalizeEmail(email);
+
+    const ipFailures = await increment(SCOPE_IP, ip || '', now);
+    const ipDelay = backoffSeconds(ipFailures, ipFreeAttempts);
+    if (ipDelay > 0) {
+      await block(SCOPE_IP, ip || '', 'blockedUntil', new Date(now.getTime() + ipDelay * 1000));
+    }
+
+    const accountFailures = await increment(SCOPE_ACCOUNT, accountKey, now);
+    const accountDelay = backoffSeconds(accountFailures, accountFreeAttempts);
+    if (accountDelay > 0) {
+      await block(SCOPE_ACCOUNT, accountKey, 'blockedUntil', new Date(now.getTime() + accountDelay * 1000));
+    }
+
+    const locked = lockoutThreshold > 0 && accountFailures >= lockoutThreshold;
+    if (locked) {
+      await block(SCOPE_ACCOUNT, accountKey, 'lockedUntil', new Date(now.getTime() + lockoutDuration * 1000));
+    }
+
+    return { ipFailures, accountFailures, locked };
+  }
+
+  /**
+   * Reset the account counter after a successful login
+   */
+  async function recordSuccess({ email }) {
+    await pool.query(
+      `DELETE FROM "loginThrottle" WHERE scope = $1 AND key = $2`,
+      [SCOPE_ACCOUNT, normalizeEmail(email)]
+    );
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess
+  };
+}
+
+module.exports = {
+  createLoginThrottle,
+  normalizeEmail
+};
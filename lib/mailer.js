@@ -0,0 +1,90 @@
+/**
+ * Mailer
+ *
+ * Outgoing mail goes through a tiny interface so delivery can be swapped:
+ *
+ *   await mailer.send({ to, subject, text });
+ *
+ * Transports (config.mail.transport):
+ *   console  Log the message (default - development)
+ *   file     Append each message as a JSON line to config.mail.file (tests, staging)
+ *   smtp     Deliver through an SMTP server (nodemailer)
+ *
+ * Any object with a send() method can be passed to createAuthApp as `mailer`.
+ */
+
+const fs = require('fs');
+
+function createConsoleTransport(logger) {
+  return {
+    async send(message) {
+      logger.log(`[${new Date().toISOString()}] MAIL (console transport):`);
+      logger.log(`  From: ${message.from}`);
+      logger.log(`  To: ${message.to}`);
+      logger.log(`  Subject: ${message.subject}`);
+      logger.log('');
+      logger.log(message.text.replace(/^/gm, '  '));
+    }
+  };
+}
+
+function createFileTransport(file) {
+  return {
+    async send(message) {
+      const line = JSON.stringify({ date: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(file, line + '\n');
+    }
+  };
+}
+
+function createSmtpTransport(smtp) {
+  // Only loaded when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+/**
+ * Create a mailer from config.mail
+ *
+ * @param {Object} options - config.mail (see lib/config.js)
+ * @param {Object} [deps]
+ * @param {Object} [deps.logger=console] - Used by the console transport
+ * @returns {{ send: function({to: string, subject: string, text: string}): Promise<void> }}
+ */
+function createMailer(options, { logger = console } = {}) {
+  let transport;
+  switch (options.transport) {
+    case 'smtp':
+      transport = createSmtpTransport(options.smtp);
+      break;
+    case 'file':
+      transport = createFileTransport(options.file);
+      break;
+    case 'console':
+      transport = createConsoleTransport(logger);
+      break;
+    default:
+      throw new Error(`Unknown mail transport: ${options.transport}`);
+  }
+
+  return {
+    async send({ to, subject, text }) {
+      await transport.send({ from: options.from, to, subject, text });
+    }
+  };
+}
+
+module.exports = {
+  createMailer
+};
@@ -0,0 +1,251 @@
+/**
+ * Prometheus Metrics
+ *
+ * Counters, histograms and gauges for GET /metrics (lib/routes/metrics.js),
+ * in a registry of their own so several apps can live in one process:
+ *
+ *   wikijs_auth_login_attempts_total{method,outcome,reason}
+ *   wikijs_auth_bcrypt_compare_duration_seconds
+ *   wikijs_auth_verify_requests_total{endpoint,result}
+ *   wikijs_auth_tokens_issued_total{type}
+ *   wikijs_auth_db_query_duration_seconds, wikijs_auth_db_query_errors_total
+ *   wikijs_auth_db_pool_connections{state}
+ *   wikijs_auth_keys_loaded, wikijs_auth_keys_loaded_timestamp_seconds,
+ *   wikijs_auth_keys_reload_failures_total, wikijs_auth_verification_keys
+ *
+ * Login attempts are counted from audit events (see lib/audit.js), so every
+ * login path that is audited is also counted.
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'wikijs_auth_';
+
+// Audit event type -> method label of login_attempts_total
+const LOGIN_EVENTS = {
+  'login': 'password',
+  'login.mfa': 'mfa',
+  'sso.login': 'sso'
+};
+
+/**
+ * Create the metrics of one app
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.collectDefaultMetrics=false] - Also export process metrics
+ *   (CPU, memory, event loop lag); meant for the standalone service
+ * @returns {Object} Registry plus the recording helpers below
+ */
+function createMetrics({ collectDefaultMetrics = false } = {}) {
+  const register = new client.Registry();
+  const registers = [register];
+
+  if (collectDefaultMetrics) {
+    client.collectDefaultMetrics({ register, prefix: PREFIX });
+  }
+
+  // What the gauges read when scraped, see watchPool() and watchKeys()
+  let watchedPool = null;
+  let watchedKeys = null;
+
+  const loginAttempts = new client.Counter({
+    name: `${PREFIX}login_attempts_total`,
+    help: 'Login attempts by method, outcome and failure reason',
+    labelNames: ['method', 'outcome', 'reason'],
+    registers
+  });
+
+  const bcryptDuration = new client.Histogram({
+    name: `${PREFIX}bcrypt_compare_duration_seconds`,
+    help: 'Time spent comparing passwords with bcrypt',
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers
+  });
+
+  const verifyRequests = new client.Counter({
+    name: `${PREFIX}verify_requests_total`,
+    help: 'Token checks by endpoint and result',
+    labelNames: ['endpoint', 'result'],
+    registers
+  });
+
+  const tokensIssued = new client.Counter({
+    name: `${PREFIX}tokens_issued_total`,
+    help: 'Tokens issued by type',
+    labelNames: ['type'],
+    registers
+  });
+
+  const queryDuration = new client.Histogram({
+    name: `${PREFIX}db_query_duration_seconds`,
+    help: 'Database query latency',
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5],
+    registers
+  });
+
+  const queryErrors = new client.Counter({
+    name: `${PREFIX}db_query_errors_total`,
+    help: 'Database queries that failed',
+    registers
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}db_pool_connections`,
+    help: 'Database pool connections (total, idle) and clients waiting for one',
+    labelNames: ['state'],
+    registers,
+    collect() {
+      if (!watchedPool) return;
+      const states = {
+        total: watchedPool.totalCount,
+        idle: watchedPool.idleCount,
+        waiting: watchedPool.waitingCount
+      };
+      for (const [state, value] of Object.entries(states)) {
+        if (typeof value === 'number') this.set({ state }, value);
+      }
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}keys_loaded`,
+    help: '1 if a signing key is loaded',
+    registers,
+    collect() {
+      if (!watchedKeys) return;
+      const keys = watchedKeys.getKeys();
+      this.set(keys && keys.privateKey ? 1 : 0);
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}keys_loaded_timestamp_seconds`,
+    help: 'When the current keys were loaded',
+    registers,
+    collect() {
+      if (!watchedKeys || !watchedKeys.status) return;
+      this.set(watchedKeys.status().loadedAt.getTime() / 1000);
+    }
+  });
+
+  new client.Counter({
+    name: `${PREFIX}keys_reload_failures_total`,
+    help: 'Key reloads that failed (the previous keys stay in use)',
+    registers,
+    collect() {
+      if (!watchedKeys || !watchedKeys.status) return;
+      this.reset();
+      this.inc(watchedKeys.status().reloadFailures);
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}verification_keys`,
+    help: 'Keys tokens are accepted from (current plus previous keys in their grace period)',
+    registers,
+    collect() {
+      if (!watchedKeys) return;
+      const now = Date.now();
+      this.set(watchedKeys.getKeys().verificationKeys
+        .filter(key => key.expiresAt === null || key.expiresAt > now).length);
+    }
+  });
+
+  /**
+   * Count an audit event (see lib/audit.js); only login events are counted
+   * @param {Object} event - As passed to audit.record()
+   */
+  function countEvent({ type, outcome, reason }) {
+    if (LOGIN_EVENTS[type]) {
+      loginAttempts.inc({ method: LOGIN_EVENTS[type], outcome, reason: reason || '' });
+    }
+  }
+
+  return {
+    register,
+    countEvent,
+
+    /**
+     * Wrap an audit log so that recorded events are counted too
+     * @param {Object} audit - Object with record(event)
+     * @returns {Object} Object with record(event)
+     */
+    observeAudit(audit) {
+      return {
+        record: event => {
+          countEvent(event);
+          return audit.record(event);
+        }
+      };
+    },
+
+    /**
+     * Time a bcrypt comparison
+     * @param {function(): Promise<boolean>} compare - e.g. () => bcrypt.compare(password, hash)
+     */
+    async timeBcrypt(compare) {
+      const end = bcryptDuration.startTimer();
+      try {
+        return await compare();
+      } finally {
+        end();
+      }
+    },
+
+    /**
+     * @param {string} endpoint - verify, authorize, introspect, can
+     * @param {string} result - valid, missing, invalid, expired, revoked, forbidden or error
+     */
+    countVerify(endpoint, result) {
+      verifyRequests.inc({ endpoint, result });
+    },
+
+    /**
+     * @param {string} type - access, refresh, personal_access_token, oidc_access, oidc_id
+     */
+    countToken(type) {
+      tokensIssued.inc({ type });
+    },
+
+    /**
+     * Pool whose queries are timed; connect() goes to the pool itself
+     * @param {Pool} pool
+     * @returns {Object} Object with query() and connect()
+     */
+    instrumentPool(pool) {
+      return {
+        async query(...args) {
+          const end = queryDuration.startTimer();
+          try {
+            return await pool.query(...args);
+          } catch (err) {
+            queryErrors.inc();
+            throw err;
+          } finally {
+            end();
+          }
+        },
+        connect: (...args) => pool.connect(...args)
+      };
+    },
+
+    /**
+     * Report the connection counts of a pg Pool
+     */
+    watchPool(pool) {
+      watchedPool = pool;
+    },
+
+    /**
+     * Report the status of a key store (see lib/keys.js); stores without
+     * status() only report keys_loaded and verification_keys
+     */
+    watchKeys(keyStore) {
+      watchedKeys = keyStore;
+    }
+  };
+}
+
+module.exports = {
+  createMetrics
+};
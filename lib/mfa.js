@@ -0,0 +1,201 @@
+/**
+ * Two-Factor Authentication Store
+ *
+ * TOTP secrets live in userMfa (one row per user). A row with enabledAt NULL
+ * is an enrollment that has not been confirmed with a code yet. One-time
+ * recovery codes are stored as SHA-256 hashes in mfaRecoveryCodes - they are
+ * high-entropy random strings, so a fast hash is sufficient.
+ */
+
+const crypto = require('crypto');
+const totp = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o, 1/i/l
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// 10 characters (~49 bits), displayed as xxxxx-xxxxx
+function generateRecoveryCode() {
+  let code = '';
+  for (let i = 0; i < 10; i++) {
+    code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Create an MFA store backed by the userMfa and mfaRecoveryCodes tables
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ */
+function createMfaStore(pool) {
+  async function getRow(userId) {
+    const result = await pool.query(
+      `SELECT "userId", secret, "enabledAt", "lastUsedStep" FROM "userMfa" WHERE "userId" = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Whether the user must enter a code at login
+   */
+  async function isEnabled(userId) {
+    const row = await getRow(userId);
+    return Boolean(row && row.enabledAt);
+  }
+
+  /**
+   * @returns {Promise<{enabled: boolean, pending: boolean, recoveryCodesRemaining: number}>}
+   */
+  async function getStatus(userId) {
+    const row = await getRow(userId);
+    const codes = await pool.query(
+      `SELECT COUNT(*) AS remaining FROM "mfaRecoveryCodes" WHERE "userId" = $1 AND "usedAt" IS NULL`,
+      [userId]
+    );
+    return {
+      enabled: Boolean(row && row.enabledAt),
+      pending: Boolean(row && !row.enabledAt),
+      recoveryCodesRemaining: Number(codes.rows[0].remaining)
+    };
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret. Does not touch an
+   * already-enabled configuration.
+   * @returns {Promise<string|null>} Base32 secret, or null if MFA is already enabled
+   */
+  async function startEnrollment(userId) {
+    const row = await getRow(userId);
+    if (row && row.enabledAt) {
+      return null;
+    }
+
+    const secret = totp.generateSecret();
+    if (row) {
+      await pool.query(
+        `UPDATE "userMfa" SET secret = $2, "lastUsedStep" = NULL, "createdAt" = NOW() WHERE "userId" = $1`,
+        [userId, secret]
+      );
+    } else {
+      await pool.query(
+        `INSERT INTO "userMfa" ("userId", secret) VALUES ($1, $2)`,
+        [userId, secret]
+      );
+    }
+    return secret;
+  }
+
+  // Accept each time step at most once (blocks replay of an observed code)
+  async function consumeStep(userId, step) {
+    const result = await pool.query(
+      `UPDATE "userMfa" SET "lastUsedStep" = $2
+       WHERE "userId" = $1 AND ("lastUsedStep" IS NULL OR "lastUsedStep" < $2)
+       RETURNING "userId"`,
+      [userId, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {Promise<string[]>} The new codes (only time they are available in plain text)
+   */
+  async function regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await pool.query(`DELETE FROM "mfaRecoveryCodes" WHERE "userId" = $1`, [userId]);
+    for (const code of codes) {
+      await pool.query(
+        `INSERT INTO "mfaRecoveryCodes" ("userId", "codeHash") VALUES ($1, $2)`,
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+    return codes;
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+   */
+  async function activate(userId, code) {
+    const row = await getRow(userId);
+    if (!row || row.enabledAt) {
+      return null;
+    }
+
+    const step = totp.verify(row.secret, code);
+    if (step === null || !(await consumeStep(userId, step))) {
+      return null;
+    }
+
+    await pool.query(`UPDATE "userMfa" SET "enabledAt" = NOW() WHERE "userId" = $1`, [userId]);
+    return regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Check a TOTP code for a user with MFA enabled
+   */
+  async function verifyCode(userId, code) {
+    const row = await getRow(userId);
+    if (!row || !row.enabledAt) {
+      return false;
+    }
+
+    const step = totp.verify(row.secret, code);
+    return step !== null && consumeStep(userId, step);
+  }
+
+  /**
+   * Use (and burn) a recovery code
+   */
+  async function useRecoveryCode(userId, code) {
+    if (!normalizeRecoveryCode(code)) {
+      return false;
+    }
+    const result = await pool.query(
+      `UPDATE "mfaRecoveryCodes" SET "usedAt" = NOW()
+       WHERE "userId" = $1 AND "codeHash" = $2 AND "usedAt" IS NULL
+       RETURNING id`,
+      [userId, hashRecoveryCode(code)]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Remove MFA (secret and recovery codes) for a user
+   * @returns {Promise<boolean>} True if MFA was configured
+   */
+  async function disable(userId) {
+    await pool.query(`DELETE FROM "mfaRecoveryCodes" WHERE "userId" = $1`, [userId]);
+    const result = await pool.query(
+      `DELETE FROM "userMfa" WHERE "userId" = $1 RETURNING "userId"`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  return {
+    isEnabled,
+    getStatus,
+    startEnrollment,
+    activate,
+    verifyCode,
+    useRecoveryCode,
+    regenerateRecoveryCodes,
+    disable
+  };
+}
+
+module.exports = {
+  createMfaStore,
+  hashRecoveryCode
+};
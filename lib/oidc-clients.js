@@ -0,0 +1,159 @@
+/**
+ * OIDC Client Store
+ *
+ * Applications that log users in through the OIDC provider routes
+ * (lib/routes/oidc.js) are registered in the oidcClients table:
+ *   - Confidential clients (server-side apps such as Grafana) get a secret.
+ *     Only its SHA-256 hash is stored; the secret is shown once at creation.
+ *   - Public clients (no place to keep a secret) rely on PKCE alone.
+ * Redirect URIs must match exactly - no prefixes or wildcards.
+ *
+ * Used by the routes and by admin.js client:create, client:list, client:delete.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./refresh-tokens');
+
+const SECRET_BYTES = 32;
+
+/**
+ * Check a redirect URI before registering it
+ * @returns {string|null} Problem description, or null if acceptable
+ */
+function redirectUriProblem(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (err) {
+    return `not an absolute URL: ${uri}`;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return `scheme not allowed: ${uri}`;
+  }
+  if (url.hash) {
+    return `fragment not allowed: ${uri}`;
+  }
+  return null;
+}
+
+/**
+ * Create a client store backed by the oidcClients table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ */
+function createClientStore(pool) {
+  /**
+   * Register a client
+   * @param {Object} client
+   * @param {string} client.name - Display name
+   * @param {string[]} client.redirectUris
+   * @param {boolean} [client.confidential=true] - Issue a client secret
+   * @returns {Promise<{id: string, secret: string|null}>} The secret is not stored and cannot be shown again
+   * @throws {Error} If a redirect URI is invalid
+   */
+  async function create({ name, redirectUris, confidential = true }) {
+    if (!redirectUris || redirectUris.length === 0) {
+      throw new Error('at least one redirect URI is required');
+    }
+    for (const uri of redirectUris) {
+      const problem = redirectUriProblem(uri);
+      if (problem) {
+        throw new Error(`invalid redirect URI, ${problem}`);
+      }
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const secret = confidential ? crypto.randomBytes(SECRET_BYTES).toString('base64url') : null;
+
+    await pool.query(
+      `INSERT INTO "oidcClients" (id, name, "secretHash", "redirectUris")
+       VALUES ($1, $2, $3, $4)`,
+      [id, name, secret ? hashToken(secret) : null, JSON.stringify(redirectUris)]
+    );
+
+    return { id, secret };
+  }
+
+  async function findRow(id) {
+    if (!id || typeof id !== 'string') {
+      return null;
+    }
+    const result = await pool.query(
+      `SELECT id, name, "secretHash", "redirectUris", "createdAt" FROM "oidcClients" WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { id, name, confidential, redirectUris, createdAt }
+   */
+  async function find(id) {
+    const row = await findRow(id);
+    return row ? toClient(row) : null;
+  }
+
+  /**
+   * Check a client's credentials
+   * @returns {Promise<Object|null>} The client, or null if unknown or the secret is wrong.
+   *   Public clients are returned without a secret; presenting one for them fails.
+   */
+  async function authenticate(id, secret) {
+    const row = await findRow(id);
+    if (!row) {
+      return null;
+    }
+
+    if (row.secretHash === null) {
+      return secret ? null : toClient(row);
+    }
+    if (!secret || typeof secret !== 'string') {
+      return null;
+    }
+    const expected = Buffer.from(row.secretHash, 'hex');
+    const actual = Buffer.from(hashToken(secret), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? toClient(row) : null;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} All clients, oldest first
+   */
+  async function list() {
+    const result = await pool.query(
+      `SELECT id, name, "secretHash", "redirectUris", "createdAt" FROM "oidcClients" ORDER BY "createdAt", id`
+    );
+    return result.rows.map(toClient);
+  }
+
+  /**
+   * Delete a client; its outstanding authorization codes go with it
+   * @returns {Promise<boolean>} False if no such client
+   */
+  async function remove(id) {
+    const result = await pool.query('DELETE FROM "oidcClients" WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  function toClient(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      confidential: row.secretHash !== null,
+      redirectUris: row.redirectUris,
+      createdAt: row.createdAt
+    };
+  }
+
+  return {
+    create,
+    find,
+    authenticate,
+    list,
+    delete: remove
+  };
+}
+
+module.exports = {
+  createClientStore,
+  redirectUriProblem
+};
@@ -0,0 +1,87 @@
+/**
+ * OIDC Authorization Code Store
+ *
+ * Codes are random strings handed to the client through the browser redirect.
+ * Only a SHA-256 hash is stored (oidcAuthCodes table). A code is bound to the
+ * client, redirect URI and PKCE challenge it was issued for, can be exchanged
+ * once and expires after `expiresIn` seconds.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./refresh-tokens');
+
+const CODE_BYTES = 32;
+
+/**
+ * PKCE S256: BASE64URL(SHA256(code_verifier)) (RFC 7636 section 4.2)
+ */
+function pkceChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Create an authorization code store backed by the oidcAuthCodes table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options
+ * @param {number} options.expiresIn - Code lifetime in seconds
+ */
+function createAuthorizationCodeStore(pool, { expiresIn }) {
+  /**
+   * Issue a code
+   * @param {Object} grant
+   * @param {string} grant.clientId
+   * @param {number} grant.userId
+   * @param {string} grant.redirectUri
+   * @param {string} grant.scope
+   * @param {string} [grant.nonce]
+   * @param {string} grant.codeChallenge - S256 challenge
+   * @returns {Promise<string>} The code
+   */
+  async function create({ clientId, userId, redirectUri, scope, nonce, codeChallenge }) {
+    const now = new Date();
+    const code = crypto.randomBytes(CODE_BYTES).toString('base64url');
+
+    await pool.query(
+      `INSERT INTO "oidcAuthCodes"
+         ("codeHash", "clientId", "userId", "redirectUri", scope, nonce, "codeChallenge", "expiresAt", "createdAt")
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        hashToken(code), clientId, userId, redirectUri, scope, nonce || null, codeChallenge,
+        new Date(now.getTime() + expiresIn * 1000), now
+      ]
+    );
+
+    return code;
+  }
+
+  /**
+   * Use a code. Marking it used and checking it happen in one UPDATE, so a
+   * code cannot be exchanged twice concurrently.
+   * @returns {Promise<Object|null>} { clientId, userId, redirectUri, scope, nonce, codeChallenge },
+   *   or null if the code is invalid, used or expired
+   */
+  async function consume(code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+    const now = new Date();
+    const result = await pool.query(
+      `UPDATE "oidcAuthCodes" SET "usedAt" = $2
+       WHERE "codeHash" = $1 AND "usedAt" IS NULL AND "expiresAt" > $2
+       RETURNING "clientId", "userId", "redirectUri", scope, nonce, "codeChallenge"`,
+      [hashToken(code), now]
+    );
+    return result.rows[0] || null;
+  }
+
+  return {
+    create,
+    consume
+  };
+}
+
+module.exports = {
+  createAuthorizationCodeStore,
+  pkceChallenge
+};
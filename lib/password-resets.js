@@ -0,0 +1,83 @@
+/**
+ * Password Reset Store
+ *
+ * Reset tokens are random strings sent to the user by mail. Only a SHA-256
+ * hash is stored (passwordResets table). A token can be used once, expires
+ * after `expiresIn` seconds and is superseded when a newer one is requested.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./refresh-tokens');
+
+const TOKEN_BYTES = 32;
+
+/**
+ * Create a password reset store backed by the passwordResets table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options
+ * @param {number} options.expiresIn - Token lifetime in seconds
+ * @param {number} [options.resendInterval=60] - Minimum seconds between tokens for one user
+ */
+function createPasswordResetStore(pool, { expiresIn, resendInterval = 60 }) {
+  /**
+   * Create a reset token, invalidating any earlier ones for the user
+   * @returns {Promise<{token: string, expiresAt: Date}|null>} null if one was
+   *   requested less than resendInterval seconds ago (limits mail flooding)
+   */
+  async function create(userId) {
+    const now = new Date();
+
+    const recent = await pool.query(
+      `SELECT id FROM "passwordResets"
+       WHERE "userId" = $1 AND "usedAt" IS NULL AND "createdAt" > $2`,
+      [userId, new Date(now.getTime() - resendInterval * 1000)]
+    );
+    if (recent.rows.length > 0) {
+      return null;
+    }
+
+    await pool.query(
+      `UPDATE "passwordResets" SET "usedAt" = $2 WHERE "userId" = $1 AND "usedAt" IS NULL`,
+      [userId, now]
+    );
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const expiresAt = new Date(now.getTime() + expiresIn * 1000);
+    await pool.query(
+      `INSERT INTO "passwordResets" ("userId", "tokenHash", "expiresAt", "createdAt")
+       VALUES ($1, $2, $3, $4)`,
+      [userId, hashToken(token), expiresAt, now]
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Use a reset token. Marking it used and checking it happen in one UPDATE,
+   * so a token cannot be consumed twice concurrently.
+   * @returns {Promise<number|null>} The user ID, or null if the token is invalid, used or expired
+   */
+  async function consume(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+    const now = new Date();
+    const result = await pool.query(
+      `UPDATE "passwordResets" SET "usedAt" = $2
+       WHERE "tokenHash" = $1 AND "usedAt" IS NULL AND "expiresAt" > $2
+       RETURNING "userId"`,
+      [hashToken(token), now]
+    );
+    return result.rows.length > 0 ? result.rows[0].userId : null;
+  }
+
+  return {
+    create,
+    consume
+  };
+}
+
+module.exports = {
+  createPasswordResetStore
+};
@@ -0,0 +1,15 @@
+/**
+ * Password Rules
+ *
+ * Shared by the password routes (lib/routes/password.js), admin.js and the
+ * admin console (lib/user-admin.js), so every way of setting a password
+ * applies the same minimum length and bcrypt cost.
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  MIN_PASSWORD_LENGTH
+};
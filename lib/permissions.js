@@ -0,0 +1,143 @@
+/**
+ * Wiki.js Permission Evaluation
+ *
+ * Applies the permissions and page rules of Wiki.js groups the way Wiki.js
+ * 2.x does (WIKI.auth.checkAccess), so other services can give the same
+ * answer as the wiki. Each group has:
+ *   permissions  Global permissions, e.g. ["read:pages", "write:pages"]
+ *   pageRules    [{ id, deny, match, roles, path, locales }]
+ *
+ * A user may do something when one of their groups has manage:system, or
+ * when one of their groups has the permission and - for a page - the page
+ * rules allow it. Rules apply when their roles include the permission and
+ * their locales (if any) include the page's locale, and match the page by:
+ *   START  the path starts with the rule path
+ *   END    the path ends with the rule path
+ *   REGEX  the path matches the rule path as a regular expression
+ *   TAG    the page has the tag named by the rule path
+ *   EXACT  the path equals the rule path
+ * The most specific matching rule (longest rule path) decides. On a tie the
+ * match type ranks EXACT > TAG > REGEX > END > START, and of two rules with
+ * the same type the deny wins. Without a matching rule the answer is deny.
+ */
+
+const ADMIN_PERMISSION = 'manage:system';
+
+// Match types that a rule of the given type cannot override on a tie
+const HIGHER_PRIORITY = {
+  START: ['END', 'REGEX', 'EXACT', 'TAG'],
+  END: ['REGEX', 'EXACT', 'TAG'],
+  REGEX: ['EXACT', 'TAG'],
+  TAG: ['EXACT'],
+  EXACT: []
+};
+
+function ruleMatches(rule, page) {
+  switch (rule.match) {
+    case 'START':
+      return `/${page.path}`.startsWith(`/${rule.path}`);
+    case 'END':
+      return page.path.endsWith(rule.path);
+    case 'REGEX':
+      try {
+        return new RegExp(rule.path).test(page.path);
+      } catch (err) {
+        // Wiki.js fails the whole check on a bad pattern; skip the rule instead
+        return false;
+      }
+    case 'TAG':
+      return page.tags.includes(rule.path);
+    case 'EXACT':
+      return page.path === rule.path;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Keep the current decision or replace it with a matching rule
+ * (Wiki.js _applyPageRuleSpecificity)
+ */
+function applyRule(state, rule) {
+  if (rule.path.length === state.specificity.length) {
+    if (HIGHER_PRIORITY[rule.match].includes(state.match)) {
+      return state;
+    }
+    if (state.match === rule.match && state.deny && !rule.deny) {
+      return state;
+    }
+  } else if (rule.path.length < state.specificity.length) {
+    return state;
+  }
+  return { deny: Boolean(rule.deny), match: rule.match, specificity: rule.path, rule };
+}
+
+/**
+ * Normalize a page path the way Wiki.js stores it (no leading or trailing /)
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  return String(path).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Decide whether members of the groups have a permission
+ *
+ * @param {Object[]} groups - The user's groups: { id, permissions, pageRules }
+ * @param {string} permission - e.g. 'read:pages'
+ * @param {Object} [page] - Omit to check the global permission only
+ * @param {string} page.path - Page path without leading slash, e.g. 'docs/setup'
+ * @param {string} page.locale - e.g. 'en'
+ * @param {string[]} [page.tags] - The page's tags, for TAG rules
+ * @returns {{allowed: boolean, reason: string, rule?: Object}} reason is one of
+ *   admin, permission (no page given), page_rule, page_rule_deny, no_permission
+ *   or no_page_rule; rule is the page rule that decided
+ */
+function checkAccess(groups, permission, page = null) {
+  const permissions = new Set(groups.flatMap(group => group.permissions || []));
+
+  if (permissions.has(ADMIN_PERMISSION)) {
+    return { allowed: true, reason: 'admin' };
+  }
+  if (!permissions.has(permission)) {
+    return { allowed: false, reason: 'no_permission' };
+  }
+  if (!page) {
+    return { allowed: true, reason: 'permission' };
+  }
+
+  const target = { path: normalizePath(page.path), locale: page.locale, tags: page.tags || [] };
+  let state = { deny: false, match: false, specificity: '', rule: null };
+
+  for (const group of groups) {
+    for (const rule of group.pageRules || []) {
+      if (rule.locales && rule.locales.length > 0 && !rule.locales.includes(target.locale)) {
+        continue;
+      }
+      if (!(rule.roles || []).includes(permission) || !HIGHER_PRIORITY[rule.match]) {
+        continue;
+      }
+      const candidate = { ...rule, path: String(rule.path || '') };
+      if (ruleMatches(candidate, target)) {
+        state = applyRule(state, candidate);
+      }
+    }
+  }
+
+  if (!state.match) {
+    return { allowed: false, reason: 'no_page_rule' };
+  }
+  const { id, match, path, deny } = state.rule;
+  return {
+    allowed: !state.deny,
+    reason: state.deny ? 'page_rule_deny' : 'page_rule',
+    rule: { id, match, path, deny: Boolean(deny) }
+  };
+}
+
+module.exports = {
+  ADMIN_PERMISSION,
+  checkAccess,
+  normalizePath
+};
@@ -0,0 +1,41 @@
+/**
+ * Credential Providers
+ *
+ * Local accounts (users."providerKey" = 'local', bcrypt password) are checked
+ * by the login route itself. A login that matches no local account is offered
+ * to each credential provider in turn. A provider is an object with:
+ *
+ *   key            users."providerKey" for the accounts it vouches for
+ *   name           Label for logs
+ *   authenticate(username, password)
+ *                  Resolves to { email, name, groups } when the credentials are
+ *                  valid (groups: Wiki.js group names, or undefined to leave
+ *                  memberships alone), to null when they are
+ *                  not, and rejects when the backend cannot answer
+ *
+ * The users row for a successful login is created or updated by
+ * lib/provisioning.js, so the JWT carries a normal id and groups claim.
+ *
+ * Embedding apps can pass their own providers to createAuthApp().
+ */
+
+const { createLdapProvider } = require('./ldap');
+
+/**
+ * Build the providers enabled in config
+ *
+ * @param {Object} config - Validated config (see lib/config.js)
+ * @returns {Object[]} Providers, in the order they are tried
+ */
+function createCredentialProviders(config) {
+  const providers = [];
+  if (config.ldap.enabled) {
+    providers.push(createLdapProvider(config.ldap));
+  }
+  return providers;
+}
+
+module.exports = {
+  createCredentialProviders,
+  createLdapProvider
+};
@@ -0,0 +1,206 @@
+/**
+ * LDAP / Active Directory Credential Provider
+ *
+ * Checks a login against a directory:
+ *   1. Bind with the service account (or anonymously) and find the user
+ *      entry with searchFilter, e.g. (mail={{username}})
+ *   2. Find the user's groups: a search under groupSearchBase when set,
+ *      otherwise the memberOf attribute (Active Directory, OpenLDAP overlay)
+ *   3. Bind as the user with the password - the directory decides
+ *
+ * Groups are mapped to Wiki.js group names with groupMap (keys are group DNs
+ * or CNs, case-insensitive); unmapped groups are dropped. Without a map the
+ * directory's groups are not used at all and memberships are managed locally:
+ * matching CNs to group names as-is would let anyone who can name a directory
+ * group "admin" hand out the wiki's admin group.
+ *
+ * See lib/providers/index.js for the provider interface.
+ */
+
+const DEFAULT_TIMEOUT = 5000;
+
+// RFC 4515 section 3: characters that must be escaped in filter values
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function fillFilter(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    name in values ? escapeFilterValue(values[name]) : match);
+}
+
+// Attribute values by lower-cased name (directories differ in case)
+function attributeMap(entry) {
+  const map = new Map();
+  for (const { type, values } of entry.attributes) {
+    map.set(type.toLowerCase(), values);
+  }
+  return map;
+}
+
+function firstValue(attributes, name) {
+  const values = attributes.get(name.toLowerCase());
+  return values && values.length > 0 ? values[0] : undefined;
+}
+
+function commonName(dn) {
+  const match = /^cn=((?:\\.|[^,])+)/i.exec(dn);
+  return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * Create an LDAP credential provider
+ *
+ * @param {Object} options - config.ldap (see lib/config.js)
+ * @param {string} options.url - ldap:// or ldaps:// URL
+ * @param {string} [options.bindDn] - Service account for searches (anonymous if unset)
+ * @param {string} [options.bindCredentials]
+ * @param {string} options.searchBase
+ * @param {string} options.searchFilter - {{username}} is replaced with the escaped login
+ * @param {string} [options.groupSearchBase] - Search groups here instead of reading memberOf
+ * @param {string} [options.groupSearchFilter] - {{dn}} is the user DN, {{username}} the login
+ * @param {Object} [options.groupMap] - LDAP group DN or CN -> Wiki.js group name
+ * @param {string} options.emailAttribute
+ * @param {string} options.nameAttribute
+ * @param {string} options.providerKey - users."providerKey" for these accounts
+ * @param {number} [options.timeout=5000] - Milliseconds per connection and operation
+ * @param {boolean} [options.tlsRejectUnauthorized=true]
+ * @returns {{key: string, name: string, authenticate: function}}
+ */
+function createLdapProvider(options) {
+  // Only loaded when LDAP is actually used
+  const ldap = require('ldapjs');
+
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const groupMap = new Map(Object.entries(options.groupMap || {})
+    .map(([ldapGroup, group]) => [ldapGroup.toLowerCase(), group]));
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const client = ldap.createClient({
+        url: options.url,
+        timeout,
+        connectTimeout: timeout,
+        tlsOptions: { rejectUnauthorized: options.tlsRejectUnauthorized !== false }
+      });
+      const onError = err => reject(err);
+      client.once('error', onError);
+      client.once('connect', () => {
+        client.removeListener('error', onError);
+        // Errors after connecting surface through the failing operation
+        client.on('error', () => {});
+        resolve(client);
+      });
+    });
+  }
+
+  function bind(client, dn, password) {
+    return new Promise((resolve, reject) => {
+      client.bind(dn, password, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  function search(client, base, filter, attributes) {
+    return new Promise((resolve, reject) => {
+      client.search(base, { scope: 'sub', filter, attributes, sizeLimit: 100 }, (err, res) => {
+        if (err) return reject(err);
+        const entries = [];
+        res.on('searchEntry', entry => {
+          const { objectName, attributes: list } = entry.pojo;
+          entries.push({ dn: objectName, attributes: list });
+        });
+        res.on('error', reject);
+        res.on('end', () => resolve(entries));
+      });
+    });
+  }
+
+  function mapGroups(groupDns) {
+    const names = new Set();
+    for (const dn of groupDns) {
+      const cn = commonName(dn);
+      const mapped = groupMap.get(dn.toLowerCase()) || (cn && groupMap.get(cn.toLowerCase()));
+      if (mapped) names.add(mapped);
+    }
+    return [...names];
+  }
+
+  /**
+   * @param {string} username - What the user typed as email/login
+   * @param {string} password
+   * @returns {Promise<{email: string, name: string, groups: string[]|undefined}|null>}
+   *   null for unknown users and wrong passwords; groups is undefined without a groupMap
+   * @throws {Error} If the directory cannot be reached or searched
+   */
+  async function authenticate(username, password) {
+    // An empty password would be an anonymous bind, which "succeeds"
+    if (!username || !password || typeof password !== 'string') {
+      return null;
+    }
+
+    const client = await connect();
+    try {
+      if (options.bindDn) {
+        await bind(client, options.bindDn, options.bindCredentials || '');
+      }
+
+      const users = await search(
+        client,
+        options.searchBase,
+        fillFilter(options.searchFilter, { username }),
+        [options.emailAttribute, options.nameAttribute, 'cn', 'memberOf']
+      );
+      if (users.length !== 1) {
+        return null;
+      }
+      const user = users[0];
+      const attributes = attributeMap(user);
+
+      let groupDns;
+      if (options.groupSearchBase) {
+        const groups = await search(
+          client,
+          options.groupSearchBase,
+          fillFilter(options.groupSearchFilter, { dn: user.dn, username }),
+          ['cn']
+        );
+        groupDns = groups.map(group => group.dn);
+      } else {
+        groupDns = attributes.get('memberof') || [];
+      }
+
+      try {
+        await bind(client, user.dn, password);
+      } catch (err) {
+        if (err instanceof ldap.InvalidCredentialsError) {
+          return null;
+        }
+        throw err;
+      }
+
+      const email = firstValue(attributes, options.emailAttribute);
+      if (!email) {
+        throw new Error(`LDAP entry ${user.dn} has no ${options.emailAttribute} attribute`);
+      }
+
+      return {
+        email: email.toLowerCase(),
+        name: firstValue(attributes, options.nameAttribute) || firstValue(attributes, 'cn') || email,
+        groups: groupMap.size > 0 ? mapGroups(groupDns) : undefined
+      };
+    } finally {
+      client.unbind(() => client.destroy());
+    }
+  }
+
+  return {
+    key: options.providerKey,
+    name: 'LDAP',
+    authenticate
+  };
+}
+
+module.exports = {
+  createLdapProvider,
+  escapeFilterValue
+};
@@ -0,0 +1,135 @@
+/**
+ * Just-in-Time User Provisioning
+ *
+ * Accounts vouched for by an external provider (LDAP, upstream SSO) get a
+ * normal users row on their first login, so the JWT carries a user ID and
+ * groups claim like any other account. On every login the name and group
+ * memberships are brought in line with what the provider reported.
+ *
+ * Groups are matched by name (case-insensitive) against the existing groups
+ * table. Groups are never created here: a provider group without a Wiki.js
+ * counterpart is ignored, so the wiki's permission model stays in the hands
+ * of its administrators.
+ */
+
+class ProvisioningError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProvisioningError';
+  }
+}
+
+/**
+ * Create or update the users row for an externally authenticated login
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} profile
+ * @param {string} profile.providerKey - users."providerKey" for the provider
+ * @param {string} profile.email
+ * @param {string} profile.name
+ * @param {string[]} [profile.groups] - Wiki.js group names; memberships are left
+ *   unchanged when undefined (the provider did not say)
+ * @returns {Promise<{user: Object, created: boolean, unknownGroups: string[]}>}
+ *   user has id, email, name, isActive and isVerified
+ * @throws {ProvisioningError} If the email belongs to an account of another provider
+ */
+async function provisionUser(pool, { providerKey, email, name, groups }) {
+  const now = new Date().toISOString();
+
+  const existing = await pool.query(
+    `SELECT id, email, name, "isActive", "isVerified", "providerKey" FROM users WHERE email = $1`,
+    [email]
+  );
+
+  let user = existing.rows[0];
+  let created = false;
+
+  if (user) {
+    // Never let a provider login take over e.g. a local account
+    if (user.providerKey !== providerKey) {
+      throw new ProvisioningError(`${email} is already registered with provider "${user.providerKey}"`);
+    }
+    if (name && name !== user.name) {
+      await pool.query(
+        `UPDATE users SET name = $2, "updatedAt" = $3 WHERE id = $1`,
+        [user.id, name, now]
+      );
+      user = { ...user, name };
+    }
+  } else {
+    // No password: these accounts can only log in through their provider
+    const result = await pool.query(
+      `INSERT INTO users (email, name, password, "isActive", "isVerified", "providerKey", "createdAt", "updatedAt")
+       VALUES ($1, $2, '', true, true, $3, $4, $4)
+       RETURNING id, email, name, "isActive", "isVerified"`,
+      [email, name || email, providerKey, now]
+    );
+    user = result.rows[0];
+    created = true;
+  }
+
+  const unknownGroups = groups ? await syncGroups(pool, user.id, groups) : [];
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      isActive: user.isActive,
+      isVerified: user.isVerified
+    },
+    created,
+    unknownGroups
+  };
+}
+
+/**
+ * Make the user's memberships exactly the named groups
+ * @returns {Promise<string[]>} Names that matched no group
+ */
+async function syncGroups(pool, userId, groupNames) {
+  // The groups table is small; matching in JS keeps the comparison case-insensitive
+  const allGroups = await pool.query('SELECT id, name FROM groups');
+  const byName = new Map(allGroups.rows.map(group => [group.name.toLowerCase(), group.id]));
+
+  const wanted = new Set();
+  const unknownGroups = [];
+  for (const groupName of groupNames) {
+    const id = byName.get(groupName.toLowerCase());
+    if (id === undefined) {
+      unknownGroups.push(groupName);
+    } else {
+      wanted.add(id);
+    }
+  }
+
+  const current = await pool.query(
+    'SELECT "groupId" FROM "userGroups" WHERE "userId" = $1',
+    [userId]
+  );
+  const have = new Set(current.rows.map(row => row.groupId));
+
+  for (const groupId of have) {
+    if (!wanted.has(groupId)) {
+      await pool.query(
+        'DELETE FROM "userGroups" WHERE "userId" = $1 AND "groupId" = $2',
+        [userId, groupId]
+      );
+    }
+  }
+  for (const groupId of wanted) {
+    if (!have.has(groupId)) {
+      await pool.query(
+        'INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)',
+        [userId, groupId]
+      );
+    }
+  }
+
+  return unknownGroups;
+}
+
+module.exports = {
+  provisionUser,
+  ProvisioningError
+};
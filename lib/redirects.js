@@ -0,0 +1,97 @@
+/**
+ * Redirect Validation
+ *
+ * Checks the returnTo/redirect target of a login against an allow-list so the
+ * login page cannot be used as an open redirect:
+ *   - Relative paths ("/secure/report.pdf") stay on this host
+ *   - Absolute http(s) URLs must name an allowed host; ".example.com" allows
+ *     example.com and all its subdomains
+ *   - In both cases the (normalized) path must be under an allowed prefix
+ *
+ * Anything else - other schemes, protocol-relative "//evil.com", backslash
+ * tricks, embedded credentials - is refused.
+ */
+
+const MAX_LENGTH = 2048;
+
+// Only used to parse relative targets, never part of a result
+const RELATIVE_BASE = 'http://relative.invalid';
+
+// Entries with a port must match host:port, entries without one match any port
+function hostAllowed(url, allowedHosts) {
+  return allowedHosts.some(allowed => {
+    const host = allowed.includes(':') ? url.host : url.hostname;
+    if (allowed.startsWith('.')) {
+      return host === allowed.slice(1) || host.endsWith(allowed);
+    }
+    return host === allowed;
+  });
+}
+
+function pathAllowed(pathname, allowedPaths) {
+  return allowedPaths.some(prefix => {
+    if (pathname === prefix) return true;
+    return pathname.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+  });
+}
+
+/**
+ * Create a validator for redirect targets
+ *
+ * @param {Object} options - config.redirect (see lib/config.js)
+ * @param {string[]} options.allowedHosts - Hosts (host or host:port) allowed in absolute URLs
+ * @param {string[]} options.allowedPaths - Path prefixes allowed for any target
+ * @returns {function(string): {url: string}|{error: string}}
+ */
+function createRedirectValidator({ allowedHosts, allowedPaths }) {
+  const hosts = allowedHosts.map(host => host.toLowerCase());
+
+  return function validateRedirect(target) {
+    if (typeof target !== 'string' || target === '') {
+      return { error: 'empty target' };
+    }
+    if (target.length > MAX_LENGTH) {
+      return { error: 'target too long' };
+    }
+    // Browsers treat "\" like "/" and drop tabs/newlines, so "/\evil.com" is off-site
+    if (/[\\\x00-\x1f\x7f]/.test(target)) {
+      return { error: 'invalid characters' };
+    }
+
+    if (target.startsWith('/')) {
+      if (target.startsWith('//')) {
+        return { error: 'protocol-relative URL' };
+      }
+      const url = new URL(target, RELATIVE_BASE);
+      if (!pathAllowed(url.pathname, allowedPaths)) {
+        return { error: `path not allowed: ${url.pathname}` };
+      }
+      return { url: url.pathname + url.search + url.hash };
+    }
+
+    let url;
+    try {
+      url = new URL(target);
+    } catch (err) {
+      return { error: 'not an absolute URL or path' };
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: `scheme not allowed: ${url.protocol}` };
+    }
+    if (url.username || url.password) {
+      return { error: 'credentials in URL' };
+    }
+    if (!hostAllowed(url, hosts)) {
+      return { error: `host not allowed: ${url.host}` };
+    }
+    if (!pathAllowed(url.pathname, allowedPaths)) {
+      return { error: `path not allowed: ${url.pathname}` };
+    }
+    return { url: url.toString() };
+  };
+}
+
+module.exports = {
+  createRedirectValidator
+};
@@ -0,0 +1,156 @@
+/**
+ * Refresh Token Store
+ *
+ * Refresh tokens are opaque random strings handed to the client in their own
+ * cookie. Only a SHA-256 hash is stored (refreshTokens table). Every login
+ * starts a new token family; each refresh marks the presented token as used
+ * and issues its successor in the same family.
+ *
+ * Presenting a token that was already used means it was copied - the legitimate
+ * client and an attacker both hold it - so the whole family is revoked and
+ * both have to log in again.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 32;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Raised when a refresh token cannot be used. `reason` is one of:
+ *   not_found, expired, revoked, reused
+ * `familyId` is set when the token was found.
+ */
+class RefreshTokenError extends Error {
+  constructor(reason, message, familyId = null) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.reason = reason;
+    this.familyId = familyId;
+  }
+}
+
+/**
+ * Create a refresh token store backed by the refreshTokens table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} options
+ * @param {number} options.expiresIn - Token lifetime in seconds
+ */
+function createRefreshTokenStore(pool, { expiresIn }) {
+  async function insert(userId, familyId) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+    await pool.query(
+      `INSERT INTO "refreshTokens" ("userId", "familyId", "tokenHash", "expiresAt")
+       VALUES ($1, $2, $3, $4)`,
+      [userId, familyId, hashToken(token), expiresAt]
+    );
+
+    return { token, familyId, expiresAt };
+  }
+
+  /**
+   * Start a new token family (on login)
+   * @param {number} userId
+   * @param {string} [familyId] - Defaults to a new UUID (the session ID when sessions are enabled)
+   * @returns {Promise<{token: string, familyId: string, expiresAt: Date}>}
+   */
+  function issue(userId, familyId = crypto.randomUUID()) {
+    return insert(userId, familyId);
+  }
+
+  /**
+   * Revoke every token in a family
+   */
+  async function revokeFamily(familyId) {
+    await pool.query(
+      `UPDATE "refreshTokens" SET "revokedAt" = NOW()
+       WHERE "familyId" = $1 AND "revokedAt" IS NULL`,
+      [familyId]
+    );
+  }
+
+  /**
+   * Revoke every token belonging to a user
+   * @param {string} [exceptFamilyId] - Token family to keep
+   */
+  async function revokeUser(userId, exceptFamilyId = null) {
+    await pool.query(
+      `UPDATE "refreshTokens" SET "revokedAt" = NOW()
+       WHERE "userId" = $1 AND "revokedAt" IS NULL AND "familyId" <> $2`,
+      [userId, exceptFamilyId || '']
+    );
+  }
+
+  /**
+   * Look up a token without consuming it
+   * @returns {Promise<Object|null>} Token row or null
+   */
+  async function find(token) {
+    const result = await pool.query(
+      `SELECT id, "userId", "familyId", "expiresAt", "usedAt", "revokedAt"
+       FROM "refreshTokens"
+       WHERE "tokenHash" = $1`,
+      [hashToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Consume a refresh token and issue its successor
+   *
+   * @returns {Promise<{userId: number, token: string, familyId: string, expiresAt: Date}>}
+   * @throws {RefreshTokenError}
+   */
+  async function rotate(token) {
+    const row = await find(token);
+
+    if (!row) {
+      throw new RefreshTokenError('not_found', 'Unknown refresh token');
+    }
+    if (row.revokedAt) {
+      throw new RefreshTokenError('revoked', 'Refresh token revoked', row.familyId);
+    }
+    if (row.usedAt) {
+      await revokeFamily(row.familyId);
+      throw new RefreshTokenError('reused', 'Refresh token reused - session revoked', row.familyId);
+    }
+    if (new Date(row.expiresAt) <= new Date()) {
+      throw new RefreshTokenError('expired', 'Refresh token expired', row.familyId);
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const claimed = await pool.query(
+      `UPDATE "refreshTokens" SET "usedAt" = NOW()
+       WHERE id = $1 AND "usedAt" IS NULL AND "revokedAt" IS NULL
+       RETURNING id`,
+      [row.id]
+    );
+    if (claimed.rows.length === 0) {
+      await revokeFamily(row.familyId);
+      throw new RefreshTokenError('reused', 'Refresh token reused - session revoked', row.familyId);
+    }
+
+    const next = await insert(row.userId, row.familyId);
+    return { userId: row.userId, ...next };
+  }
+
+  return {
+    issue,
+    rotate,
+    find,
+    revokeFamily,
+    revokeUser
+  };
+}
+
+module.exports = {
+  RefreshTokenError,
+  createRefreshTokenStore,
+  hashToken
+};
@@ -0,0 +1,284 @@
+/**
+ * Personal Access Token Routes
+ *
+ *   POST   /api/token/exchange  Trade an access token for a short-lived JWT (JSON, no cookie)
+ *   GET    /api/tokens          The current user's tokens
+ *   POST   /api/tokens          Create a token; the secret is only returned here
+ *   DELETE /api/tokens/:id      Revoke one of the current user's tokens
+ *
+ * The exchanged JWT is a normal Wiki.js JWT (backed by a session when sessions
+ * are enabled) with a "pat" claim naming the token. Its groups are the user's
+ * current groups, narrowed to the token's groups if it has any, so removing a
+ * user from a group also takes effect for their tokens.
+ *
+ * Tokens cannot manage tokens: the self-service routes refuse JWTs with a
+ * "pat" claim (refuseTokenSessions in lib/app.js), otherwise a group-limited
+ * token could mint an unlimited one.
+ */
+
+const { AccessTokenError } = require('../access-tokens');
+
+// When the request does not say
+const DEFAULT_EXPIRES_IN = 90 * 24 * 60 * 60; // 90 days
+
+/**
+ * Register the access token routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerAccessTokenRoutes(app, ctx) {
+  const {
+    pool, config, logger, metrics, accessTokens, audit, getUserGroups, requireAuth, refuseTokenSessions, startTokenSession
+  } = ctx;
+  const { jwtExpiresIn, maxExpiresIn } = config.accessTokens;
+
+  function bearerToken(req) {
+    const match = /^Bearer (.+)$/i.exec(req.get('authorization') || '');
+    if (match) return match[1].trim();
+    return typeof req.body.token === 'string' ? req.body.token : null;
+  }
+
+  function serialize(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.tokenPrefix,
+      groups: row.groups,
+      expiresAt: row.expiresAt,
+      lastUsedAt: row.lastUsedAt,
+      createdAt: row.createdAt,
+      expired: row.expired
+    };
+  }
+
+  /**
+   * POST /api/token/exchange
+   * Token in "Authorization: Bearer <token>" or the token field of the body
+   */
+  app.post('/api/token/exchange', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    logger.log(`[${new Date().toISOString()}] TOKEN EXCHANGE REQUEST:`);
+
+    const token = bearerToken(req);
+    if (!token) {
+      logger.log(`  Result: ❌ DENIED (no token)`);
+      await audit.record({ type: 'token.exchange', outcome: 'failure', reason: 'no_token', req });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    try {
+      const found = await accessTokens.verify(token);
+      if (!found) {
+        logger.log(`  Result: ❌ DENIED (unknown, revoked or expired token)`);
+        await audit.record({ type: 'token.exchange', outcome: 'failure', reason: 'invalid_token', req });
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, revoked or expired access token'
+        });
+      }
+
+      const result = await pool.query(
+        'SELECT id, email, name, "isActive" FROM users WHERE id = $1',
+        [found.userId]
+      );
+      const user = result.rows[0];
+      logger.log(`  Token: ${found.name} (ID: ${found.id})`);
+
+      if (!user || !user.isActive) {
+        logger.log(`  Result: ❌ DENIED (user inactive)`);
+        await audit.record({
+          type: 'token.exchange',
+          outcome: 'failure',
+          reason: user ? 'inactive' : 'user_not_found',
+          user: user || { id: found.userId },
+          req,
+          details: { tokenId: found.id }
+        });
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+          success: false,
+          message: 'Account is inactive'
+        });
+      }
+
+      let groups = await getUserGroups(user.id);
+      if (found.groups) {
+        groups = groups.filter(id => found.groups.includes(id));
+      }
+
+      const jwtToken = await startTokenSession(req, user, groups, {
+        expiresIn: jwtExpiresIn,
+        claims: { pat: found.id }
+      });
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+      logger.log(`  Groups: ${groups.join(', ') || 'none'}`);
+      logger.log(`  Result: ✅ TOKEN EXCHANGED`);
+      await audit.record({ type: 'token.exchange', outcome: 'success', user, req, details: { tokenId: found.id } });
+
+      return res.json({
+        success: true,
+        token: jwtToken,
+        tokenType: 'Bearer',
+        expiresIn: jwtExpiresIn,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          groups: groups
+        }
+      });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * GET /api/tokens
+   * Lists the current user's tokens (never the secrets)
+   */
+  app.get('/api/tokens', requireAuth, refuseTokenSessions, async (req, res) => {
+    try {
+      const rows = await accessTokens.list(req.auth.id);
+      return res.json({
+        success: true,
+        tokens: rows.map(serialize)
+      });
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] TOKEN LIST ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * POST /api/tokens
+   * Body: name, groups (group IDs, default all of the user's groups),
+   * expiresIn (seconds, 0 for no expiry when allowed)
+   */
+  app.post('/api/tokens', requireAuth, refuseTokenSessions, async (req, res) => {
+    const { name, groups = null } = req.body;
+    const expiresIn = req.body.expiresIn === undefined
+      ? (maxExpiresIn > 0 ? Math.min(DEFAULT_EXPIRES_IN, maxExpiresIn) : DEFAULT_EXPIRES_IN)
+      : req.body.expiresIn;
+
+    logger.log(`[${new Date().toISOString()}] TOKEN CREATE REQUEST:`);
+    logger.log(`  User: ${req.auth.email} (ID: ${req.auth.id})`);
+
+    if (!Number.isInteger(expiresIn) || expiresIn < 0) {
+      logger.log(`  Result: ❌ DENIED (invalid expiresIn)`);
+      return res.status(400).json({
+        success: false,
+        message: 'expiresIn must be a number of seconds'
+      });
+    }
+    if (maxExpiresIn > 0 && (expiresIn === 0 || expiresIn > maxExpiresIn)) {
+      logger.log(`  Result: ❌ DENIED (expiresIn above the limit)`);
+      return res.status(400).json({
+        success: false,
+        message: `Tokens must expire within ${maxExpiresIn} seconds`
+      });
+    }
+
+    try {
+      const created = await accessTokens.create({
+        userId: req.auth.id,
+        name,
+        groups,
+        expiresAt: expiresIn === 0 ? null : new Date(Date.now() + expiresIn * 1000)
+      });
+
+      logger.log(`  Token: ${created.name} (ID: ${created.id})`);
+      logger.log(`  Result: ✅ TOKEN CREATED`);
+      metrics.countToken('personal_access_token');
+      await audit.record({
+        type: 'token.create',
+        outcome: 'success',
+        user: req.auth,
+        req,
+        details: { tokenId: created.id, name: created.name }
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Token created - copy it now, it will not be shown again',
+        token: created.token,
+        id: created.id,
+        name: created.name,
+        prefix: created.tokenPrefix,
+        groups: created.groups,
+        expiresAt: created.expiresAt
+      });
+
+    } catch (err) {
+      if (err instanceof AccessTokenError) {
+        logger.log(`  Result: ❌ DENIED (${err.message})`);
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/tokens/:id
+   * Revokes one of the current user's tokens; JWTs already exchanged stay
+   * valid until they expire unless their session is revoked
+   */
+  app.delete('/api/tokens/:id', requireAuth, refuseTokenSessions, async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] TOKEN REVOKE REQUEST:`);
+    logger.log(`  User: ${req.auth.email} (ID: ${req.auth.id})`);
+    logger.log(`  Token: ${req.params.id}`);
+
+    try {
+      const id = Number(req.params.id);
+      const revoked = Number.isInteger(id) && (await accessTokens.revoke(id, req.auth.id));
+
+      if (!revoked) {
+        logger.log(`  Result: ❌ NOT FOUND`);
+        return res.status(404).json({
+          success: false,
+          message: 'Token not found'
+        });
+      }
+
+      logger.log(`  Result: ✅ TOKEN REVOKED`);
+      await audit.record({ type: 'token.revoke', outcome: 'success', user: req.auth, req, details: { tokenId: id } });
+      return res.json({
+        success: true,
+        message: 'Token revoked'
+      });
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+}
+
+module.exports = {
+  registerAccessTokenRoutes
+};
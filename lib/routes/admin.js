@@ -0,0 +1,351 @@
+/**
+ * Admin Console
+ *
+ *   GET    /admin                                  Web console (admin-ui/index.html)
+ *   GET    /api/admin/users?search=                Users with their group names
+ *   POST   /api/admin/users                        { email, name, password }
+ *   GET    /api/admin/users/:id
+ *   PATCH  /api/admin/users/:id                    { email, name, isActive } (any of them)
+ *   DELETE /api/admin/users/:id
+ *   POST   /api/admin/users/:id/password           { password }
+ *   PUT    /api/admin/users/:id/groups/:groupId    Add to group
+ *   DELETE /api/admin/users/:id/groups/:groupId    Remove from group
+ *   GET    /api/admin/groups                       Groups with member counts
+ *   POST   /api/admin/groups                       { name }
+ *   DELETE /api/admin/groups/:id
+ *
+ * Only for members of config.admin.group: the group must be in their token
+ * and they must still be in it. The queries are admin.js's (lib/user-admin.js),
+ * and like admin.js the console refuses to manage a Wiki.js database - every
+ * request gets 503 - unless config.admin.allowWikiJs is set.
+ *
+ * Deactivating a user or resetting their password signs out their sessions.
+ * Admins cannot delete or deactivate themselves or leave the admin group, so
+ * the last admin cannot lock everyone out.
+ */
+
+const path = require('path');
+const { UserAdminError, createUserAdmin, isWikiJsDatabase } = require('../user-admin');
+
+const ADMIN_PAGE = path.join(__dirname, '..', '..', 'admin-ui', 'index.html');
+
+const WIKIJS_REFUSED = 'The admin console is disabled on a Wiki.js database - use the Wiki.js admin area, or set ADMIN_ALLOW_WIKIJS=true';
+
+const ERROR_STATUS = { invalid: 400, not_found: 404, conflict: 409 };
+
+// Route parameter as an ID; anything else cannot name a row
+function idParam(value) {
+  return /^\d{1,9}$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Register the admin console and its API
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerAdminRoutes(app, ctx) {
+  const { pool, config, logger, authenticate, requireAuth, refuseTokenSessions, sessions, refreshTokens, audit } = ctx;
+  const users = createUserAdmin(pool);
+
+  // Checked once; a failed check is retried on the next request
+  let wikiJsCheck = null;
+  function refusedDatabase() {
+    if (config.admin.allowWikiJs) {
+      return Promise.resolve(false);
+    }
+    if (!wikiJsCheck) {
+      wikiJsCheck = isWikiJsDatabase(pool).catch(err => {
+        wikiJsCheck = null;
+        throw err;
+      });
+    }
+    return wikiJsCheck;
+  }
+
+  /**
+   * Whether the token's user is an admin: the token lists the admin group
+   * (a personal access token may be limited to fewer groups) and the user
+   * is still in it
+   */
+  async function isAdmin(claims) {
+    const group = await users.findGroup(config.admin.group);
+    if (!group || !(claims.groups || []).map(Number).includes(group.id)) {
+      return false;
+    }
+    const memberships = await users.listMemberships(claims.id);
+    return memberships.some(membership => membership.id === group.id);
+  }
+
+  function sendError(res, err, action) {
+    if (err instanceof UserAdminError) {
+      logger.log(`  Result: ❌ ${action} REFUSED (${err.message})`);
+      return res.status(ERROR_STATUS[err.reason] || 400).json({ success: false, message: err.message });
+    }
+    logger.error(`[${new Date().toISOString()}] ADMIN ERROR:`, err.message);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+
+  function logAction(req, action, target) {
+    logger.log(`[${new Date().toISOString()}] ADMIN ${action} REQUEST:`);
+    logger.log(`  Admin: ${req.auth.email} (ID: ${req.auth.id})`);
+    logger.log(`  Target: ${target}`);
+  }
+
+  async function signOut(userId) {
+    if (sessions) {
+      await sessions.revokeUser(userId);
+    }
+    if (refreshTokens) {
+      await refreshTokens.revokeUser(userId);
+    }
+  }
+
+  /**
+   * GET /admin
+   * The console page; the login page sends the user back here
+   */
+  app.get(['/admin', '/admin/'], async (req, res) => {
+    try {
+      if (await refusedDatabase()) {
+        return res.status(503).type('text').send(WIKIJS_REFUSED);
+      }
+
+      const result = await authenticate(req);
+      if (result.error) {
+        const returnTo = encodeURIComponent(`${req.baseUrl}/admin`);
+        return res.redirect(`${req.baseUrl}/?returnTo=${returnTo}`);
+      }
+      if (!await isAdmin(result.claims)) {
+        logger.log(`[${new Date().toISOString()}] ADMIN: ❌ FORBIDDEN ${result.claims.email} (ID: ${result.claims.id})`);
+        return res.status(403).type('text').send(`Admin access required (members of the "${config.admin.group}" group)`);
+      }
+
+      res.set('Cache-Control', 'no-store');
+      return res.sendFile(ADMIN_PAGE);
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] ADMIN ERROR:`, err.message);
+      return res.status(500).type('text').send('Server error');
+    }
+  });
+
+  // Every /api/admin route: standalone database, logged in, admin
+  app.use('/api/admin', async (req, res, next) => {
+    try {
+      if (await refusedDatabase()) {
+        return res.status(503).json({ success: false, message: WIKIJS_REFUSED });
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  }, requireAuth, refuseTokenSessions, async (req, res, next) => {
+    try {
+      if (!await isAdmin(req.auth)) {
+        logger.log(`[${new Date().toISOString()}] ADMIN: ❌ FORBIDDEN ${req.auth.email} (ID: ${req.auth.id}) ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({ success: false, message: 'Admin access required' });
+      }
+      res.set('Cache-Control', 'no-store');
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  // Resolves :id to a user for the routes below, 404 if there is none
+  async function loadUser(req, res, next) {
+    try {
+      const id = idParam(req.params.id);
+      req.targetUser = id === null ? null : await users.getUser(id);
+      if (!req.targetUser) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  app.get('/api/admin/users', async (req, res) => {
+    try {
+      const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+      return res.json({ success: true, users: await users.listUsers({ search }) });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  app.post('/api/admin/users', async (req, res) => {
+    const { email, name, password } = req.body;
+    logAction(req, 'USER CREATE', email);
+
+    try {
+      const user = await users.createUser({ email, name, password });
+      logger.log(`  Result: ✅ CREATED (ID: ${user.id})`);
+      await audit.record({ type: 'admin.user.create', outcome: 'success', user: req.auth, req, details: { userId: user.id, email } });
+      return res.status(201).json({ success: true, user });
+    } catch (err) {
+      return sendError(res, err, 'USER CREATE');
+    }
+  });
+
+  app.get('/api/admin/users/:id', loadUser, (req, res) => {
+    res.json({ success: true, user: req.targetUser });
+  });
+
+  app.patch('/api/admin/users/:id', loadUser, async (req, res) => {
+    const target = req.targetUser;
+    const { email, name, isActive } = req.body;
+    logAction(req, 'USER UPDATE', `${target.email} (ID: ${target.id})`);
+
+    try {
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        throw new UserAdminError('isActive must be true or false');
+      }
+      if (isActive === false && target.id === req.auth.id) {
+        throw new UserAdminError('You cannot deactivate your own account');
+      }
+
+      let user = target;
+      if (email !== undefined || name !== undefined) {
+        user = await users.updateUser(target.id, { email, name });
+      }
+      if (isActive !== undefined && isActive !== target.isActive) {
+        user = await users.setActive(target.id, isActive);
+        if (!isActive) {
+          await signOut(target.id);
+        }
+      }
+
+      logger.log(`  Result: ✅ UPDATED`);
+      await audit.record({
+        type: 'admin.user.update',
+        outcome: 'success',
+        user: req.auth,
+        req,
+        details: { userId: target.id, email: user.email, ...(isActive !== undefined && { isActive }) }
+      });
+      return res.json({ success: true, user });
+    } catch (err) {
+      return sendError(res, err, 'USER UPDATE');
+    }
+  });
+
+  app.delete('/api/admin/users/:id', loadUser, async (req, res) => {
+    const target = req.targetUser;
+    logAction(req, 'USER DELETE', `${target.email} (ID: ${target.id})`);
+
+    try {
+      if (target.id === req.auth.id) {
+        throw new UserAdminError('You cannot delete your own account');
+      }
+      await users.deleteUser(target.id);
+
+      logger.log(`  Result: ✅ DELETED`);
+      await audit.record({ type: 'admin.user.delete', outcome: 'success', user: req.auth, req, details: { userId: target.id, email: target.email } });
+      return res.json({ success: true, message: 'User deleted' });
+    } catch (err) {
+      return sendError(res, err, 'USER DELETE');
+    }
+  });
+
+  app.post('/api/admin/users/:id/password', loadUser, async (req, res) => {
+    const target = req.targetUser;
+    logAction(req, 'PASSWORD RESET', `${target.email} (ID: ${target.id})`);
+
+    try {
+      await users.setPassword(target.id, req.body.password);
+      await signOut(target.id);
+
+      logger.log(`  Result: ✅ PASSWORD SET, sessions signed out`);
+      await audit.record({ type: 'admin.user.password', outcome: 'success', user: req.auth, req, details: { userId: target.id, email: target.email } });
+      return res.json({ success: true, message: 'Password set, the user was signed out' });
+    } catch (err) {
+      return sendError(res, err, 'PASSWORD RESET');
+    }
+  });
+
+  async function changeMembership(req, res, add) {
+    const target = req.targetUser;
+    const groupId = idParam(req.params.groupId);
+    const action = add ? 'MEMBERSHIP ADD' : 'MEMBERSHIP REMOVE';
+    logAction(req, action, `${target.email} (ID: ${target.id}), group ${req.params.groupId}`);
+
+    try {
+      if (groupId === null) {
+        throw new UserAdminError('Group not found', 'not_found');
+      }
+      if (!add && target.id === req.auth.id) {
+        const adminGroup = await users.findGroup(config.admin.group);
+        if (adminGroup && adminGroup.id === groupId) {
+          throw new UserAdminError('You cannot remove yourself from the admin group');
+        }
+      }
+
+      const changed = add
+        ? await users.addMembership(target.id, groupId)
+        : await users.removeMembership(target.id, groupId);
+
+      logger.log(`  Result: ✅ ${changed ? 'DONE' : 'NO CHANGE'}`);
+      if (changed) {
+        await audit.record({
+          type: add ? 'admin.membership.add' : 'admin.membership.remove',
+          outcome: 'success',
+          user: req.auth,
+          req,
+          details: { userId: target.id, email: target.email, groupId }
+        });
+      }
+      return res.json({ success: true, changed, user: await users.getUser(target.id) });
+    } catch (err) {
+      return sendError(res, err, action);
+    }
+  }
+
+  app.put('/api/admin/users/:id/groups/:groupId', loadUser, (req, res) => changeMembership(req, res, true));
+  app.delete('/api/admin/users/:id/groups/:groupId', loadUser, (req, res) => changeMembership(req, res, false));
+
+  app.get('/api/admin/groups', async (req, res) => {
+    try {
+      return res.json({ success: true, groups: await users.listGroups() });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  app.post('/api/admin/groups', async (req, res) => {
+    const { name } = req.body;
+    logAction(req, 'GROUP CREATE', name);
+
+    try {
+      const group = await users.createGroup(name);
+      logger.log(`  Result: ✅ CREATED (ID: ${group.id})`);
+      await audit.record({ type: 'admin.group.create', outcome: 'success', user: req.auth, req, details: { groupId: group.id, name } });
+      return res.status(201).json({ success: true, group });
+    } catch (err) {
+      return sendError(res, err, 'GROUP CREATE');
+    }
+  });
+
+  app.delete('/api/admin/groups/:id', async (req, res) => {
+    logAction(req, 'GROUP DELETE', `group ${req.params.id}`);
+
+    try {
+      const id = idParam(req.params.id);
+      if (id === null) {
+        throw new UserAdminError('Group not found', 'not_found');
+      }
+      const group = await users.deleteGroup(id);
+
+      logger.log(`  Result: ✅ DELETED ${group.name}`);
+      await audit.record({ type: 'admin.group.delete', outcome: 'success', user: req.auth, req, details: { groupId: id, name: group.name } });
+      return res.json({ success: true, message: 'Group deleted' });
+    } catch (err) {
+      return sendError(res, err, 'GROUP DELETE');
+    }
+  });
+}
+
+module.exports = {
+  registerAdminRoutes
+};
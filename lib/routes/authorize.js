@@ -0,0 +1,122 @@
+/**
+ * nginx auth_request Endpoint
+ *
+ *   GET /api/authorize
+ *
+ * Same token checks as /api/verify, answered with status codes only:
+ *   204  Authenticated (and in a required group, if any)
+ *   401  No valid token / session
+ *   403  Authenticated but not in any of the required groups
+ *
+ * Required groups come from the X-Auth-Require-Groups header or the `groups`
+ * query parameter: a comma-separated list of group names (or numeric IDs),
+ * any one of which is enough. Names are resolved against the groups table.
+ *
+ * On 204 the user is described in response headers that nginx can pass
+ * upstream with auth_request_set:
+ *   X-Auth-User-Id, X-Auth-Email, X-Auth-Groups (names), X-Auth-Group-Ids
+ */
+
+const REQUIRE_GROUPS_HEADER = 'X-Auth-Require-Groups';
+
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Header values must be printable ASCII; commas separate list items
+function headerValue(value) {
+  return String(value).replace(/[^\x20-\x7e]|[,%]/g, char => encodeURIComponent(char));
+}
+
+// Rows {id, name} of the groups with these IDs or names (runs on every request:
+// looks up only those, not the whole table)
+async function findGroups(pool, ids, names) {
+  const params = [];
+  const list = values => [...new Set(values)].map(value => {
+    params.push(value);
+    return `$${params.length}`;
+  }).join(', ');
+
+  const conditions = [];
+  ids = ids.filter(Number.isInteger);
+  if (ids.length > 0) conditions.push(`id IN (${list(ids)})`);
+  if (names.length > 0) conditions.push(`name IN (${list(names)})`);
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(`SELECT id, name FROM groups WHERE ${conditions.join(' OR ')}`, params);
+  return result.rows;
+}
+
+/**
+ * Register the authorize route
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerAuthorizeRoutes(app, ctx) {
+  const { pool, logger, metrics, authenticate } = ctx;
+
+  app.get('/api/authorize', async (req, res) => {
+    try {
+      const result = await authenticate(req);
+      if (result.error) {
+        metrics.countVerify('authorize', result.reason);
+        return res.status(401).end();
+      }
+
+      const claims = result.claims;
+      const userGroupIds = (claims.groups || []).map(Number);
+      const required = parseList(req.get(REQUIRE_GROUPS_HEADER) || req.query.groups);
+
+      // id -> name for the user's groups, plus the groups required by name
+      const knownGroups = await findGroups(pool, userGroupIds, required.filter(entry => !/^\d+$/.test(entry)));
+      const groupNames = new Map(knownGroups.map(row => [row.id, row.name]));
+
+      if (required.length > 0) {
+        const requiredIds = required.map(entry => {
+          if (/^\d+$/.test(entry)) return Number(entry);
+          const match = knownGroups.find(row => row.name === entry);
+          return match ? match.id : null;
+        });
+
+        const unknown = required.filter((entry, i) => requiredIds[i] === null);
+        if (unknown.length > 0) {
+          logger.log(`[${new Date().toISOString()}] AUTHORIZE: ⚠️  Unknown group(s) required: ${unknown.join(', ')}`);
+        }
+
+        if (!requiredIds.some(id => id !== null && userGroupIds.includes(id))) {
+          logger.log(`[${new Date().toISOString()}] AUTHORIZE: ❌ FORBIDDEN ${claims.email} (ID: ${claims.id}) needs one of: ${required.join(', ')}`);
+          metrics.countVerify('authorize', 'forbidden');
+          return res.status(403).end();
+        }
+      }
+
+      res.set('X-Auth-User-Id', String(claims.id));
+      res.set('X-Auth-Email', headerValue(claims.email));
+      res.set('X-Auth-Groups', userGroupIds
+        .filter(id => groupNames.has(id))
+        .map(id => headerValue(groupNames.get(id)))
+        .join(','));
+      res.set('X-Auth-Group-Ids', userGroupIds.join(','));
+      metrics.countVerify('authorize', 'valid');
+      return res.status(204).end();
+
+    } catch (err) {
+      metrics.countVerify('authorize', 'error');
+      logger.error(`[${new Date().toISOString()}] AUTHORIZE ERROR:`, err.message);
+      return res.status(500).end();
+    }
+  });
+}
+
+module.exports = {
+  REQUIRE_GROUPS_HEADER,
+  registerAuthorizeRoutes
+};
@@ -0,0 +1,135 @@
+/**
+ * Permission Check Endpoint
+ *
+ *   POST /api/can   { permission, path?, locale?, tags? }
+ *
+ * Answers whether the caller may do something in Wiki.js, evaluating the
+ * permissions and page rules of the groups in their token (see
+ * lib/permissions.js). Without a path only the global permission is checked.
+ *
+ * TAG rules need the page's tags: pass them as `tags`, or they are read from
+ * the Wiki.js pages/tags tables (no tags if those tables do not exist, as in
+ * a standalone database).
+ */
+
+const { checkAccess, normalizePath } = require('../permissions');
+
+const PERMISSION_PATTERN = /^[a-z]+:[a-z]+$/;
+const DEFAULT_LOCALE = 'en';
+
+// json/jsonb columns come back parsed, text columns as the JSON string
+function jsonList(value) {
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Register the permission check route
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerCanRoutes(app, ctx) {
+  const { pool, logger, metrics, requireAuth } = ctx;
+
+  /**
+   * Permissions and page rules of the groups with these IDs (runs on every
+   * request: looks up only those, not the whole table)
+   * @returns {Promise<Object[]>} Rows {id, permissions, pageRules}
+   */
+  async function loadGroups(ids) {
+    ids = [...new Set(ids.filter(Number.isInteger))];
+    if (ids.length === 0) {
+      return [];
+    }
+    const placeholders = ids.map((id, i) => `$${i + 1}`).join(', ');
+    const result = await pool.query(
+      `SELECT id, permissions, "pageRules" FROM groups WHERE id IN (${placeholders})`,
+      ids
+    );
+    return result.rows;
+  }
+
+  /**
+   * Tags of a Wiki.js page, none without the Wiki.js tables
+   * @returns {Promise<string[]>}
+   */
+  async function pageTags(path, locale) {
+    const wikiTables = await pool.query(
+      "SELECT table_name FROM information_schema.tables WHERE table_name = 'pageTags'"
+    );
+    if (wikiTables.rows.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      SELECT t.tag
+      FROM tags t
+      JOIN "pageTags" pt ON pt."tagId" = t.id
+      JOIN pages p ON p.id = pt."pageId"
+      WHERE p.path = $1 AND p."localeCode" = $2
+    `, [path, locale]);
+    return result.rows.map(row => row.tag);
+  }
+
+  /**
+   * POST /api/can
+   * Body: permission (e.g. read:pages), path, locale (default en), tags
+   */
+  app.post('/api/can', requireAuth, async (req, res) => {
+    const { permission, path, locale = DEFAULT_LOCALE, tags } = req.body;
+
+    if (typeof permission !== 'string' || !PERMISSION_PATTERN.test(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permission is required, e.g. "read:pages"'
+      });
+    }
+    if ((path !== undefined && typeof path !== 'string') || typeof locale !== 'string' ||
+        (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')))) {
+      return res.status(400).json({
+        success: false,
+        message: 'path and locale must be strings, tags a list of strings'
+      });
+    }
+
+    try {
+      const groups = (await loadGroups((req.auth.groups || []).map(Number)))
+        .map(row => ({ id: row.id, permissions: jsonList(row.permissions), pageRules: jsonList(row.pageRules) }));
+
+      let page = null;
+      if (path !== undefined) {
+        page = { path: normalizePath(path), locale, tags };
+        const hasTagRules = groups.some(group => group.pageRules.some(rule => rule.match === 'TAG'));
+        if (!tags && hasTagRules) {
+          page.tags = await pageTags(page.path, locale);
+        }
+      }
+
+      const decision = checkAccess(groups, permission, page);
+      metrics.countVerify('can', decision.allowed ? 'valid' : 'forbidden');
+
+      const target = page ? ` ${locale}/${page.path}` : '';
+      logger.log(`[${new Date().toISOString()}] CAN: ${decision.allowed ? '✅ ALLOW' : '❌ DENY'} ${req.auth.email} (ID: ${req.auth.id}) ${permission}${target} (${decision.reason})`);
+
+      return res.json({
+        success: true,
+        allowed: decision.allowed,
+        reason: decision.reason,
+        ...(decision.rule && { rule: decision.rule })
+      });
+
+    } catch (err) {
+      metrics.countVerify('can', 'error');
+      logger.error(`[${new Date().toISOString()}] CAN ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+}
+
+module.exports = {
+  registerCanRoutes
+};
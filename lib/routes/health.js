@@ -0,0 +1,115 @@
+/**
+ * Health Check Routes
+ *
+ *   GET /health/live    200 while the process is up (liveness)
+ *   GET /health/ready   200 when the service can log users in, else 503 (readiness)
+ *   GET /health         Same as /health/live, kept for existing monitors
+ *
+ * Readiness checks:
+ *   database  A query round trip completes within READY_DB_TIMEOUT
+ *   keys      The private and public key are loaded as RSA KeyObjects
+ *   signing   The private key signs a short-lived JWT the public key verifies
+ *
+ * Liveness never touches the database, so a database outage takes the
+ * service out of rotation without getting it restarted.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const READY_DB_TIMEOUT = 2000; // ms
+
+/**
+ * Reject if the promise does not settle within ms milliseconds
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Register the health check routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerHealthRoutes(app, ctx) {
+  const { pool, getKeys, logger } = ctx;
+
+  async function checkDatabase() {
+    const started = Date.now();
+    await withTimeout(pool.query('SELECT 1'), READY_DB_TIMEOUT, `no answer within ${READY_DB_TIMEOUT}ms`);
+    return { latencyMs: Date.now() - started };
+  }
+
+  async function checkKeys() {
+    const keys = getKeys();
+    if (!keys || !keys.privateKey || keys.privateKey.type !== 'private') {
+      throw new Error('private key not loaded');
+    }
+    if (!keys.publicKey || keys.publicKey.type !== 'public') {
+      throw new Error('public key not loaded');
+    }
+    if (keys.privateKey.asymmetricKeyType !== 'rsa' || keys.publicKey.asymmetricKeyType !== 'rsa') {
+      throw new Error('keys are not RSA keys');
+    }
+    return {};
+  }
+
+  async function checkSigning() {
+    const { privateKey, publicKey } = getKeys();
+    const token = jwt.sign({ health: true }, privateKey, { algorithm: 'RS256', expiresIn: 60 });
+    try {
+      jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+    } catch (err) {
+      throw new Error(`test token does not verify: ${err.message}`);
+    }
+    return {};
+  }
+
+  const checks = {
+    database: checkDatabase,
+    keys: checkKeys,
+    signing: checkSigning
+  };
+
+  function live(req, res) {
+    res.status(200).send('OK');
+  }
+
+  app.get('/health', live);
+  app.get('/health/live', live);
+
+  /**
+   * GET /health/ready
+   * { status: "ready" | "not ready", checks: { <name>: { ok, error?, ... } } }
+   */
+  app.get('/health/ready', async (req, res) => {
+    const results = {};
+    await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        results[name] = { ok: true, ...(await check()) };
+      } catch (err) {
+        results[name] = { ok: false, error: err.message };
+      }
+    }));
+
+    const failed = Object.keys(checks).filter(name => !results[name].ok);
+    if (failed.length > 0) {
+      logger.error(`[${new Date().toISOString()}] HEALTH: ❌ NOT READY (${failed
+        .map(name => `${name}: ${results[name].error}`).join('; ')})`);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(failed.length > 0 ? 503 : 200).json({
+      status: failed.length > 0 ? 'not ready' : 'ready',
+      checks: results
+    });
+  });
+}
+
+module.exports = {
+  registerHealthRoutes
+};
@@ -0,0 +1,89 @@
+/**
+ * Token Introspection Route (RFC 7662)
+ *
+ *   POST /api/introspect   token=<jwt> → { active, ...claims }
+ *
+ * For services that would rather ask than verify signatures themselves. A
+ * token is active when /api/verify would accept it: valid signature, issuer,
+ * audience and expiry, and (with sessions enabled) an unrevoked session.
+ * Anything else - including refresh tokens and garbage - is { active: false }.
+ *
+ * With introspection.secret set, callers must authenticate with
+ * "Authorization: Bearer <secret>" (RFC 7662 section 2.1 leaves the method open).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Register the introspection route
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerIntrospectionRoutes(app, ctx) {
+  const { config, logger, metrics, checkAccessToken } = ctx;
+
+  // Compare digests so the check takes the same time for any input length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const secretDigest = config.introspection.secret ? digest(config.introspection.secret) : null;
+
+  function callerAllowed(req) {
+    if (!secretDigest) return true;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return Boolean(match) && crypto.timingSafeEqual(digest(match[1]), secretDigest);
+  }
+
+  /**
+   * POST /api/introspect
+   * token as form or JSON parameter; token_type_hint is accepted and ignored
+   */
+  app.post('/api/introspect', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    if (!callerAllowed(req)) {
+      logger.log(`[${new Date().toISOString()}] INTROSPECT: ❌ DENIED (caller not authenticated)`);
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Authentication required' });
+    }
+
+    const token = req.body.token;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+    }
+
+    try {
+      const result = await checkAccessToken(token);
+      metrics.countVerify('introspect', result.error ? result.reason : 'valid');
+      if (result.error) {
+        return res.json({ active: false });
+      }
+
+      const claims = result.claims;
+      return res.json({
+        active: true,
+        token_type: 'Bearer',
+        sub: String(claims.id),
+        username: claims.email,
+        email: claims.email,
+        name: claims.name,
+        groups: claims.groups,
+        ...(claims.groupNames && { groupNames: claims.groupNames }),
+        iat: claims.iat,
+        exp: claims.exp,
+        iss: claims.iss,
+        aud: claims.aud,
+        ...(claims.jti && { jti: claims.jti })
+      });
+
+    } catch (err) {
+      metrics.countVerify('introspect', 'error');
+      logger.error(`[${new Date().toISOString()}] INTROSPECT ERROR:`, err.message);
+      return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+    }
+  });
+}
+
+module.exports = {
+  registerIntrospectionRoutes
+};
@@ -0,0 +1,50 @@
+/**
+ * Prometheus Metrics Route
+ *
+ *   GET /metrics   Prometheus text format (see lib/metrics.js for the metrics)
+ *
+ * With metrics.secret set, scrapers must send "Authorization: Bearer <secret>"
+ * (bearer_token / authorization.credentials in the Prometheus scrape config).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Register the metrics route
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerMetricsRoutes(app, ctx) {
+  const { config, logger, metrics } = ctx;
+
+  // Compare digests so the check takes the same time for any input length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const secretDigest = config.metrics.secret ? digest(config.metrics.secret) : null;
+
+  function scraperAllowed(req) {
+    if (!secretDigest) return true;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return Boolean(match) && crypto.timingSafeEqual(digest(match[1]), secretDigest);
+  }
+
+  app.get('/metrics', async (req, res) => {
+    if (!scraperAllowed(req)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).send('Authentication required\n');
+    }
+
+    try {
+      const body = await metrics.register.metrics();
+      res.set('Content-Type', metrics.register.contentType);
+      return res.send(body);
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] METRICS ERROR:`, err.message);
+      return res.status(500).send('Server error\n');
+    }
+  });
+}
+
+module.exports = {
+  registerMetricsRoutes
+};
@@ -0,0 +1,415 @@
+/**
+ * Two-Factor Authentication Routes
+ *
+ * Login with 2FA is a two-step flow:
+ *   1. POST /api/login checks the password. For users with 2FA enabled it sets
+ *      a short-lived "mfa pending" token (cookie + response body) instead of
+ *      the jwt cookie.
+ *   2. POST /api/login/mfa exchanges the pending token and a TOTP or recovery
+ *      code for the usual jwt cookie (or the token in the body, like
+ *      /api/login with ?mode=token or Accept: application/jwt).
+ *
+ * The pending token is an RS256 JWT with its own audience, so Wiki.js and
+ * /api/verify never accept it as a login.
+ *
+ * Enrollment (requires login):
+ *   GET  /api/mfa                 Status
+ *   POST /api/mfa/enroll          New secret + otpauth:// URI
+ *   POST /api/mfa/activate        Confirm with a code, returns recovery codes
+ *   POST /api/mfa/recovery-codes  Replace recovery codes (requires a code)
+ *   POST /api/mfa/disable         Turn 2FA off (requires a code)
+ *
+ * Wrong codes count as failed logins in the login throttle on every route
+ * that takes one, not only on /api/login/mfa.
+ */
+
+const jwt = require('jsonwebtoken');
+const totp = require('../totp');
+
+const MFA_AUDIENCE = 'urn:wikijs-jwt-auth:mfa';
+
+/**
+ * Set the pending-login token for a user who passed the password check
+ * @returns {string} The pending token
+ */
+function issueMfaChallenge(ctx, res, user) {
+  const { config, getKeys, cookieOptions } = ctx;
+
+  const { privateKey, kid } = getKeys();
+  const token = jwt.sign({ sub: String(user.id), typ: 'mfa' }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    expiresIn: config.mfa.pendingExpiresIn,
+    audience: MFA_AUDIENCE,
+    issuer: config.jwt.issuer
+  });
+
+  res.cookie(config.mfa.cookieName, token, {
+    ...cookieOptions(res.req),
+    maxAge: config.mfa.pendingExpiresIn * 1000
+  });
+
+  return token;
+}
+
+/**
+ * Register the 2FA routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerMfaRoutes(app, ctx) {
+  const {
+    pool, verifyToken, config, logger, mfa, loginThrottle, requireAuth, refuseTokenSessions, startSession,
+    cookieOptions, redirectTarget, getUserGroups, startTokenSession, tokenMode, sendToken, audit
+  } = ctx;
+
+  function readChallenge(req) {
+    const token = req.cookies[config.mfa.cookieName] || req.body.mfaToken;
+    if (!token) return null;
+    try {
+      const claims = verifyToken(token, { audience: MFA_AUDIENCE });
+      return claims.typ === 'mfa' ? Number(claims.sub) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Accept either a 6-digit TOTP code or a recovery code
+  async function checkSecondFactor(userId, { code, recoveryCode }) {
+    if (code) {
+      return (await mfa.verifyCode(userId, code)) ? 'totp' : null;
+    }
+    if (recoveryCode) {
+      return (await mfa.useRecoveryCode(userId, recoveryCode)) ? 'recovery code' : null;
+    }
+    return null;
+  }
+
+  // A stolen session must not become a way to guess codes: the routes that
+  // ask a logged-in user for a code count failures in the login throttle too.
+  // Answers 429 and returns false while the account or client is blocked.
+  async function allowCodeAttempt(req, res, type) {
+    if (!loginThrottle) return true;
+    const throttle = await loginThrottle.check({ ip: req.ip, email: req.auth.email });
+    if (throttle.allowed) return true;
+
+    logger.log(`  Result: ❌ DENIED (too many attempts, retry in ${throttle.retryAfter}s)`);
+    if (type) {
+      await audit.record({
+        type,
+        outcome: 'failure',
+        reason: throttle.reason === 'locked' ? 'locked' : 'throttled',
+        user: req.auth,
+        req,
+        details: { scope: throttle.reason, retryAfter: throttle.retryAfter }
+      });
+    }
+    res.set('Retry-After', String(throttle.retryAfter));
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed attempts, please try again later',
+      retryAfter: throttle.retryAfter
+    });
+    return false;
+  }
+
+  /**
+   * POST /api/login/mfa
+   * Completes a login that requires a second factor
+   */
+  app.post('/api/login/mfa', async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    logger.log(`[${new Date().toISOString()}] MFA LOGIN REQUEST`);
+
+    const redirectTo = redirectTarget(req);
+
+    const userId = readChallenge(req);
+    if (!userId) {
+      logger.log(`  Result: ❌ DENIED (no or expired mfa token)`);
+      await audit.record({ type: 'login.mfa', outcome: 'failure', reason: 'mfa_expired', req });
+      return res.status(401).json({
+        success: false,
+        mfaExpired: true,
+        message: 'Two-factor session expired, please log in again'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      logger.log(`  Result: ❌ DENIED (missing code)`);
+      await audit.record({ type: 'login.mfa', outcome: 'failure', reason: 'missing_code', user: { id: userId }, req });
+      return res.status(400).json({
+        success: false,
+        message: 'Code or recovery code required'
+      });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT id, email, name, "isActive"
+        FROM users
+        WHERE id = $1
+      `, [userId]);
+      const user = result.rows[0];
+
+      if (!user || !user.isActive) {
+        logger.log(`  Result: ❌ DENIED (user ${user ? 'inactive' : 'not found'})`);
+        await audit.record({
+          type: 'login.mfa',
+          outcome: 'failure',
+          reason: user ? 'inactive' : 'user_not_found',
+          user: user || { id: userId },
+          req
+        });
+        return res.status(401).json({
+          success: false,
+          mfaExpired: true,
+          message: user ? 'Account is inactive' : 'Two-factor session expired, please log in again'
+        });
+      }
+
+      logger.log(`  Email: ${user.email}`);
+
+      // Codes are guessable too: same throttle as passwords
+      if (loginThrottle) {
+        const throttle = await loginThrottle.check({ ip: req.ip, email: user.email });
+        if (!throttle.allowed) {
+          logger.log(`  Result: ❌ DENIED (too many attempts, retry in ${throttle.retryAfter}s)`);
+          await audit.record({
+            type: 'login.mfa',
+            outcome: 'failure',
+            reason: throttle.reason === 'locked' ? 'locked' : 'throttled',
+            user,
+            req,
+            details: { scope: throttle.reason, retryAfter: throttle.retryAfter }
+          });
+          res.set('Retry-After', String(throttle.retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: 'Too many failed login attempts, please try again later',
+            retryAfter: throttle.retryAfter
+          });
+        }
+      }
+
+      const method = await checkSecondFactor(user.id, { code, recoveryCode });
+      if (!method) {
+        if (loginThrottle) {
+          await loginThrottle.recordFailure({ ip: req.ip, email: user.email });
+        }
+        logger.log(`  Result: ❌ DENIED (invalid code)`);
+        await audit.record({ type: 'login.mfa', outcome: 'failure', reason: 'invalid_code', user, req });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid code'
+        });
+      }
+
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email: user.email });
+      }
+
+      res.clearCookie(config.mfa.cookieName, cookieOptions(req));
+
+      const mode = tokenMode(req);
+      await audit.record({
+        type: 'login.mfa',
+        outcome: 'success',
+        user,
+        req,
+        details: { method, ...(mode && { mode }) }
+      });
+
+      // Token mode, as requested from /api/login
+      if (mode) {
+        const groups = await getUserGroups(user.id);
+        const token = await startTokenSession(req, user, groups);
+
+        logger.log(`  User: ${user.email} (ID: ${user.id}), verified with ${method}`);
+        logger.log(`  Result: ✅ LOGIN SUCCESS (token in response)`);
+
+        return sendToken(res, mode, token, {
+          success: true,
+          message: 'Login successful',
+          user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            groups: groups
+          }
+        });
+      }
+
+      const groups = await startSession(req, res, user);
+
+      logger.log(`  User: ${user.email} (ID: ${user.id}), verified with ${method}`);
+      if (redirectTo) {
+        logger.log(`  Redirect: ${redirectTo}`);
+      }
+      logger.log(`  Result: ✅ LOGIN SUCCESS`);
+
+      return res.json({
+        success: true,
+        message: 'Login successful',
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          groups: groups
+        },
+        ...(redirectTo && { redirectTo })
+      });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  /**
+   * GET /api/mfa
+   * 2FA status for the current user
+   */
+  app.get('/api/mfa', requireAuth, async (req, res) => {
+    try {
+      const status = await mfa.getStatus(req.auth.id);
+      return res.json({ success: true, ...status });
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] MFA STATUS ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  /**
+   * POST /api/mfa/enroll
+   * Starts enrollment: returns the secret and otpauth:// URI for the authenticator app
+   */
+  app.post('/api/mfa/enroll', requireAuth, refuseTokenSessions, async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] MFA ENROLL REQUEST: ${req.auth.email}`);
+
+    try {
+      const secret = await mfa.startEnrollment(req.auth.id);
+      if (!secret) {
+        return res.status(409).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      return res.json({
+        success: true,
+        secret,
+        otpauthUri: totp.otpauthUri({ secret, account: req.auth.email, issuer: config.mfa.issuer })
+      });
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  /**
+   * POST /api/mfa/activate
+   * Confirms enrollment with a code; returns one-time recovery codes
+   */
+  app.post('/api/mfa/activate', requireAuth, refuseTokenSessions, async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] MFA ACTIVATE REQUEST: ${req.auth.email}`);
+
+    try {
+      if (!(await allowCodeAttempt(req, res, 'mfa.enable'))) return;
+      const recoveryCodes = await mfa.activate(req.auth.id, req.body.code);
+      if (!recoveryCodes) {
+        if (loginThrottle) {
+          await loginThrottle.recordFailure({ ip: req.ip, email: req.auth.email });
+        }
+        logger.log(`  Result: ❌ DENIED (invalid code or no pending enrollment)`);
+        await audit.record({ type: 'mfa.enable', outcome: 'failure', reason: 'invalid_code', user: req.auth, req });
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid code or no enrollment in progress'
+        });
+      }
+
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email: req.auth.email });
+      }
+      logger.log(`  Result: ✅ MFA ENABLED`);
+      await audit.record({ type: 'mfa.enable', outcome: 'success', user: req.auth, req });
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      });
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  /**
+   * POST /api/mfa/recovery-codes
+   * Replaces all recovery codes (requires a current code)
+   */
+  app.post('/api/mfa/recovery-codes', requireAuth, refuseTokenSessions, async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] MFA RECOVERY CODES REQUEST: ${req.auth.email}`);
+
+    try {
+      if (!(await allowCodeAttempt(req, res))) return;
+      if (!(await checkSecondFactor(req.auth.id, req.body))) {
+        if (loginThrottle) {
+          await loginThrottle.recordFailure({ ip: req.ip, email: req.auth.email });
+        }
+        logger.log(`  Result: ❌ DENIED (invalid code)`);
+        return res.status(401).json({ success: false, message: 'Invalid code' });
+      }
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email: req.auth.email });
+      }
+      logger.log(`  Result: ✅ RECOVERY CODES REPLACED`);
+      const recoveryCodes = await mfa.regenerateRecoveryCodes(req.auth.id);
+      return res.json({ success: true, recoveryCodes });
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] MFA RECOVERY CODES ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  /**
+   * POST /api/mfa/disable
+   * Turns 2FA off (requires a current code or recovery code)
+   */
+  app.post('/api/mfa/disable', requireAuth, refuseTokenSessions, async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] MFA DISABLE REQUEST: ${req.auth.email}`);
+
+    try {
+      if (!(await allowCodeAttempt(req, res, 'mfa.disable'))) return;
+      if (!(await checkSecondFactor(req.auth.id, req.body))) {
+        if (loginThrottle) {
+          await loginThrottle.recordFailure({ ip: req.ip, email: req.auth.email });
+        }
+        logger.log(`  Result: ❌ DENIED (invalid code)`);
+        await audit.record({ type: 'mfa.disable', outcome: 'failure', reason: 'invalid_code', user: req.auth, req });
+        return res.status(401).json({ success: false, message: 'Invalid code' });
+      }
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email: req.auth.email });
+      }
+      await mfa.disable(req.auth.id);
+      logger.log(`  Result: ✅ MFA DISABLED`);
+      await audit.record({ type: 'mfa.disable', outcome: 'success', user: req.auth, req });
+      return res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+}
+
+module.exports = {
+  MFA_AUDIENCE,
+  issueMfaChallenge,
+  registerMfaRoutes
+};
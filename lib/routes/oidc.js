@@ -0,0 +1,323 @@
+/**
+ * OpenID Connect Provider Routes
+ *
+ *   GET  /authorize   Start a login for a registered client (authorization code flow)
+ *   POST /token       Exchange the code for an ID token and access token
+ *   GET  /userinfo    Claims for the user behind an access token (POST works too)
+ *
+ * Only the authorization code flow with PKCE (S256) is supported. /authorize
+ * uses the normal login: users without a valid jwt cookie are sent to the
+ * login page and come back here afterwards. JWTs exchanged from a personal
+ * access token are refused. There is no consent screen -
+ * clients are registered by an administrator (admin.js client:create).
+ *
+ * ID and access tokens are signed with the same key as the jwt cookie, with
+ * PUBLIC_URL as issuer. The groups claim holds the user's group IDs, like
+ * the Wiki.js token.
+ */
+
+const jwt = require('jsonwebtoken');
+const { pkceChallenge } = require('../oidc-codes');
+
+// aud of access tokens, so they cannot be used as ID tokens or jwt cookies
+const OIDC_ACCESS_AUDIENCE = 'urn:wikijs-jwt-auth:oidc-access';
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'groups'];
+
+// RFC 7636 section 4.2: 43 to 128 characters from the unreserved set
+const PKCE_CHALLENGE = /^[A-Za-z0-9._~-]{43,128}$/;
+
+function stringParam(value) {
+  return typeof value === 'string' && value !== '' ? value : undefined;
+}
+
+/**
+ * Client credentials from HTTP Basic auth or the form body
+ * (client_secret_basic / client_secret_post, or just client_id for public clients)
+ */
+function clientCredentials(req) {
+  const match = /^Basic (.+)$/i.exec(req.get('authorization') || '');
+  if (match) {
+    const decoded = Buffer.from(match[1], 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      try {
+        // RFC 6749 section 2.3.1: both parts are form-urlencoded
+        return {
+          id: decodeURIComponent(decoded.slice(0, separator).replace(/\+/g, ' ')),
+          secret: decodeURIComponent(decoded.slice(separator + 1).replace(/\+/g, ' ')),
+          basic: true
+        };
+      } catch (err) {
+        // Malformed encoding: treated as no credentials
+      }
+    }
+    return { id: undefined, secret: undefined, basic: true };
+  }
+  return {
+    id: stringParam(req.body.client_id),
+    secret: stringParam(req.body.client_secret),
+    basic: false
+  };
+}
+
+/**
+ * Register the OIDC provider routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerOidcRoutes(app, ctx) {
+  const {
+    pool, getKeys, verifyToken, config, logger, metrics, authenticate, getUserGroups, oidcClients, oidcCodes
+  } = ctx;
+
+  const issuer = config.publicUrl;
+  // Path of this app as seen by the browser, e.g. "/auth"
+  const basePath = new URL(issuer).pathname.replace(/\/$/, '');
+
+  function sign(payload, audience) {
+    const { privateKey, kid } = getKeys();
+    return jwt.sign(payload, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience,
+      expiresIn: config.oidc.tokenExpiresIn
+    });
+  }
+
+  async function loadUser(userId) {
+    const result = await pool.query(
+      `SELECT id, email, name, "isActive", "isVerified" FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+    return user && user.isActive ? user : null;
+  }
+
+  function userClaims(user, groups) {
+    return {
+      sub: String(user.id),
+      email: user.email,
+      email_verified: Boolean(user.isVerified),
+      name: user.name,
+      groups
+    };
+  }
+
+  function redirectWith(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) url.searchParams.set(key, value);
+    }
+    return res.redirect(302, url.toString());
+  }
+
+  function tokenError(res, status, error, description) {
+    logger.log(`  Result: ❌ DENIED (${error}: ${description})`);
+    return res.status(status).json({ error, error_description: description });
+  }
+
+  /**
+   * GET /authorize
+   * Errors about the client or redirect_uri are shown here; everything
+   * else is reported back to the (verified) redirect_uri
+   */
+  app.get('/authorize', async (req, res) => {
+    const clientId = stringParam(req.query.client_id);
+    const redirectUri = stringParam(req.query.redirect_uri);
+    const state = stringParam(req.query.state);
+
+    logger.log(`[${new Date().toISOString()}] OIDC AUTHORIZE REQUEST:`);
+    logger.log(`  Client: ${clientId}`);
+
+    try {
+      const client = await oidcClients.find(clientId);
+      if (!client) {
+        logger.log(`  Result: ❌ DENIED (unknown client)`);
+        return res.status(400).json({ error: 'invalid_request', error_description: 'Unknown client_id' });
+      }
+      // Never redirect to a URI the client did not register
+      if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+        logger.log(`  Result: ❌ DENIED (redirect_uri not registered): ${String(redirectUri).slice(0, 200)}`);
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: 'redirect_uri is not registered for this client'
+        });
+      }
+
+      const fail = (error, description) => {
+        logger.log(`  Result: ❌ DENIED (${error}: ${description})`);
+        return redirectWith(res, redirectUri, { error, error_description: description, state });
+      };
+
+      if (req.query.response_type !== 'code') {
+        return fail('unsupported_response_type', 'Only response_type=code is supported');
+      }
+      const scopes = (stringParam(req.query.scope) || '').split(' ').filter(Boolean);
+      if (!scopes.includes('openid')) {
+        return fail('invalid_scope', 'The openid scope is required');
+      }
+      const codeChallenge = stringParam(req.query.code_challenge);
+      if (!codeChallenge || !PKCE_CHALLENGE.test(codeChallenge)) {
+        return fail('invalid_request', 'code_challenge (PKCE) is required');
+      }
+      if (req.query.code_challenge_method !== 'S256') {
+        return fail('invalid_request', 'code_challenge_method must be S256');
+      }
+
+      const result = await authenticate(req);
+      if (result.error) {
+        if (req.query.prompt === 'none') {
+          return fail('login_required', 'The user is not logged in');
+        }
+        // Log in first, then come back to this exact request
+        const query = req.url.slice(req.url.indexOf('?'));
+        const returnTo = `${basePath}/authorize${query}`;
+        logger.log(`  Result: ↪️  LOGIN REQUIRED`);
+        return res.redirect(302, `${basePath}/?returnTo=${encodeURIComponent(returnTo)}`);
+      }
+      // A token exchanged from a personal access token is not a login
+      if (result.claims.pat) {
+        return fail('access_denied', 'Access tokens cannot be used to sign in to other applications');
+      }
+
+      const user = await loadUser(result.claims.id);
+      if (!user) {
+        return fail('access_denied', 'Account is inactive');
+      }
+
+      const code = await oidcCodes.create({
+        clientId: client.id,
+        userId: user.id,
+        redirectUri,
+        scope: scopes.filter(scope => SUPPORTED_SCOPES.includes(scope)).join(' '),
+        nonce: stringParam(req.query.nonce),
+        codeChallenge
+      });
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+      logger.log(`  Result: ✅ CODE ISSUED to ${client.name}`);
+      return redirectWith(res, redirectUri, { code, state, iss: issuer });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+    }
+  });
+
+  /**
+   * POST /token
+   * grant_type=authorization_code with code, redirect_uri and code_verifier
+   */
+  app.post('/token', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    const credentials = clientCredentials(req);
+
+    logger.log(`[${new Date().toISOString()}] OIDC TOKEN REQUEST:`);
+    logger.log(`  Client: ${credentials.id}`);
+
+    if (req.body.grant_type !== 'authorization_code') {
+      return tokenError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    try {
+      const client = await oidcClients.authenticate(credentials.id, credentials.secret);
+      if (!client) {
+        if (credentials.basic) {
+          res.set('WWW-Authenticate', 'Basic realm="token"');
+        }
+        return tokenError(res, 401, 'invalid_client', 'Client authentication failed');
+      }
+
+      const grant = await oidcCodes.consume(stringParam(req.body.code));
+      if (!grant || grant.clientId !== client.id) {
+        return tokenError(res, 400, 'invalid_grant', 'Invalid, used or expired code');
+      }
+      if (grant.redirectUri !== req.body.redirect_uri) {
+        return tokenError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+      const verifier = stringParam(req.body.code_verifier);
+      if (!verifier || pkceChallenge(verifier) !== grant.codeChallenge) {
+        return tokenError(res, 400, 'invalid_grant', 'PKCE verification failed');
+      }
+
+      const user = await loadUser(grant.userId);
+      if (!user) {
+        return tokenError(res, 400, 'invalid_grant', 'Account is inactive');
+      }
+      const groups = await getUserGroups(user.id);
+
+      const idToken = sign({
+        ...userClaims(user, groups),
+        ...(grant.nonce && { nonce: grant.nonce })
+      }, client.id);
+      const accessToken = sign({
+        sub: String(user.id),
+        client_id: client.id,
+        scope: grant.scope
+      }, OIDC_ACCESS_AUDIENCE);
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+      logger.log(`  Result: ✅ TOKENS ISSUED to ${client.name}`);
+      metrics.countToken('oidc_id');
+      metrics.countToken('oidc_access');
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: config.oidc.tokenExpiresIn,
+        id_token: idToken,
+        scope: grant.scope
+      });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+    }
+  });
+
+  /**
+   * GET|POST /userinfo
+   * Fresh claims for the user, read from the database
+   */
+  async function userinfo(req, res) {
+    const match = /^Bearer (.+)$/i.exec(req.get('authorization') || '');
+
+    let claims = null;
+    if (match) {
+      try {
+        claims = verifyToken(match[1], { audience: OIDC_ACCESS_AUDIENCE, issuer });
+      } catch (err) {
+        // Answered below
+      }
+    }
+    if (!claims) {
+      res.set('WWW-Authenticate', match ? 'Bearer error="invalid_token"' : 'Bearer');
+      return res.status(401).json({ error: 'invalid_token', error_description: 'Missing, invalid or expired access token' });
+    }
+
+    try {
+      const user = await loadUser(Number(claims.sub));
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Account is inactive' });
+      }
+      return res.json(userClaims(user, await getUserGroups(user.id)));
+    } catch (err) {
+      logger.error(`[${new Date().toISOString()}] USERINFO ERROR:`, err.message);
+      return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+    }
+  }
+
+  app.get('/userinfo', userinfo);
+  app.post('/userinfo', userinfo);
+}
+
+module.exports = {
+  OIDC_ACCESS_AUDIENCE,
+  SUPPORTED_SCOPES,
+  registerOidcRoutes
+};
@@ -0,0 +1,254 @@
+/**
+ * Password Routes
+ *
+ *   POST /api/password/change  Logged-in user changes their password (requires current password)
+ *   POST /api/password/forgot  Mail a single-use reset link
+ *   POST /api/password/reset   Set a new password with the token from the link
+ *
+ * Changing the password signs out every other session; resetting it signs
+ * out all of them. Only local accounts have a password here. The forgot/reset
+ * routes are only registered when password resets are enabled.
+ */
+
+const bcrypt = require('bcrypt');
+const { BCRYPT_ROUNDS, MIN_PASSWORD_LENGTH } = require('../passwords');
+
+const FORGOT_RESPONSE = 'If an account exists for that email, a password reset link has been sent';
+
+function passwordProblem(password) {
+  if (!password || typeof password !== 'string') {
+    return 'New password required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Register the password routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerPasswordRoutes(app, ctx) {
+  const {
+    pool, config, logger, mailer, passwordResets, sessions, refreshTokens,
+    loginThrottle, requireAuth, refuseTokenSessions, clearSessionCookies, comparePassword, audit
+  } = ctx;
+
+  async function setPassword(userId, password) {
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [hash, userId]);
+  }
+
+  // Link to the page with the reset form (the login page under PUBLIC_URL unless
+  // configured). Never built from the request: a forged Host would redirect the token.
+  function resetLink(token) {
+    const url = new URL(config.passwordReset.url || `${config.publicUrl}/`);
+    url.searchParams.set('token', token);
+    return url.toString();
+  }
+
+  /**
+   * POST /api/password/change
+   * Requires the current password; other sessions are signed out
+   */
+  app.post('/api/password/change', requireAuth, refuseTokenSessions, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    logger.log(`[${new Date().toISOString()}] PASSWORD CHANGE REQUEST:`);
+    logger.log(`  User: ${req.auth.email} (ID: ${req.auth.id})`);
+
+    if (!currentPassword) {
+      logger.log(`  Result: ❌ DENIED (missing current password)`);
+      return res.status(400).json({ success: false, message: 'Current password required' });
+    }
+    const problem = passwordProblem(newPassword);
+    if (problem) {
+      logger.log(`  Result: ❌ DENIED (${problem})`);
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, email, password FROM users WHERE id = $1 AND "providerKey" = 'local'`,
+        [req.auth.id]
+      );
+      const user = result.rows[0];
+      if (!user) {
+        logger.log(`  Result: ❌ DENIED (not a local account)`);
+        return res.status(400).json({ success: false, message: 'Password cannot be changed for this account' });
+      }
+
+      // A stolen session must not become a way to guess the password
+      if (loginThrottle) {
+        const throttle = await loginThrottle.check({ ip: req.ip, email: user.email });
+        if (!throttle.allowed) {
+          logger.log(`  Result: ❌ DENIED (too many attempts, retry in ${throttle.retryAfter}s)`);
+          await audit.record({ type: 'password.change', outcome: 'failure', reason: 'throttled', user, req });
+          res.set('Retry-After', String(throttle.retryAfter));
+          return res.status(429).json({
+            success: false,
+            message: 'Too many failed attempts, please try again later',
+            retryAfter: throttle.retryAfter
+          });
+        }
+      }
+
+      if (!(await comparePassword(currentPassword, user.password))) {
+        if (loginThrottle) {
+          await loginThrottle.recordFailure({ ip: req.ip, email: user.email });
+        }
+        logger.log(`  Result: ❌ DENIED (wrong current password)`);
+        await audit.record({ type: 'password.change', outcome: 'failure', reason: 'bad_password', user, req });
+        return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+      }
+
+      await setPassword(user.id, newPassword);
+
+      // Keep this session, sign out everywhere else
+      if (sessions) {
+        await sessions.revokeUser(user.id, req.auth.jti);
+      }
+      if (refreshTokens) {
+        const current = req.cookies[config.refresh.cookieName]
+          ? await refreshTokens.find(req.cookies[config.refresh.cookieName])
+          : null;
+        await refreshTokens.revokeUser(user.id, current ? current.familyId : req.auth.jti);
+      }
+
+      logger.log(`  Result: ✅ PASSWORD CHANGED`);
+      await audit.record({ type: 'password.change', outcome: 'success', user, req });
+      return res.json({ success: true, message: 'Password changed' });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  if (!passwordResets) {
+    return;
+  }
+
+  /**
+   * POST /api/password/forgot
+   * Always gives the same answer, so it cannot be used to discover accounts
+   */
+  app.post('/api/password/forgot', async (req, res) => {
+    const { email } = req.body;
+
+    logger.log(`[${new Date().toISOString()}] PASSWORD FORGOT REQUEST:`);
+    logger.log(`  Email: ${email}`);
+
+    if (!email || typeof email !== 'string') {
+      logger.log(`  Result: ❌ DENIED (missing email)`);
+      return res.status(400).json({ success: false, message: 'Email required' });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, email, name FROM users
+         WHERE email = $1 AND "providerKey" = 'local' AND "isActive" = true`,
+        [email]
+      );
+      const user = result.rows[0];
+
+      if (!user) {
+        logger.log(`  Result: ⚠️  NO MAIL SENT (no active local account)`);
+      } else {
+        const reset = await passwordResets.create(user.id);
+        if (!reset) {
+          logger.log(`  Result: ⚠️  NO MAIL SENT (link requested moments ago)`);
+        } else {
+          const minutes = Math.round(config.passwordReset.expiresIn / 60);
+          await mailer.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+              `Hello ${user.name},`,
+              '',
+              'Someone (hopefully you) asked to reset your password. Open this link to choose a new one:',
+              '',
+              resetLink(reset.token),
+              '',
+              `The link works once and expires in ${minutes} minutes.`,
+              'If you did not ask for this, ignore this email - your password has not changed.'
+            ].join('\n')
+          });
+          logger.log(`  Result: ✅ RESET LINK SENT`);
+        }
+      }
+    } catch (err) {
+      // Same response as success, the failure is only visible in the log
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+    }
+
+    return res.json({ success: true, message: FORGOT_RESPONSE });
+  });
+
+  /**
+   * POST /api/password/reset
+   * Consumes a reset token; every session for the account is signed out
+   */
+  app.post('/api/password/reset', async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    logger.log(`[${new Date().toISOString()}] PASSWORD RESET REQUEST`);
+
+    const problem = passwordProblem(newPassword);
+    if (problem) {
+      logger.log(`  Result: ❌ DENIED (${problem})`);
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    try {
+      const userId = await passwordResets.consume(token);
+      const result = userId
+        ? await pool.query(`SELECT id, email, "isActive" FROM users WHERE id = $1`, [userId])
+        : { rows: [] };
+      const user = result.rows[0];
+
+      if (!user || !user.isActive) {
+        logger.log(`  Result: ❌ DENIED (${userId ? 'user inactive' : 'invalid, used or expired token'})`);
+        await audit.record({
+          type: 'password.reset',
+          outcome: 'failure',
+          reason: userId ? 'inactive' : 'invalid_token',
+          user: userId ? user || { id: userId } : null,
+          req
+        });
+        return res.status(400).json({ success: false, message: 'Invalid or expired reset link' });
+      }
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+
+      await setPassword(user.id, newPassword);
+
+      if (sessions) {
+        await sessions.revokeUser(user.id);
+      }
+      if (refreshTokens) {
+        await refreshTokens.revokeUser(user.id);
+      }
+      // Proving access to the mailbox also lifts a lockout
+      if (loginThrottle) {
+        await loginThrottle.recordSuccess({ email: user.email });
+      }
+      clearSessionCookies(res);
+
+      logger.log(`  Result: ✅ PASSWORD RESET`);
+      await audit.record({ type: 'password.reset', outcome: 'success', user, req });
+      return res.json({ success: true, message: 'Password has been reset, please log in' });
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+}
+
+module.exports = {
+  registerPasswordRoutes
+};
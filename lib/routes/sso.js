@@ -0,0 +1,220 @@
+/**
+ * Upstream Single Sign-On Routes
+ *
+ *   GET /api/sso            Whether SSO is available and the button label
+ *   GET /api/sso/login      Send the browser to the identity provider
+ *   GET /api/sso/callback   Return from the provider: verify, provision, log in
+ *
+ * state, nonce and the PKCE verifier travel in a short-lived cookie holding an
+ * RS256 JWT with its own audience, so no server-side storage is needed and the
+ * callback only works in the browser that started the login.
+ *
+ * The callback ends like /api/login: the user is created or updated from the
+ * ID token (lib/provisioning.js), a session is started and the usual jwt
+ * cookie is set. Users with 2FA enabled still enter their code on the login
+ * page. Failures go back to the login page with ?ssoError=<message>.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SsoError, createSsoClient, createPkcePair } = require('../sso');
+const { provisionUser, ProvisioningError } = require('../provisioning');
+const { issueMfaChallenge } = require('./mfa');
+
+const SSO_STATE_AUDIENCE = 'urn:wikijs-jwt-auth:sso-state';
+
+/**
+ * Register the SSO routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerSsoRoutes(app, ctx) {
+  const {
+    pool, getKeys, verifyToken, config, logger, mfa, cookieOptions, startSession, redirectTarget, audit
+  } = ctx;
+  const client = createSsoClient(config.sso);
+
+  const redirectUri = `${config.publicUrl}/api/sso/callback`;
+  // Path of this app as seen by the browser, e.g. "/auth"
+  const basePath = new URL(config.publicUrl).pathname.replace(/\/$/, '');
+
+  // The callback is a top-level navigation from another site: strict cookies would not be sent
+  function stateCookieOptions(req) {
+    const options = cookieOptions(req);
+    return { ...options, sameSite: options.sameSite === 'none' ? 'none' : 'lax' };
+  }
+
+  function loginPage(params) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return `${basePath}/${query ? `?${query}` : ''}`;
+  }
+
+  function fail(res, message, returnTo) {
+    return res.redirect(302, loginPage({ ssoError: message, returnTo }));
+  }
+
+  function auditFailure(req, reason, { user, email, details } = {}) {
+    return audit.record({ type: 'sso.login', outcome: 'failure', reason, user, email, req, details });
+  }
+
+  function readState(req) {
+    const token = req.cookies[config.sso.cookieName];
+    if (!token) return null;
+    try {
+      return verifyToken(token, { audience: SSO_STATE_AUDIENCE });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * GET /api/sso
+   * Lets the login page show the "Sign in with ..." button
+   */
+  app.get('/api/sso', (req, res) => {
+    res.json({ enabled: true, name: config.sso.name });
+  });
+
+  /**
+   * GET /api/sso/login
+   * Accepts returnTo like /api/login
+   */
+  app.get('/api/sso/login', async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] SSO LOGIN REQUEST:`);
+
+    const returnTo = redirectTarget(req);
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const { verifier, challenge } = createPkcePair();
+
+    try {
+      const url = await client.authorizationUrl({ redirectUri, state, nonce, codeChallenge: challenge });
+
+      const { privateKey, kid } = getKeys();
+      const token = jwt.sign({ state, nonce, verifier, ...(returnTo && { returnTo }) }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        expiresIn: config.sso.stateExpiresIn,
+        audience: SSO_STATE_AUDIENCE,
+        issuer: config.jwt.issuer
+      });
+      res.cookie(config.sso.cookieName, token, {
+        ...stateCookieOptions(req),
+        maxAge: config.sso.stateExpiresIn * 1000
+      });
+
+      logger.log(`  Result: ↪️  SENT TO ${config.sso.issuer}`);
+      return res.redirect(302, url);
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return fail(res, 'The identity provider is not available, please try again later', returnTo);
+    }
+  });
+
+  /**
+   * GET /api/sso/callback
+   * code and state from the provider (or error)
+   */
+  app.get('/api/sso/callback', async (req, res) => {
+    logger.log(`[${new Date().toISOString()}] SSO CALLBACK:`);
+
+    const saved = readState(req);
+    res.clearCookie(config.sso.cookieName, stateCookieOptions(req));
+
+    if (!saved) {
+      logger.log(`  Result: ❌ DENIED (no or expired state cookie)`);
+      await auditFailure(req, 'state_expired');
+      return fail(res, 'Sign-in session expired, please try again');
+    }
+    const returnTo = saved.returnTo;
+
+    if (typeof req.query.state !== 'string' || req.query.state !== saved.state) {
+      logger.log(`  Result: ❌ DENIED (state mismatch)`);
+      await auditFailure(req, 'state_mismatch');
+      return fail(res, 'Sign-in session expired, please try again', returnTo);
+    }
+    if (req.query.error) {
+      logger.log(`  Result: ❌ DENIED (provider: ${String(req.query.error).slice(0, 100)})`);
+      await auditFailure(req, 'provider_error', { details: { error: String(req.query.error).slice(0, 100) } });
+      return fail(res, 'Sign-in was cancelled or refused by the identity provider', returnTo);
+    }
+    if (typeof req.query.code !== 'string' || !req.query.code) {
+      logger.log(`  Result: ❌ DENIED (missing code)`);
+      await auditFailure(req, 'missing_code');
+      return fail(res, 'Sign-in failed, please try again', returnTo);
+    }
+
+    try {
+      let profile;
+      try {
+        const claims = await client.exchangeCode({
+          code: req.query.code,
+          codeVerifier: saved.verifier,
+          redirectUri,
+          nonce: saved.nonce
+        });
+        profile = client.profile(claims);
+      } catch (err) {
+        if (!(err instanceof SsoError)) throw err;
+        logger.log(`  Result: ❌ DENIED (${err.message})`);
+        await auditFailure(req, 'invalid_token', { details: { error: err.message } });
+        return fail(res, 'Sign-in failed, please try again', returnTo);
+      }
+
+      logger.log(`  Email: ${profile.email}`);
+
+      let provisioned;
+      try {
+        provisioned = await provisionUser(pool, { providerKey: config.sso.providerKey, ...profile });
+      } catch (err) {
+        if (!(err instanceof ProvisioningError)) throw err;
+        logger.log(`  Result: ❌ DENIED (${err.message})`);
+        await auditFailure(req, 'account_conflict', { email: profile.email });
+        return fail(res, 'This email address already uses another sign-in method', returnTo);
+      }
+      const { user, created, unknownGroups } = provisioned;
+
+      if (created) {
+        logger.log(`  Account created (ID: ${user.id})`);
+      }
+      if (unknownGroups.length > 0) {
+        logger.log(`  Ignored groups (not in Wiki.js): ${unknownGroups.join(', ')}`);
+      }
+
+      if (!user.isActive) {
+        logger.log(`  Result: ❌ DENIED (user inactive)`);
+        await auditFailure(req, 'inactive', { user });
+        return fail(res, 'Account is inactive', returnTo);
+      }
+
+      // The login page picks up the pending cookie and asks for the code
+      if (mfa && (await mfa.isEnabled(user.id))) {
+        issueMfaChallenge(ctx, res, user);
+        logger.log(`  User: ${user.email} (ID: ${user.id})`);
+        logger.log(`  Result: 🔐 SSO OK, TWO-FACTOR CODE REQUIRED`);
+        await audit.record({ type: 'sso.login', outcome: 'pending', reason: 'mfa_required', user, req });
+        return res.redirect(302, loginPage({ mfa: '1', returnTo }));
+      }
+
+      const groups = await startSession(req, res, user);
+
+      logger.log(`  User: ${user.email} (ID: ${user.id})`);
+      logger.log(`  Groups: ${groups.join(', ') || 'none'}`);
+      logger.log(`  Result: ✅ SSO LOGIN SUCCESS`);
+      await audit.record({ type: 'sso.login', outcome: 'success', user, req, details: { created } });
+
+      return res.redirect(302, returnTo || loginPage({}));
+
+    } catch (err) {
+      logger.error(`  Result: ❌ ERROR:`, err.message);
+      return fail(res, 'Server error', returnTo);
+    }
+  });
+}
+
+module.exports = {
+  SSO_STATE_AUDIENCE,
+  registerSsoRoutes
+};
@@ -0,0 +1,78 @@
+/**
+ * Key Discovery Routes
+ *
+ *   GET /.well-known/jwks.json              Public signing keys as a JWK Set (RFC 7517)
+ *   GET /.well-known/openid-configuration   Discovery document pointing at the JWKS (and, in
+ *                                           OIDC provider mode, the /authorize, /token and
+ *                                           /userinfo endpoints)
+ *
+ * Lets other services verify our tokens without database access: fetch the
+ * JWKS, cache it, and pick the key whose kid matches the token header.
+ */
+
+const { activeVerificationKeys, toPublicJwk } = require('../keys');
+const { SUPPORTED_SCOPES } = require('./oidc');
+
+// Verifiers may cache the documents this long (seconds)
+const MAX_AGE = 5 * 60;
+
+/**
+ * Register the .well-known routes
+ *
+ * @param {express.Application} app
+ * @param {Object} ctx - Shared services from createAuthApp
+ */
+function registerWellKnownRoutes(app, ctx) {
+  const { config, getKeys } = ctx;
+
+  // PUBLIC_URL, or where this request reached us (including a mount path)
+  function baseUrl(req) {
+    return config.publicUrl || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  }
+
+  app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', `public, max-age=${MAX_AGE}`);
+    // Signing key first, then previous keys still in their grace period
+    res.json({ keys: activeVerificationKeys(getKeys()).map(toPublicJwk) });
+  });
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.set('Cache-Control', `public, max-age=${MAX_AGE}`);
+
+    if (config.oidc.enabled) {
+      // Provider mode: describes the ID tokens issued by lib/routes/oidc.js
+      const base = config.publicUrl;
+      return res.json({
+        issuer: base,
+        authorization_endpoint: `${base}/authorize`,
+        token_endpoint: `${base}/token`,
+        userinfo_endpoint: `${base}/userinfo`,
+        jwks_uri: `${base}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: SUPPORTED_SCOPES,
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups', 'nonce', 'iat', 'exp', 'aud', 'iss']
+      });
+    }
+
+    return res.json({
+      // Same value as the iss claim, so verifiers can check both
+      issuer: config.jwt.issuer,
+      jwks_uri: `${baseUrl(req)}/.well-known/jwks.json`,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      claims_supported: [
+        'id', 'email', 'name', 'groups', ...(config.jwt.groupNames ? ['groupNames'] : []),
+        'iat', 'exp', 'aud', 'iss', 'jti'
+      ]
+    });
+  });
+}
+
+module.exports = {
+  registerWellKnownRoutes
+};
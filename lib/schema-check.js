@@ -0,0 +1,64 @@
+/**
+ * Startup Schema Check
+ *
+ * Several features keep state in tables of their own (database/schema.sql).
+ * A Wiki.js database has none of them, so with the default configuration
+ * every login would fail with a database error. The service checks for the
+ * tables of the enabled features before it starts and names the missing
+ * ones, the migration that creates them (database/auth-tables.sql) and the
+ * settings that turn the features off.
+ */
+
+// Feature switch -> tables it needs
+const FEATURE_TABLES = [
+  { setting: 'REFRESH_ENABLED', enabled: config => config.refresh.enabled, tables: ['refreshTokens'] },
+  { setting: 'SESSIONS_ENABLED', enabled: config => config.sessions.enabled, tables: ['authSessions'] },
+  { setting: 'LOGIN_THROTTLE_ENABLED', enabled: config => config.loginThrottle.enabled, tables: ['loginThrottle'] },
+  { setting: 'MFA_ENABLED', enabled: config => config.mfa.enabled, tables: ['userMfa', 'mfaRecoveryCodes'] },
+  { setting: 'PASSWORD_RESET_ENABLED', enabled: config => config.passwordReset.enabled, tables: ['passwordResets'] },
+  { setting: 'OIDC_ENABLED', enabled: config => config.oidc.enabled, tables: ['oidcClients', 'oidcAuthCodes'] },
+  { setting: 'ACCESS_TOKENS_ENABLED', enabled: config => config.accessTokens.enabled, tables: ['accessTokens'] },
+  { setting: 'AUDIT_DATABASE', enabled: config => config.audit.database, tables: ['auditLog'] }
+];
+
+/**
+ * List the enabled features whose tables are missing
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} config - Validated config (see lib/config.js)
+ * @returns {Promise<Array<{setting: string, tables: string[]}>>} Empty when all tables exist
+ */
+async function findMissingTables(pool, config) {
+  const features = FEATURE_TABLES.filter(feature => feature.enabled(config));
+  if (features.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query('SELECT table_name FROM information_schema.tables');
+  const existing = new Set(result.rows.map(row => row.table_name));
+
+  return features
+    .map(({ setting, tables }) => ({ setting, tables: tables.filter(table => !existing.has(table)) }))
+    .filter(feature => feature.tables.length > 0);
+}
+
+/**
+ * Describe missing tables for the startup error
+ *
+ * @param {Array<{setting: string, tables: string[]}>} missing - From findMissingTables
+ * @returns {string[]} Lines to print
+ */
+function describeMissingTables(missing) {
+  return [
+    'Tables missing for enabled features:',
+    ...missing.map(({ setting, tables }) => `- ${tables.join(', ')} (${setting})`),
+    'Create them with: psql -f database/auth-tables.sql',
+    `or turn the features off: ${missing.map(({ setting }) => `${setting}=false`).join(' ')}`
+  ];
+}
+
+module.exports = {
+  FEATURE_TABLES,
+  describeMissingTables,
+  findMissingTables
+};
@@ -0,0 +1,51 @@
+/**
+ * Security Headers
+ *
+ * Added to every response, the static pages in public/ as well as the API:
+ *   Content-Security-Policy    config policy plus frame-ancestors
+ *   X-Frame-Options            DENY / SAMEORIGIN for older browsers, when frame-ancestors
+ *                              is 'none' / 'self'
+ *   Strict-Transport-Security  on HTTPS requests (per X-Forwarded-Proto behind TRUST_PROXY)
+ *   X-Content-Type-Options     nosniff
+ *   Referrer-Policy            same-origin, so reset links (/?token=...) do not leak
+ */
+
+/**
+ * Create the security headers middleware
+ *
+ * @param {Object} options - config.securityHeaders (see lib/config.js)
+ * @param {string} options.contentSecurityPolicy - Empty for none
+ * @param {string} options.frameAncestors - CSP source list, empty for no restriction
+ * @param {number} options.hstsMaxAge - Seconds, 0 = no HSTS
+ * @param {boolean} options.hstsIncludeSubdomains
+ * @returns {express.RequestHandler}
+ */
+function createSecurityHeaders({ contentSecurityPolicy, frameAncestors, hstsMaxAge, hstsIncludeSubdomains }) {
+  const csp = [contentSecurityPolicy, frameAncestors && `frame-ancestors ${frameAncestors}`]
+    .filter(Boolean)
+    .join('; ');
+  const frameOptions = { "'none'": 'DENY', "'self'": 'SAMEORIGIN' }[frameAncestors];
+  const hsts = hstsMaxAge > 0
+    ? `max-age=${hstsMaxAge}${hstsIncludeSubdomains ? '; includeSubDomains' : ''}`
+    : null;
+
+  return function securityHeaders(req, res, next) {
+    if (csp) {
+      res.set('Content-Security-Policy', csp);
+    }
+    if (frameOptions) {
+      res.set('X-Frame-Options', frameOptions);
+    }
+    // Browsers ignore HSTS received over plain HTTP
+    if (hsts && req.secure) {
+      res.set('Strict-Transport-Security', hsts);
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Referrer-Policy', 'same-origin');
+    next();
+  };
+}
+
+module.exports = {
+  createSecurityHeaders
+};
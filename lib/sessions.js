@@ -0,0 +1,118 @@
+/**
+ * Session Store
+ *
+ * One row in authSessions per login. The session ID is used as the JWT `jti`
+ * claim (and as the refresh token family ID), so every token minted for the
+ * login - including ones renewed through /api/refresh - can be revoked on the
+ * server by revoking the session.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a session store backed by the authSessions table
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ */
+function createSessionStore(pool) {
+  /**
+   * Record a new session
+   * @returns {Promise<string>} Session ID (use as jti)
+   */
+  async function create({ userId, ip, userAgent, expiresAt }) {
+    const id = crypto.randomUUID();
+    await pool.query(
+      `INSERT INTO "authSessions" (id, "userId", ip, "userAgent", "expiresAt")
+       VALUES ($1, $2, $3, $4, $5)`,
+      [id, userId, ip || null, userAgent || null, expiresAt]
+    );
+    return id;
+  }
+
+  /**
+   * Whether a session exists, is not revoked and has not expired
+   */
+  async function isActive(id) {
+    if (!id) return false;
+    const result = await pool.query(
+      `SELECT "revokedAt", "expiresAt" FROM "authSessions" WHERE id = $1`,
+      [id]
+    );
+    const row = result.rows[0];
+    return Boolean(row && !row.revokedAt && new Date(row.expiresAt) > new Date());
+  }
+
+  /**
+   * Extend a session (on refresh)
+   */
+  async function touch(id, expiresAt) {
+    await pool.query(
+      `UPDATE "authSessions" SET "lastSeenAt" = NOW(), "expiresAt" = $2
+       WHERE id = $1 AND "revokedAt" IS NULL`,
+      [id, expiresAt]
+    );
+  }
+
+  /**
+   * Active sessions for a user, newest first
+   */
+  async function listForUser(userId) {
+    const result = await pool.query(
+      `SELECT id, ip, "userAgent", "createdAt", "lastSeenAt", "expiresAt"
+       FROM "authSessions"
+       WHERE "userId" = $1 AND "revokedAt" IS NULL AND "expiresAt" > $2
+       ORDER BY "createdAt" DESC`,
+      [userId, new Date()]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke one session. Pass userId to only revoke a session owned by that user.
+   * @returns {Promise<boolean>} True if a session was revoked
+   */
+  async function revoke(id, userId = null) {
+    const result = userId === null
+      ? await pool.query(
+        `UPDATE "authSessions" SET "revokedAt" = NOW()
+         WHERE id = $1 AND "revokedAt" IS NULL
+         RETURNING id`,
+        [id]
+      )
+      : await pool.query(
+        `UPDATE "authSessions" SET "revokedAt" = NOW()
+         WHERE id = $1 AND "userId" = $2 AND "revokedAt" IS NULL
+         RETURNING id`,
+        [id, userId]
+      );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Revoke every session for a user
+   * @param {string} [exceptId] - Session to keep (e.g. the one changing the password)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async function revokeUser(userId, exceptId = null) {
+    const result = await pool.query(
+      `UPDATE "authSessions" SET "revokedAt" = NOW()
+       WHERE "userId" = $1 AND "revokedAt" IS NULL AND id <> $2
+       RETURNING id`,
+      [userId, exceptId || '']
+    );
+    return result.rows.length;
+  }
+
+  return {
+    create,
+    isActive,
+    touch,
+    listForUser,
+    revoke,
+    revokeUser
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
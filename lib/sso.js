@@ -0,0 +1,271 @@
+/**
+ * Upstream OpenID Connect Client
+ *
+ * Lets users sign in through an external identity provider (Keycloak, Azure
+ * AD, Okta, ...) with the authorization code flow and PKCE. This module only
+ * talks to the provider; lib/routes/sso.js runs the browser flow and turns the
+ * verified ID token into a local user (lib/provisioning.js) and jwt cookie.
+ *
+ * The provider's discovery document and signing keys (JWKS) are fetched on
+ * first use and cached. The JWKS is fetched again when an ID token names a
+ * key we have not seen, so key rotation at the provider needs no restart.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Asymmetric algorithms only: HS* would need the client secret as key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class SsoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SsoError';
+  }
+}
+
+/**
+ * Read a claim by dotted path, e.g. "realm_access.roles" (Keycloak)
+ */
+function claimValue(claims, path) {
+  return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), claims);
+}
+
+/**
+ * PKCE S256 verifier and challenge (RFC 7636)
+ */
+function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Create a client for the upstream identity provider
+ *
+ * @param {Object} options - config.sso (see lib/config.js)
+ * @param {string} options.issuer - Provider issuer URL; discovery is read from
+ *   {issuer}/.well-known/openid-configuration
+ * @param {string} options.clientId
+ * @param {string} [options.clientSecret] - Sent with HTTP Basic auth; omit for public clients
+ * @param {string} options.scopes - Space-separated, must include openid
+ * @param {string} options.emailClaim
+ * @param {string} options.nameClaim
+ * @param {string} options.groupsClaim - Dotted path to an array (or string) of group names
+ * @param {Object} [options.groupMap] - Provider group -> Wiki.js group name; groups
+ *   are only synced through it (provider names are never used as-is)
+ * @param {boolean} options.requireVerifiedEmail - Refuse tokens without email_verified = true
+ * @param {number} options.timeout - Milliseconds per request to the provider
+ */
+function createSsoClient(options) {
+  const issuer = options.issuer.replace(/\/+$/, '');
+  const groupMap = new Map(Object.entries(options.groupMap || {})
+    .map(([upstream, group]) => [upstream.toLowerCase(), group]));
+
+  let metadata = null;
+  let signingKeys = null;
+
+  async function getJson(url, init = {}) {
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(options.timeout) });
+    } catch (err) {
+      throw new SsoError(`${url} is not reachable: ${err.message}`);
+    }
+    let body = null;
+    try {
+      body = await res.json();
+    } catch (err) {
+      // Reported below
+    }
+    if (!res.ok || !body) {
+      const detail = body && body.error ? `: ${body.error}${body.error_description ? ` (${body.error_description})` : ''}` : '';
+      throw new SsoError(`${url} answered ${res.status}${detail}`);
+    }
+    return body;
+  }
+
+  /**
+   * Provider metadata from the discovery document (cached)
+   */
+  async function discover() {
+    if (!metadata) {
+      const document = await getJson(`${issuer}/.well-known/openid-configuration`);
+      // OIDC Discovery section 4.3: the document must be about this issuer
+      if (String(document.issuer).replace(/\/+$/, '') !== issuer) {
+        throw new SsoError(`Discovery document issuer "${document.issuer}" does not match ${issuer}`);
+      }
+      for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!document[field]) {
+          throw new SsoError(`Discovery document has no ${field}`);
+        }
+      }
+      metadata = document;
+    }
+    return metadata;
+  }
+
+  async function loadSigningKeys() {
+    const { jwks_uri: jwksUri } = await discover();
+    const { keys = [] } = await getJson(jwksUri);
+    signingKeys = keys
+      .filter(key => !key.use || key.use === 'sig')
+      .map(key => {
+        try {
+          return { kid: key.kid, key: crypto.createPublicKey({ key, format: 'jwk' }) };
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    return signingKeys;
+  }
+
+  async function signingKey(kid) {
+    const pick = keys => (kid ? keys.find(key => key.kid === kid) : keys.length === 1 && keys[0]);
+    let found = signingKeys && pick(signingKeys);
+    if (!found) {
+      // Unknown kid: the provider may have rotated its keys
+      found = pick(await loadSigningKeys());
+    }
+    if (!found) {
+      throw new SsoError(`No signing key ${kid ? `"${kid}" ` : ''}in the provider's JWKS`);
+    }
+    return found.key;
+  }
+
+  /**
+   * URL of the provider's login page
+   * @param {Object} params
+   * @param {string} params.redirectUri - Our callback URL
+   * @param {string} params.state
+   * @param {string} params.nonce
+   * @param {string} params.codeChallenge - PKCE S256 challenge
+   * @returns {Promise<string>}
+   */
+  async function authorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const url = new URL((await discover()).authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', options.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', options.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  /**
+   * Exchange the authorization code and verify the returned ID token
+   * @returns {Promise<Object>} ID token claims
+   * @throws {SsoError}
+   */
+  async function exchangeCode({ code, codeVerifier, redirectUri, nonce }) {
+    const { token_endpoint: tokenEndpoint } = await discover();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+    if (options.clientSecret) {
+      // client_secret_basic: both parts form-urlencoded (RFC 6749 section 2.3.1)
+      const credentials = `${encodeURIComponent(options.clientId)}:${encodeURIComponent(options.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', options.clientId);
+    }
+
+    const tokens = await getJson(tokenEndpoint, { method: 'POST', headers, body: body.toString() });
+    if (!tokens.id_token) {
+      throw new SsoError('Token response has no id_token');
+    }
+    return verifyIdToken(tokens.id_token, { nonce });
+  }
+
+  /**
+   * Check signature, issuer, audience, expiry and nonce of an ID token
+   * @returns {Promise<Object>} Claims
+   * @throws {SsoError}
+   */
+  async function verifyIdToken(idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new SsoError('ID token is not a JWT');
+    }
+
+    const key = await signingKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: (await discover()).issuer,
+        audience: options.clientId,
+        clockTolerance: 30
+      });
+    } catch (err) {
+      throw new SsoError(`ID token rejected: ${err.message}`);
+    }
+
+    // Binds the token to the login that started in this browser
+    if (claims.nonce !== nonce) {
+      throw new SsoError('ID token nonce does not match');
+    }
+    return claims;
+  }
+
+  /**
+   * Email, name and Wiki.js group names from ID token claims
+   * @returns {{email: string, name: string, groups: string[]|undefined}} groups is
+   *   undefined without a groupMap or a groups claim (memberships are then left alone)
+   * @throws {SsoError} Without a (verified) email
+   */
+  function profile(claims) {
+    const email = claimValue(claims, options.emailClaim);
+    if (typeof email !== 'string' || !email.includes('@')) {
+      throw new SsoError(`ID token has no email in the "${options.emailClaim}" claim`);
+    }
+    // A missing claim proves nothing: only an explicit true counts
+    if (options.requireVerifiedEmail && claims.email_verified !== true) {
+      throw new SsoError(`Email ${email} is not verified at the identity provider`);
+    }
+
+    const name = claimValue(claims, options.nameClaim);
+
+    // Only mapped groups: a provider group named like a Wiki.js group (e.g.
+    // admin) must not grant it implicitly
+    let groups;
+    const rawGroups = claimValue(claims, options.groupsClaim);
+    if (rawGroups !== undefined && groupMap.size > 0) {
+      const values = (Array.isArray(rawGroups) ? rawGroups : [rawGroups])
+        .filter(value => typeof value === 'string');
+      groups = [...new Set(values.map(value => groupMap.get(value.toLowerCase())).filter(Boolean))];
+    }
+
+    return {
+      email: email.toLowerCase(),
+      name: typeof name === 'string' && name ? name : email,
+      groups
+    };
+  }
+
+  return {
+    discover,
+    authorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    profile
+  };
+}
+
+module.exports = {
+  SsoError,
+  createSsoClient,
+  createPkcePair
+};
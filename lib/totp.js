@@ -0,0 +1,139 @@
+/**
+ * TOTP (RFC 6238) / HOTP (RFC 4226)
+ *
+ * Compatible with Google Authenticator, Authy, 1Password etc: HMAC-SHA1,
+ * 6 digits, 30 second steps, base32-encoded secrets.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30;
+const DEFAULT_DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP value for a counter
+ * @param {Buffer} key - Raw secret
+ */
+function hotp(key, counter, digits = DEFAULT_DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+/**
+ * Time step number for a timestamp
+ */
+function timeStep(time = Date.now(), step = DEFAULT_STEP) {
+  return Math.floor(time / 1000 / step);
+}
+
+/**
+ * TOTP code for a base32 secret
+ */
+function generate(secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) {
+  return hotp(base32Decode(secret), timeStep(time, step), digits);
+}
+
+/**
+ * Check a code against the current time step and `window` steps either side
+ * (to allow for clock drift)
+ *
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+function verify(secret, code, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS, window = 1 } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(key, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Decode,
+  base32Encode,
+  generate,
+  generateSecret,
+  hotp,
+  otpauthUri,
+  timeStep,
+  verify
+};
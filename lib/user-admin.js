@@ -0,0 +1,431 @@
+/**
+ * User Administration Store
+ *
+ * Users, groups and memberships of a STANDALONE auth database. Shared by
+ * admin.js (user:*, group:*, membership:*) and the web console
+ * (lib/routes/admin.js), so both apply the same rules:
+ *   - emails need an @ and are unique, passwords have at least 8 characters
+ *   - group names are lowercase a-z, 0-9, - and _
+ *   - stored passwords are bcrypt hashes
+ *   - the admin group cannot be deleted
+ *
+ * Wiki.js keeps more state per user and group than this schema (profiles,
+ * permissions, page rules), so neither tool should write to a Wiki.js
+ * database - see isWikiJsDatabase().
+ */
+
+const bcrypt = require('bcrypt');
+const { BCRYPT_ROUNDS, MIN_PASSWORD_LENGTH } = require('./passwords');
+
+const GROUP_NAME_PATTERN = /^[a-z0-9_-]+$/;
+const BCRYPT_HASH_PATTERN = /^\$2[abxy]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+const PROTECTED_GROUPS = ['admin', 'Administrators'];
+
+// PostgreSQL unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Raised when a change is refused
+ * reason: invalid (bad input), not_found or conflict (already exists)
+ */
+class UserAdminError extends Error {
+  constructor(message, reason = 'invalid') {
+    super(message);
+    this.name = 'UserAdminError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Whether the pool points at a Wiki.js database rather than a standalone one
+ * (Wiki.js has pages and authentication tables, the standalone schema neither)
+ * @param {Pool} pool
+ * @returns {Promise<boolean>}
+ */
+async function isWikiJsDatabase(pool) {
+  const result = await pool.query(
+    "SELECT table_name FROM information_schema.tables WHERE table_name IN ('pages', 'authentication')"
+  );
+  // A name can appear once per schema
+  return new Set(result.rows.map(row => row.table_name)).size === 2;
+}
+
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function checkEmail(email) {
+  if (typeof email !== 'string' || !email.includes('@')) {
+    throw new UserAdminError('Invalid email address');
+  }
+}
+
+function checkName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new UserAdminError('Name is required');
+  }
+}
+
+function checkGroupName(name) {
+  if (typeof name !== 'string' || !GROUP_NAME_PATTERN.test(name)) {
+    throw new UserAdminError('Group name must be lowercase alphanumeric (a-z, 0-9, -, _)');
+  }
+}
+
+function checkPasswordHash(hash) {
+  if (typeof hash !== 'string' || !BCRYPT_HASH_PATTERN.test(hash)) {
+    throw new UserAdminError('Password hash must be a bcrypt hash ($2a$/$2b$/$2y$)');
+  }
+}
+
+// Users with their group names; array_agg yields [null] for no groups without FILTER support
+function userRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    isActive: row.isActive,
+    isVerified: row.isVerified,
+    providerKey: row.providerKey,
+    createdAt: row.createdAt,
+    groups: (row.groups || []).filter(name => name !== null).sort()
+  };
+}
+
+/**
+ * Create the store
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ */
+function createUserAdmin(pool) {
+  async function queryUsers(where = '', params = []) {
+    const result = await pool.query(`
+      SELECT
+        u.id,
+        u.email,
+        u.name,
+        u."isActive",
+        u."isVerified",
+        u."providerKey",
+        u."createdAt",
+        array_agg(g.name ORDER BY g.name) FILTER (WHERE g.name IS NOT NULL) as groups
+      FROM users u
+      LEFT JOIN "userGroups" ug ON u.id = ug."userId"
+      LEFT JOIN groups g ON ug."groupId" = g.id
+      ${where}
+      GROUP BY u.id, u.email, u.name, u."isActive", u."isVerified", u."providerKey", u."createdAt"
+      ORDER BY u.id
+    `, params);
+    return result.rows.map(userRow);
+  }
+
+  /**
+   * Users with their group names, by ID
+   * @param {Object} [options]
+   * @param {string} [options.search] - Part of the email or name (case-insensitive)
+   * @returns {Promise<Object[]>} { id, email, name, isActive, isVerified, providerKey, createdAt, groups }
+   */
+  async function listUsers({ search } = {}) {
+    if (search) {
+      return queryUsers('WHERE u.email ILIKE $1 OR u.name ILIKE $1', [`%${search.replace(/[\\%_]/g, '\\$&')}%`]);
+    }
+    return queryUsers();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Same shape as listUsers()
+   */
+  async function getUser(id) {
+    const [user] = await queryUsers('WHERE u.id = $1', [id]);
+    return user || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Same shape as listUsers()
+   */
+  async function findUser(email) {
+    const [user] = await queryUsers('WHERE u.email = $1', [email]);
+    return user || null;
+  }
+
+  async function requireUser(id) {
+    const user = await getUser(id);
+    if (!user) {
+      throw new UserAdminError(`User ${id} not found`, 'not_found');
+    }
+    return user;
+  }
+
+  /**
+   * Create a user, by default an active local one
+   * @param {Object} options
+   * @param {string} options.email
+   * @param {string} options.name
+   * @param {string} [options.password] - Hashed before it is stored
+   * @param {string} [options.passwordHash] - Instead of password: a bcrypt hash, stored
+   *   as-is (imports), or '' for an account of another provider (no password login)
+   * @param {boolean} [options.isActive=true]
+   * @param {string} [options.providerKey='local']
+   * @returns {Promise<Object>} The user
+   * @throws {UserAdminError}
+   */
+  async function createUser({ email, name, password, passwordHash, isActive = true, providerKey = 'local' }) {
+    checkEmail(email);
+    checkName(name);
+    if (passwordHash === undefined) {
+      const problem = passwordProblem(password);
+      if (problem) {
+        throw new UserAdminError(problem);
+      }
+    } else if (passwordHash !== '' || providerKey === 'local') {
+      checkPasswordHash(passwordHash);
+    }
+
+    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      throw new UserAdminError(`User ${email} already exists`, 'conflict');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO users (email, name, password, "isActive", "isVerified", "providerKey")
+       VALUES ($1, $2, $3, $4, true, $5)
+       RETURNING id`,
+      [email, name, passwordHash ?? await bcrypt.hash(password, BCRYPT_ROUNDS), Boolean(isActive), providerKey]
+    );
+    return getUser(result.rows[0].id);
+  }
+
+  /**
+   * Change a user's email and/or name
+   * @param {number} id
+   * @param {Object} changes - email, name
+   * @returns {Promise<Object>} The user
+   * @throws {UserAdminError}
+   */
+  async function updateUser(id, { email, name }) {
+    await requireUser(id);
+    if (email !== undefined) checkEmail(email);
+    if (name !== undefined) checkName(name);
+
+    try {
+      await pool.query(
+        `UPDATE users SET email = COALESCE($2, email), name = COALESCE($3, name), "updatedAt" = $4
+         WHERE id = $1`,
+        [id, email ?? null, name ?? null, new Date()]
+      );
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        throw new UserAdminError(`User ${email} already exists`, 'conflict');
+      }
+      throw err;
+    }
+    return getUser(id);
+  }
+
+  /**
+   * Activate or deactivate a user (inactive users cannot log in)
+   * @returns {Promise<Object>} The user
+   * @throws {UserAdminError}
+   */
+  async function setActive(id, isActive) {
+    const result = await pool.query(
+      'UPDATE users SET "isActive" = $2 WHERE id = $1 RETURNING id',
+      [id, Boolean(isActive)]
+    );
+    if (result.rows.length === 0) {
+      throw new UserAdminError(`User ${id} not found`, 'not_found');
+    }
+    return getUser(id);
+  }
+
+  /**
+   * @throws {UserAdminError}
+   */
+  async function setPassword(id, password) {
+    const problem = passwordProblem(password);
+    if (problem) {
+      throw new UserAdminError(problem);
+    }
+    await requireUser(id);
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, id]);
+  }
+
+  /**
+   * Store an already hashed (bcrypt) password
+   * @throws {UserAdminError}
+   */
+  async function setPasswordHash(id, passwordHash) {
+    checkPasswordHash(passwordHash);
+    await requireUser(id);
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, id]);
+  }
+
+  /**
+   * Delete a user (memberships, sessions and tokens go with it)
+   * @returns {Promise<Object>} The deleted user's id and email
+   * @throws {UserAdminError}
+   */
+  async function deleteUser(id) {
+    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id, email', [id]);
+    if (result.rows.length === 0) {
+      throw new UserAdminError(`User ${id} not found`, 'not_found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Groups by name with their member counts
+   * @returns {Promise<Object[]>} { id, name, memberCount, createdAt }
+   */
+  async function listGroups() {
+    const result = await pool.query(`
+      SELECT
+        g.id,
+        g.name,
+        COUNT(ug."userId") as member_count,
+        g."createdAt"
+      FROM groups g
+      LEFT JOIN "userGroups" ug ON g.id = ug."groupId"
+      GROUP BY g.id, g.name, g."createdAt"
+      ORDER BY g.name
+    `);
+    return result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      memberCount: Number(row.member_count),
+      createdAt: row.createdAt
+    }));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { id, name }
+   */
+  async function findGroup(name) {
+    const result = await pool.query('SELECT id, name FROM groups WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  }
+
+  async function requireGroup(id) {
+    const result = await pool.query('SELECT id, name FROM groups WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new UserAdminError(`Group ${id} not found`, 'not_found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * @returns {Promise<Object>} { id, name }
+   * @throws {UserAdminError}
+   */
+  async function createGroup(name) {
+    checkGroupName(name);
+    try {
+      const result = await pool.query(
+        'INSERT INTO groups (name) VALUES ($1) RETURNING id, name',
+        [name]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        throw new UserAdminError(`Group "${name}" already exists`, 'conflict');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} The deleted group's id and name
+   * @throws {UserAdminError}
+   */
+  async function deleteGroup(id) {
+    const group = await requireGroup(id);
+    if (PROTECTED_GROUPS.includes(group.name)) {
+      throw new UserAdminError('Cannot delete admin group');
+    }
+    await pool.query('DELETE FROM groups WHERE id = $1', [id]);
+    return group;
+  }
+
+  /**
+   * Groups of a user by name
+   * @returns {Promise<Object[]>} { id, name }
+   */
+  async function listMemberships(userId) {
+    const result = await pool.query(
+      `SELECT g.name, g.id
+       FROM groups g
+       JOIN "userGroups" ug ON g.id = ug."groupId"
+       WHERE ug."userId" = $1
+       ORDER BY g.name`,
+      [userId]
+    );
+    return result.rows.map(row => ({ id: row.id, name: row.name }));
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if the user already was in the group
+   * @throws {UserAdminError}
+   */
+  async function addMembership(userId, groupId) {
+    await requireUser(userId);
+    await requireGroup(groupId);
+    try {
+      await pool.query(
+        'INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)',
+        [userId, groupId]
+      );
+      return true;
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if the user was not in the group
+   */
+  async function removeMembership(userId, groupId) {
+    const result = await pool.query(
+      'DELETE FROM "userGroups" WHERE "userId" = $1 AND "groupId" = $2 RETURNING "userId"',
+      [userId, groupId]
+    );
+    return result.rows.length > 0;
+  }
+
+  return {
+    listUsers,
+    getUser,
+    findUser,
+    createUser,
+    updateUser,
+    setActive,
+    setPassword,
+    setPasswordHash,
+    deleteUser,
+    listGroups,
+    findGroup,
+    createGroup,
+    deleteGroup,
+    listMemberships,
+    addMembership,
+    removeMembership
+  };
+}
+
+module.exports = {
+  PROTECTED_GROUPS,
+  UserAdminError,
+  checkEmail,
+  checkGroupName,
+  checkName,
+  checkPasswordHash,
+  createUserAdmin,
+  isWikiJsDatabase
+};
@@ -0,0 +1,551 @@
+/**
+ * User Import and Export
+ *
+ * Moves users, groups and memberships in and out of a STANDALONE database as
+ * JSON or CSV (admin.js import / export). An export imported into an empty
+ * database recreates the users, groups and memberships; imported back into
+ * the same database it changes nothing.
+ *
+ * JSON:
+ *   {
+ *     "groups": ["finance", "staff"],
+ *     "users": [{
+ *       "email": "alice@company.com", "name": "Alice", "isActive": true,
+ *       "providerKey": "local", "passwordHash": "$2b$10$...", "groups": ["finance"]
+ *     }]
+ *   }
+ *
+ * CSV: a header row naming the columns (email, name, isActive, providerKey,
+ * groups, passwordHash - only email is required) and one row per user, the
+ * groups separated by ";". A row without an email only declares the groups
+ * in its groups column (export writes one for each group without members).
+ *
+ * Import adds and updates, it never deletes:
+ *   - groups that do not exist yet are created (their names must pass
+ *     checkGroupName; existing groups, such as the Wiki.js defaults
+ *     "Administrators" and "Guests", are used whatever their name)
+ *   - new users are created; local users without a passwordHash get a
+ *     generated password, returned once in the result
+ *   - existing users (same email) take the name, isActive and passwordHash
+ *     given in the file; providerKey only applies to new users. Deactivating
+ *     a user or changing their password hash signs out their sessions and
+ *     refresh tokens, as the admin console does
+ *   - users are added to the groups listed for them and stay in the others
+ * The file is validated completely before anything is written, and applied
+ * in one transaction: either all of it is imported or none of it.
+ */
+
+const crypto = require('crypto');
+const {
+  checkEmail,
+  checkGroupName,
+  checkName,
+  checkPasswordHash,
+  createUserAdmin
+} = require('./user-admin');
+
+const FORMATS = ['json', 'csv'];
+const USER_FIELDS = ['email', 'name', 'isActive', 'providerKey', 'groups', 'passwordHash'];
+const GROUP_SEPARATOR = ';';
+
+/**
+ * Raised for an invalid import file; nothing has been written
+ * errors: one message per problem, e.g. "Line 4: Invalid email address"
+ */
+class ImportError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0] : `${errors.length} problems in the import file`);
+    this.name = 'ImportError';
+    this.errors = errors;
+  }
+}
+
+// 16 characters from 96 random bits
+function generatePassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields may contain commas,
+ * doubled quotes and line breaks). Blank lines are skipped.
+ * @returns {Object[]} { line, fields } - line is where the row starts
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += c;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError([`Line ${rowLine}: unterminated quoted field`]);
+  }
+  endRow();
+  return rows;
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV rows as user records and declared groups
+ * @returns {{groups: Object[], users: Object[], errors: string[]}} { where, name } / { where, record }
+ */
+function readCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return { groups: [], users: [], errors: [] };
+  }
+
+  const columns = header.fields.map(name => name.trim());
+  const unknown = columns.filter(name => !USER_FIELDS.includes(name));
+  if (unknown.length > 0 || !columns.includes('email')) {
+    throw new ImportError([
+      `Line ${header.line}: the header must name the columns ${USER_FIELDS.join(', ')} (email is required)` +
+      (unknown.length > 0 ? `; unknown: ${unknown.join(', ')}` : '')
+    ]);
+  }
+
+  const groups = [];
+  const users = [];
+  const errors = [];
+  for (const row of rows) {
+    const where = `Line ${row.line}`;
+    if (row.fields.length > columns.length) {
+      errors.push(`${where}: ${row.fields.length} fields, the header has ${columns.length}`);
+      continue;
+    }
+
+    const record = {};
+    columns.forEach((name, index) => {
+      const value = (row.fields[index] || '').trim();
+      if (value !== '') {
+        record[name] = value;
+      }
+    });
+
+    if (record.groups !== undefined) {
+      record.groups = record.groups.split(GROUP_SEPARATOR).map(name => name.trim()).filter(Boolean);
+    }
+    if (record.isActive !== undefined && /^(true|false)$/i.test(record.isActive)) {
+      record.isActive = record.isActive.toLowerCase() === 'true';
+    }
+
+    if (record.email === undefined) {
+      const { groups: names = [], ...rest } = record;
+      if (Object.keys(rest).length > 0) {
+        errors.push(`${where}: a row without an email may only list groups`);
+      }
+      names.forEach(name => groups.push({ where, name }));
+    } else {
+      users.push({ where, record });
+    }
+  }
+  return { groups, users, errors };
+}
+
+/**
+ * JSON document as user records and declared groups
+ * @returns {{groups: Object[], users: Object[], errors: string[]}} { where, name } / { where, record }
+ */
+function readJson(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (err) {
+    throw new ImportError([`Invalid JSON: ${err.message}`]);
+  }
+
+  const shapeError = new ImportError(['The JSON must be an object with "groups" and "users" lists']);
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw shapeError;
+  }
+  const { groups = [], users = [], ...rest } = document;
+  if (Object.keys(rest).length > 0 || !Array.isArray(groups) || !Array.isArray(users)) {
+    throw shapeError;
+  }
+  if (users.some(user => !user || typeof user !== 'object' || Array.isArray(user))) {
+    throw new ImportError(['Each entry of "users" must be an object']);
+  }
+
+  return {
+    groups: groups.map((name, index) => ({ where: `groups[${index}]`, name })),
+    users: users.map((record, index) => ({ where: `users[${index}]`, record })),
+    errors: []
+  };
+}
+
+// Any name is accepted for a group that exists; planImport checks the new ones
+function checkGroupReference(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ImportError(['Group names must be non-empty strings']);
+  }
+}
+
+// Problems with one user record, as messages
+function userProblems(record) {
+  const problems = [];
+  const check = (validate, value) => {
+    try {
+      validate(value);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  };
+
+  const unknown = Object.keys(record).filter(key => !USER_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    problems.push(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+  check(checkEmail, record.email);
+  if (record.name !== undefined) {
+    check(checkName, record.name);
+  }
+  if (record.isActive !== undefined && typeof record.isActive !== 'boolean') {
+    problems.push('isActive must be true or false');
+  }
+  if (record.providerKey !== undefined && (typeof record.providerKey !== 'string' || record.providerKey === '')) {
+    problems.push('providerKey must be a non-empty string');
+  }
+  if (record.passwordHash !== undefined && record.passwordHash !== '') {
+    check(checkPasswordHash, record.passwordHash);
+  }
+  if (record.groups !== undefined) {
+    if (!Array.isArray(record.groups)) {
+      problems.push('groups must be a list of group names');
+    } else {
+      record.groups.forEach(name => check(checkGroupReference, name));
+    }
+  }
+  return [...new Set(problems)];
+}
+
+/**
+ * Read and validate an import file
+ *
+ * @param {string} text - File contents
+ * @param {string} format - json or csv
+ * @returns {{groups: string[], users: Object[]}} users: { email, name, isActive,
+ *   providerKey, passwordHash, groups } - fields not given are undefined
+ * @throws {ImportError} Listing every problem in the file
+ */
+function parseImport(text, format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(' or ')})`);
+  }
+  const input = format === 'csv' ? readCsv(text) : readJson(text);
+  const errors = [...input.errors];
+
+  const groups = [];
+  for (const { where, name } of input.groups) {
+    try {
+      checkGroupReference(name);
+      groups.push(name);
+    } catch (err) {
+      errors.push(`${where}: ${err.message}`);
+    }
+  }
+
+  const users = [];
+  const seen = new Map();
+  for (const { where, record } of input.users) {
+    const problems = userProblems(record);
+    if (seen.has(record.email)) {
+      problems.push(`Duplicate email, also in ${seen.get(record.email)}`);
+    }
+    seen.set(record.email, where);
+
+    if (problems.length > 0) {
+      problems.forEach(problem => errors.push(`${where}: ${problem}`));
+      continue;
+    }
+    users.push({
+      email: record.email,
+      name: record.name,
+      isActive: record.isActive,
+      providerKey: record.providerKey,
+      passwordHash: record.passwordHash || undefined,
+      groups: [...new Set(record.groups || [])]
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ImportError(errors);
+  }
+  return { groups: [...new Set(groups)], users };
+}
+
+/**
+ * Compare an import with the database
+ *
+ * @param {Pool|Client} db
+ * @param {Object} data - From parseImport()
+ * @returns {Promise<Object>} Plan:
+ *   groups       [{ name, action: create|skip }]
+ *   users        [{ email, action: create|update|skip, changes: [name, isActive, password] }]
+ *   memberships  [{ email, group, action: add|skip }]
+ * @throws {ImportError} New users without a name, new groups with an invalid name
+ */
+async function planImport(db, data) {
+  const groupRows = (await db.query('SELECT id, name FROM groups')).rows;
+  const groupIds = new Map(groupRows.map(row => [row.name, row.id]));
+  const userRows = (await db.query('SELECT id, email, name, password, "isActive" FROM users')).rows;
+  const existingUsers = new Map(userRows.map(row => [row.email, row]));
+  const memberRows = (await db.query('SELECT "userId", "groupId" FROM "userGroups"')).rows;
+  const memberships = new Set(memberRows.map(row => `${row.userId}:${row.groupId}`));
+
+  const plan = { groups: [], users: [], memberships: [] };
+  const errors = [];
+
+  const groupNames = new Set([...data.groups, ...data.users.flatMap(user => user.groups)]);
+  for (const name of groupNames) {
+    if (!groupIds.has(name)) {
+      try {
+        checkGroupName(name);
+      } catch (err) {
+        errors.push(`Group ${name}: ${err.message}`);
+      }
+    }
+    plan.groups.push({ name, action: groupIds.has(name) ? 'skip' : 'create' });
+  }
+
+  for (const user of data.users) {
+    const existing = existingUsers.get(user.email);
+    if (!existing) {
+      if (user.name === undefined) {
+        errors.push(`${user.email}: a name is required for a new user`);
+      }
+      plan.users.push({ email: user.email, action: 'create', changes: [], user });
+    } else {
+      const changes = [];
+      if (user.name !== undefined && user.name !== existing.name) changes.push('name');
+      if (user.isActive !== undefined && user.isActive !== existing.isActive) changes.push('isActive');
+      if (user.passwordHash !== undefined && user.passwordHash !== existing.password) changes.push('password');
+      plan.users.push({ email: user.email, action: changes.length > 0 ? 'update' : 'skip', changes, id: existing.id, user });
+    }
+
+    for (const group of user.groups) {
+      const member = existing && groupIds.has(group) && memberships.has(`${existing.id}:${groupIds.get(group)}`);
+      plan.memberships.push({ email: user.email, group, action: member ? 'skip' : 'add' });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ImportError(errors);
+  }
+  return plan;
+}
+
+/**
+ * Revoke all sessions and refresh tokens of a user, where the tables exist
+ * (a Wiki.js database may not have them)
+ */
+async function signOut(db, userId) {
+  const result = await db.query(
+    `SELECT table_name FROM information_schema.tables WHERE table_name IN ('authSessions', 'refreshTokens')`
+  );
+  const tables = new Set(result.rows.map(row => row.table_name));
+
+  if (tables.has('authSessions')) {
+    await db.query('UPDATE "authSessions" SET "revokedAt" = NOW() WHERE "userId" = $1 AND "revokedAt" IS NULL', [userId]);
+  }
+  if (tables.has('refreshTokens')) {
+    await db.query('UPDATE "refreshTokens" SET "revokedAt" = NOW() WHERE "userId" = $1 AND "revokedAt" IS NULL', [userId]);
+  }
+}
+
+/**
+ * Carry out a plan; new local users without a hash get entry.password
+ */
+async function applyPlan(db, plan) {
+  const store = createUserAdmin(db);
+
+  const groupIds = new Map();
+  for (const entry of plan.groups) {
+    const group = entry.action === 'create'
+      ? await store.createGroup(entry.name)
+      : await store.findGroup(entry.name);
+    groupIds.set(entry.name, group.id);
+  }
+
+  const userIds = new Map();
+  for (const entry of plan.users) {
+    const { user } = entry;
+    if (entry.action === 'create') {
+      const providerKey = user.providerKey || 'local';
+      const fields = { email: user.email, name: user.name, isActive: user.isActive ?? true, providerKey };
+      let created;
+      if (user.passwordHash === undefined && providerKey === 'local') {
+        entry.password = generatePassword();
+        created = await store.createUser({ ...fields, password: entry.password });
+      } else {
+        // Accounts of other providers may have no password
+        created = await store.createUser({ ...fields, passwordHash: user.passwordHash || '' });
+      }
+      userIds.set(user.email, created.id);
+      continue;
+    }
+
+    userIds.set(user.email, entry.id);
+    if (entry.changes.includes('name')) {
+      await store.updateUser(entry.id, { name: user.name });
+    }
+    if (entry.changes.includes('isActive')) {
+      await store.setActive(entry.id, user.isActive);
+    }
+    if (entry.changes.includes('password')) {
+      await store.setPasswordHash(entry.id, user.passwordHash);
+    }
+    if (entry.changes.includes('password') || (entry.changes.includes('isActive') && !user.isActive)) {
+      await signOut(db, entry.id);
+    }
+  }
+
+  for (const entry of plan.memberships) {
+    if (entry.action === 'add') {
+      await store.addMembership(userIds.get(entry.email), groupIds.get(entry.group));
+    }
+  }
+}
+
+/**
+ * Import users, groups and memberships
+ *
+ * @param {Pool} pool - pg Pool (or compatible)
+ * @param {Object} data - From parseImport()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only compare, write nothing
+ * @returns {Promise<Object>} The plan (see planImport), with the generated
+ *   password of each new local user without a hash in users[].password
+ * @throws {ImportError|UserAdminError} Nothing was imported
+ */
+async function importUsers(pool, data, { dryRun = false } = {}) {
+  if (dryRun) {
+    return planImport(pool, data);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await planImport(client, data);
+    await applyPlan(client, plan);
+    await client.query('COMMIT');
+    return plan;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Read all users, groups and memberships, in the shape parseImport() returns
+ * @param {Pool} pool
+ * @returns {Promise<{groups: string[], users: Object[]}>}
+ */
+async function exportUsers(pool) {
+  const groups = (await pool.query('SELECT id, name FROM groups ORDER BY name')).rows;
+  const users = (await pool.query(
+    'SELECT id, email, name, password, "isActive", "providerKey" FROM users ORDER BY id'
+  )).rows;
+  const memberships = (await pool.query('SELECT "userId", "groupId" FROM "userGroups"')).rows;
+  const groupNames = new Map(groups.map(group => [group.id, group.name]));
+
+  return {
+    groups: groups.map(group => group.name),
+    users: users.map(user => ({
+      email: user.email,
+      name: user.name,
+      isActive: user.isActive !== false,
+      providerKey: user.providerKey || 'local',
+      passwordHash: user.password || undefined,
+      groups: memberships
+        .filter(membership => membership.userId === user.id)
+        .map(membership => groupNames.get(membership.groupId))
+        .sort()
+    }))
+  };
+}
+
+/**
+ * Write exportUsers() data as an import file
+ * @param {Object} data
+ * @param {string} format - json or csv
+ * @returns {string}
+ */
+function formatExport(data, format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${FORMATS.join(' or ')})`);
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  // The separator would split the name when the file is read back
+  const unsplittable = data.groups.filter(name => name.includes(GROUP_SEPARATOR));
+  if (unsplittable.length > 0) {
+    throw new Error(`Group name(s) containing "${GROUP_SEPARATOR}" cannot be exported as CSV, use JSON: ${unsplittable.join(', ')}`);
+  }
+
+  const lines = [USER_FIELDS.join(',')];
+  for (const user of data.users) {
+    lines.push(USER_FIELDS.map(field => csvField(
+      field === 'groups' ? user.groups.join(GROUP_SEPARATOR) : user[field]
+    )).join(','));
+  }
+  const memberGroups = new Set(data.users.flatMap(user => user.groups));
+  for (const name of data.groups.filter(group => !memberGroups.has(group))) {
+    lines.push(USER_FIELDS.map(field => (field === 'groups' ? csvField(name) : '')).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  ImportError,
+  exportUsers,
+  formatExport,
+  importUsers,
+  parseImport
+};
@@ -0,0 +1,265 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createAccessTokenStore, AccessTokenError } = require('../lib/access-tokens');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('personal access tokens', () => {
+  let app, pool, keys, store, alice, bob, groupIds;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+    store = createAccessTokenStore(pool);
+
+    alice = await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['editors', 'finance'] });
+    bob = await createUser(pool, { email: 'bob@example.com', name: 'Bob', groups: ['editors'] });
+
+    const groups = await pool.query('SELECT id, name FROM groups');
+    groupIds = Object.fromEntries(groups.rows.map(group => [group.name, group.id]));
+  });
+
+  async function login(email = 'alice@example.com') {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ email, password: 'password123' })
+      .expect(200);
+    return getCookie(res, 'jwt');
+  }
+
+  function exchange(token) {
+    return request(app).post('/api/token/exchange').set('Authorization', `Bearer ${token}`);
+  }
+
+  describe('store', () => {
+    it('stores only a hash and returns the token once', async () => {
+      const created = await store.create({ userId: alice.id, name: 'CI' });
+      assert.match(created.token, /^wjat_[A-Za-z0-9_-]{43}$/);
+      assert.ok(created.token.startsWith(created.tokenPrefix));
+
+      const row = await pool.query('SELECT "tokenHash" FROM "accessTokens" WHERE id = $1', [created.id]);
+      assert.notStrictEqual(row.rows[0].tokenHash, created.token);
+
+      const found = await store.verify(created.token);
+      assert.deepStrictEqual(found, { id: created.id, userId: alice.id, name: 'CI', groups: null });
+    });
+
+    it('records the last use', async () => {
+      const created = await store.create({ userId: alice.id, name: 'last use' });
+      await store.verify(created.token);
+      const row = await pool.query('SELECT "lastUsedAt" FROM "accessTokens" WHERE id = $1', [created.id]);
+      assert.ok(row.rows[0].lastUsedAt);
+    });
+
+    it('refuses groups the user is not a member of', async () => {
+      await assert.rejects(
+        store.create({ userId: bob.id, name: 'sneaky', groups: [groupIds.finance] }),
+        AccessTokenError
+      );
+    });
+
+    it('requires a name', async () => {
+      await assert.rejects(store.create({ userId: alice.id, name: '' }), AccessTokenError);
+    });
+
+    it('rejects unknown, expired and revoked tokens', async () => {
+      assert.strictEqual(await store.verify('wjat_unknown'), null);
+      assert.strictEqual(await store.verify('not-a-token'), null);
+
+      const expired = await store.create({ userId: alice.id, name: 'old', expiresAt: new Date(Date.now() - 1000) });
+      assert.strictEqual(await store.verify(expired.token), null);
+
+      const revoked = await store.create({ userId: alice.id, name: 'gone' });
+      assert.strictEqual(await store.revoke(revoked.id), true);
+      assert.strictEqual(await store.revoke(revoked.id), false);
+      assert.strictEqual(await store.verify(revoked.token), null);
+    });
+
+    it('only revokes a token of the given user', async () => {
+      const created = await store.create({ userId: alice.id, name: 'mine' });
+      assert.strictEqual(await store.revoke(created.id, bob.id), false);
+      assert.ok(await store.verify(created.token));
+    });
+
+    it('lists tokens without revoked ones and flags expired ones', async () => {
+      const expired = await store.create({ userId: bob.id, name: 'expired', expiresAt: new Date(Date.now() - 1000) });
+      const revoked = await store.create({ userId: bob.id, name: 'revoked' });
+      await store.revoke(revoked.id);
+      const active = await store.create({ userId: bob.id, name: 'active' });
+
+      const tokens = await store.list(bob.id);
+      assert.deepStrictEqual(tokens.map(token => token.id).sort(), [expired.id, active.id].sort());
+      assert.strictEqual(tokens.find(token => token.id === expired.id).expired, true);
+      assert.strictEqual(tokens.find(token => token.id === active.id).expired, false);
+      assert.strictEqual(tokens[0].email, 'bob@example.com');
+    });
+  });
+
+  describe('POST /api/token/exchange', () => {
+    it('returns a JWT as JSON, without setting a cookie', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'exchange' });
+      const res = await exchange(token).expect(200);
+
+      assert.strictEqual(res.body.success, true);
+      assert.strictEqual(res.body.tokenType, 'Bearer');
+      assert.strictEqual(res.body.expiresIn, 900);
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+      assert.strictEqual(res.headers['set-cookie'], undefined);
+
+      const claims = jwt.verify(res.body.token, keys.publicKey, { audience: 'urn:wiki.js', issuer: 'urn:wiki.js' });
+      assert.strictEqual(claims.email, 'alice@example.com');
+      assert.deepStrictEqual(claims.groups.sort(), [groupIds.editors, groupIds.finance].sort());
+      assert.strictEqual(claims.exp - claims.iat, 900);
+      assert.ok(claims.pat);
+    });
+
+    it('issues a JWT backed by a session, accepted by /api/verify', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'verify' });
+      const res = await exchange(token).expect(200);
+      const claims = jwt.decode(res.body.token);
+
+      const session = await pool.query('SELECT "userId" FROM "authSessions" WHERE id = $1', [claims.jti]);
+      assert.strictEqual(session.rows[0].userId, alice.id);
+      await request(app).get('/api/verify').set('Cookie', `jwt=${res.body.token}`).expect(200);
+    });
+
+    it('accepts the token in the request body', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'body' });
+      await request(app).post('/api/token/exchange').send({ token }).expect(200);
+    });
+
+    it('limits the JWT to the token groups', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'limited', groups: [groupIds.editors] });
+      const res = await exchange(token).expect(200);
+      assert.deepStrictEqual(res.body.user.groups, [groupIds.editors]);
+    });
+
+    it('drops token groups the user has since left', async () => {
+      const carol = await createUser(pool, { email: 'carol@example.com', groups: ['editors', 'finance'] });
+      const { token } = await store.create({ userId: carol.id, name: 'stale', groups: [groupIds.finance] });
+      await pool.query('DELETE FROM "userGroups" WHERE "userId" = $1 AND "groupId" = $2', [carol.id, groupIds.finance]);
+
+      const res = await exchange(token).expect(200);
+      assert.deepStrictEqual(res.body.user.groups, []);
+    });
+
+    it('rejects missing, unknown and revoked tokens', async () => {
+      await request(app).post('/api/token/exchange').expect(401);
+      const res = await exchange('wjat_nope').expect(401);
+      assert.match(res.headers['www-authenticate'], /invalid_token/);
+
+      const { id, token } = await store.create({ userId: alice.id, name: 'revoked' });
+      await store.revoke(id);
+      await exchange(token).expect(401);
+    });
+
+    it('rejects tokens of inactive users', async () => {
+      const dave = await createUser(pool, { email: 'dave@example.com', isActive: false });
+      const { token } = await store.create({ userId: dave.id, name: 'inactive' });
+      const res = await exchange(token).expect(401);
+      assert.strictEqual(res.body.message, 'Account is inactive');
+    });
+  });
+
+  describe('self-service API', () => {
+    it('creates, lists and revokes tokens', async () => {
+      const cookie = await login('bob@example.com');
+
+      const created = await request(app)
+        .post('/api/tokens')
+        .set('Cookie', cookie)
+        .send({ name: 'laptop script', groups: [groupIds.editors], expiresIn: 3600 })
+        .expect(201);
+      assert.match(created.body.token, /^wjat_/);
+      assert.deepStrictEqual(created.body.groups, [groupIds.editors]);
+
+      const listed = await request(app).get('/api/tokens').set('Cookie', cookie).expect(200);
+      const entry = listed.body.tokens.find(token => token.id === created.body.id);
+      assert.strictEqual(entry.name, 'laptop script');
+      assert.strictEqual(entry.token, undefined);
+      assert.ok(!JSON.stringify(listed.body).includes(created.body.token));
+
+      await request(app).delete(`/api/tokens/${created.body.id}`).set('Cookie', cookie).expect(200);
+      await exchange(created.body.token).expect(401);
+    });
+
+    it('defaults to a 90 day expiry', async () => {
+      const cookie = await login();
+      const res = await request(app).post('/api/tokens').set('Cookie', cookie).send({ name: 'default' }).expect(201);
+      const days = (new Date(res.body.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+      assert.ok(days > 89.9 && days <= 90);
+      assert.strictEqual(res.body.groups, null);
+    });
+
+    it('enforces the maximum lifetime', async () => {
+      const cookie = await login();
+      await request(app).post('/api/tokens').set('Cookie', cookie).send({ name: 'forever', expiresIn: 0 }).expect(400);
+      await request(app).post('/api/tokens').set('Cookie', cookie)
+        .send({ name: 'too long', expiresIn: 2 * 365 * 24 * 60 * 60 }).expect(400);
+    });
+
+    it('refuses groups the user is not a member of', async () => {
+      const cookie = await login('bob@example.com');
+      const res = await request(app).post('/api/tokens').set('Cookie', cookie)
+        .send({ name: 'escalate', groups: [groupIds.finance] }).expect(400);
+      assert.match(res.body.message, /not a member/);
+    });
+
+    it("cannot revoke another user's token", async () => {
+      const { id } = await store.create({ userId: alice.id, name: 'alice only' });
+      const cookie = await login('bob@example.com');
+      await request(app).delete(`/api/tokens/${id}`).set('Cookie', cookie).expect(404);
+      await request(app).delete('/api/tokens/abc').set('Cookie', cookie).expect(404);
+    });
+
+    it('refuses JWTs obtained with an access token', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'limited', groups: [groupIds.editors] });
+      const res = await exchange(token).expect(200);
+      const cookie = `jwt=${res.body.token}`;
+
+      await request(app).get('/api/tokens').set('Cookie', cookie).expect(403);
+      await request(app).post('/api/tokens').set('Cookie', cookie).send({ name: 'wider' }).expect(403);
+    });
+
+    it('refuses JWTs obtained with an access token on credential and session routes', async () => {
+      const { token } = await store.create({ userId: alice.id, name: 'script' });
+      const res = await exchange(token).expect(200);
+      const bearer = `Bearer ${res.body.token}`;
+      const { jti } = jwt.decode(res.body.token);
+
+      const refused = [
+        request(app).post('/api/mfa/enroll'),
+        request(app).post('/api/mfa/disable').send({ code: '000000' }),
+        request(app).post('/api/password/change').send({ currentPassword: 'password123', newPassword: 'a-new-password' }),
+        request(app).delete(`/api/sessions/${jti}`),
+        request(app).get('/api/admin/users')
+      ];
+      for (const req of refused) {
+        const denied = await req.set('Authorization', bearer).expect(403);
+        assert.match(denied.body.message, /access token/);
+      }
+
+      // Reading is fine
+      await request(app).get('/api/mfa').set('Authorization', bearer).expect(200);
+    });
+
+    it('requires authentication', async () => {
+      await request(app).get('/api/tokens').expect(401);
+      await request(app).post('/api/tokens').send({ name: 'x' }).expect(401);
+    });
+  });
+
+  it('registers no routes when disabled', async () => {
+    const disabled = createAuthApp({
+      pool,
+      keys,
+      config: createTestConfig({ accessTokens: { enabled: false } }),
+      logger: silentLogger
+    });
+    await request(disabled).post('/api/token/exchange').send({ token: 'wjat_x' }).expect(404);
+  });
+});
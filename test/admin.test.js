@@ -0,0 +1,324 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { UserAdminError, createUserAdmin, isWikiJsDatabase } = require('../lib/user-admin');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+async function createApp(pool, config = {}) {
+  const keys = await loadKeys(pool);
+  const events = [];
+  const app = createAuthApp({
+    pool,
+    keys,
+    config: createTestConfig({ sessions: { enabled: true }, ...config }),
+    logger: silentLogger,
+    audit: { record: async event => events.push(event) }
+  });
+  return { app, events };
+}
+
+async function login(app, email, password = 'password123') {
+  const res = await request(app).post('/api/login').send({ email, password }).expect(200);
+  return getCookie(res, 'jwt');
+}
+
+// Make the database look like Wiki.js's
+async function addWikiJsTables(pool) {
+  await pool.query('CREATE TABLE pages (id SERIAL PRIMARY KEY, path TEXT)');
+  await pool.query('CREATE TABLE authentication (key TEXT PRIMARY KEY)');
+}
+
+describe('user-admin store', () => {
+  let pool, users;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    users = createUserAdmin(pool);
+  });
+
+  it('creates, finds, updates and deletes users', async () => {
+    const created = await users.createUser({ email: 'carol@example.com', name: 'Carol', password: 'password123' });
+    assert.strictEqual(created.isActive, true);
+    assert.deepStrictEqual(created.groups, []);
+    assert.strictEqual((await users.findUser('carol@example.com')).id, created.id);
+
+    const renamed = await users.updateUser(created.id, { name: 'Carol C.' });
+    assert.strictEqual(renamed.name, 'Carol C.');
+    assert.strictEqual(renamed.email, 'carol@example.com');
+
+    await users.deleteUser(created.id);
+    assert.strictEqual(await users.getUser(created.id), null);
+  });
+
+  it('refuses invalid and duplicate input', async () => {
+    await users.createUser({ email: 'dave@example.com', name: 'Dave', password: 'password123' });
+
+    const attempts = [
+      [{ email: 'nope', name: 'X', password: 'password123' }, 'invalid'],
+      [{ email: 'x@example.com', name: ' ', password: 'password123' }, 'invalid'],
+      [{ email: 'x@example.com', name: 'X', password: 'short' }, 'invalid'],
+      [{ email: 'dave@example.com', name: 'Dave', password: 'password123' }, 'conflict']
+    ];
+    for (const [input, reason] of attempts) {
+      await assert.rejects(users.createUser(input), err => err instanceof UserAdminError && err.reason === reason);
+    }
+    await assert.rejects(users.createGroup('Bad Name'), { reason: 'invalid' });
+    await assert.rejects(users.setActive(9999, false), { reason: 'not_found' });
+  });
+
+  it('searches by email or name', async () => {
+    await users.createUser({ email: 'erin@example.com', name: 'Erin Example', password: 'password123' });
+
+    assert.deepStrictEqual((await users.listUsers({ search: 'ERIN@' })).map(u => u.email), ['erin@example.com']);
+    assert.deepStrictEqual((await users.listUsers({ search: 'in exa' })).map(u => u.email), ['erin@example.com']);
+    assert.deepStrictEqual(await users.listUsers({ search: 'nobody' }), []);
+  });
+
+  it('manages groups and memberships', async () => {
+    const user = await users.createUser({ email: 'frank@example.com', name: 'Frank', password: 'password123' });
+    const group = await users.createGroup('editors');
+
+    assert.strictEqual(await users.addMembership(user.id, group.id), true);
+    assert.strictEqual(await users.addMembership(user.id, group.id), false);
+    assert.deepStrictEqual((await users.getUser(user.id)).groups, ['editors']);
+    assert.strictEqual((await users.listGroups()).find(g => g.name === 'editors').memberCount, 1);
+
+    assert.strictEqual(await users.removeMembership(user.id, group.id), true);
+    assert.strictEqual(await users.removeMembership(user.id, group.id), false);
+
+    await users.deleteGroup(group.id);
+    assert.strictEqual(await users.findGroup('editors'), null);
+
+    const admin = await users.findGroup('admin');
+    await assert.rejects(users.deleteGroup(admin.id), /Cannot delete admin group/);
+  });
+
+  it('recognizes a Wiki.js database', async () => {
+    assert.strictEqual(await isWikiJsDatabase(pool), false);
+    const wiki = createTestDb().pool;
+    await addWikiJsTables(wiki);
+    assert.strictEqual(await isWikiJsDatabase(wiki), true);
+  });
+});
+
+describe('admin console', () => {
+  let app, pool, events, admin, bob, adminCookie;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    ({ app, events } = await createApp(pool));
+    admin = await createUser(pool, { email: 'admin@example.com', name: 'Admin', groups: ['admin'] });
+    bob = await createUser(pool, { email: 'bob@example.com', name: 'Bob', groups: ['staff'] });
+    adminCookie = await login(app, 'admin@example.com');
+  });
+
+  it('serves the console page to admins only', async () => {
+    const anonymous = await request(app).get('/admin').expect(302);
+    assert.strictEqual(anonymous.headers.location, '/?returnTo=%2Fadmin');
+
+    const bobCookie = await login(app, 'bob@example.com');
+    await request(app).get('/admin').set('Cookie', bobCookie).expect(403);
+
+    const page = await request(app).get('/admin').set('Cookie', adminCookie).expect(200);
+    assert.match(page.text, /User Administration/);
+    assert.strictEqual(page.headers['cache-control'], 'no-store');
+  });
+
+  it('requires a logged-in member of the admin group', async () => {
+    await request(app).get('/api/admin/users').expect(401);
+
+    const bobCookie = await login(app, 'bob@example.com');
+    const res = await request(app).get('/api/admin/users').set('Cookie', bobCookie).expect(403);
+    assert.strictEqual(res.body.message, 'Admin access required');
+  });
+
+  it('stops accepting a token once its user left the admin group', async () => {
+    await createUser(pool, { email: 'former@example.com', groups: ['admin'] });
+    const cookie = await login(app, 'former@example.com');
+    await pool.query(
+      'DELETE FROM "userGroups" WHERE "userId" = (SELECT id FROM users WHERE email = $1)',
+      ['former@example.com']
+    );
+    await request(app).get('/api/admin/groups').set('Cookie', cookie).expect(403);
+  });
+
+  it('lists and searches users', async () => {
+    const all = await request(app).get('/api/admin/users').set('Cookie', adminCookie).expect(200);
+    const bobRow = all.body.users.find(u => u.email === 'bob@example.com');
+    assert.deepStrictEqual(bobRow.groups, ['staff']);
+    assert.strictEqual(bobRow.password, undefined);
+
+    const found = await request(app).get('/api/admin/users?search=BOB').set('Cookie', adminCookie).expect(200);
+    assert.deepStrictEqual(found.body.users.map(u => u.email), ['bob@example.com']);
+
+    const one = await request(app).get(`/api/admin/users/${bob.id}`).set('Cookie', adminCookie).expect(200);
+    assert.strictEqual(one.body.user.name, 'Bob');
+    await request(app).get('/api/admin/users/9999').set('Cookie', adminCookie).expect(404);
+    await request(app).get('/api/admin/users/abc').set('Cookie', adminCookie).expect(404);
+  });
+
+  it('creates, edits and deletes users', async () => {
+    const created = await request(app)
+      .post('/api/admin/users')
+      .set('Cookie', adminCookie)
+      .send({ email: 'carol@example.com', name: 'Carol', password: 'password123' })
+      .expect(201);
+    const id = created.body.user.id;
+    assert.ok(events.some(e => e.type === 'admin.user.create' && e.user.id === admin.id && e.details.userId === id));
+    await login(app, 'carol@example.com');
+
+    const duplicate = await request(app)
+      .post('/api/admin/users')
+      .set('Cookie', adminCookie)
+      .send({ email: 'carol@example.com', name: 'Carol', password: 'password123' })
+      .expect(409);
+    assert.strictEqual(duplicate.body.success, false);
+    await request(app)
+      .post('/api/admin/users')
+      .set('Cookie', adminCookie)
+      .send({ email: 'dan@example.com', name: 'Dan', password: 'short' })
+      .expect(400);
+
+    const edited = await request(app)
+      .patch(`/api/admin/users/${id}`)
+      .set('Cookie', adminCookie)
+      .send({ email: 'carol@corp.example.com', name: 'Carol C.' })
+      .expect(200);
+    assert.strictEqual(edited.body.user.email, 'carol@corp.example.com');
+    assert.strictEqual(edited.body.user.name, 'Carol C.');
+
+    await request(app)
+      .patch(`/api/admin/users/${id}`)
+      .set('Cookie', adminCookie)
+      .send({ email: 'bob@example.com' })
+      .expect(409);
+
+    await request(app).delete(`/api/admin/users/${id}`).set('Cookie', adminCookie).expect(200);
+    await request(app).get(`/api/admin/users/${id}`).set('Cookie', adminCookie).expect(404);
+    assert.ok(events.some(e => e.type === 'admin.user.delete' && e.details.email === 'carol@corp.example.com'));
+  });
+
+  it('deactivates a user and signs them out', async () => {
+    const user = await createUser(pool, { email: 'erin@example.com' });
+    const cookie = await login(app, 'erin@example.com');
+
+    const res = await request(app)
+      .patch(`/api/admin/users/${user.id}`)
+      .set('Cookie', adminCookie)
+      .send({ isActive: false })
+      .expect(200);
+    assert.strictEqual(res.body.user.isActive, false);
+
+    const verify = await request(app).get('/api/verify').set('Cookie', cookie);
+    assert.notStrictEqual(verify.body.authenticated, true);
+    await request(app).post('/api/login').send({ email: 'erin@example.com', password: 'password123' }).expect(401);
+
+    await request(app).patch(`/api/admin/users/${user.id}`).set('Cookie', adminCookie).send({ isActive: true }).expect(200);
+    await login(app, 'erin@example.com');
+
+    await request(app).patch(`/api/admin/users/${user.id}`).set('Cookie', adminCookie).send({ isActive: 'no' }).expect(400);
+  });
+
+  it('resets passwords', async () => {
+    const user = await createUser(pool, { email: 'frank@example.com' });
+
+    await request(app)
+      .post(`/api/admin/users/${user.id}/password`)
+      .set('Cookie', adminCookie)
+      .send({ password: 'short' })
+      .expect(400);
+    await request(app)
+      .post(`/api/admin/users/${user.id}/password`)
+      .set('Cookie', adminCookie)
+      .send({ password: 'new-password-456' })
+      .expect(200);
+
+    await request(app).post('/api/login').send({ email: 'frank@example.com', password: 'password123' }).expect(401);
+    await login(app, 'frank@example.com', 'new-password-456');
+    assert.ok(events.some(e => e.type === 'admin.user.password' && e.details.userId === user.id));
+  });
+
+  it('manages groups and memberships', async () => {
+    const created = await request(app)
+      .post('/api/admin/groups')
+      .set('Cookie', adminCookie)
+      .send({ name: 'editors' })
+      .expect(201);
+    const groupId = created.body.group.id;
+    await request(app).post('/api/admin/groups').set('Cookie', adminCookie).send({ name: 'editors' }).expect(409);
+    await request(app).post('/api/admin/groups').set('Cookie', adminCookie).send({ name: 'Not Valid' }).expect(400);
+
+    const added = await request(app)
+      .put(`/api/admin/users/${bob.id}/groups/${groupId}`)
+      .set('Cookie', adminCookie)
+      .expect(200);
+    assert.strictEqual(added.body.changed, true);
+    assert.deepStrictEqual(added.body.user.groups, ['editors', 'staff']);
+
+    const again = await request(app).put(`/api/admin/users/${bob.id}/groups/${groupId}`).set('Cookie', adminCookie).expect(200);
+    assert.strictEqual(again.body.changed, false);
+    await request(app).put(`/api/admin/users/${bob.id}/groups/9999`).set('Cookie', adminCookie).expect(404);
+
+    const listed = await request(app).get('/api/admin/groups').set('Cookie', adminCookie).expect(200);
+    assert.strictEqual(listed.body.groups.find(g => g.name === 'editors').memberCount, 1);
+
+    const removed = await request(app)
+      .delete(`/api/admin/users/${bob.id}/groups/${groupId}`)
+      .set('Cookie', adminCookie)
+      .expect(200);
+    assert.deepStrictEqual(removed.body.user.groups, ['staff']);
+
+    await request(app).delete(`/api/admin/groups/${groupId}`).set('Cookie', adminCookie).expect(200);
+    await request(app).delete(`/api/admin/groups/${groupId}`).set('Cookie', adminCookie).expect(404);
+    assert.ok(events.some(e => e.type === 'admin.membership.add' && e.details.groupId === groupId));
+    assert.ok(events.some(e => e.type === 'admin.group.delete' && e.details.name === 'editors'));
+  });
+
+  it('keeps admins from locking themselves out', async () => {
+    const adminGroup = (await pool.query("SELECT id FROM groups WHERE name = 'admin'")).rows[0].id;
+
+    await request(app).delete(`/api/admin/users/${admin.id}`).set('Cookie', adminCookie).expect(400);
+    await request(app).patch(`/api/admin/users/${admin.id}`).set('Cookie', adminCookie).send({ isActive: false }).expect(400);
+    await request(app).delete(`/api/admin/users/${admin.id}/groups/${adminGroup}`).set('Cookie', adminCookie).expect(400);
+
+    const res = await request(app).delete(`/api/admin/groups/${adminGroup}`).set('Cookie', adminCookie).expect(400);
+    assert.strictEqual(res.body.message, 'Cannot delete admin group');
+  });
+});
+
+describe('admin console on a Wiki.js database', () => {
+  let pool;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    await addWikiJsTables(pool);
+    await createUser(pool, { email: 'admin@example.com', groups: ['admin'] });
+  });
+
+  it('is refused unless allowed', async () => {
+    const { app } = await createApp(pool);
+    const cookie = await login(app, 'admin@example.com');
+
+    const res = await request(app).get('/api/admin/users').set('Cookie', cookie).expect(503);
+    assert.match(res.body.message, /ADMIN_ALLOW_WIKIJS/);
+    await request(app).get('/admin').set('Cookie', cookie).expect(503);
+  });
+
+  it('runs with allowWikiJs', async () => {
+    const { app } = await createApp(pool, { admin: { allowWikiJs: true } });
+    const cookie = await login(app, 'admin@example.com');
+    await request(app).get('/api/admin/users').set('Cookie', cookie).expect(200);
+  });
+});
+
+describe('admin console disabled', () => {
+  it('is not mounted', async () => {
+    const { pool } = createTestDb();
+    const { app } = await createApp(pool, { admin: { enabled: false } });
+    await createUser(pool, { email: 'admin@example.com', groups: ['admin'] });
+    const cookie = await login(app, 'admin@example.com');
+    await request(app).get('/api/admin/users').set('Cookie', cookie).expect(404);
+  });
+});
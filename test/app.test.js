@@ -0,0 +1,236 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('auth app', () => {
+  let app, pool, keys, config;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    config = createTestConfig();
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['admin', 'dev'] });
+    await createUser(pool, { email: 'guest@example.com', name: 'Guest' });
+    await createUser(pool, { email: 'inactive@example.com', isActive: false });
+  });
+
+  function sign(payload, options = {}) {
+    return jwt.sign({
+      id: 1,
+      email: 'alice@example.com',
+      name: 'Alice',
+      groups: [1],
+      aud: 'urn:wiki.js',
+      iss: 'urn:wiki.js',
+      ...payload
+    }, keys.privateKey, { algorithm: 'RS256', ...options });
+  }
+
+  describe('POST /api/login', () => {
+    it('sets a Wiki.js-compatible jwt cookie on success', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+
+      assert.strictEqual(res.body.success, true);
+      assert.strictEqual(res.body.user.email, 'alice@example.com');
+      assert.strictEqual(res.body.user.groups.length, 2);
+
+      const cookie = getCookie(res, 'jwt');
+      assert.ok(cookie, 'jwt cookie set');
+      assert.match(res.headers['set-cookie'][0], /HttpOnly/);
+      assert.match(res.headers['set-cookie'][0], /SameSite=Lax/);
+
+      const decoded = jwt.verify(cookie.slice('jwt='.length), keys.publicKey, { algorithms: ['RS256'] });
+      assert.strictEqual(decoded.email, 'alice@example.com');
+      assert.deepStrictEqual(decoded.groups, res.body.user.groups);
+      assert.strictEqual(decoded.iss, 'urn:wiki.js');
+      assert.strictEqual(decoded.aud, 'urn:wiki.js');
+      assert.strictEqual(decoded.exp - decoded.iat, 3600);
+    });
+
+    it('returns an empty group list for users without groups', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'guest@example.com', password: 'password123' })
+        .expect(200);
+      assert.deepStrictEqual(res.body.user.groups, []);
+    });
+
+    it('accepts form-encoded credentials', async () => {
+      await request(app)
+        .post('/api/login')
+        .type('form')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('rejects missing credentials with 400', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com' })
+        .expect(400);
+      assert.strictEqual(res.body.message, 'Email and password required');
+      assert.strictEqual(getCookie(res, 'jwt'), null);
+    });
+
+    it('rejects unknown users with 401', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+      assert.strictEqual(res.body.message, 'Invalid email or password');
+    });
+
+    it('rejects inactive users with 401', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'inactive@example.com', password: 'password123' })
+        .expect(401);
+      assert.strictEqual(res.body.message, 'Account is inactive');
+    });
+
+    it('rejects a wrong password with 401', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'wrong-password' })
+        .expect(401);
+      assert.strictEqual(res.body.message, 'Invalid email or password');
+      assert.strictEqual(getCookie(res, 'jwt'), null);
+    });
+
+    it('returns 500 when the database fails', async () => {
+      const brokenPool = { query: async () => { throw new Error('connection lost'); } };
+      const brokenApp = createAuthApp({ pool: brokenPool, keys, config, logger: silentLogger });
+      const res = await request(brokenApp)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(500);
+      assert.strictEqual(res.body.message, 'Server error');
+    });
+
+    it('uses the configured cookie name, flags and lifetime', async () => {
+      const customApp = createAuthApp({
+        pool,
+        keys,
+        config: createTestConfig({
+          cookie: { name: 'auth', domain: '.example.com', secure: true, sameSite: 'strict' },
+          jwt: { expiresIn: 600, issuer: 'urn:test', audience: 'urn:test-aud' }
+        }),
+        logger: silentLogger
+      });
+
+      const res = await request(customApp)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+
+      const header = res.headers['set-cookie'][0];
+      assert.match(header, /^auth=/);
+      assert.match(header, /Domain=\.example\.com/);
+      assert.match(header, /Secure/);
+      assert.match(header, /SameSite=Strict/);
+      assert.match(header, /Max-Age=600/);
+
+      const decoded = jwt.decode(getCookie(res, 'auth').slice('auth='.length));
+      assert.strictEqual(decoded.exp - decoded.iat, 600);
+      assert.strictEqual(decoded.iss, 'urn:test');
+      assert.strictEqual(decoded.aud, 'urn:test-aud');
+    });
+  });
+
+  describe('POST /api/logout', () => {
+    it('clears the jwt cookie', async () => {
+      const res = await request(app).post('/api/logout').expect(200);
+      assert.strictEqual(res.body.success, true);
+      assert.match(res.headers['set-cookie'][0], /^jwt=;/);
+      assert.match(res.headers['set-cookie'][0], /Expires=Thu, 01 Jan 1970/);
+    });
+  });
+
+  describe('GET /api/verify', () => {
+    it('returns the user for a valid token from /api/login', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' });
+
+      const res = await request(app)
+        .get('/api/verify')
+        .set('Cookie', getCookie(login, 'jwt'))
+        .expect(200);
+
+      assert.strictEqual(res.body.authenticated, true);
+      assert.deepStrictEqual(res.body.user, login.body.user);
+    });
+
+    it('returns 401 without a token', async () => {
+      const res = await request(app).get('/api/verify').expect(401);
+      assert.strictEqual(res.body.authenticated, false);
+      assert.strictEqual(res.body.message, 'No token found');
+    });
+
+    it('rejects an expired token', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const token = sign({ iat: now - 7200, exp: now - 3600 });
+      const res = await request(app)
+        .get('/api/verify')
+        .set('Cookie', `jwt=${token}`)
+        .expect(401);
+      assert.strictEqual(res.body.message, 'Invalid or expired token');
+    });
+
+    it('rejects a tampered token', async () => {
+      const [header, , signature] = sign({}, { expiresIn: 3600 }).split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({
+        id: 1, email: 'alice@example.com', groups: [1, 2, 3], aud: 'urn:wiki.js', iss: 'urn:wiki.js'
+      })).toString('base64url');
+
+      await request(app)
+        .get('/api/verify')
+        .set('Cookie', `jwt=${header}.${forgedPayload}.${signature}`)
+        .expect(401);
+    });
+
+    it('rejects a token signed with another key', async () => {
+      const crypto = require('crypto');
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const token = jwt.sign({ id: 1, aud: 'urn:wiki.js', iss: 'urn:wiki.js' }, privateKey, {
+        algorithm: 'RS256',
+        expiresIn: 3600
+      });
+      await request(app)
+        .get('/api/verify')
+        .set('Cookie', `jwt=${token}`)
+        .expect(401);
+    });
+
+    it('rejects a token for another audience', async () => {
+      const token = sign({ aud: 'urn:other' }, { expiresIn: 3600 });
+      await request(app)
+        .get('/api/verify')
+        .set('Cookie', `jwt=${token}`)
+        .expect(401);
+    });
+  });
+
+  describe('GET /health', () => {
+    it('returns OK', async () => {
+      const res = await request(app).get('/health').expect(200);
+      assert.strictEqual(res.text, 'OK');
+    });
+  });
+
+  describe('GET /', () => {
+    it('serves the login page', async () => {
+      const res = await request(app).get('/').expect(200);
+      assert.match(res.text, /id="loginForm"/);
+    });
+  });
+});
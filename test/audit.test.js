@@ -0,0 +1,171 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createAuditLog, queryAuditLog } = require('../lib/audit');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('audit log', () => {
+  let app, pool, keys, alice;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+
+    alice = await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+    await createUser(pool, { email: 'inactive@example.com', isActive: false });
+  });
+
+  async function lastEvent(type) {
+    const [event] = await queryAuditLog(pool, { type, limit: 1 });
+    return event;
+  }
+
+  function login(email, password = 'password123') {
+    return request(app).post('/api/login').set('User-Agent', 'audit-test').send({ email, password });
+  }
+
+  describe('login events', () => {
+    it('records a successful login with user, IP and user agent', async () => {
+      await login('alice@example.com').expect(200);
+
+      const event = await lastEvent('login');
+      assert.strictEqual(event.eventType, 'login');
+      assert.strictEqual(event.outcome, 'success');
+      assert.strictEqual(event.reason, null);
+      assert.strictEqual(event.userId, alice.id);
+      assert.strictEqual(event.email, 'alice@example.com');
+      assert.ok(event.ip);
+      assert.strictEqual(event.userAgent, 'audit-test');
+      assert.ok(event.createdAt);
+    });
+
+    it('records why a login failed', async () => {
+      await login('nobody@example.com').expect(401);
+      let event = await lastEvent('login');
+      assert.deepStrictEqual([event.outcome, event.reason, event.userId, event.email],
+        ['failure', 'user_not_found', null, 'nobody@example.com']);
+
+      await login('inactive@example.com').expect(401);
+      event = await lastEvent('login');
+      assert.deepStrictEqual([event.outcome, event.reason], ['failure', 'inactive']);
+      assert.ok(event.userId);
+
+      await login('alice@example.com', 'wrong').expect(401);
+      event = await lastEvent('login');
+      assert.deepStrictEqual([event.outcome, event.reason, event.userId], ['failure', 'bad_password', alice.id]);
+
+      await request(app).post('/api/login').send({ email: 'alice@example.com' }).expect(400);
+      event = await lastEvent('login');
+      assert.strictEqual(event.reason, 'missing_credentials');
+    });
+
+    it('records logout for the session owner', async () => {
+      const res = await login('alice@example.com').expect(200);
+      await request(app).post('/api/logout').set('Cookie', getCookie(res, 'jwt')).expect(200);
+
+      const event = await lastEvent('logout');
+      assert.deepStrictEqual([event.outcome, event.userId, event.email], ['success', alice.id, 'alice@example.com']);
+    });
+
+    it('records refresh failures with the token problem', async () => {
+      await request(app).post('/api/refresh').set('Cookie', 'jwt_refresh=bogus').expect(401);
+      const event = await lastEvent('refresh');
+      assert.deepStrictEqual([event.outcome, event.reason], ['failure', 'not_found']);
+    });
+
+    it('records lockouts', async () => {
+      const lockApp = createAuthApp({
+        pool,
+        keys,
+        config: createTestConfig({ loginThrottle: { lockoutThreshold: 2, freeAttempts: 10 } }),
+        logger: silentLogger
+      });
+      await createUser(pool, { email: 'locked@example.com' });
+      for (let i = 0; i < 2; i++) {
+        await request(lockApp).post('/api/login').send({ email: 'locked@example.com', password: 'wrong' }).expect(401);
+      }
+
+      const event = await lastEvent('account.locked');
+      assert.strictEqual(event.email, 'locked@example.com');
+      assert.deepStrictEqual(event.details, { failures: 2 });
+
+      await request(lockApp).post('/api/login').send({ email: 'locked@example.com', password: 'password123' }).expect(429);
+      assert.strictEqual((await lastEvent('login')).reason, 'locked');
+    });
+  });
+
+  describe('queryAuditLog', () => {
+    let queryPool;
+
+    before(async () => {
+      ({ pool: queryPool } = createTestDb());
+      const audit = createAuditLog(queryPool, { database: true, stdout: false });
+      await audit.record({ type: 'login', outcome: 'success', user: { id: 1, email: 'a@example.com' } });
+      await audit.record({ type: 'password.change', outcome: 'success', user: { id: 1, email: 'a@example.com' } });
+      await audit.record({ type: 'password.reset', outcome: 'failure', reason: 'invalid_token' });
+      await audit.record({ type: 'login', outcome: 'failure', reason: 'bad_password', user: { id: 2, email: 'B@example.com' } });
+      await queryPool.query(`UPDATE "auditLog" SET "createdAt" = $1 WHERE id = 1`, [new Date('2024-01-15T12:00:00Z')]);
+    });
+
+    it('returns events newest first', async () => {
+      const events = await queryAuditLog(queryPool);
+      assert.deepStrictEqual(events.map(event => event.id), [4, 3, 2, 1]);
+    });
+
+    it('filters by user ID or email (case-insensitive)', async () => {
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { userId: 1 })).map(event => event.id), [2, 1]);
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { email: 'b@EXAMPLE.com' })).map(event => event.id), [4]);
+    });
+
+    it('filters by event type, including sub-types', async () => {
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { type: 'login' })).map(event => event.id), [4, 1]);
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { type: 'password' })).map(event => event.id), [3, 2]);
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { type: 'password.reset' })).map(event => event.id), [3]);
+    });
+
+    it('filters by date range and limits the result', async () => {
+      const january = { since: new Date('2024-01-01'), until: new Date('2024-02-01') };
+      assert.deepStrictEqual((await queryAuditLog(queryPool, january)).map(event => event.id), [1]);
+      assert.deepStrictEqual((await queryAuditLog(queryPool, { since: new Date('2024-02-01') })).map(event => event.id), [4, 3, 2]);
+      assert.strictEqual((await queryAuditLog(queryPool, { limit: 2 })).length, 2);
+    });
+  });
+
+  describe('JSON lines on stdout', () => {
+    it('writes one JSON object per event', async () => {
+      const lines = [];
+      const audit = createAuditLog(pool, { database: false, stdout: true }, { stream: { write: line => lines.push(line) } });
+      const jsonApp = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger, audit });
+
+      await request(jsonApp).post('/api/login').send({ email: 'alice@example.com', password: 'wrong' }).expect(401);
+
+      assert.strictEqual(lines.length, 1);
+      assert.ok(lines[0].endsWith('\n'));
+      const event = JSON.parse(lines[0]);
+      assert.strictEqual(event.event, 'login');
+      assert.strictEqual(event.outcome, 'failure');
+      assert.strictEqual(event.reason, 'bad_password');
+      assert.strictEqual(event.userId, alice.id);
+      assert.ok(!Number.isNaN(Date.parse(event.time)));
+    });
+
+    it('is off by default', () => {
+      assert.deepStrictEqual(createTestConfig().audit, { database: true, stdout: false });
+    });
+  });
+
+  it('does not fail the request when the audit table is missing', async () => {
+    const { pool: bare } = createTestDb();
+    await bare.query('DROP TABLE "auditLog"');
+    const errors = [];
+    const logger = { ...silentLogger, error: (...args) => errors.push(args.join(' ')) };
+    const bareApp = createAuthApp({ pool: bare, keys, config: createTestConfig(), logger });
+    await createUser(bare, { email: 'alice@example.com' });
+
+    await request(bareApp).post('/api/login').send({ email: 'alice@example.com', password: 'password123' }).expect(200);
+    assert.ok(errors.some(message => message.includes('could not record login event')));
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('GET /api/authorize', () => {
+  let app, pool, alice, bob, financeId;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    const keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+
+    await createUser(pool, { email: 'alice@example.com', groups: ['finance', 'Wiki Editors'] });
+    await createUser(pool, { email: 'bob@example.com', groups: [] });
+    financeId = (await pool.query(`SELECT id FROM groups WHERE name = 'finance'`)).rows[0].id;
+
+    alice = await login('alice@example.com');
+    bob = await login('bob@example.com');
+  });
+
+  async function login(email) {
+    const res = await request(app).post('/api/login').send({ email, password: 'password123' }).expect(200);
+    return getCookie(res, 'jwt');
+  }
+
+  it('returns 401 without a valid token', async () => {
+    await request(app).get('/api/authorize').expect(401);
+    await request(app).get('/api/authorize').set('Cookie', 'jwt=garbage').expect(401);
+  });
+
+  it('returns 204 with user headers for any logged-in user', async () => {
+    const res = await request(app).get('/api/authorize').set('Cookie', alice).expect(204);
+    assert.ok(Number(res.headers['x-auth-user-id']) > 0);
+    assert.strictEqual(res.headers['x-auth-email'], 'alice@example.com');
+    assert.deepStrictEqual(res.headers['x-auth-groups'].split(',').sort(), ['Wiki Editors', 'finance']);
+    assert.ok(res.headers['x-auth-group-ids'].split(',').includes(String(financeId)));
+  });
+
+  it('checks required groups by name from the header', async () => {
+    await request(app).get('/api/authorize').set('Cookie', alice).set('X-Auth-Require-Groups', 'finance').expect(204);
+    await request(app).get('/api/authorize').set('Cookie', bob).set('X-Auth-Require-Groups', 'finance').expect(403);
+  });
+
+  it('accepts any one of several groups from the query string', async () => {
+    await request(app).get('/api/authorize?groups=admin,Wiki%20Editors').set('Cookie', alice).expect(204);
+    await request(app).get('/api/authorize?groups=admin&groups=finance').set('Cookie', alice).expect(204);
+    await request(app).get('/api/authorize?groups=admin').set('Cookie', alice).expect(403);
+  });
+
+  it('accepts numeric group IDs', async () => {
+    await request(app).get(`/api/authorize?groups=${financeId}`).set('Cookie', alice).expect(204);
+  });
+
+  it('denies when only unknown groups are required', async () => {
+    await request(app).get('/api/authorize?groups=nonexistent').set('Cookie', alice).expect(403);
+  });
+
+  it('rejects revoked sessions', async () => {
+    const cookie = await login('bob@example.com');
+    await request(app).post('/api/logout').set('Cookie', cookie).expect(200);
+    await request(app).get('/api/authorize').set('Cookie', cookie).expect(401);
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createMfaStore } = require('../lib/mfa');
+const totp = require('../lib/totp');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('token mode, Bearer tokens and introspection', () => {
+  let app, pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    const config = createTestConfig({ introspection: { enabled: true } });
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['dev'] });
+  });
+
+  async function tokenLogin(email = 'alice@example.com') {
+    const res = await request(app)
+      .post('/api/login?mode=token')
+      .send({ email, password: 'password123' })
+      .expect(200);
+    return res.body.token;
+  }
+
+  describe('POST /api/login in token mode', () => {
+    it('returns the JWT in the body with ?mode=token and sets no cookies', async () => {
+      const res = await request(app)
+        .post('/api/login?mode=token')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+
+      assert.strictEqual(res.body.success, true);
+      assert.strictEqual(res.body.tokenType, 'Bearer');
+      assert.strictEqual(res.body.expiresIn, 3600);
+      assert.strictEqual(res.body.user.email, 'alice@example.com');
+      assert.strictEqual(res.headers['set-cookie'], undefined);
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+
+      const claims = jwt.verify(res.body.token, keys.publicKey, { audience: 'urn:wiki.js', issuer: 'urn:wiki.js' });
+      assert.strictEqual(claims.email, 'alice@example.com');
+      assert.deepStrictEqual(claims.groups, res.body.user.groups);
+      assert.ok(claims.jti);
+    });
+
+    it('accepts mode in the body', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123', mode: 'token' })
+        .expect(200);
+      assert.ok(res.body.token);
+    });
+
+    it('returns the bare JWT for Accept: application/jwt', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .set('Accept', 'application/jwt')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+
+      assert.match(res.headers['content-type'], /^application\/jwt/);
+      assert.strictEqual(res.headers['set-cookie'], undefined);
+      assert.strictEqual(jwt.decode(res.text).email, 'alice@example.com');
+    });
+
+    it('still answers failures with JSON', async () => {
+      const res = await request(app)
+        .post('/api/login')
+        .set('Accept', 'application/jwt')
+        .send({ email: 'alice@example.com', password: 'wrong' })
+        .expect(401);
+      assert.strictEqual(res.body.success, false);
+    });
+
+    it('completes a two-factor login in token mode', async () => {
+      const user = await createUser(pool, { email: 'mfa@example.com' });
+      const mfa = createMfaStore(pool);
+      const secret = await mfa.startEnrollment(user.id);
+      // The activation code cannot be replayed: log in with a recovery code
+      const [recoveryCode] = await mfa.activate(user.id, totp.generate(secret));
+
+      const first = await request(app)
+        .post('/api/login?mode=token')
+        .send({ email: 'mfa@example.com', password: 'password123' })
+        .expect(200);
+      assert.strictEqual(first.body.mfaRequired, true);
+
+      const res = await request(app)
+        .post('/api/login/mfa?mode=token')
+        .send({ mfaToken: first.body.mfaToken, recoveryCode })
+        .expect(200);
+      assert.strictEqual(jwt.decode(res.body.token).email, 'mfa@example.com');
+      assert.ok(!(res.headers['set-cookie'] || []).some(cookie => cookie.startsWith('jwt=ey')));
+    });
+  });
+
+  describe('Authorization: Bearer', () => {
+    it('is accepted by /api/verify', async () => {
+      const token = await tokenLogin();
+      const res = await request(app)
+        .get('/api/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      assert.strictEqual(res.body.user.email, 'alice@example.com');
+    });
+
+    it('takes precedence over the cookie', async () => {
+      const token = await tokenLogin();
+      await request(app)
+        .get('/api/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Cookie', 'jwt=garbage')
+        .expect(200);
+      await request(app)
+        .get('/api/verify')
+        .set('Authorization', 'Bearer garbage')
+        .set('Cookie', `jwt=${token}`)
+        .expect(401);
+    });
+
+    it('falls back to the cookie for other schemes', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+      await request(app)
+        .get('/api/verify')
+        .set('Authorization', 'Basic dXNlcjpwYXNz')
+        .set('Cookie', getCookie(login, 'jwt'))
+        .expect(200);
+    });
+
+    it('authenticates other routes, and logout revokes its session', async () => {
+      const token = await tokenLogin();
+      await request(app).get('/api/sessions').set('Authorization', `Bearer ${token}`).expect(200);
+
+      await request(app).post('/api/logout').set('Authorization', `Bearer ${token}`).expect(200);
+      const res = await request(app).get('/api/verify').set('Authorization', `Bearer ${token}`).expect(401);
+      assert.strictEqual(res.body.message, 'Session revoked or not found');
+    });
+  });
+
+  describe('POST /api/introspect', () => {
+    it('describes an active token', async () => {
+      const token = await tokenLogin();
+      const res = await request(app)
+        .post('/api/introspect')
+        .type('form')
+        .send({ token, token_type_hint: 'access_token' })
+        .expect(200);
+
+      const claims = jwt.decode(token);
+      assert.strictEqual(res.body.active, true);
+      assert.strictEqual(res.body.sub, String(claims.id));
+      assert.strictEqual(res.body.username, 'alice@example.com');
+      assert.deepStrictEqual(res.body.groups, claims.groups);
+      assert.strictEqual(res.body.exp, claims.exp);
+      assert.strictEqual(res.body.jti, claims.jti);
+      assert.strictEqual(res.body.token_type, 'Bearer');
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+    });
+
+    it('reports revoked, expired and invalid tokens as inactive', async () => {
+      const revoked = await tokenLogin();
+      await request(app).post('/api/logout').set('Authorization', `Bearer ${revoked}`).expect(200);
+
+      const expired = jwt.sign(
+        { id: 1, email: 'alice@example.com', aud: 'urn:wiki.js', iss: 'urn:wiki.js', exp: Math.floor(Date.now() / 1000) - 60 },
+        keys.privateKey,
+        { algorithm: 'RS256' }
+      );
+
+      for (const token of [revoked, expired, 'not-a-jwt']) {
+        const res = await request(app).post('/api/introspect').send({ token }).expect(200);
+        assert.deepStrictEqual(res.body, { active: false });
+      }
+    });
+
+    it('requires the token parameter', async () => {
+      const res = await request(app).post('/api/introspect').send({}).expect(400);
+      assert.strictEqual(res.body.error, 'invalid_request');
+    });
+
+    it('requires the configured secret', async () => {
+      const protectedApp = createAuthApp({
+        pool,
+        keys,
+        config: createTestConfig({ introspection: { enabled: true, secret: 's3cret' } }),
+        logger: silentLogger
+      });
+      const token = await tokenLogin();
+
+      await request(protectedApp).post('/api/introspect').send({ token }).expect(401);
+      await request(protectedApp).post('/api/introspect').set('Authorization', 'Bearer wrong').send({ token }).expect(401);
+      const res = await request(protectedApp)
+        .post('/api/introspect')
+        .set('Authorization', 'Bearer s3cret')
+        .send({ token })
+        .expect(200);
+      assert.strictEqual(res.body.active, true);
+    });
+
+    it('is off by default', async () => {
+      const disabled = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+      await request(disabled).post('/api/introspect').send({ token: 'x' }).expect(404);
+    });
+  });
+});
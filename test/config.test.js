@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+describe('loadConfig', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-auth-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the Wiki.js defaults', () => {
+    const config = loadConfig({ env: {}, baseDir: dir });
+    assert.strictEqual(config.port, 3004);
+    assert.strictEqual(config.database.database, 'wikijs');
+    assert.strictEqual(config.cookie.name, 'jwt');
+    assert.strictEqual(config.cookie.secure, 'auto');
+    assert.strictEqual(config.cookie.sameSite, 'lax');
+    assert.strictEqual(config.jwt.expiresIn, 3600);
+    assert.strictEqual(config.jwt.issuer, 'urn:wiki.js');
+  });
+
+  it('reads the same DB_* variables as admin.js', () => {
+    const config = loadConfig({
+      env: { DB_HOST: 'db', DB_PORT: '6543', DB_NAME: 'auth_db', DB_USER: 'auth_user', DB_PASSWORD: 'secret' },
+      baseDir: dir
+    });
+    assert.deepStrictEqual(config.database, {
+      host: 'db', port: 6543, database: 'auth_db', user: 'auth_user', password: 'secret'
+    });
+  });
+
+  it('coerces cookie and jwt environment variables', () => {
+    const config = loadConfig({
+      env: { COOKIE_SECURE: 'true', COOKIE_SAMESITE: 'None', COOKIE_DOMAIN: '.example.com', JWT_EXPIRES_IN: '900' },
+      baseDir: dir
+    });
+    assert.strictEqual(config.cookie.secure, true);
+    assert.strictEqual(config.cookie.sameSite, 'none');
+    assert.strictEqual(config.cookie.domain, '.example.com');
+    assert.strictEqual(config.jwt.expiresIn, 900);
+  });
+
+  it('loads a JSON config file from AUTH_CONFIG, with env taking precedence', () => {
+    const file = path.join(dir, 'custom.json');
+    fs.writeFileSync(file, JSON.stringify({ port: 4000, database: { database: 'auth_db' } }));
+
+    const config = loadConfig({ env: { AUTH_CONFIG: file, DB_NAME: 'override' }, baseDir: dir });
+    assert.strictEqual(config.port, 4000);
+    assert.strictEqual(config.database.database, 'override');
+    assert.strictEqual(config.database.host, 'localhost');
+    assert.strictEqual(config.source, file);
+  });
+
+  it('picks up config.js from the base directory', () => {
+    const jsDir = fs.mkdtempSync(path.join(dir, 'js-'));
+    fs.writeFileSync(path.join(jsDir, 'config.js'), 'module.exports = { cookie: { name: "wiki_jwt" } };');
+    const config = loadConfig({ env: {}, baseDir: jsDir });
+    assert.strictEqual(config.cookie.name, 'wiki_jwt');
+  });
+
+  it('fails when AUTH_CONFIG points to a missing file', () => {
+    assert.throws(
+      () => loadConfig({ env: { AUTH_CONFIG: 'missing.json' }, baseDir: dir }),
+      err => err instanceof ConfigError && /Config file not found/.test(err.message)
+    );
+  });
+
+  it('reports every invalid value at once', () => {
+    assert.throws(
+      () => loadConfig({
+        env: { PORT: 'abc', DB_PORT: '99999', COOKIE_SECURE: 'maybe', COOKIE_SAMESITE: 'sometimes', JWT_EXPIRES_IN: '0' },
+        baseDir: dir
+      }),
+      err => {
+        assert.ok(err instanceof ConfigError);
+        assert.strictEqual(err.problems.length, 5);
+        assert.match(err.message, /port \(PORT\)/);
+        assert.match(err.message, /database\.port \(DB_PORT\)/);
+        assert.match(err.message, /cookie\.secure/);
+        assert.match(err.message, /cookie\.sameSite/);
+        assert.match(err.message, /jwt\.expiresIn/);
+        return true;
+      }
+    );
+  });
+
+  it('normalizes PUBLIC_URL and rejects relative values', () => {
+    const config = loadConfig({ env: { PUBLIC_URL: 'https://example.com/auth/' }, baseDir: dir });
+    assert.strictEqual(config.publicUrl, 'https://example.com/auth');
+    assert.throws(
+      () => loadConfig({ env: { PUBLIC_URL: '/auth' }, baseDir: dir }),
+      /publicUrl \(PUBLIC_URL\) must be an absolute http\(s\) URL/
+    );
+  });
+
+  it('requires secure cookies for SameSite=None', () => {
+    assert.throws(
+      () => loadConfig({ env: { COOKIE_SAMESITE: 'none' }, baseDir: dir }),
+      /requires cookie\.secure = true/
+    );
+  });
+
+  it('accepts COOKIE_SECURE=auto', () => {
+    assert.strictEqual(loadConfig({ env: { COOKIE_SECURE: 'AUTO' }, baseDir: dir }).cookie.secure, 'auto');
+    assert.strictEqual(loadConfig({ env: { COOKIE_SECURE: 'false' }, baseDir: dir }).cookie.secure, false);
+  });
+
+  it('prefixes every cookie name with COOKIE_HOST_PREFIX', () => {
+    const config = loadConfig({ env: { COOKIE_HOST_PREFIX: 'true' }, baseDir: dir });
+    assert.deepStrictEqual(
+      [config.cookie.name, config.refresh.cookieName, config.mfa.cookieName, config.sso.cookieName, config.csrf.cookieName],
+      ['__Host-jwt', '__Host-jwt_refresh', '__Host-jwt_mfa', '__Host-jwt_sso', '__Host-csrf_token']
+    );
+
+    assert.throws(
+      () => loadConfig({ env: { COOKIE_HOST_PREFIX: 'true', COOKIE_DOMAIN: '.example.com', COOKIE_SECURE: 'false' }, baseDir: dir }),
+      err => {
+        assert.strictEqual(err.problems.length, 2);
+        assert.match(err.message, /cannot be used with cookie\.domain/);
+        assert.match(err.message, /requires cookie\.secure = true or auto/);
+        return true;
+      }
+    );
+  });
+
+  it('keeps the CSRF cookie apart from the session cookies', () => {
+    assert.throws(
+      () => loadConfig({ env: { CSRF_COOKIE_NAME: 'jwt' }, baseDir: dir }),
+      /csrf\.cookieName \(CSRF_COOKIE_NAME\) must differ/
+    );
+  });
+
+  it('builds the security header settings', () => {
+    const defaults = loadConfig({ env: {}, baseDir: dir }).securityHeaders;
+    assert.match(defaults.contentSecurityPolicy, /^default-src 'self'/);
+    assert.strictEqual(defaults.frameAncestors, "'none'");
+    assert.strictEqual(defaults.hstsMaxAge, 15552000);
+
+    const custom = loadConfig({
+      env: { CONTENT_SECURITY_POLICY: 'off', FRAME_ANCESTORS: "'self' https://wiki.example.com", HSTS_MAX_AGE: '0' },
+      baseDir: dir
+    }).securityHeaders;
+    assert.strictEqual(custom.contentSecurityPolicy, '');
+    assert.strictEqual(custom.frameAncestors, "'self' https://wiki.example.com");
+    assert.strictEqual(custom.hstsMaxAge, 0);
+  });
+});
@@ -0,0 +1,272 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('CSRF protection and security headers', () => {
+  let pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+  });
+
+  function createApp(overrides = {}) {
+    return createAuthApp({
+      pool,
+      keys,
+      config: createTestConfig({ csrf: { enabled: true }, ...overrides }),
+      logger: silentLogger
+    });
+  }
+
+  const credentials = { email: 'alice@example.com', password: 'password123' };
+
+  describe('CSRF tokens', () => {
+    let app;
+
+    before(() => {
+      app = createApp();
+    });
+
+    async function csrf() {
+      const res = await request(app).get('/api/csrf').expect(200);
+      return { token: res.body.csrfToken, cookie: getCookie(res, 'csrf_token') };
+    }
+
+    it('sets a script-readable token cookie and returns the token', async () => {
+      const res = await request(app).get('/api/csrf').expect(200);
+      const header = res.headers['set-cookie'].find(cookie => cookie.startsWith('csrf_token='));
+
+      assert.ok(!/HttpOnly/i.test(header));
+      assert.match(header, /SameSite=Lax/);
+      assert.strictEqual(getCookie(res, 'csrf_token'), `csrf_token=${res.body.csrfToken}`);
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+    });
+
+    it('sets the cookie on the login page', async () => {
+      const res = await request(app).get('/').expect(200);
+      assert.ok(getCookie(res, 'csrf_token'));
+    });
+
+    it('keeps an existing token', async () => {
+      const { token, cookie } = await csrf();
+      const res = await request(app).get('/api/csrf').set('Cookie', cookie).expect(200);
+      assert.strictEqual(res.body.csrfToken, token);
+      assert.strictEqual(getCookie(res, 'csrf_token'), null);
+    });
+
+    it('refuses state-changing requests without the token', async () => {
+      const res = await request(app).post('/api/login').send(credentials).expect(403);
+      assert.strictEqual(res.body.success, false);
+      assert.match(res.body.message, /CSRF token/);
+
+      // A cookie alone is what a cross-site form would send
+      const { cookie } = await csrf();
+      await request(app).post('/api/login').set('Cookie', cookie).send(credentials).expect(403);
+    });
+
+    it('refuses a token that does not match the cookie', async () => {
+      const { cookie } = await csrf();
+      const other = await csrf();
+      await request(app)
+        .post('/api/login')
+        .set('Cookie', cookie)
+        .set('X-CSRF-Token', other.token)
+        .send(credentials)
+        .expect(403);
+    });
+
+    it('accepts the token in the X-CSRF-Token header', async () => {
+      const { token, cookie } = await csrf();
+      const res = await request(app)
+        .post('/api/login')
+        .set('Cookie', cookie)
+        .set('X-CSRF-Token', token)
+        .send(credentials)
+        .expect(200);
+
+      await request(app)
+        .post('/api/logout')
+        .set('Cookie', [cookie, getCookie(res, 'jwt')])
+        .set('X-CSRF-Token', token)
+        .expect(200);
+    });
+
+    it('accepts the token in the _csrf form field', async () => {
+      const { token, cookie } = await csrf();
+      await request(app)
+        .post('/api/login')
+        .type('form')
+        .set('Cookie', cookie)
+        .send({ ...credentials, _csrf: token })
+        .expect(200);
+    });
+
+    it('does not check requests with a bearer token', async () => {
+      const { token, cookie } = await csrf();
+      const login = await request(app)
+        .post('/api/login')
+        .set('Cookie', cookie)
+        .set('X-CSRF-Token', token)
+        .send(credentials)
+        .expect(200);
+      const jwtCookie = getCookie(login, 'jwt');
+
+      await request(app).post('/api/logout').set('Cookie', jwtCookie).expect(403);
+      await request(app)
+        .post('/api/logout')
+        .set('Cookie', jwtCookie)
+        .set('Authorization', `Bearer ${jwtCookie.split('=')[1]}`)
+        .expect(200);
+    });
+
+    it('checks requests with other Authorization schemes', async () => {
+      const { token, cookie } = await csrf();
+      const login = await request(app)
+        .post('/api/login')
+        .set('Cookie', cookie)
+        .set('X-CSRF-Token', token)
+        .send(credentials)
+        .expect(200);
+      const jwtCookie = getCookie(login, 'jwt');
+
+      // A browser resends cached Basic/Negotiate credentials cross-site, and the session cookie authenticates
+      for (const authorization of ['Basic YWxpY2U6cGFzc3dvcmQ=', 'Negotiate YIIB', 'Bearer']) {
+        await request(app)
+          .post('/api/password/change')
+          .set('Cookie', [cookie, jwtCookie])
+          .set('Authorization', authorization)
+          .send({ currentPassword: 'password123', newPassword: 'hijacked-password' })
+          .expect(403);
+      }
+    });
+
+    it('does not check token-mode logins', async () => {
+      const res = await request(app).post('/api/login?mode=token').send(credentials).expect(200);
+      assert.ok(res.body.token);
+      assert.strictEqual(getCookie(res, 'jwt'), null);
+    });
+
+    it('checks other routes even with mode=token', async () => {
+      const { token, cookie } = await csrf();
+      const login = await request(app)
+        .post('/api/login')
+        .set('Cookie', cookie)
+        .set('X-CSRF-Token', token)
+        .send(credentials)
+        .expect(200);
+      const jwtCookie = getCookie(login, 'jwt');
+
+      // What a cross-site form can send: the cookies and mode=token, no CSRF token
+      await request(app).post('/api/logout?mode=token').set('Cookie', [cookie, jwtCookie]).expect(403);
+      await request(app)
+        .post('/api/password/change')
+        .type('form')
+        .set('Cookie', [cookie, jwtCookie])
+        .send({ mode: 'token', currentPassword: 'password123', newPassword: 'hijacked-password' })
+        .expect(403);
+      await request(app)
+        .post('/api/logout')
+        .set('Accept', 'application/jwt')
+        .set('Cookie', [cookie, jwtCookie])
+        .expect(403);
+    });
+
+    it('does not check server-to-server endpoints', async () => {
+      const introspection = createApp({ introspection: { enabled: true } });
+      await request(introspection).post('/api/introspect').send({ token: 'x' }).expect(200);
+      await request(app).post('/api/token/exchange').send({ token: 'wjat_unknown' }).expect(401);
+    });
+
+    it('can be turned off', async () => {
+      const disabled = createApp({ csrf: { enabled: false } });
+      await request(disabled).get('/api/csrf').expect(404);
+      await request(disabled).post('/api/login').send(credentials).expect(200);
+    });
+  });
+
+  describe('cookies', () => {
+    it('are Secure behind a trusted proxy that received HTTPS', async () => {
+      const app = createApp({ trustProxy: true, csrf: { enabled: false } });
+
+      const https = await request(app).post('/api/login').set('X-Forwarded-Proto', 'https').send(credentials).expect(200);
+      assert.ok(https.headers['set-cookie'].every(cookie => /; Secure/.test(cookie)));
+
+      const http = await request(app).post('/api/login').send(credentials).expect(200);
+      assert.ok(http.headers['set-cookie'].every(cookie => !/; Secure/.test(cookie)));
+    });
+
+    it('ignore X-Forwarded-Proto without a trusted proxy', async () => {
+      const app = createApp({ csrf: { enabled: false } });
+      const res = await request(app).post('/api/login').set('X-Forwarded-Proto', 'https').send(credentials).expect(200);
+      assert.ok(res.headers['set-cookie'].every(cookie => !/; Secure/.test(cookie)));
+    });
+
+    it('use the __Host- prefix when configured', async () => {
+      const app = createApp({ trustProxy: true, cookie: { hostPrefix: true } });
+
+      const csrf = await request(app).get('/api/csrf').set('X-Forwarded-Proto', 'https').expect(200);
+      const csrfCookie = getCookie(csrf, '__Host-csrf_token');
+      assert.ok(csrfCookie);
+
+      const res = await request(app)
+        .post('/api/login')
+        .set('X-Forwarded-Proto', 'https')
+        .set('Cookie', csrfCookie)
+        .set('X-CSRF-Token', csrf.body.csrfToken)
+        .send(credentials)
+        .expect(200);
+
+      const jwtCookie = res.headers['set-cookie'].find(cookie => cookie.startsWith('__Host-jwt='));
+      assert.match(jwtCookie, /; Path=\//);
+      assert.match(jwtCookie, /; Secure/);
+      assert.ok(!/Domain=/i.test(jwtCookie));
+
+      const verified = await request(app).get('/api/verify').set('Cookie', getCookie(res, '__Host-jwt')).expect(200);
+      assert.strictEqual(verified.body.user.email, 'alice@example.com');
+    });
+  });
+
+  describe('security headers', () => {
+    it('are set on the pages and the API', async () => {
+      const app = createApp();
+      for (const path of ['/', '/api/verify']) {
+        const res = await request(app).get(path);
+        assert.match(res.headers['content-security-policy'], /^default-src 'self'; .*; frame-ancestors 'none'$/);
+        assert.strictEqual(res.headers['x-frame-options'], 'DENY');
+        assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+        assert.strictEqual(res.headers['referrer-policy'], 'same-origin');
+      }
+    });
+
+    it('send HSTS only over HTTPS', async () => {
+      const app = createApp({ trustProxy: true });
+      const http = await request(app).get('/api/verify');
+      assert.strictEqual(http.headers['strict-transport-security'], undefined);
+
+      const https = await request(app).get('/api/verify').set('X-Forwarded-Proto', 'https');
+      assert.strictEqual(https.headers['strict-transport-security'], 'max-age=15552000');
+
+      const subdomains = createApp({ trustProxy: true, securityHeaders: { hstsIncludeSubdomains: true } });
+      const res = await request(subdomains).get('/api/verify').set('X-Forwarded-Proto', 'https');
+      assert.strictEqual(res.headers['strict-transport-security'], 'max-age=15552000; includeSubDomains');
+    });
+
+    it('follow the configured policy and frame ancestors', async () => {
+      const app = createApp({
+        securityHeaders: { contentSecurityPolicy: 'off', frameAncestors: "'self' https://wiki.example.com", hstsMaxAge: 0 }
+      });
+      const res = await request(app).get('/').set('X-Forwarded-Proto', 'https');
+      assert.strictEqual(res.headers['content-security-policy'], "frame-ancestors 'self' https://wiki.example.com");
+      assert.strictEqual(res.headers['x-frame-options'], undefined);
+      assert.strictEqual(res.headers['strict-transport-security'], undefined);
+
+      const sameOrigin = createApp({ securityHeaders: { frameAncestors: "'self'" } });
+      assert.strictEqual((await request(sameOrigin).get('/')).headers['x-frame-options'], 'SAMEORIGIN');
+    });
+  });
+});
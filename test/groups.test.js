@@ -0,0 +1,117 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('group names', () => {
+  let pool, keys, groupIds;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['Managers', 'Developers'] });
+    const result = await pool.query('SELECT id, name FROM groups');
+    groupIds = Object.fromEntries(result.rows.map(row => [row.name, row.id]));
+  });
+
+  function createApp(overrides = {}) {
+    return createAuthApp({ pool, keys, config: createTestConfig(overrides), logger: silentLogger });
+  }
+
+  async function login(app) {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+    return getCookie(res, 'jwt');
+  }
+
+  describe('groupNames claim', () => {
+    it('is not added by default', async () => {
+      const cookie = await login(createApp());
+      const claims = jwt.decode(cookie.split('=')[1]);
+
+      assert.strictEqual(claims.groupNames, undefined);
+      assert.deepStrictEqual(claims.groups.sort(), [groupIds.Managers, groupIds.Developers].sort());
+    });
+
+    it('lists the names in the order of the group IDs when enabled', async () => {
+      const cookie = await login(createApp({ jwt: { groupNames: true } }));
+      const claims = jwt.decode(cookie.split('=')[1]);
+
+      const byId = { [groupIds.Managers]: 'Managers', [groupIds.Developers]: 'Developers' };
+      assert.deepStrictEqual(claims.groupNames, claims.groups.map(id => byId[id]));
+    });
+
+    it('is listed in the discovery document when enabled', async () => {
+      const off = await request(createApp()).get('/.well-known/openid-configuration').expect(200);
+      assert.ok(!off.body.claims_supported.includes('groupNames'));
+
+      const on = await request(createApp({ jwt: { groupNames: true } })).get('/.well-known/openid-configuration').expect(200);
+      assert.ok(on.body.claims_supported.includes('groupNames'));
+    });
+
+    it('is passed on by introspection', async () => {
+      const app = createApp({ jwt: { groupNames: true }, introspection: { enabled: true } });
+      const res = await request(app)
+        .post('/api/login?mode=token')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+
+      const introspection = await request(app).post('/api/introspect').send({ token: res.body.token }).expect(200);
+      assert.deepStrictEqual(introspection.body.groupNames.sort(), ['Developers', 'Managers']);
+    });
+  });
+
+  describe('GET /api/verify', () => {
+    it('returns the groupNames claim when the token has it', async () => {
+      const app = createApp({ jwt: { groupNames: true } });
+      const res = await request(app).get('/api/verify').set('Cookie', await login(app)).expect(200);
+
+      const { groups, groupNames } = res.body.user;
+      assert.strictEqual(groupNames.length, groups.length);
+      groups.forEach((id, i) => assert.strictEqual(groupIds[groupNames[i]], id));
+    });
+
+    it('answers from the token alone without the claim', async () => {
+      const app = createApp();
+      const cookie = await login(app);
+      const queries = [];
+      const query = pool.query;
+      pool.query = (sql, ...rest) => {
+        queries.push(sql);
+        return query.call(pool, sql, ...rest);
+      };
+      try {
+        const res = await request(app).get('/api/verify').set('Cookie', cookie).expect(200);
+        assert.strictEqual(res.body.user.groupNames, undefined);
+      } finally {
+        pool.query = query;
+      }
+      assert.ok(!queries.some(sql => /FROM groups/.test(sql)));
+    });
+  });
+
+  describe('GET /api/groups', () => {
+    it('lists every group by id', async () => {
+      const app = createApp();
+      const res = await request(app).get('/api/groups').set('Cookie', await login(app)).expect(200);
+
+      assert.strictEqual(res.body.success, true);
+      assert.deepStrictEqual(
+        res.body.groups,
+        Object.entries(groupIds)
+          .map(([name, id]) => ({ id, name }))
+          .sort((a, b) => a.id - b.id)
+      );
+    });
+
+    it('requires authentication', async () => {
+      await request(createApp()).get('/api/groups').expect(401);
+    });
+  });
+});
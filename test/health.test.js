@@ -0,0 +1,118 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { waitForDatabase } = require('../lib/db-connect');
+const { createTestDb, createTestConfig, silentLogger } = require('./helpers');
+
+describe('health checks', () => {
+  let pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+  });
+
+  function createApp(options = {}) {
+    return createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger, ...options });
+  }
+
+  describe('GET /health/live', () => {
+    it('answers OK without checking dependencies', async () => {
+      const broken = { query: async () => { throw new Error('connection refused'); } };
+      const app = createApp({ pool: broken });
+
+      assert.strictEqual((await request(app).get('/health/live').expect(200)).text, 'OK');
+      assert.strictEqual((await request(app).get('/health').expect(200)).text, 'OK');
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('reports every check when ready', async () => {
+      const res = await request(createApp()).get('/health/ready').expect(200);
+
+      assert.strictEqual(res.body.status, 'ready');
+      assert.deepStrictEqual(Object.keys(res.body.checks).sort(), ['database', 'keys', 'signing']);
+      assert.ok(Object.values(res.body.checks).every(check => check.ok));
+      assert.strictEqual(typeof res.body.checks.database.latencyMs, 'number');
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+    });
+
+    it('fails when the database does not answer', async () => {
+      const broken = { query: async () => { throw new Error('connection refused'); } };
+      const res = await request(createApp({ pool: broken })).get('/health/ready').expect(503);
+
+      assert.strictEqual(res.body.status, 'not ready');
+      assert.deepStrictEqual(res.body.checks.database, { ok: false, error: 'connection refused' });
+      assert.strictEqual(res.body.checks.keys.ok, true);
+    });
+
+    it('fails when the keys are not loaded', async () => {
+      const keyStore = { getKeys: () => ({ privateKey: null, publicKey: null, verificationKeys: [] }) };
+      const res = await request(createApp({ keys: keyStore })).get('/health/ready').expect(503);
+
+      assert.deepStrictEqual(res.body.checks.keys, { ok: false, error: 'private key not loaded' });
+      assert.strictEqual(res.body.checks.signing.ok, false);
+      assert.strictEqual(res.body.checks.database.ok, true);
+    });
+
+    it('fails when the public key does not match the private key', async () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const keyStore = {
+        getKeys: () => ({ privateKey, publicKey: other.publicKey, kid: 'x', verificationKeys: [] })
+      };
+      const res = await request(createApp({ keys: keyStore })).get('/health/ready').expect(503);
+
+      assert.strictEqual(res.body.checks.keys.ok, true);
+      assert.strictEqual(res.body.checks.signing.ok, false);
+      assert.match(res.body.checks.signing.error, /does not verify: invalid signature/);
+    });
+  });
+});
+
+describe('waitForDatabase', () => {
+  function flakyPool(failures) {
+    let calls = 0;
+    return {
+      get calls() { return calls; },
+      async query() {
+        calls++;
+        if (calls <= failures) throw new Error('ECONNREFUSED');
+        return { rows: [{}] };
+      }
+    };
+  }
+
+  it('retries with exponential back-off until the database answers', async () => {
+    const pool = flakyPool(4);
+    const waits = [];
+    await waitForDatabase(pool, { retries: 10, backoffBase: 1, backoffMax: 5 }, {
+      logger: silentLogger,
+      wait: async ms => waits.push(ms)
+    });
+
+    assert.strictEqual(pool.calls, 5);
+    assert.deepStrictEqual(waits, [1000, 2000, 4000, 5000]);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const pool = flakyPool(Infinity);
+    await assert.rejects(
+      waitForDatabase(pool, { retries: 2, backoffBase: 1, backoffMax: 30 }, { logger: silentLogger, wait: async () => {} }),
+      /ECONNREFUSED/
+    );
+    assert.strictEqual(pool.calls, 3);
+  });
+
+  it('fails at once with no retries', async () => {
+    const pool = flakyPool(1);
+    await assert.rejects(
+      waitForDatabase(pool, { retries: 0, backoffBase: 1, backoffMax: 30 }, { logger: silentLogger }),
+      /ECONNREFUSED/
+    );
+    assert.strictEqual(pool.calls, 1);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Test helpers: in-memory Postgres (pg-mem) loaded with database/schema.sql,
+ * RSA keys stored in the settings table the same way generate-keys.js does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { newDb } = require('pg-mem');
+const { loadConfig } = require('../lib/config');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'database', 'schema.sql');
+
+let cachedKeyPair = null;
+
+/**
+ * SQL of a schema file as psql would run it: \ir includes inlined, minus the
+ * PL/pgSQL summary block at the end of schema.sql, which pg-mem cannot run
+ */
+function readSchema(file) {
+  return fs.readFileSync(file, 'utf8')
+    .replace(/^\\ir (\S+)$/gm, (line, include) => readSchema(path.join(path.dirname(file), include)))
+    .replace(/DO \$\$[\s\S]*?END \$\$;/g, '');
+}
+
+// 2048-bit generation is slow; one pair per test process is enough
+function generateKeyPair() {
+  if (!cachedKeyPair) {
+    cachedKeyPair = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  }
+  return cachedKeyPair;
+}
+
+/**
+ * Create an in-memory database with the standalone schema and RSA keys
+ * @returns {{ db, pool, keyPair }}
+ */
+function createTestDb() {
+  const db = newDb();
+
+  db.public.none(readSchema(SCHEMA_FILE));
+
+  const keyPair = generateKeyPair();
+  db.public.none(`INSERT INTO settings (key, value) VALUES ('certs', '${JSON.stringify({
+    public: keyPair.publicKey,
+    private: keyPair.privateKey
+  })}')`);
+
+  const { Pool } = db.adapters.createPg();
+  return { db, pool: new Pool(), keyPair };
+}
+
+/**
+ * Config with defaults only - ignores any local config.js and the real environment.
+ * CSRF checks are off unless overridden: the route suites post without tokens,
+ * test/csrf.test.js covers them.
+ */
+function createTestConfig(overrides = {}) {
+  return loadConfig({
+    env: {},
+    baseDir: __dirname,
+    overrides: { ...overrides, csrf: { enabled: false, ...overrides.csrf } }
+  });
+}
+
+/**
+ * Insert a user (and optional group memberships by name)
+ * @returns {Promise<Object>} Inserted user row
+ */
+async function createUser(pool, { email, name = 'Test User', password = 'password123', isActive = true, groups = [] }) {
+  const hash = await bcrypt.hash(password, 4);
+  const result = await pool.query(
+    `INSERT INTO users (email, name, password, "isActive", "isVerified", "providerKey")
+     VALUES ($1, $2, $3, $4, true, 'local')
+     RETURNING id, email, name`,
+    [email, name, hash, isActive]
+  );
+  const user = result.rows[0];
+
+  for (const groupName of groups) {
+    let group = await pool.query('SELECT id FROM groups WHERE name = $1', [groupName]);
+    if (group.rows.length === 0) {
+      group = await pool.query('INSERT INTO groups (name) VALUES ($1) RETURNING id', [groupName]);
+    }
+    await pool.query(
+      'INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)',
+      [user.id, group.rows[0].id]
+    );
+  }
+
+  return user;
+}
+
+/**
+ * Extract "name=value" for a cookie from a supertest response
+ */
+function getCookie(res, name) {
+  const cookies = res.headers['set-cookie'] || [];
+  const match = cookies.find(c => c.startsWith(`${name}=`));
+  return match ? match.split(';')[0] : null;
+}
+
+const silentLogger = { log() {}, error() {}, warn() {} };
+
+module.exports = {
+  createTestDb,
+  createTestConfig,
+  createUser,
+  generateKeyPair,
+  getCookie,
+  silentLogger
+};
@@ -0,0 +1,175 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys, createKeyStore, NOTIFY_CHANNEL } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+function newKeyPair(passphrase) {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: passphrase
+      ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+      : { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+function publicPem(store) {
+  return store.getKeys().publicKey.export({ type: 'spki', format: 'pem' });
+}
+
+async function setCerts(pool, { publicKey, privateKey }) {
+  await pool.query("UPDATE settings SET value = $1 WHERE key = 'certs'", [
+    JSON.stringify({ public: publicKey, private: privateKey })
+  ]);
+}
+
+describe('loadKeys', () => {
+  it('loads the certs key pair from settings', async () => {
+    const { pool, keyPair } = createTestDb();
+    const keys = await loadKeys(pool);
+    assert.strictEqual(keys.privateKey, keyPair.privateKey);
+    assert.strictEqual(keys.publicKey, keyPair.publicKey);
+    assert.strictEqual(keys.passphrase, null);
+  });
+
+  it('uses sessionSecret as passphrase for an encrypted private key', async () => {
+    const { pool } = createTestDb();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase: secret }
+    });
+    await pool.query("UPDATE settings SET value = $1 WHERE key = 'certs'", [
+      JSON.stringify({ public: publicKey, private: privateKey })
+    ]);
+    await pool.query("INSERT INTO settings (key, value) VALUES ('sessionSecret', $1)", [
+      JSON.stringify({ v: secret })
+    ]);
+
+    const keys = await loadKeys(pool);
+    assert.strictEqual(keys.passphrase, secret);
+  });
+
+  it('fails when certs are missing', async () => {
+    const { pool } = createTestDb();
+    await pool.query("DELETE FROM settings WHERE key = 'certs'");
+    await assert.rejects(loadKeys(pool), /certs not found/);
+  });
+});
+
+describe('createKeyStore', () => {
+  // One extra key pair for all rotation tests (2048-bit generation is slow)
+  const rotated = newKeyPair();
+
+  it('keeps the keys parsed as KeyObjects', async () => {
+    const { pool, keyPair } = createTestDb();
+    const store = await createKeyStore(pool, { logger: silentLogger });
+
+    const { privateKey, publicKey } = store.getKeys();
+    assert.strictEqual(privateKey.type, 'private');
+    assert.strictEqual(publicKey.type, 'public');
+    assert.strictEqual(publicKey.export({ type: 'spki', format: 'pem' }), keyPair.publicKey);
+    await store.close();
+  });
+
+  it('decrypts an encrypted private key once', async () => {
+    const { pool } = createTestDb();
+    const secret = crypto.randomBytes(32).toString('hex');
+    await setCerts(pool, newKeyPair(secret));
+    await pool.query("INSERT INTO settings (key, value) VALUES ('sessionSecret', $1)", [
+      JSON.stringify({ v: secret })
+    ]);
+
+    const store = await createKeyStore(pool, { logger: silentLogger });
+    assert.strictEqual(store.getKeys().privateKey.type, 'private');
+    await store.close();
+  });
+
+  it('fails when the keys cannot be loaded at startup', async () => {
+    const { pool } = createTestDb();
+    await pool.query("DELETE FROM settings WHERE key = 'certs'");
+    await assert.rejects(createKeyStore(pool, { logger: silentLogger }), /certs not found/);
+  });
+
+  it('reloads only when the certs row changed', async () => {
+    const { pool } = createTestDb();
+    const store = await createKeyStore(pool, { logger: silentLogger });
+    const before = store.getKeys();
+
+    assert.strictEqual(await store.reload(), false);
+    assert.strictEqual(store.getKeys(), before);
+
+    await setCerts(pool, rotated);
+    assert.strictEqual(await store.reload(), true);
+    assert.strictEqual(publicPem(store), rotated.publicKey);
+    await store.close();
+  });
+
+  it('keeps the current keys when the new certs row is broken', async () => {
+    const { pool } = createTestDb();
+    const store = await createKeyStore(pool, { logger: silentLogger });
+    const before = store.getKeys();
+
+    const { loadedAt } = store.status();
+
+    await setCerts(pool, { publicKey: 'not a key', privateKey: 'not a key' });
+    assert.strictEqual(await store.reload(), false);
+    assert.strictEqual(store.getKeys(), before);
+    assert.deepStrictEqual(store.status(), { loadedAt, reloadFailures: 1 });
+    await store.close();
+  });
+
+  it('reloads on NOTIFY when listening', async () => {
+    const { pool } = createTestDb();
+    const client = new EventEmitter();
+    const queries = [];
+    client.query = async sql => { queries.push(sql); };
+    client.release = () => { client.released = true; };
+    pool.connect = async () => client;
+
+    const store = await createKeyStore(pool, { listen: true, logger: silentLogger });
+    assert.deepStrictEqual(queries, [`LISTEN ${NOTIFY_CHANNEL}`]);
+
+    await setCerts(pool, rotated);
+    client.emit('notification', { channel: NOTIFY_CHANNEL, payload: 'certs' });
+    // reload() runs asynchronously after the notification
+    for (let i = 0; i < 20 && publicPem(store) !== rotated.publicKey; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.strictEqual(publicPem(store), rotated.publicKey);
+
+    await store.close();
+    assert.strictEqual(queries[1], `UNLISTEN ${NOTIFY_CHANNEL}`);
+    assert.strictEqual(client.released, true);
+  });
+
+  it('lets the app switch keys without a restart', async () => {
+    const { pool } = createTestDb();
+    const store = await createKeyStore(pool, { logger: silentLogger });
+    const app = createAuthApp({ pool, keys: store, config: createTestConfig(), logger: silentLogger });
+    await createUser(pool, { email: 'alice@example.com' });
+
+    const login = () => request(app)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+
+    const oldToken = getCookie(await login(), 'jwt');
+    await request(app).get('/api/verify').set('Cookie', oldToken).expect(200);
+
+    await setCerts(pool, rotated);
+    await store.reload();
+
+    // Signed with the retired key
+    await request(app).get('/api/verify').set('Cookie', oldToken).expect(401);
+
+    const newToken = getCookie(await login(), 'jwt');
+    await request(app).get('/api/verify').set('Cookie', newToken).expect(200);
+    await store.close();
+  });
+});
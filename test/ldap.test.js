@@ -0,0 +1,356 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const ldap = require('ldapjs');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { loadConfig } = require('../lib/config');
+const { createLdapProvider, escapeFilterValue } = require('../lib/providers/ldap');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+const BASE = 'dc=example,dc=com';
+const PEOPLE = `ou=people,${BASE}`;
+const GROUPS = `ou=groups,${BASE}`;
+const SERVICE_DN = `cn=reader,${BASE}`;
+
+/**
+ * In-process directory: a service account, a few people and two groups.
+ * Attribute names are lower-case, which is how ldapjs matches filters.
+ */
+function createDirectory() {
+  const entries = {
+    [`uid=alice,${PEOPLE}`]: {
+      objectclass: ['person'], uid: ['alice'], cn: ['alice'], mail: ['alice@example.com'],
+      displayname: ['Alice Smith'],
+      memberof: [`cn=wiki-admins,${GROUPS}`, `cn=Developers,${GROUPS}`]
+    },
+    [`uid=bob,${PEOPLE}`]: {
+      objectclass: ['person'], uid: ['bob'], cn: ['bob'], mail: ['bob@example.com'],
+      displayname: ['Bob'], memberof: [`cn=Developers,${GROUPS}`, `cn=contractors,${GROUPS}`]
+    },
+    [`uid=carol,${PEOPLE}`]: {
+      objectclass: ['person'], uid: ['carol'], cn: ['carol'], mail: ['carol@example.com'],
+      displayname: ['Carol'], memberof: []
+    },
+    [`uid=erin,${PEOPLE}`]: {
+      objectclass: ['person'], uid: ['erin'], cn: ['erin'], mail: ['erin@example.com'],
+      displayname: ['Erin'], memberof: [`cn=admin,${GROUPS}`]
+    },
+    [`cn=wiki-admins,${GROUPS}`]: {
+      objectclass: ['groupOfNames'], cn: ['wiki-admins'], member: [`uid=alice,${PEOPLE}`]
+    },
+    [`cn=Developers,${GROUPS}`]: {
+      objectclass: ['groupOfNames'], cn: ['Developers'], member: [`uid=alice,${PEOPLE}`, `uid=bob,${PEOPLE}`]
+    }
+  };
+  const passwords = {
+    [SERVICE_DN]: 'readerpass',
+    [`uid=alice,${PEOPLE}`]: 'alicepass',
+    [`uid=bob,${PEOPLE}`]: 'bobpass',
+    [`uid=carol,${PEOPLE}`]: 'carolpass',
+    [`uid=erin,${PEOPLE}`]: 'erinpass'
+  };
+  const binds = [];
+
+  const server = ldap.createServer();
+
+  server.bind(BASE, (req, res, next) => {
+    const dn = req.dn.toString();
+    binds.push(dn);
+    if (passwords[dn] === undefined || passwords[dn] !== req.credentials) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+    res.end();
+    return next();
+  });
+
+  server.search(BASE, (req, res, next) => {
+    const base = req.dn.toString().toLowerCase();
+    // Real directories match requested attribute names case-insensitively
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+    for (const [dn, attributes] of Object.entries(entries)) {
+      if (dn.toLowerCase().endsWith(base) && req.filter.matches(attributes)) {
+        res.send({ dn, attributes });
+      }
+    }
+    res.end();
+    return next();
+  });
+
+  return { server, entries, binds };
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+function ldapOptions(url, overrides = {}) {
+  return loadConfig({
+    env: {},
+    baseDir: __dirname,
+    overrides: {
+      ldap: {
+        enabled: true,
+        url,
+        bindDn: SERVICE_DN,
+        bindCredentials: 'readerpass',
+        searchBase: PEOPLE,
+        ...overrides
+      }
+    }
+  }).ldap;
+}
+
+describe('LDAP credential provider', () => {
+  let directory, url;
+
+  before(async () => {
+    directory = createDirectory();
+    await listen(directory.server);
+    url = directory.server.url;
+  });
+
+  after(() => {
+    directory.server.close();
+  });
+
+  it('returns the profile without groups for valid credentials', async () => {
+    const provider = createLdapProvider(ldapOptions(url));
+    const profile = await provider.authenticate('alice@example.com', 'alicepass');
+
+    // No group map: directory groups are never matched to Wiki.js groups by name
+    assert.deepStrictEqual(profile, {
+      email: 'alice@example.com',
+      name: 'Alice Smith',
+      groups: undefined
+    });
+    assert.strictEqual(provider.key, 'ldap');
+    // Service account first, then the user's own bind checks the password
+    assert.deepStrictEqual(directory.binds.slice(-2), [SERVICE_DN, `uid=alice,${PEOPLE}`]);
+  });
+
+  it('returns null for a wrong password or an unknown user', async () => {
+    const provider = createLdapProvider(ldapOptions(url));
+    assert.strictEqual(await provider.authenticate('alice@example.com', 'wrong'), null);
+    assert.strictEqual(await provider.authenticate('nobody@example.com', 'alicepass'), null);
+    // An empty password would be an unauthenticated bind
+    assert.strictEqual(await provider.authenticate('alice@example.com', ''), null);
+  });
+
+  it('maps groups by DN or CN and drops unmapped ones', async () => {
+    const provider = createLdapProvider(ldapOptions(url, {
+      groupMap: { 'WIKI-ADMINS': 'admin', [`cn=other,${GROUPS}`]: 'other' }
+    }));
+    const profile = await provider.authenticate('alice@example.com', 'alicepass');
+    assert.deepStrictEqual(profile.groups, ['admin']);
+  });
+
+  it('searches group entries when groupSearchBase is set', async () => {
+    const provider = createLdapProvider(ldapOptions(url, {
+      groupSearchBase: GROUPS,
+      groupMap: { Developers: 'dev', contractors: 'Contractors' }
+    }));
+    const profile = await provider.authenticate('bob@example.com', 'bobpass');
+    assert.deepStrictEqual(profile.groups, ['dev']);
+  });
+
+  it('escapes the login in the search filter', async () => {
+    assert.strictEqual(escapeFilterValue('a*)(uid=*'), 'a\\2a\\29\\28uid=\\2a');
+    assert.strictEqual(escapeFilterValue('back\\slash'), 'back\\5cslash');
+
+    // Unescaped, (mail=alice*) would find Alice and accept her password
+    const provider = createLdapProvider(ldapOptions(url));
+    assert.strictEqual(await provider.authenticate('alice*', 'alicepass'), null);
+  });
+
+  it('rejects when the directory cannot be reached', async () => {
+    const provider = createLdapProvider(ldapOptions('ldap://127.0.0.1:1', { timeout: 1000 }));
+    await assert.rejects(provider.authenticate('alice@example.com', 'alicepass'));
+  });
+});
+
+describe('Login with LDAP', () => {
+  let app, pool, keys, directory, groupIds;
+
+  before(async () => {
+    directory = createDirectory();
+    await listen(directory.server);
+
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    const config = createTestConfig({
+      ldap: {
+        enabled: true,
+        url: directory.server.url,
+        bindDn: SERVICE_DN,
+        bindCredentials: 'readerpass',
+        searchBase: PEOPLE,
+        groupMap: { 'wiki-admins': 'admin', Developers: 'dev', contractors: 'Contractors' }
+      }
+    });
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    await createUser(pool, { email: 'local@example.com', groups: ['admin', 'dev'] });
+    const groups = await pool.query('SELECT id, name FROM groups');
+    groupIds = Object.fromEntries(groups.rows.map(group => [group.name, group.id]));
+  });
+
+  after(() => {
+    directory.server.close();
+  });
+
+  function login(email, password) {
+    return request(app).post('/api/login').send({ email, password });
+  }
+
+  async function userRow(email) {
+    const result = await pool.query(
+      `SELECT id, name, password, "providerKey", "isActive" FROM users WHERE email = $1`,
+      [email]
+    );
+    return result.rows[0];
+  }
+
+  it('creates the account on first login with the mapped groups in the JWT', async () => {
+    const res = await login('alice@example.com', 'alicepass').expect(200);
+    assert.strictEqual(res.body.success, true);
+
+    const row = await userRow('alice@example.com');
+    assert.strictEqual(row.providerKey, 'ldap');
+    assert.strictEqual(row.name, 'Alice Smith');
+    // No usable local password
+    assert.strictEqual(row.password, '');
+
+    const token = getCookie(res, 'jwt').split('=')[1];
+    const claims = jwt.decode(token);
+    assert.strictEqual(claims.id, row.id);
+    assert.strictEqual(claims.email, 'alice@example.com');
+    assert.deepStrictEqual([...claims.groups].sort(), [groupIds.admin, groupIds.dev].sort());
+  });
+
+  it('rejects a wrong LDAP password', async () => {
+    const res = await login('alice@example.com', 'wrong').expect(401);
+    assert.strictEqual(res.body.message, 'Invalid email or password');
+  });
+
+  it('syncs the name and group memberships on every login', async () => {
+    const dn = `uid=alice,${PEOPLE}`;
+    directory.entries[dn].memberof = [`cn=Developers,${GROUPS}`];
+    directory.entries[dn].displayname = ['Alice Jones'];
+
+    const res = await login('alice@example.com', 'alicepass').expect(200);
+    assert.deepStrictEqual(res.body.user.groups, [groupIds.dev]);
+    assert.strictEqual((await userRow('alice@example.com')).name, 'Alice Jones');
+  });
+
+  it('ignores directory groups that do not exist in Wiki.js', async () => {
+    const res = await login('bob@example.com', 'bobpass').expect(200);
+    assert.deepStrictEqual(res.body.user.groups, [groupIds.dev]);
+    const count = await pool.query('SELECT COUNT(*)::int AS n FROM groups');
+    assert.strictEqual(count.rows[0].n, 2);
+  });
+
+  it('leaves memberships alone without a group map', async () => {
+    const config = createTestConfig({
+      ldap: { enabled: true, url: directory.server.url, bindDn: SERVICE_DN, bindCredentials: 'readerpass', searchBase: PEOPLE }
+    });
+    const unmapped = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    // A directory group named "admin" does not grant the Wiki.js admin group
+    const res = await request(unmapped).post('/api/login').send({ email: 'erin@example.com', password: 'erinpass' }).expect(200);
+    assert.deepStrictEqual(res.body.user.groups, []);
+
+    // Memberships granted locally survive the next login
+    await pool.query(
+      'INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)',
+      [res.body.user.id, groupIds.dev]
+    );
+    const again = await request(unmapped).post('/api/login').send({ email: 'erin@example.com', password: 'erinpass' }).expect(200);
+    assert.deepStrictEqual(again.body.user.groups, [groupIds.dev]);
+  });
+
+  it('still checks local accounts with their own password', async () => {
+    await login('local@example.com', 'password123').expect(200);
+    // A local account is never handed to LDAP
+    const binds = directory.binds.length;
+    await login('local@example.com', 'wrong').expect(401);
+    assert.strictEqual(directory.binds.length, binds);
+  });
+
+  it('does not take over an account of another provider', async () => {
+    const now = new Date().toISOString();
+    await pool.query(
+      `INSERT INTO users (email, name, password, "isActive", "isVerified", "providerKey", "createdAt", "updatedAt")
+       VALUES ('carol@example.com', 'Carol (GitHub)', '', true, true, 'github', $1, $1)`,
+      [now]
+    );
+
+    await login('carol@example.com', 'carolpass').expect(401);
+    const row = await userRow('carol@example.com');
+    assert.strictEqual(row.providerKey, 'github');
+    assert.strictEqual(row.name, 'Carol (GitHub)');
+  });
+
+  it('refuses deactivated LDAP accounts', async () => {
+    await pool.query(`UPDATE users SET "isActive" = false WHERE email = 'bob@example.com'`);
+    const res = await login('bob@example.com', 'bobpass').expect(401);
+    assert.strictEqual(res.body.message, 'Account is inactive');
+  });
+
+  it('answers 503 when the directory is down', async () => {
+    const config = createTestConfig({
+      ldap: { enabled: true, url: 'ldap://127.0.0.1:1', searchBase: PEOPLE, timeout: 1000 }
+    });
+    const downApp = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    const res = await request(downApp)
+      .post('/api/login')
+      .send({ email: 'dave@example.com', password: 'davepass' })
+      .expect(503);
+    assert.strictEqual(res.body.success, false);
+
+    // Not counted as a failed attempt against the account
+    const failures = await pool.query(
+      `SELECT failures FROM "loginThrottle" WHERE scope = 'account' AND key = 'dave@example.com'`
+    );
+    assert.strictEqual(failures.rows.length, 0);
+  });
+});
+
+describe('LDAP config', () => {
+  const load = env => loadConfig({ env, baseDir: __dirname });
+
+  it('is off by default', () => {
+    assert.strictEqual(load({}).ldap.enabled, false);
+  });
+
+  it('reads LDAP_* variables and parses LDAP_GROUP_MAP', () => {
+    const config = load({
+      LDAP_ENABLED: 'true',
+      LDAP_URL: 'ldaps://ldap.example.com',
+      LDAP_SEARCH_BASE: PEOPLE,
+      LDAP_GROUP_MAP: `cn=wiki-admins,${GROUPS}=Administrators; developers=Editors`,
+      LDAP_TIMEOUT: '2000'
+    });
+    assert.strictEqual(config.ldap.url, 'ldaps://ldap.example.com');
+    assert.strictEqual(config.ldap.timeout, 2000);
+    assert.deepStrictEqual(config.ldap.groupMap, {
+      [`cn=wiki-admins,${GROUPS}`]: 'Administrators',
+      developers: 'Editors'
+    });
+  });
+
+  it('requires a URL and search base when enabled', () => {
+    assert.throws(() => load({ LDAP_ENABLED: 'true', LDAP_SEARCH_FILTER: '(uid=x)' }), err => {
+      assert.ok(err.problems.some(p => p.includes('ldap.url')));
+      assert.ok(err.problems.some(p => p.includes('ldap.searchBase')));
+      assert.ok(err.problems.some(p => p.includes('{{username}}')));
+      return true;
+    });
+    assert.throws(() => load({
+      LDAP_ENABLED: 'true', LDAP_URL: 'http://ldap', LDAP_SEARCH_BASE: PEOPLE
+    }), /ldap:\/\/ or ldaps:\/\//);
+    assert.throws(() => load({ LDAP_GROUP_MAP: 'no-separator' }), /ldap.groupMap/);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, silentLogger } = require('./helpers');
+
+describe('login throttle', () => {
+  let app, pool;
+
+  beforeEach(async () => {
+    ({ pool } = createTestDb());
+    const keys = await loadKeys(pool);
+    const config = createTestConfig({
+      trustProxy: true,
+      loginThrottle: { ipFreeAttempts: 5, accountFreeAttempts: 2, backoffBase: 30, lockoutThreshold: 5 }
+    });
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+    await createUser(pool, { email: 'alice@example.com' });
+  });
+
+  function attempt(password, { email = 'alice@example.com', ip = '203.0.113.1' } = {}) {
+    return request(app)
+      .post('/api/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email, password });
+  }
+
+  // Pretend the current back-off has elapsed (lockout is left alone)
+  async function expireBackoff() {
+    await pool.query('UPDATE "loginThrottle" SET "blockedUntil" = $1', [new Date(Date.now() - 1000)]);
+  }
+
+  it('backs off exponentially after the free attempts', async () => {
+    await attempt('wrong').expect(401);
+    await attempt('wrong').expect(401);
+    await attempt('wrong').expect(401); // 3rd failure: blocked for 30s
+
+    const blocked = await attempt('password123').expect(429);
+    assert.strictEqual(blocked.body.message, 'Too many failed login attempts, please try again later');
+    assert.ok(Number(blocked.headers['retry-after']) > 0);
+    assert.ok(blocked.body.retryAfter <= 30);
+
+    await expireBackoff();
+    await attempt('wrong').expect(401); // 4th failure: 60s
+    const second = await attempt('wrong').expect(429);
+    assert.ok(second.body.retryAfter > 30 && second.body.retryAfter <= 60);
+  });
+
+  it('refuses even the correct password while blocked', async () => {
+    for (let i = 0; i < 3; i++) await attempt('wrong');
+    await attempt('password123').expect(429);
+  });
+
+  it('locks the account after consecutive failures', async () => {
+    for (let i = 0; i < 4; i++) {
+      await attempt('wrong').expect(401);
+      await expireBackoff();
+    }
+    await attempt('wrong').expect(401); // 5th consecutive failure locks
+    await expireBackoff();
+
+    const res = await attempt('password123').expect(429);
+    assert.strictEqual(res.body.message, 'Account temporarily locked due to too many failed login attempts');
+
+    const row = await pool.query(`SELECT failures, "lockedUntil" FROM "loginThrottle" WHERE scope = 'account' AND key = 'alice@example.com'`);
+    assert.strictEqual(row.rows[0].failures, 5);
+    assert.ok(new Date(row.rows[0].lockedUntil) > new Date());
+  });
+
+  it('tracks accounts case-insensitively', async () => {
+    await attempt('wrong', { email: 'Alice@Example.com' });
+    await attempt('wrong', { email: 'ALICE@example.com' });
+    await attempt('wrong', { email: 'alice@example.com' });
+    await attempt('password123', { ip: '198.51.100.7' }).expect(429);
+  });
+
+  it('throttles an IP guessing many accounts', async () => {
+    for (let i = 0; i < 6; i++) {
+      await attempt('wrong', { email: `user${i}@example.com` }).expect(401);
+    }
+    const res = await attempt('password123').expect(429);
+    assert.ok(res.body.retryAfter > 0);
+
+    // A different client can still log in to the same account
+    await attempt('password123', { ip: '198.51.100.7' }).expect(200);
+  });
+
+  it('resets the account counter after a successful login', async () => {
+    await attempt('wrong').expect(401);
+    await attempt('wrong').expect(401);
+    await attempt('password123').expect(200);
+
+    const row = await pool.query(`SELECT * FROM "loginThrottle" WHERE scope = 'account'`);
+    assert.strictEqual(row.rows.length, 0);
+
+    await attempt('wrong').expect(401);
+    await attempt('password123').expect(200);
+  });
+
+  it('forgets failures outside the failure window', async () => {
+    await attempt('wrong');
+    await attempt('wrong');
+    await pool.query('UPDATE "loginThrottle" SET "lastFailureAt" = $1', [new Date(Date.now() - 60 * 60 * 1000)]);
+    await attempt('wrong').expect(401);
+
+    const row = await pool.query(`SELECT failures FROM "loginThrottle" WHERE scope = 'account'`);
+    assert.strictEqual(row.rows[0].failures, 1);
+  });
+
+  it('does not count requests with missing credentials', async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/api/login').send({ email: 'alice@example.com' }).expect(400);
+    }
+    await attempt('password123').expect(200);
+  });
+});
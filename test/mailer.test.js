@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailer } = require('../lib/mailer');
+const { createTestConfig } = require('./helpers');
+
+describe('mailer', () => {
+  it('appends messages to a file as JSON lines', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-')), 'mail.log');
+    const mailer = createMailer({ transport: 'file', file, from: 'Wiki <noreply@example.com>' });
+
+    await mailer.send({ to: 'alice@example.com', subject: 'One', text: 'first' });
+    await mailer.send({ to: 'bob@example.com', subject: 'Two', text: 'second' });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].from, 'Wiki <noreply@example.com>');
+    assert.strictEqual(lines[0].to, 'alice@example.com');
+    assert.strictEqual(lines[1].subject, 'Two');
+    assert.ok(lines[0].date);
+  });
+
+  it('logs messages with the console transport', async () => {
+    const output = [];
+    const logger = { log: line => output.push(line), error() {} };
+    const mailer = createMailer({ transport: 'console', from: 'noreply@example.com' }, { logger });
+
+    await mailer.send({ to: 'alice@example.com', subject: 'Hello', text: 'line one\nline two' });
+
+    assert.ok(output.includes('  To: alice@example.com'));
+    assert.ok(output.includes('  Subject: Hello'));
+    assert.ok(output.includes('  line one\n  line two'));
+  });
+
+  it('rejects an unknown transport', () => {
+    assert.throws(() => createMailer({ transport: 'pigeon' }), /Unknown mail transport/);
+  });
+
+  it('validates mail config', () => {
+    assert.throws(() => createTestConfig({ mail: { transport: 'smtp' } }), /SMTP_HOST/);
+    assert.throws(() => createTestConfig({ mail: { transport: 'pigeon' } }), /MAIL_TRANSPORT/);
+    assert.throws(() => createTestConfig({ passwordReset: { url: 'not a url' } }), /PASSWORD_RESET_URL/);
+    assert.throws(() => createTestConfig({ passwordReset: { enabled: true } }), /PASSWORD_RESET_URL\) or publicUrl/);
+    assert.strictEqual(createTestConfig({ publicUrl: 'https://auth.example.com', passwordReset: { enabled: true } }).passwordReset.enabled, true);
+
+    const config = createTestConfig({ mail: { transport: 'SMTP', smtp: { host: 'mail.example.com', port: '465', secure: 'true' } } });
+    assert.strictEqual(config.mail.transport, 'smtp');
+    assert.strictEqual(config.mail.smtp.port, 465);
+    assert.strictEqual(config.mail.smtp.secure, true);
+  });
+});
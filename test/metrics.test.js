@@ -0,0 +1,143 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createMetrics } = require('../lib/metrics');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('metrics', () => {
+  let app, pool, keys, metrics;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    metrics = createMetrics();
+    app = createAuthApp({ pool, keys, config: createTestConfig({ metrics: { enabled: true } }), logger: silentLogger, metrics });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+  });
+
+  /**
+   * Current value of a metric (a histogram's _count for histograms)
+   */
+  async function value(name, labels = {}) {
+    const { type, values } = await metrics.register.getSingleMetric(`wikijs_auth_${name}`).get();
+    const match = values.find(entry =>
+      (type !== 'histogram' || entry.metricName.endsWith('_count')) &&
+      Object.entries(labels).every(([key, expected]) => entry.labels[key] === expected));
+    return match ? match.value : 0;
+  }
+
+  function login(password = 'password123') {
+    return request(app).post('/api/login').send({ email: 'alice@example.com', password });
+  }
+
+  describe('GET /metrics', () => {
+    it('serves the Prometheus text format', async () => {
+      const res = await request(app).get('/metrics').expect(200);
+      assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+      assert.match(res.text, /# TYPE wikijs_auth_login_attempts_total counter/);
+      assert.match(res.text, /^wikijs_auth_keys_loaded 1$/m);
+    });
+
+    it('requires the configured secret', async () => {
+      const protectedApp = createAuthApp({
+        pool,
+        keys,
+        config: createTestConfig({ metrics: { enabled: true, secret: 's3cret' } }),
+        logger: silentLogger
+      });
+      await request(protectedApp).get('/metrics').expect(401);
+      await request(protectedApp).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+      await request(protectedApp).get('/metrics').set('Authorization', 'Bearer s3cret').expect(200);
+    });
+
+    it('is not registered by default', async () => {
+      const disabled = createAuthApp({
+        pool,
+        keys,
+        config: createTestConfig(),
+        logger: silentLogger
+      });
+      await request(disabled).get('/metrics').expect(404);
+    });
+  });
+
+  it('counts login attempts by outcome and reason', async () => {
+    const successes = await value('login_attempts_total', { method: 'password', outcome: 'success' });
+    const badPasswords = await value('login_attempts_total', { outcome: 'failure', reason: 'bad_password' });
+
+    await login().expect(200);
+    await login('wrong').expect(401);
+    await login('wrong').expect(401);
+
+    assert.strictEqual(await value('login_attempts_total', { method: 'password', outcome: 'success' }), successes + 1);
+    assert.strictEqual(await value('login_attempts_total', { outcome: 'failure', reason: 'bad_password' }), badPasswords + 2);
+  });
+
+  it('times bcrypt comparisons', async () => {
+    const before = await value('bcrypt_compare_duration_seconds');
+    await login('wrong').expect(401);
+    assert.strictEqual(await value('bcrypt_compare_duration_seconds'), before + 1);
+  });
+
+  it('counts verify calls by result', async () => {
+    const res = await login().expect(200);
+    await request(app).get('/api/verify').set('Cookie', getCookie(res, 'jwt')).expect(200);
+    await request(app).get('/api/verify').expect(401);
+    await request(app).get('/api/verify').set('Cookie', 'jwt=garbage').expect(401);
+    await request(app).get('/api/authorize').set('Cookie', getCookie(res, 'jwt')).expect(204);
+
+    assert.strictEqual(await value('verify_requests_total', { endpoint: 'verify', result: 'valid' }), 1);
+    assert.strictEqual(await value('verify_requests_total', { endpoint: 'verify', result: 'missing' }), 1);
+    assert.strictEqual(await value('verify_requests_total', { endpoint: 'verify', result: 'invalid' }), 1);
+    assert.strictEqual(await value('verify_requests_total', { endpoint: 'authorize', result: 'valid' }), 1);
+
+    await request(app).post('/api/logout').set('Cookie', getCookie(res, 'jwt')).expect(200);
+    await request(app).get('/api/verify').set('Cookie', getCookie(res, 'jwt')).expect(401);
+    assert.strictEqual(await value('verify_requests_total', { endpoint: 'verify', result: 'revoked' }), 1);
+  });
+
+  it('counts issued tokens by type', async () => {
+    const access = await value('tokens_issued_total', { type: 'access' });
+    const refresh = await value('tokens_issued_total', { type: 'refresh' });
+
+    await login().expect(200);
+
+    assert.strictEqual(await value('tokens_issued_total', { type: 'access' }), access + 1);
+    assert.strictEqual(await value('tokens_issued_total', { type: 'refresh' }), refresh + 1);
+  });
+
+  it('times database queries', async () => {
+    const before = await value('db_query_duration_seconds');
+    await login().expect(200);
+    assert.ok(await value('db_query_duration_seconds') > before);
+  });
+
+  it('reports pool connection counts', async () => {
+    const poolMetrics = createMetrics();
+    poolMetrics.watchPool({ totalCount: 5, idleCount: 3, waitingCount: 0 });
+
+    const { values } = await poolMetrics.register.getSingleMetric('wikijs_auth_db_pool_connections').get();
+    assert.deepStrictEqual(
+      values.map(entry => [entry.labels.state, entry.value]),
+      [['total', 5], ['idle', 3], ['waiting', 0]]
+    );
+  });
+
+  it('reports key status', async () => {
+    const keyMetrics = createMetrics();
+    const loadedAt = new Date('2024-06-01T00:00:00Z');
+    keyMetrics.watchKeys({
+      getKeys: () => ({ privateKey: {}, verificationKeys: [{ expiresAt: null }, { expiresAt: Date.now() - 1000 }] }),
+      status: () => ({ loadedAt, reloadFailures: 2 })
+    });
+
+    const text = await keyMetrics.register.metrics();
+    assert.match(text, /^wikijs_auth_keys_loaded 1$/m);
+    assert.match(text, /^wikijs_auth_keys_loaded_timestamp_seconds 1717200000$/m);
+    assert.match(text, /^wikijs_auth_keys_reload_failures_total 2$/m);
+    assert.match(text, /^wikijs_auth_verification_keys 1$/m);
+  });
+});
@@ -0,0 +1,280 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const totp = require('../lib/totp');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('two-factor authentication', () => {
+  let app, pool, keys;
+
+  beforeEach(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+  });
+
+  function login(password = 'password123') {
+    return request(app)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password });
+  }
+
+  // Forget the last accepted time step so the current code can be used again
+  async function currentCode(secret) {
+    await pool.query('UPDATE "userMfa" SET "lastUsedStep" = NULL');
+    return totp.generate(secret);
+  }
+
+  // Enroll and activate 2FA for alice; returns her secret and recovery codes
+  async function enableMfa() {
+    const res = await login().expect(200);
+    const jwtCookie = getCookie(res, 'jwt');
+
+    const enroll = await request(app).post('/api/mfa/enroll').set('Cookie', jwtCookie).expect(200);
+    const activate = await request(app)
+      .post('/api/mfa/activate')
+      .set('Cookie', jwtCookie)
+      .send({ code: totp.generate(enroll.body.secret) })
+      .expect(200);
+
+    return { secret: enroll.body.secret, recoveryCodes: activate.body.recoveryCodes, jwtCookie };
+  }
+
+  it('enrolls with a secret and otpauth URI, then activates with a code', async () => {
+    const res = await login().expect(200);
+    const jwtCookie = getCookie(res, 'jwt');
+
+    const enroll = await request(app).post('/api/mfa/enroll').set('Cookie', jwtCookie).expect(200);
+    assert.match(enroll.body.secret, /^[A-Z2-7]+$/);
+    assert.ok(enroll.body.otpauthUri.startsWith('otpauth://totp/Wiki.js%3Aalice%40example.com?'));
+
+    let status = await request(app).get('/api/mfa').set('Cookie', jwtCookie).expect(200);
+    assert.strictEqual(status.body.enabled, false);
+    assert.strictEqual(status.body.pending, true);
+
+    await request(app)
+      .post('/api/mfa/activate')
+      .set('Cookie', jwtCookie)
+      .send({ code: '000000' })
+      .expect(400);
+
+    const activate = await request(app)
+      .post('/api/mfa/activate')
+      .set('Cookie', jwtCookie)
+      .send({ code: totp.generate(enroll.body.secret) })
+      .expect(200);
+    assert.strictEqual(activate.body.recoveryCodes.length, 10);
+
+    status = await request(app).get('/api/mfa').set('Cookie', jwtCookie).expect(200);
+    assert.strictEqual(status.body.enabled, true);
+    assert.strictEqual(status.body.recoveryCodesRemaining, 10);
+
+    await request(app).post('/api/mfa/enroll').set('Cookie', jwtCookie).expect(409);
+  });
+
+  it('requires login for enrollment', async () => {
+    await request(app).post('/api/mfa/enroll').expect(401);
+    await request(app).get('/api/mfa').expect(401);
+  });
+
+  it('asks for a code after the password instead of issuing a JWT', async () => {
+    await enableMfa();
+
+    const res = await login().expect(200);
+    assert.strictEqual(res.body.success, false);
+    assert.strictEqual(res.body.mfaRequired, true);
+    assert.ok(res.body.mfaToken);
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+    assert.ok(getCookie(res, 'jwt_mfa'));
+  });
+
+  it('completes login with a TOTP code', async () => {
+    const { secret } = await enableMfa();
+    const first = await login();
+
+    const res = await request(app)
+      .post('/api/login/mfa')
+      .set('Cookie', getCookie(first, 'jwt_mfa'))
+      .send({ code: await currentCode(secret), returnTo: '/secure/report.pdf' })
+      .expect(200);
+
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(res.body.user.email, 'alice@example.com');
+    assert.strictEqual(res.body.redirectTo, '/secure/report.pdf');
+
+    const jwtCookie = getCookie(res, 'jwt');
+    assert.ok(jwtCookie);
+    await request(app).get('/api/verify').set('Cookie', jwtCookie).expect(200);
+  });
+
+  it('accepts the pending token in the body', async () => {
+    const { secret } = await enableMfa();
+    const first = await login();
+
+    await request(app)
+      .post('/api/login/mfa')
+      .send({ mfaToken: first.body.mfaToken, code: await currentCode(secret) })
+      .expect(200);
+  });
+
+  it('rejects a wrong code and a replayed code', async () => {
+    const { secret } = await enableMfa();
+    const first = await login();
+    const mfaCookie = getCookie(first, 'jwt_mfa');
+
+    const wrong = await request(app)
+      .post('/api/login/mfa')
+      .set('Cookie', mfaCookie)
+      .send({ code: totp.generate(secret, { time: Date.now() + 300000 }) })
+      .expect(401);
+    assert.strictEqual(wrong.body.message, 'Invalid code');
+
+    const code = await currentCode(secret);
+    await request(app).post('/api/login/mfa').set('Cookie', mfaCookie).send({ code }).expect(200);
+    await request(app).post('/api/login/mfa').set('Cookie', mfaCookie).send({ code }).expect(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enableMfa();
+    const first = await login();
+    const mfaCookie = getCookie(first, 'jwt_mfa');
+
+    await request(app)
+      .post('/api/login/mfa')
+      .set('Cookie', mfaCookie)
+      .send({ recoveryCode: recoveryCodes[0].toUpperCase() })
+      .expect(200);
+    await request(app)
+      .post('/api/login/mfa')
+      .set('Cookie', mfaCookie)
+      .send({ recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('rejects an expired or foreign pending token', async () => {
+    const { secret } = await enableMfa();
+    const signingKey = keys.privateKey;
+
+    const expired = jwt.sign({ sub: '1', typ: 'mfa' }, signingKey, {
+      algorithm: 'RS256', expiresIn: -10, audience: 'urn:wikijs-jwt-auth:mfa', issuer: 'urn:wiki.js'
+    });
+    const res = await request(app)
+      .post('/api/login/mfa')
+      .send({ mfaToken: expired, code: await currentCode(secret) })
+      .expect(401);
+    assert.strictEqual(res.body.mfaExpired, true);
+
+    // A normal Wiki.js JWT is not a pending 2FA login
+    const wikiToken = jwt.sign({ id: 1, sub: '1', typ: 'mfa' }, signingKey, {
+      algorithm: 'RS256', expiresIn: 60, audience: 'urn:wiki.js', issuer: 'urn:wiki.js'
+    });
+    await request(app)
+      .post('/api/login/mfa')
+      .send({ mfaToken: wikiToken, code: await currentCode(secret) })
+      .expect(401);
+  });
+
+  it('does not accept the pending token as a login', async () => {
+    await enableMfa();
+    const first = await login();
+
+    await request(app)
+      .get('/api/verify')
+      .set('Cookie', `jwt=${first.body.mfaToken}`)
+      .expect(401);
+  });
+
+  it('throttles code guessing', async () => {
+    await enableMfa();
+    const first = await login();
+    const mfaCookie = getCookie(first, 'jwt_mfa');
+
+    // Default: 3 free attempts per account, then back-off
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/login/mfa').set('Cookie', mfaCookie).send({ code: '000000' }).expect(401);
+    }
+    await request(app).post('/api/login/mfa').set('Cookie', mfaCookie).send({ code: '000000' }).expect(429);
+  });
+
+  it('throttles code guessing on the routes for logged-in users', async () => {
+    const { secret, jwtCookie } = await enableMfa();
+    // A back-off long enough to outlast the test
+    app = createAuthApp({ pool, keys, config: createTestConfig({ loginThrottle: { backoffBase: 60 } }), logger: silentLogger });
+
+    for (let i = 0; i < 2; i++) {
+      await request(app).post('/api/mfa/disable').set('Cookie', jwtCookie).send({ code: '000000' }).expect(401);
+      await request(app).post('/api/mfa/recovery-codes').set('Cookie', jwtCookie).send({ recoveryCode: 'nope' }).expect(401);
+    }
+    const res = await request(app).post('/api/mfa/disable').set('Cookie', jwtCookie).send({ code: await currentCode(secret) }).expect(429);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    await request(app).post('/api/mfa/recovery-codes').set('Cookie', jwtCookie).send({ code: await currentCode(secret) }).expect(429);
+
+    // The same counters as the login
+    await login().expect(429);
+  });
+
+  it('throttles code guessing during enrollment', async () => {
+    app = createAuthApp({ pool, keys, config: createTestConfig({ loginThrottle: { backoffBase: 60 } }), logger: silentLogger });
+    const jwtCookie = getCookie(await login().expect(200), 'jwt');
+    const enroll = await request(app).post('/api/mfa/enroll').set('Cookie', jwtCookie).expect(200);
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/mfa/activate').set('Cookie', jwtCookie).send({ code: '000000' }).expect(400);
+    }
+    const res = await request(app)
+      .post('/api/mfa/activate')
+      .set('Cookie', jwtCookie)
+      .send({ code: totp.generate(enroll.body.secret) })
+      .expect(429);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+
+    const status = await request(app).get('/api/mfa').set('Cookie', jwtCookie).expect(200);
+    assert.strictEqual(status.body.enabled, false);
+  });
+
+  it('disables 2FA with a valid code', async () => {
+    const { secret, jwtCookie } = await enableMfa();
+
+    await request(app).post('/api/mfa/disable').set('Cookie', jwtCookie).send({ code: '000000' }).expect(401);
+    await request(app)
+      .post('/api/mfa/disable')
+      .set('Cookie', jwtCookie)
+      .send({ code: await currentCode(secret) })
+      .expect(200);
+
+    const res = await login().expect(200);
+    assert.strictEqual(res.body.success, true);
+  });
+
+  it('regenerates recovery codes', async () => {
+    const { secret, recoveryCodes, jwtCookie } = await enableMfa();
+
+    const res = await request(app)
+      .post('/api/mfa/recovery-codes')
+      .set('Cookie', jwtCookie)
+      .send({ code: await currentCode(secret) })
+      .expect(200);
+    assert.strictEqual(res.body.recoveryCodes.length, 10);
+    assert.notDeepStrictEqual(res.body.recoveryCodes, recoveryCodes);
+
+    const first = await login();
+    await request(app)
+      .post('/api/login/mfa')
+      .set('Cookie', getCookie(first, 'jwt_mfa'))
+      .send({ recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it('skips 2FA entirely when disabled in config', async () => {
+    await enableMfa();
+    const plain = createAuthApp({ pool, keys, config: createTestConfig({ mfa: { enabled: false } }), logger: silentLogger });
+
+    const res = await request(plain).post('/api/login').send({ email: 'alice@example.com', password: 'password123' }).expect(200);
+    assert.strictEqual(res.body.success, true);
+    await request(plain).post('/api/login/mfa').send({}).expect(404);
+  });
+});
@@ -0,0 +1,346 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { loadConfig } = require('../lib/config');
+const { createClientStore } = require('../lib/oidc-clients');
+const { createAccessTokenStore } = require('../lib/access-tokens');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+const ISSUER = 'https://auth.example.com/auth';
+const CALLBACK = 'https://grafana.example.com/login/generic_oauth';
+
+function pkce() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+function basicAuth(id, secret) {
+  return `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+}
+
+describe('OIDC provider', () => {
+  let app, pool, keys, clients, confidential, publicClient, alice, aliceCookie;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    const config = createTestConfig({ publicUrl: ISSUER, oidc: { enabled: true } });
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    clients = createClientStore(pool);
+    confidential = await clients.create({ name: 'Grafana', redirectUris: [CALLBACK] });
+    publicClient = await clients.create({
+      name: 'CLI',
+      redirectUris: ['http://127.0.0.1:8400/callback'],
+      confidential: false
+    });
+
+    alice = await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['admin', 'dev'] });
+    const login = await request(app)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+    aliceCookie = getCookie(login, 'jwt');
+  });
+
+  function authorize(params, cookie = aliceCookie) {
+    const req = request(app).get('/authorize').query({
+      response_type: 'code',
+      scope: 'openid profile email groups',
+      ...params
+    });
+    return cookie ? req.set('Cookie', cookie) : req;
+  }
+
+  async function getCode({ clientId = confidential.id, redirectUri = CALLBACK, nonce } = {}) {
+    const { verifier, challenge } = pkce();
+    const res = await authorize({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      state: 'xyz',
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    }).expect(302);
+    const location = new URL(res.headers.location);
+    return { code: location.searchParams.get('code'), verifier, location };
+  }
+
+  function exchange(body, auth = basicAuth(confidential.id, confidential.secret)) {
+    const req = request(app).post('/token').type('form').send({
+      grant_type: 'authorization_code',
+      redirect_uri: CALLBACK,
+      ...body
+    });
+    return auth ? req.set('Authorization', auth) : req;
+  }
+
+  describe('authorization code flow', () => {
+    it('issues a code, then ID and access tokens for a logged-in user', async () => {
+      const { code, verifier, location } = await getCode({ nonce: 'n-0S6_WzA2Mj' });
+      assert.strictEqual(location.origin + location.pathname, CALLBACK);
+      assert.strictEqual(location.searchParams.get('state'), 'xyz');
+      assert.strictEqual(location.searchParams.get('iss'), ISSUER);
+      assert.ok(code);
+
+      const res = await exchange({ code, code_verifier: verifier }).expect(200);
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+      assert.strictEqual(res.body.token_type, 'Bearer');
+      assert.strictEqual(res.body.expires_in, 3600);
+      assert.strictEqual(res.body.scope, 'openid profile email groups');
+
+      const { header } = jwt.decode(res.body.id_token, { complete: true });
+      assert.ok(header.kid, 'kid header');
+      const idToken = jwt.verify(res.body.id_token, keys.publicKey, {
+        algorithms: ['RS256'],
+        issuer: ISSUER,
+        audience: confidential.id
+      });
+      assert.strictEqual(idToken.sub, String(alice.id));
+      assert.strictEqual(idToken.email, 'alice@example.com');
+      assert.strictEqual(idToken.name, 'Alice');
+      assert.strictEqual(idToken.nonce, 'n-0S6_WzA2Mj');
+      assert.strictEqual(idToken.groups.length, 2);
+
+      const userinfo = await request(app)
+        .get('/userinfo')
+        .set('Authorization', `Bearer ${res.body.access_token}`)
+        .expect(200);
+      assert.deepStrictEqual(userinfo.body, {
+        sub: String(alice.id),
+        email: 'alice@example.com',
+        email_verified: true,
+        name: 'Alice',
+        groups: idToken.groups
+      });
+    });
+
+    it('accepts client_secret_post', async () => {
+      const { code, verifier } = await getCode();
+      await exchange({
+        code,
+        code_verifier: verifier,
+        client_id: confidential.id,
+        client_secret: confidential.secret
+      }, null).expect(200);
+    });
+
+    it('lets public clients authenticate with PKCE alone', async () => {
+      const redirectUri = 'http://127.0.0.1:8400/callback';
+      const { code, verifier } = await getCode({ clientId: publicClient.id, redirectUri });
+      await exchange({ code, code_verifier: verifier, client_id: publicClient.id, redirect_uri: redirectUri }, null)
+        .expect(200);
+    });
+
+    it('accepts a code only once', async () => {
+      const { code, verifier } = await getCode();
+      await exchange({ code, code_verifier: verifier }).expect(200);
+      const res = await exchange({ code, code_verifier: verifier }).expect(400);
+      assert.strictEqual(res.body.error, 'invalid_grant');
+    });
+
+    it('rejects a wrong code_verifier', async () => {
+      const { code } = await getCode();
+      const res = await exchange({ code, code_verifier: pkce().verifier }).expect(400);
+      assert.strictEqual(res.body.error, 'invalid_grant');
+      assert.match(res.body.error_description, /PKCE/);
+    });
+
+    it('rejects a different redirect_uri than in the authorization request', async () => {
+      const { code, verifier } = await getCode();
+      const res = await exchange({ code, code_verifier: verifier, redirect_uri: 'https://evil.example.com/' })
+        .expect(400);
+      assert.strictEqual(res.body.error, 'invalid_grant');
+    });
+
+    it('rejects expired codes', async () => {
+      const { code, verifier } = await getCode();
+      await pool.query(`UPDATE "oidcAuthCodes" SET "expiresAt" = $1`, [new Date(Date.now() - 1000)]);
+      const res = await exchange({ code, code_verifier: verifier }).expect(400);
+      assert.strictEqual(res.body.error, 'invalid_grant');
+    });
+
+    it('rejects a code issued to another client', async () => {
+      const { code, verifier } = await getCode();
+      const res = await exchange({ code, code_verifier: verifier, client_id: publicClient.id }, null).expect(400);
+      assert.strictEqual(res.body.error, 'invalid_grant');
+    });
+
+    it('rejects wrong client secrets', async () => {
+      const { code, verifier } = await getCode();
+      const res = await exchange({ code, code_verifier: verifier }, basicAuth(confidential.id, 'wrong')).expect(401);
+      assert.strictEqual(res.body.error, 'invalid_client');
+      assert.match(res.headers['www-authenticate'], /^Basic/);
+
+      // A confidential client cannot drop its secret and pose as public
+      const noSecret = await exchange({ code, code_verifier: verifier, client_id: confidential.id }, null).expect(401);
+      assert.strictEqual(noSecret.body.error, 'invalid_client');
+    });
+
+    it('only supports the authorization_code grant', async () => {
+      const res = await exchange({ grant_type: 'password' }).expect(400);
+      assert.strictEqual(res.body.error, 'unsupported_grant_type');
+    });
+  });
+
+  describe('GET /authorize', () => {
+    const valid = () => ({
+      client_id: confidential.id,
+      redirect_uri: CALLBACK,
+      state: 'abc',
+      code_challenge: pkce().challenge,
+      code_challenge_method: 'S256'
+    });
+
+    it('sends users without a session to the login page and back', async () => {
+      const res = await authorize(valid(), null).expect(302);
+      const location = new URL(res.headers.location, 'https://auth.example.com');
+      assert.strictEqual(location.pathname, '/auth/');
+
+      const returnTo = location.searchParams.get('returnTo');
+      assert.match(returnTo, /^\/auth\/authorize\?/);
+      assert.strictEqual(new URL(returnTo, ISSUER).searchParams.get('client_id'), confidential.id);
+    });
+
+    it('answers prompt=none without a session with login_required', async () => {
+      const res = await authorize({ ...valid(), prompt: 'none' }, null).expect(302);
+      const location = new URL(res.headers.location);
+      assert.strictEqual(location.searchParams.get('error'), 'login_required');
+      assert.strictEqual(location.searchParams.get('state'), 'abc');
+    });
+
+    it('never redirects to an unknown client or unregistered redirect_uri', async () => {
+      const unknown = await authorize({ ...valid(), client_id: 'nope' }).expect(400);
+      assert.strictEqual(unknown.headers.location, undefined);
+
+      const unregistered = await authorize({ ...valid(), redirect_uri: 'https://evil.example.com/cb' }).expect(400);
+      assert.strictEqual(unregistered.headers.location, undefined);
+      assert.match(unregistered.body.error_description, /redirect_uri/);
+    });
+
+    it('requires PKCE with S256', async () => {
+      const missing = await authorize({ ...valid(), code_challenge: undefined }).expect(302);
+      assert.strictEqual(new URL(missing.headers.location).searchParams.get('error'), 'invalid_request');
+
+      const plain = await authorize({ ...valid(), code_challenge_method: 'plain' }).expect(302);
+      assert.strictEqual(new URL(plain.headers.location).searchParams.get('error'), 'invalid_request');
+    });
+
+    it('requires the openid scope and response_type=code', async () => {
+      const scope = await authorize({ ...valid(), scope: 'email' }).expect(302);
+      assert.strictEqual(new URL(scope.headers.location).searchParams.get('error'), 'invalid_scope');
+
+      const token = await authorize({ ...valid(), response_type: 'token' }).expect(302);
+      assert.strictEqual(new URL(token.headers.location).searchParams.get('error'), 'unsupported_response_type');
+    });
+
+    it('refuses sessions exchanged from a personal access token', async () => {
+      const { token } = await createAccessTokenStore(pool).create({ userId: alice.id, name: 'CI' });
+      const exchanged = await request(app)
+        .post('/api/token/exchange')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const res = await authorize(valid(), null)
+        .set('Authorization', `Bearer ${exchanged.body.token}`)
+        .expect(302);
+      const location = new URL(res.headers.location);
+      assert.strictEqual(location.searchParams.get('error'), 'access_denied');
+      assert.strictEqual(location.searchParams.get('code'), null);
+    });
+  });
+
+  describe('GET /userinfo', () => {
+    it('requires a bearer access token', async () => {
+      const res = await request(app).get('/userinfo').expect(401);
+      assert.strictEqual(res.headers['www-authenticate'], 'Bearer');
+    });
+
+    it('does not accept the jwt cookie token or an ID token', async () => {
+      await request(app)
+        .get('/userinfo')
+        .set('Authorization', `Bearer ${aliceCookie.slice('jwt='.length)}`)
+        .expect(401);
+
+      const { code, verifier } = await getCode();
+      const tokens = await exchange({ code, code_verifier: verifier }).expect(200);
+      await request(app).get('/userinfo').set('Authorization', `Bearer ${tokens.body.id_token}`).expect(401);
+    });
+
+    it('stops answering once the user is deactivated', async () => {
+      const bob = await createUser(pool, { email: 'bob@example.com' });
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'bob@example.com', password: 'password123' })
+        .expect(200);
+      const { challenge, verifier } = pkce();
+      const res = await authorize({
+        client_id: confidential.id,
+        redirect_uri: CALLBACK,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+      }, getCookie(login, 'jwt')).expect(302);
+      const code = new URL(res.headers.location).searchParams.get('code');
+      const tokens = await exchange({ code, code_verifier: verifier }).expect(200);
+
+      await pool.query('UPDATE users SET "isActive" = false WHERE id = $1', [bob.id]);
+      await request(app).post('/userinfo').set('Authorization', `Bearer ${tokens.body.access_token}`).expect(401);
+    });
+  });
+
+  it('describes the provider in the discovery document', async () => {
+    const res = await request(app).get('/.well-known/openid-configuration').expect(200);
+    assert.strictEqual(res.body.issuer, ISSUER);
+    assert.strictEqual(res.body.authorization_endpoint, `${ISSUER}/authorize`);
+    assert.strictEqual(res.body.token_endpoint, `${ISSUER}/token`);
+    assert.strictEqual(res.body.userinfo_endpoint, `${ISSUER}/userinfo`);
+    assert.strictEqual(res.body.jwks_uri, `${ISSUER}/.well-known/jwks.json`);
+    assert.deepStrictEqual(res.body.code_challenge_methods_supported, ['S256']);
+  });
+
+  it('is off by default and requires PUBLIC_URL', async () => {
+    const plainApp = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+    await request(plainApp).post('/token').expect(404);
+
+    assert.throws(
+      () => loadConfig({ env: { OIDC_ENABLED: 'true' }, baseDir: __dirname }),
+      /PUBLIC_URL.*required when oidc\.enabled/
+    );
+  });
+});
+
+describe('OIDC client store', () => {
+  it('registers, lists and deletes clients', async () => {
+    const { pool } = createTestDb();
+    const clients = createClientStore(pool);
+
+    const { id, secret } = await clients.create({ name: 'Tool', redirectUris: ['https://tool.example.com/cb'] });
+    assert.ok(secret);
+    assert.strictEqual((await clients.authenticate(id, secret)).name, 'Tool');
+    assert.strictEqual(await clients.authenticate(id, `${secret}x`), null);
+
+    const list = await clients.list();
+    assert.strictEqual(list.length, 1);
+    assert.deepStrictEqual(list[0].redirectUris, ['https://tool.example.com/cb']);
+    assert.strictEqual(list[0].confidential, true);
+
+    assert.strictEqual(await clients.delete(id), true);
+    assert.strictEqual(await clients.delete(id), false);
+    assert.strictEqual(await clients.find(id), null);
+  });
+
+  it('refuses redirect URIs that are not absolute http(s) URLs', async () => {
+    const { pool } = createTestDb();
+    const clients = createClientStore(pool);
+
+    for (const uri of ['/callback', 'javascript:alert(1)', 'https://app.example.com/cb#frag']) {
+      await assert.rejects(clients.create({ name: 'Bad', redirectUris: [uri] }), /invalid redirect URI/);
+    }
+    await assert.rejects(clients.create({ name: 'None', redirectUris: [] }), /at least one redirect URI/);
+  });
+});
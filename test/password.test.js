@@ -0,0 +1,209 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('password change and reset', () => {
+  let app, pool, keys, mailFile;
+
+  beforeEach(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    mailFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'password-test-')), 'mail.log');
+    const config = createTestConfig({
+      publicUrl: 'https://auth.example.com',
+      mail: { transport: 'file', file: mailFile },
+      passwordReset: { enabled: true }
+    });
+    app = createAuthApp({ pool, keys, config, logger: silentLogger });
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+  });
+
+  function login(password = 'password123') {
+    return request(app).post('/api/login').send({ email: 'alice@example.com', password });
+  }
+
+  function sentMail() {
+    if (!fs.existsSync(mailFile)) return [];
+    return fs.readFileSync(mailFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  function tokenFromMail(mail) {
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  }
+
+  describe('POST /api/password/change', () => {
+    it('changes the password and keeps the current session only', async () => {
+      const other = await login().expect(200);
+      const current = await login().expect(200);
+      const cookies = [getCookie(current, 'jwt'), getCookie(current, 'jwt_refresh')];
+
+      const res = await request(app)
+        .post('/api/password/change')
+        .set('Cookie', cookies)
+        .send({ currentPassword: 'password123', newPassword: 'new-password-1' })
+        .expect(200);
+      assert.strictEqual(res.body.success, true);
+
+      await login('password123').expect(401);
+      await login('new-password-1').expect(200);
+
+      await request(app).get('/api/verify').set('Cookie', cookies[0]).expect(200);
+      await request(app).post('/api/refresh').set('Cookie', cookies[1]).expect(200);
+      await request(app).get('/api/verify').set('Cookie', getCookie(other, 'jwt')).expect(401);
+      await request(app).post('/api/refresh').set('Cookie', getCookie(other, 'jwt_refresh')).expect(401);
+    });
+
+    it('requires the correct current password', async () => {
+      const jwtCookie = getCookie(await login(), 'jwt');
+
+      const res = await request(app)
+        .post('/api/password/change')
+        .set('Cookie', jwtCookie)
+        .send({ currentPassword: 'wrong', newPassword: 'new-password-1' })
+        .expect(401);
+      assert.strictEqual(res.body.message, 'Current password is incorrect');
+      await login('password123').expect(200);
+    });
+
+    it('enforces the minimum length', async () => {
+      const jwtCookie = getCookie(await login(), 'jwt');
+
+      const res = await request(app)
+        .post('/api/password/change')
+        .set('Cookie', jwtCookie)
+        .send({ currentPassword: 'password123', newPassword: 'short' })
+        .expect(400);
+      assert.strictEqual(res.body.message, 'Password must be at least 8 characters');
+    });
+
+    it('requires login', async () => {
+      await request(app)
+        .post('/api/password/change')
+        .send({ currentPassword: 'password123', newPassword: 'new-password-1' })
+        .expect(401);
+    });
+  });
+
+  describe('forgot and reset', () => {
+    it('mails a reset link that sets a new password once', async () => {
+      const session = await login().expect(200);
+
+      const forgot = await request(app)
+        .post('/api/password/forgot')
+        .send({ email: 'alice@example.com' })
+        .expect(200);
+      assert.strictEqual(forgot.body.success, true);
+
+      const mail = sentMail();
+      assert.strictEqual(mail.length, 1);
+      assert.strictEqual(mail[0].to, 'alice@example.com');
+      assert.ok(mail[0].text.includes('https://auth.example.com/?token='));
+      const token = tokenFromMail(mail[0]);
+
+      const row = await pool.query('SELECT "tokenHash" FROM "passwordResets"');
+      assert.notStrictEqual(row.rows[0].tokenHash, token);
+
+      await request(app)
+        .post('/api/password/reset')
+        .send({ token, newPassword: 'reset-password-1' })
+        .expect(200);
+
+      await login('password123').expect(401);
+      await login('reset-password-1').expect(200);
+
+      // Existing sessions are signed out, and the link is single-use
+      await request(app).get('/api/verify').set('Cookie', getCookie(session, 'jwt')).expect(401);
+      const again = await request(app)
+        .post('/api/password/reset')
+        .send({ token, newPassword: 'another-password' })
+        .expect(400);
+      assert.strictEqual(again.body.message, 'Invalid or expired reset link');
+    });
+
+    it('gives the same answer for unknown accounts and sends nothing', async () => {
+      const res = await request(app)
+        .post('/api/password/forgot')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+      assert.strictEqual(res.body.message, 'If an account exists for that email, a password reset link has been sent');
+      assert.strictEqual(sentMail().length, 0);
+    });
+
+    it('does not send another link within a minute', async () => {
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' }).expect(200);
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' }).expect(200);
+      assert.strictEqual(sentMail().length, 1);
+    });
+
+    it('invalidates the previous link when a new one is sent', async () => {
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' });
+      const first = tokenFromMail(sentMail()[0]);
+
+      await pool.query('UPDATE "passwordResets" SET "createdAt" = $1', [new Date(Date.now() - 120 * 1000)]);
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' });
+      const second = tokenFromMail(sentMail()[1]);
+
+      await request(app).post('/api/password/reset').send({ token: first, newPassword: 'reset-password-1' }).expect(400);
+      await request(app).post('/api/password/reset').send({ token: second, newPassword: 'reset-password-1' }).expect(200);
+    });
+
+    it('rejects expired links', async () => {
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' });
+      const token = tokenFromMail(sentMail()[0]);
+      await pool.query('UPDATE "passwordResets" SET "expiresAt" = $1', [new Date(Date.now() - 1000)]);
+
+      await request(app).post('/api/password/reset').send({ token, newPassword: 'reset-password-1' }).expect(400);
+    });
+
+    it('uses the configured reset page URL', async () => {
+      const config = createTestConfig({
+        mail: { transport: 'file', file: mailFile },
+        passwordReset: { enabled: true, url: 'https://wiki.example.com/reset' }
+      });
+      const custom = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+      await request(custom).post('/api/password/forgot').send({ email: 'alice@example.com' }).expect(200);
+      assert.ok(sentMail()[0].text.includes('https://wiki.example.com/reset?token='));
+    });
+
+    it('links to PUBLIC_URL whatever the Host header says', async () => {
+      await request(app)
+        .post('/api/password/forgot')
+        .set('Host', 'attacker.example.net')
+        .send({ email: 'alice@example.com' })
+        .expect(200);
+
+      const text = sentMail()[0].text;
+      assert.ok(text.includes('https://auth.example.com/?token='));
+      assert.ok(!text.includes('attacker.example.net'));
+    });
+
+    it('lifts an account lockout', async () => {
+      await pool.query(
+        `INSERT INTO "loginThrottle" (scope, key, failures, "lastFailureAt", "lockedUntil") VALUES ('account', 'alice@example.com', 10, $1, $2)`,
+        [new Date(), new Date(Date.now() + 600 * 1000)]
+      );
+      await login().expect(429);
+
+      await request(app).post('/api/password/forgot').send({ email: 'alice@example.com' });
+      await request(app)
+        .post('/api/password/reset')
+        .send({ token: tokenFromMail(sentMail()[0]), newPassword: 'reset-password-1' })
+        .expect(200);
+
+      await login('reset-password-1').expect(200);
+    });
+
+    it('is not mounted when disabled', async () => {
+      const config = createTestConfig({ passwordReset: { enabled: false } });
+      const plain = createAuthApp({ pool, keys, config, logger: silentLogger });
+      await request(plain).post('/api/password/forgot').send({ email: 'alice@example.com' }).expect(404);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { checkAccess } = require('../lib/permissions');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+const READ = ['read:pages', 'read:assets', 'read:comments'];
+
+function rule(match, path, options = {}) {
+  return { id: `${match}-${path}`, deny: false, match, roles: ['read:pages'], path, locales: [], ...options };
+}
+
+// Group definitions as Wiki.js stores them
+const FIXTURES = {
+  administrators: { id: 1, permissions: ['manage:system'], pageRules: [] },
+
+  // The Wiki.js default Guests group: read everything
+  guests: {
+    id: 2,
+    permissions: READ,
+    pageRules: [{ id: 'guest', deny: false, match: 'START', roles: READ, path: '', locales: [] }]
+  },
+
+  // Read the docs, but not the drafts under them, nor anything tagged secret
+  docsReaders: {
+    id: 3,
+    permissions: ['read:pages', 'write:pages'],
+    pageRules: [
+      rule('START', 'docs'),
+      rule('START', 'docs/drafts', { deny: true }),
+      rule('EXACT', 'docs/drafts/published'),
+      rule('TAG', 'secret', { deny: true }),
+      rule('START', 'docs', { roles: ['write:pages'], locales: ['de'] })
+    ]
+  },
+
+  // Same specificity, different match types and deny on a tie
+  ties: {
+    id: 4,
+    permissions: ['read:pages'],
+    pageRules: [
+      rule('START', 'abc', { deny: true }),
+      rule('END', 'abc'),
+      rule('REGEX', '^x.*$'),
+      rule('REGEX', '^x.*$', { id: 'regex-deny', deny: true }),
+      rule('REGEX', '[unclosed')
+    ]
+  },
+
+  noRules: { id: 5, permissions: ['read:pages'], pageRules: [] }
+};
+
+describe('checkAccess', () => {
+  const { administrators, guests, docsReaders, ties, noRules } = FIXTURES;
+  const page = (path, extra = {}) => ({ path, locale: 'en', tags: [], ...extra });
+
+  it('allows everything for manage:system', () => {
+    assert.deepStrictEqual(checkAccess([administrators], 'write:pages', page('any/where')), { allowed: true, reason: 'admin' });
+  });
+
+  it('denies without the global permission, whatever the page rules', () => {
+    assert.deepStrictEqual(checkAccess([guests], 'write:pages', page('home')), { allowed: false, reason: 'no_permission' });
+  });
+
+  it('checks only the global permission without a page', () => {
+    assert.deepStrictEqual(checkAccess([noRules], 'read:pages'), { allowed: true, reason: 'permission' });
+  });
+
+  it('denies a page no rule matches', () => {
+    assert.deepStrictEqual(checkAccess([noRules], 'read:pages', page('home')), { allowed: false, reason: 'no_page_rule' });
+    assert.strictEqual(checkAccess([docsReaders], 'read:pages', page('blog/post')).allowed, false);
+  });
+
+  it('lets an empty START path match every page', () => {
+    const decision = checkAccess([guests], 'read:comments', page('a/b/c'));
+    assert.strictEqual(decision.allowed, true);
+    assert.deepStrictEqual(decision.rule, { id: 'guest', match: 'START', path: '', deny: false });
+  });
+
+  it('lets the most specific rule decide', () => {
+    assert.strictEqual(checkAccess([docsReaders], 'read:pages', page('docs/setup')).allowed, true);
+
+    const draft = checkAccess([docsReaders], 'read:pages', page('docs/drafts/next'));
+    assert.strictEqual(draft.allowed, false);
+    assert.strictEqual(draft.reason, 'page_rule_deny');
+    assert.strictEqual(draft.rule.path, 'docs/drafts');
+
+    // EXACT with a longer path overrides the deny above it
+    assert.strictEqual(checkAccess([docsReaders], 'read:pages', page('docs/drafts/published')).allowed, true);
+  });
+
+  it('ignores leading and trailing slashes in the page path', () => {
+    assert.strictEqual(checkAccess([docsReaders], 'read:pages', page('/docs/setup/')).allowed, true);
+  });
+
+  it('matches TAG rules against the page tags', () => {
+    // "secret" (6 characters) is more specific than "docs" (4)
+    const decision = checkAccess([docsReaders], 'read:pages', page('docs/setup', { tags: ['secret'] }));
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.rule.match, 'TAG');
+  });
+
+  it('applies rules only for their roles and locales', () => {
+    assert.strictEqual(checkAccess([docsReaders], 'write:pages', page('docs/setup')).allowed, false);
+    assert.strictEqual(checkAccess([docsReaders], 'write:pages', page('docs/setup', { locale: 'de' })).allowed, true);
+  });
+
+  it('ranks match types on a specificity tie', () => {
+    // END beats START for the same path length
+    const end = checkAccess([ties], 'read:pages', page('abc'));
+    assert.strictEqual(end.allowed, true);
+    assert.strictEqual(end.rule.match, 'END');
+  });
+
+  it('lets a deny win over an allow of the same type and specificity', () => {
+    const decision = checkAccess([ties], 'read:pages', page('xyz'));
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.rule.id, 'regex-deny');
+  });
+
+  it('skips rules with an invalid regular expression', () => {
+    assert.strictEqual(checkAccess([ties], 'read:pages', page('[unclosed')).allowed, false);
+  });
+
+  it('combines the rules of all groups', () => {
+    // Guests allow everything with an empty path; the docs deny is more specific
+    assert.strictEqual(checkAccess([guests, docsReaders], 'read:pages', page('docs/drafts/x')).allowed, false);
+    assert.strictEqual(checkAccess([guests, docsReaders], 'read:pages', page('blog/post')).allowed, true);
+    assert.strictEqual(checkAccess([guests, administrators], 'delete:pages', page('blog/post')).allowed, true);
+  });
+});
+
+describe('POST /api/can', () => {
+  let app, pool, logs;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    const keys = await loadKeys(pool);
+    logs = [];
+    app = createAuthApp({
+      pool,
+      keys,
+      config: createTestConfig(),
+      logger: { ...silentLogger, log: line => logs.push(line) }
+    });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['docs'] });
+    await pool.query(
+      'UPDATE groups SET permissions = $1, "pageRules" = $2 WHERE name = $3',
+      [JSON.stringify(FIXTURES.docsReaders.permissions), JSON.stringify(FIXTURES.docsReaders.pageRules), 'docs']
+    );
+    await createUser(pool, { email: 'bob@example.com', name: 'Bob' });
+  });
+
+  async function login(email) {
+    const res = await request(app).post('/api/login').send({ email, password: 'password123' }).expect(200);
+    return getCookie(res, 'jwt');
+  }
+
+  it('answers allow or deny for the caller\'s groups', async () => {
+    const cookie = await login('alice@example.com');
+
+    const allowed = await request(app)
+      .post('/api/can')
+      .set('Cookie', cookie)
+      .send({ permission: 'read:pages', path: '/docs/setup' })
+      .expect(200);
+    assert.deepStrictEqual(allowed.body, {
+      success: true,
+      allowed: true,
+      reason: 'page_rule',
+      rule: { id: 'START-docs', match: 'START', path: 'docs', deny: false }
+    });
+    assert.ok(logs.some(line => /CAN: ✅ ALLOW alice@example\.com .* read:pages en\/docs\/setup \(page_rule\)/.test(line)));
+
+    const denied = await request(app)
+      .post('/api/can')
+      .set('Cookie', cookie)
+      .send({ permission: 'read:pages', path: 'docs/drafts/x' })
+      .expect(200);
+    assert.strictEqual(denied.body.allowed, false);
+    assert.strictEqual(denied.body.reason, 'page_rule_deny');
+  });
+
+  it('checks the global permission without a path', async () => {
+    const cookie = await login('alice@example.com');
+    const res = await request(app).post('/api/can').set('Cookie', cookie).send({ permission: 'write:pages' }).expect(200);
+    assert.strictEqual(res.body.allowed, true);
+
+    const bob = await login('bob@example.com');
+    const none = await request(app).post('/api/can').set('Cookie', bob).send({ permission: 'read:pages' }).expect(200);
+    assert.deepStrictEqual(none.body, { success: true, allowed: false, reason: 'no_permission' });
+  });
+
+  it('reads only the caller\'s groups', async () => {
+    const cookie = await login('alice@example.com');
+    const queries = [];
+    const query = pool.query;
+    pool.query = (sql, ...rest) => {
+      queries.push(sql);
+      return query.call(pool, sql, ...rest);
+    };
+    try {
+      await request(app).post('/api/can').set('Cookie', cookie).send({ permission: 'read:pages' }).expect(200);
+    } finally {
+      pool.query = query;
+    }
+    const groupQueries = queries.filter(sql => /FROM groups/.test(sql));
+    assert.strictEqual(groupQueries.length, 1);
+    assert.match(groupQueries[0], /WHERE id IN \(\$1\)/);
+  });
+
+  it('uses the locale and the tags from the request', async () => {
+    const cookie = await login('alice@example.com');
+
+    const de = await request(app)
+      .post('/api/can')
+      .set('Cookie', cookie)
+      .send({ permission: 'write:pages', path: 'docs/setup', locale: 'de' })
+      .expect(200);
+    assert.strictEqual(de.body.allowed, true);
+
+    const secret = await request(app)
+      .post('/api/can')
+      .set('Cookie', cookie)
+      .send({ permission: 'read:pages', path: 'docs/setup', tags: ['secret'] })
+      .expect(200);
+    assert.strictEqual(secret.body.allowed, false);
+  });
+
+  it('reads the page tags from the Wiki.js tables', async () => {
+    await pool.query('CREATE TABLE pages (id SERIAL PRIMARY KEY, path TEXT, "localeCode" TEXT)');
+    await pool.query('CREATE TABLE tags (id SERIAL PRIMARY KEY, tag TEXT)');
+    await pool.query('CREATE TABLE "pageTags" (id SERIAL PRIMARY KEY, "pageId" INTEGER, "tagId" INTEGER)');
+    const page = await pool.query('INSERT INTO pages (path, "localeCode") VALUES ($1, $2) RETURNING id', ['docs/keys', 'en']);
+    const tag = await pool.query('INSERT INTO tags (tag) VALUES ($1) RETURNING id', ['secret']);
+    await pool.query('INSERT INTO "pageTags" ("pageId", "tagId") VALUES ($1, $2)', [page.rows[0].id, tag.rows[0].id]);
+
+    const cookie = await login('alice@example.com');
+    const tagged = await request(app).post('/api/can').set('Cookie', cookie).send({ permission: 'read:pages', path: 'docs/keys' }).expect(200);
+    assert.strictEqual(tagged.body.allowed, false);
+    assert.strictEqual(tagged.body.rule.match, 'TAG');
+
+    const untagged = await request(app).post('/api/can').set('Cookie', cookie).send({ permission: 'read:pages', path: 'docs/other' }).expect(200);
+    assert.strictEqual(untagged.body.allowed, true);
+  });
+
+  it('validates the request', async () => {
+    const cookie = await login('alice@example.com');
+    for (const body of [{}, { permission: 'read' }, { permission: 'read:pages', path: 5 }, { permission: 'read:pages', tags: 'secret' }]) {
+      const res = await request(app).post('/api/can').set('Cookie', cookie).send(body).expect(400);
+      assert.strictEqual(res.body.success, false);
+    }
+  });
+
+  it('requires authentication', async () => {
+    await request(app).post('/api/can').send({ permission: 'read:pages' }).expect(401);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { hashToken } = require('../lib/refresh-tokens');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('refresh tokens', () => {
+  let app, pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['dev'] });
+  });
+
+  async function login() {
+    const res = await request(app)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+    return getCookie(res, 'jwt_refresh');
+  }
+
+  it('issues a refresh cookie on login and stores only its hash', async () => {
+    const cookie = await login();
+    assert.ok(cookie, 'jwt_refresh cookie set');
+
+    const token = cookie.slice('jwt_refresh='.length);
+    const stored = await pool.query('SELECT "tokenHash" FROM "refreshTokens" WHERE "tokenHash" = $1', [hashToken(token)]);
+    assert.strictEqual(stored.rows.length, 1);
+    const raw = await pool.query('SELECT id FROM "refreshTokens" WHERE "tokenHash" = $1', [token]);
+    assert.strictEqual(raw.rows.length, 0);
+  });
+
+  it('rotates the refresh token and mints a new jwt with current groups', async () => {
+    const cookie = await login();
+
+    // Group change after login must show up in the refreshed token
+    const group = await pool.query("INSERT INTO groups (name) VALUES ('mgmt') RETURNING id");
+    const user = await pool.query("SELECT id FROM users WHERE email = 'alice@example.com'");
+    await pool.query('INSERT INTO "userGroups" ("userId", "groupId") VALUES ($1, $2)', [user.rows[0].id, group.rows[0].id]);
+
+    const res = await request(app)
+      .post('/api/refresh')
+      .set('Cookie', cookie)
+      .expect(200);
+
+    const next = getCookie(res, 'jwt_refresh');
+    assert.ok(next);
+    assert.notStrictEqual(next, cookie);
+
+    const access = getCookie(res, 'jwt').slice('jwt='.length);
+    const decoded = jwt.verify(access, keys.publicKey, { algorithms: ['RS256'] });
+    assert.ok(decoded.groups.includes(group.rows[0].id));
+    assert.deepStrictEqual(res.body.user.groups, decoded.groups);
+
+    await pool.query('DELETE FROM "userGroups" WHERE "groupId" = $1', [group.rows[0].id]);
+  });
+
+  it('revokes the whole family when an old refresh token is reused', async () => {
+    const first = await login();
+    const refreshed = await request(app).post('/api/refresh').set('Cookie', first).expect(200);
+    const second = getCookie(refreshed, 'jwt_refresh');
+
+    // Replay the first token (e.g. stolen copy)
+    const replay = await request(app).post('/api/refresh').set('Cookie', first).expect(401);
+    assert.strictEqual(replay.body.message, 'Invalid or expired refresh token');
+
+    // The legitimate successor is now revoked too
+    await request(app).post('/api/refresh').set('Cookie', second).expect(401);
+
+    const rows = await pool.query(
+      'SELECT "revokedAt" FROM "refreshTokens" WHERE "tokenHash" = $1',
+      [hashToken(second.slice('jwt_refresh='.length))]
+    );
+    assert.ok(rows.rows[0].revokedAt);
+  });
+
+  it('rejects a missing refresh token', async () => {
+    const res = await request(app).post('/api/refresh').expect(401);
+    assert.strictEqual(res.body.message, 'No refresh token found');
+  });
+
+  it('rejects an unknown refresh token', async () => {
+    await request(app).post('/api/refresh').set('Cookie', 'jwt_refresh=bogus').expect(401);
+  });
+
+  it('rejects an expired refresh token', async () => {
+    const cookie = await login();
+    const token = cookie.slice('jwt_refresh='.length);
+    await pool.query(
+      'UPDATE "refreshTokens" SET "expiresAt" = $1 WHERE "tokenHash" = $2',
+      [new Date(Date.now() - 1000), hashToken(token)]
+    );
+    await request(app).post('/api/refresh').set('Cookie', cookie).expect(401);
+  });
+
+  it('rejects refresh for a user deactivated after login', async () => {
+    await createUser(pool, { email: 'bob@example.com' });
+    const loginRes = await request(app)
+      .post('/api/login')
+      .send({ email: 'bob@example.com', password: 'password123' })
+      .expect(200);
+    await pool.query(`UPDATE users SET "isActive" = false WHERE email = 'bob@example.com'`);
+
+    const res = await request(app)
+      .post('/api/refresh')
+      .set('Cookie', getCookie(loginRes, 'jwt_refresh'))
+      .expect(401);
+    assert.strictEqual(res.body.message, 'Account is inactive');
+  });
+
+  it('revokes the refresh family on logout', async () => {
+    const cookie = await login();
+    const res = await request(app).post('/api/logout').set('Cookie', cookie).expect(200);
+    assert.ok(res.headers['set-cookie'].some(c => c.startsWith('jwt_refresh=;')));
+
+    await request(app).post('/api/refresh').set('Cookie', cookie).expect(401);
+  });
+
+  it('can be disabled', async () => {
+    const plain = createAuthApp({
+      pool,
+      keys,
+      config: createTestConfig({ refresh: { enabled: false } }),
+      logger: silentLogger
+    });
+    const res = await request(plain)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+    assert.strictEqual(getCookie(res, 'jwt_refresh'), null);
+    await request(plain).post('/api/refresh').expect(404);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { newDb } = require('pg-mem');
+const { describeMissingTables, findMissingTables } = require('../lib/schema-check');
+const { createTestDb, createTestConfig } = require('./helpers');
+
+const MIGRATION_FILE = path.join(__dirname, '..', 'database', 'auth-tables.sql');
+
+// The tables this service shares with Wiki.js, without any of its own
+function createWikiJsDb() {
+  const db = newDb();
+  db.public.none(`
+    CREATE TABLE settings (key TEXT PRIMARY KEY, value JSONB NOT NULL);
+    CREATE TABLE users (id SERIAL PRIMARY KEY, email TEXT UNIQUE NOT NULL, name TEXT NOT NULL, password TEXT);
+    CREATE TABLE groups (id SERIAL PRIMARY KEY, name TEXT NOT NULL);
+    CREATE TABLE "userGroups" ("userId" INTEGER REFERENCES users(id), "groupId" INTEGER REFERENCES groups(id));
+  `);
+  const { Pool } = db.adapters.createPg();
+  return { db, pool: new Pool() };
+}
+
+describe('findMissingTables', () => {
+  it('finds nothing missing in the standalone schema', async () => {
+    const { pool } = createTestDb();
+    assert.deepStrictEqual(await findMissingTables(pool, createTestConfig({ oidc: { enabled: true }, publicUrl: 'https://auth.example.com' })), []);
+  });
+
+  it('names the tables a Wiki.js database lacks for the default features', async () => {
+    const { pool } = createWikiJsDb();
+    const missing = await findMissingTables(pool, createTestConfig());
+
+    assert.deepStrictEqual(missing, [
+      { setting: 'REFRESH_ENABLED', tables: ['refreshTokens'] },
+      { setting: 'SESSIONS_ENABLED', tables: ['authSessions'] },
+      { setting: 'LOGIN_THROTTLE_ENABLED', tables: ['loginThrottle'] },
+      { setting: 'MFA_ENABLED', tables: ['userMfa', 'mfaRecoveryCodes'] },
+      { setting: 'ACCESS_TOKENS_ENABLED', tables: ['accessTokens'] },
+      { setting: 'AUDIT_DATABASE', tables: ['auditLog'] }
+    ]);
+
+    const lines = describeMissingTables(missing);
+    assert.ok(lines.includes('- userMfa, mfaRecoveryCodes (MFA_ENABLED)'));
+    assert.ok(lines.some(line => line.includes('database/auth-tables.sql')));
+    assert.ok(lines[lines.length - 1].includes('REFRESH_ENABLED=false'));
+  });
+
+  it('ignores the tables of disabled features', async () => {
+    const { pool } = createWikiJsDb();
+    const config = createTestConfig({
+      refresh: { enabled: false },
+      sessions: { enabled: false },
+      loginThrottle: { enabled: false },
+      mfa: { enabled: false },
+      accessTokens: { enabled: false },
+      audit: { database: false }
+    });
+    assert.deepStrictEqual(await findMissingTables(pool, config), []);
+  });
+
+  it('finds nothing missing once database/auth-tables.sql has run', async () => {
+    const { db, pool } = createWikiJsDb();
+    db.public.none(fs.readFileSync(MIGRATION_FILE, 'utf8'));
+
+    const config = createTestConfig({
+      publicUrl: 'https://auth.example.com',
+      passwordReset: { enabled: true },
+      oidc: { enabled: true }
+    });
+    assert.deepStrictEqual(await findMissingTables(pool, config), []);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('sessions', () => {
+  let app, pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice' });
+    await createUser(pool, { email: 'bob@example.com', name: 'Bob' });
+  });
+
+  async function login(email = 'alice@example.com', userAgent = 'test-agent') {
+    const res = await request(app)
+      .post('/api/login')
+      .set('User-Agent', userAgent)
+      .send({ email, password: 'password123' })
+      .expect(200);
+    const cookies = [getCookie(res, 'jwt'), getCookie(res, 'jwt_refresh')];
+    const claims = jwt.decode(cookies[0].slice('jwt='.length));
+    return { cookies, claims };
+  }
+
+  it('records the session and puts its ID in the jti claim', async () => {
+    const { claims } = await login();
+    assert.ok(claims.jti);
+
+    const row = await pool.query('SELECT "userId", "userAgent", "revokedAt" FROM "authSessions" WHERE id = $1', [claims.jti]);
+    assert.strictEqual(row.rows[0].userId, claims.id);
+    assert.strictEqual(row.rows[0].userAgent, 'test-agent');
+    assert.strictEqual(row.rows[0].revokedAt, null);
+  });
+
+  it('rejects a token whose session was revoked by logout', async () => {
+    const { cookies } = await login();
+    const jwtCookie = cookies[0];
+
+    await request(app).get('/api/verify').set('Cookie', jwtCookie).expect(200);
+
+    // Logout with only the jwt cookie, then replay a copy of it
+    await request(app).post('/api/logout').set('Cookie', jwtCookie).expect(200);
+    const res = await request(app).get('/api/verify').set('Cookie', jwtCookie).expect(401);
+    assert.strictEqual(res.body.message, 'Session revoked or not found');
+  });
+
+  it('revokes the session when logging out with only the refresh token', async () => {
+    const { cookies } = await login();
+    await request(app).post('/api/logout').set('Cookie', cookies[1]).expect(200);
+    await request(app).get('/api/verify').set('Cookie', cookies[0]).expect(401);
+  });
+
+  it('rejects a validly signed token with an unknown jti', async () => {
+    const token = jwt.sign(
+      { id: 1, email: 'alice@example.com', groups: [], jti: 'not-a-session', aud: 'urn:wiki.js', iss: 'urn:wiki.js' },
+      keys.privateKey,
+      { algorithm: 'RS256', expiresIn: 3600 }
+    );
+    await request(app).get('/api/verify').set('Cookie', `jwt=${token}`).expect(401);
+  });
+
+  it('rejects a validly signed token without a jti', async () => {
+    const token = jwt.sign(
+      { id: 1, email: 'alice@example.com', groups: [], aud: 'urn:wiki.js', iss: 'urn:wiki.js' },
+      keys.privateKey,
+      { algorithm: 'RS256', expiresIn: 3600 }
+    );
+    await request(app).get('/api/verify').set('Cookie', `jwt=${token}`).expect(401);
+  });
+
+  it('keeps the session ID across refreshes', async () => {
+    const { cookies, claims } = await login();
+    const res = await request(app).post('/api/refresh').set('Cookie', cookies[1]).expect(200);
+    const refreshed = jwt.decode(getCookie(res, 'jwt').slice('jwt='.length));
+    assert.strictEqual(refreshed.jti, claims.jti);
+  });
+
+  it('lists active sessions for the current user only', async () => {
+    const first = await login('alice@example.com', 'laptop');
+    const second = await login('alice@example.com', 'phone');
+    await login('bob@example.com');
+
+    const res = await request(app).get('/api/sessions').set('Cookie', second.cookies[0]).expect(200);
+    const ids = res.body.sessions.map(s => s.id);
+    assert.ok(ids.includes(first.claims.jti));
+    assert.ok(ids.includes(second.claims.jti));
+
+    const current = res.body.sessions.find(s => s.current);
+    assert.strictEqual(current.id, second.claims.jti);
+    assert.strictEqual(current.userAgent, 'phone');
+    assert.ok(current.issuedAt);
+    assert.ok('ip' in current);
+
+    const bobSessions = await pool.query(
+      `SELECT s.id FROM "authSessions" s JOIN users u ON u.id = s."userId" WHERE u.email = 'bob@example.com'`
+    );
+    assert.ok(bobSessions.rows.every(row => !ids.includes(row.id)));
+  });
+
+  it('requires authentication to list sessions', async () => {
+    await request(app).get('/api/sessions').expect(401);
+  });
+
+  it('revokes another session by ID, including its refresh token', async () => {
+    const other = await login('alice@example.com', 'old-laptop');
+    const current = await login('alice@example.com', 'desktop');
+
+    await request(app)
+      .delete(`/api/sessions/${other.claims.jti}`)
+      .set('Cookie', current.cookies[0])
+      .expect(200);
+
+    await request(app).get('/api/verify').set('Cookie', other.cookies[0]).expect(401);
+    await request(app).post('/api/refresh').set('Cookie', other.cookies[1]).expect(401);
+    await request(app).get('/api/verify').set('Cookie', current.cookies[0]).expect(200);
+  });
+
+  it("cannot revoke another user's session", async () => {
+    const bob = await login('bob@example.com');
+    const alice = await login('alice@example.com');
+
+    await request(app)
+      .delete(`/api/sessions/${bob.claims.jti}`)
+      .set('Cookie', alice.cookies[0])
+      .expect(404);
+
+    await request(app).get('/api/verify').set('Cookie', bob.cookies[0]).expect(200);
+  });
+
+  it('revokes the whole session when a refresh token is replayed', async () => {
+    const { cookies } = await login();
+    await request(app).post('/api/refresh').set('Cookie', cookies[1]).expect(200);
+    await request(app).post('/api/refresh').set('Cookie', cookies[1]).expect(401);
+    await request(app).get('/api/verify').set('Cookie', cookies[0]).expect(401);
+  });
+
+  it('accepts tokens without jti when sessions are disabled', async () => {
+    const stateless = createAuthApp({
+      pool,
+      keys,
+      config: createTestConfig({ sessions: { enabled: false } }),
+      logger: silentLogger
+    });
+    const loginRes = await request(stateless)
+      .post('/api/login')
+      .send({ email: 'alice@example.com', password: 'password123' })
+      .expect(200);
+    const cookie = getCookie(loginRes, 'jwt');
+    assert.strictEqual(jwt.decode(cookie.slice('jwt='.length)).jti, undefined);
+
+    await request(stateless).get('/api/verify').set('Cookie', cookie).expect(200);
+    await request(stateless).get('/api/sessions').set('Cookie', cookie).expect(404);
+  });
+});
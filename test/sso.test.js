@@ -0,0 +1,385 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys } = require('../lib/keys');
+const { loadConfig } = require('../lib/config');
+const { createMfaStore } = require('../lib/mfa');
+const totp = require('../lib/totp');
+const { createSsoClient } = require('../lib/sso');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+const PUBLIC_URL = 'https://auth.example.com';
+const CALLBACK = `${PUBLIC_URL}/api/sso/callback`;
+
+/**
+ * Minimal identity provider: discovery, JWKS and a token endpoint. The test
+ * plays the browser, so /authorize is replaced by issueCode().
+ */
+function createMockIdp() {
+  const signing = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = 'idp-key-1';
+  const codes = new Map();
+  const tokenRequests = [];
+  const idp = { issuer: null, tokenRequests };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...signing.publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'ES256' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    tokenRequests.push({ authorization: req.get('authorization'), body: req.body });
+    const expected = `Basic ${Buffer.from('wiki:idp-secret').toString('base64')}`;
+    if (req.get('authorization') !== expected) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE' });
+    }
+
+    const { signWith = signing.privateKey, audience = 'wiki', nonce = grant.nonce } = grant.token;
+    const idToken = jwt.sign({ ...grant.claims, nonce }, signWith, {
+      algorithm: 'ES256',
+      keyid: kid,
+      issuer: idp.issuer,
+      audience,
+      expiresIn: 300
+    });
+    return res.json({ access_token: 'upstream-access', token_type: 'Bearer', id_token: idToken });
+  });
+
+  /**
+   * What the provider does after the user logged in there
+   * @param {string} authorizeUrl - Location the auth service redirected to
+   * @param {Object} claims - ID token claims (sub, email, ...)
+   * @param {Object} [token] - signWith / audience / nonce overrides for bad tokens
+   */
+  idp.issueCode = (authorizeUrl, claims, token = {}) => {
+    const params = new URL(authorizeUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, {
+      claims,
+      token,
+      nonce: params.get('nonce'),
+      challenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri')
+    });
+    return { code, state: params.get('state') };
+  };
+
+  idp.start = () => new Promise(resolve => {
+    idp.server = app.listen(0, '127.0.0.1', () => {
+      idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+      resolve();
+    });
+  });
+
+  return idp;
+}
+
+describe('Upstream SSO login', () => {
+  let app, pool, keys, idp, groupIds;
+
+  function ssoConfig(overrides = {}) {
+    return createTestConfig({
+      publicUrl: PUBLIC_URL,
+      sso: {
+        enabled: true,
+        name: 'Keycloak',
+        issuer: idp.issuer,
+        clientId: 'wiki',
+        clientSecret: 'idp-secret',
+        groupMap: { '/wiki-admins': 'admin', developers: 'dev', contractors: 'Contractors' },
+        ...overrides
+      }
+    });
+  }
+
+  before(async () => {
+    idp = createMockIdp();
+    await idp.start();
+
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: ssoConfig(), logger: silentLogger });
+
+    await createUser(pool, { email: 'local@example.com', groups: ['admin', 'dev'] });
+    const groups = await pool.query('SELECT id, name FROM groups');
+    groupIds = Object.fromEntries(groups.rows.map(group => [group.name, group.id]));
+  });
+
+  after(() => {
+    idp.server.close();
+  });
+
+  async function startLogin(query = {}, target = app) {
+    const res = await request(target).get('/api/sso/login').query(query).expect(302);
+    return { location: res.headers.location, cookie: getCookie(res, 'jwt_sso') };
+  }
+
+  function callback(params, cookie, target = app) {
+    const req = request(target).get('/api/sso/callback').query(params);
+    return cookie ? req.set('Cookie', cookie) : req;
+  }
+
+  async function ssoLogin(claims, { token, query } = {}) {
+    const { location, cookie } = await startLogin(query);
+    const { code, state } = idp.issueCode(location, claims, token);
+    return callback({ code, state }, cookie).expect(302);
+  }
+
+  function ssoError(res) {
+    return new URL(res.headers.location, PUBLIC_URL).searchParams.get('ssoError');
+  }
+
+  const alice = {
+    sub: 'kc-alice',
+    email: 'Alice@Example.com',
+    email_verified: true,
+    name: 'Alice Smith',
+    groups: ['/wiki-admins', 'developers', 'unrelated']
+  };
+
+  it('reports SSO on the login page', async () => {
+    const res = await request(app).get('/api/sso').expect(200);
+    assert.deepStrictEqual(res.body, { enabled: true, name: 'Keycloak' });
+  });
+
+  it('sends the browser to the provider with state, nonce and PKCE', async () => {
+    const { location, cookie } = await startLogin();
+    const url = new URL(location);
+
+    assert.strictEqual(`${url.origin}${url.pathname}`, `${idp.issuer}/authorize`);
+    assert.strictEqual(url.searchParams.get('client_id'), 'wiki');
+    assert.strictEqual(url.searchParams.get('redirect_uri'), CALLBACK);
+    assert.strictEqual(url.searchParams.get('response_type'), 'code');
+    assert.strictEqual(url.searchParams.get('scope'), 'openid profile email');
+    assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.ok(url.searchParams.get('state'));
+    assert.ok(url.searchParams.get('nonce'));
+    assert.ok(cookie, 'state cookie set');
+  });
+
+  it('logs in, provisions the user and maps groups into the JWT', async () => {
+    const res = await ssoLogin(alice, { query: { returnTo: '/wiki/home' } });
+    assert.strictEqual(res.headers.location, '/wiki/home');
+
+    const row = (await pool.query(
+      `SELECT id, name, "providerKey" FROM users WHERE email = 'alice@example.com'`
+    )).rows[0];
+    assert.strictEqual(row.providerKey, 'oidc');
+    assert.strictEqual(row.name, 'Alice Smith');
+
+    const claims = jwt.decode(getCookie(res, 'jwt').split('=')[1]);
+    assert.strictEqual(claims.id, row.id);
+    assert.strictEqual(claims.iss, 'urn:wiki.js');
+    assert.deepStrictEqual([...claims.groups].sort(), [groupIds.admin, groupIds.dev].sort());
+    // Session is a normal one: /api/verify accepts the cookie
+    await request(app).get('/api/verify').set('Cookie', getCookie(res, 'jwt')).expect(200);
+
+    // Client authenticated with HTTP Basic and sent the PKCE verifier
+    const tokenRequest = idp.tokenRequests[idp.tokenRequests.length - 1];
+    assert.ok(tokenRequest.body.code_verifier);
+    assert.strictEqual(tokenRequest.body.client_secret, undefined);
+  });
+
+  it('syncs groups on the next login and leaves them alone without a groups claim', async () => {
+    let res = await ssoLogin({ ...alice, groups: ['developers'] });
+    assert.deepStrictEqual(jwt.decode(getCookie(res, 'jwt').split('=')[1]).groups, [groupIds.dev]);
+
+    const { groups, ...withoutGroups } = alice;
+    res = await ssoLogin(withoutGroups);
+    assert.deepStrictEqual(jwt.decode(getCookie(res, 'jwt').split('=')[1]).groups, [groupIds.dev]);
+  });
+
+  it('rejects a callback without the state cookie or with another state', async () => {
+    const { location, cookie } = await startLogin();
+    const { code, state } = idp.issueCode(location, alice);
+
+    let res = await callback({ code, state }).expect(302);
+    assert.match(ssoError(res), /expired/);
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+
+    res = await callback({ code, state: 'forged' }, cookie).expect(302);
+    assert.match(ssoError(res), /expired/);
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+  });
+
+  it('reports errors returned by the provider', async () => {
+    const { location, cookie } = await startLogin({ returnTo: '/wiki/home' });
+    const state = new URL(location).searchParams.get('state');
+
+    const res = await callback({ error: 'access_denied', state }, cookie).expect(302);
+    const target = new URL(res.headers.location, PUBLIC_URL);
+    assert.strictEqual(target.pathname, '/');
+    assert.match(target.searchParams.get('ssoError'), /cancelled or refused/);
+    assert.strictEqual(target.searchParams.get('returnTo'), '/wiki/home');
+  });
+
+  it('rejects ID tokens with a wrong nonce, audience or signature', async () => {
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+    for (const token of [{ nonce: 'other' }, { audience: 'someone-else' }, { signWith: otherKey }]) {
+      const res = await ssoLogin(alice, { token });
+      assert.match(ssoError(res), /Sign-in failed/, JSON.stringify(Object.keys(token)));
+      assert.strictEqual(getCookie(res, 'jwt'), null);
+    }
+  });
+
+  it('refuses unverified email addresses', async () => {
+    const res = await ssoLogin({ sub: 'x', email: 'mallory@example.com', email_verified: false });
+    assert.match(ssoError(res), /Sign-in failed/);
+    const rows = await pool.query(`SELECT id FROM users WHERE email = 'mallory@example.com'`);
+    assert.strictEqual(rows.rows.length, 0);
+  });
+
+  it('does not take over a local account with the same email', async () => {
+    const res = await ssoLogin({ sub: 'y', email: 'local@example.com', email_verified: true });
+    assert.match(ssoError(res), /another sign-in method/);
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+  });
+
+  it('refuses deactivated accounts', async () => {
+    await ssoLogin({ sub: 'z', email: 'zoe@example.com', email_verified: true, name: 'Zoe' });
+    await pool.query(`UPDATE users SET "isActive" = false WHERE email = 'zoe@example.com'`);
+
+    const res = await ssoLogin({ sub: 'z', email: 'zoe@example.com', email_verified: true, name: 'Zoe' });
+    assert.match(ssoError(res), /inactive/);
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+  });
+
+  it('asks for the second factor when the account has 2FA', async () => {
+    await ssoLogin({ sub: 'm', email: 'mia@example.com', email_verified: true, name: 'Mia' });
+    const user = (await pool.query(`SELECT id FROM users WHERE email = 'mia@example.com'`)).rows[0];
+    const mfa = createMfaStore(pool);
+    const secret = await mfa.startEnrollment(user.id);
+    await mfa.activate(user.id, totp.generate(secret));
+
+    const res = await ssoLogin({ sub: 'm', email: 'mia@example.com', email_verified: true, name: 'Mia' });
+    assert.strictEqual(res.headers.location, '/?mfa=1');
+    assert.strictEqual(getCookie(res, 'jwt'), null);
+    assert.ok(getCookie(res, 'jwt_mfa'));
+  });
+
+  it('goes back to the login page when the provider is down', async () => {
+    const config = createTestConfig({
+      publicUrl: `${PUBLIC_URL}/auth`,
+      sso: { enabled: true, issuer: 'http://127.0.0.1:1', clientId: 'wiki', timeout: 1000 }
+    });
+    const downApp = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+    const res = await request(downApp).get('/api/sso/login').expect(302);
+    const target = new URL(res.headers.location, PUBLIC_URL);
+    assert.strictEqual(target.pathname, '/auth/');
+    assert.match(target.searchParams.get('ssoError'), /not available/);
+  });
+
+  it('is not registered when disabled', async () => {
+    const plain = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+    await request(plain).get('/api/sso').expect(404);
+    await request(plain).get('/api/sso/login').expect(404);
+  });
+});
+
+describe('SSO client claim mapping', () => {
+  const options = overrides => loadConfig({
+    env: {},
+    baseDir: __dirname,
+    overrides: {
+      publicUrl: PUBLIC_URL,
+      sso: { enabled: true, issuer: 'https://idp.example.com', clientId: 'wiki', ...overrides }
+    }
+  }).sso;
+
+  it('reads nested claims', () => {
+    const client = createSsoClient(options({
+      groupsClaim: 'realm_access.roles',
+      nameClaim: 'preferred_username',
+      groupMap: { editors: 'Editors' }
+    }));
+    const profile = client.profile({
+      email: 'Bob@Example.com',
+      email_verified: true,
+      preferred_username: 'bob',
+      realm_access: { roles: ['Editors', 42] }
+    });
+    assert.deepStrictEqual(profile, { email: 'bob@example.com', name: 'bob', groups: ['Editors'] });
+  });
+
+  it('ignores the groups claim without a map', () => {
+    const client = createSsoClient(options({}));
+    const profile = client.profile({ email: 'a@example.com', email_verified: true, groups: ['admin'] });
+    assert.strictEqual(profile.groups, undefined);
+  });
+
+  it('treats a missing email_verified claim as unverified', () => {
+    const client = createSsoClient(options({}));
+    assert.throws(() => client.profile({ email: 'a@example.com' }), /not verified/);
+    assert.throws(() => client.profile({ email: 'a@example.com', email_verified: 'true' }), /not verified/);
+
+    const lenient = createSsoClient(options({ requireVerifiedEmail: false }));
+    assert.strictEqual(lenient.profile({ email: 'a@example.com' }).email, 'a@example.com');
+  });
+
+  it('maps groups case-insensitively and drops unmapped ones', () => {
+    const client = createSsoClient(options({ groupMap: { 'WIKI-ADMINS': 'Administrators' } }));
+    assert.deepStrictEqual(client.profile({ email: 'a@example.com', email_verified: true, groups: ['wiki-admins', 'other'] }).groups,
+      ['Administrators']);
+    // A single string is one group
+    assert.deepStrictEqual(client.profile({ email: 'a@example.com', email_verified: true, groups: 'wiki-admins' }).groups,
+      ['Administrators']);
+  });
+
+  it('requires an email claim', () => {
+    const client = createSsoClient(options({}));
+    assert.throws(() => client.profile({ sub: 'x' }), /no email/);
+  });
+});
+
+describe('SSO config', () => {
+  const load = env => loadConfig({ env, baseDir: __dirname });
+
+  it('reads SSO_* variables', () => {
+    const config = load({
+      PUBLIC_URL: PUBLIC_URL,
+      SSO_ENABLED: 'true',
+      SSO_ISSUER: 'https://login.microsoftonline.com/tenant/v2.0',
+      SSO_CLIENT_ID: 'wiki',
+      SSO_GROUPS_CLAIM: 'roles',
+      SSO_GROUP_MAP: 'Wiki.Admin=Administrators;Wiki.Editor=Editors'
+    });
+    assert.strictEqual(config.sso.enabled, true);
+    assert.strictEqual(config.sso.groupsClaim, 'roles');
+    assert.deepStrictEqual(config.sso.groupMap, { 'Wiki.Admin': 'Administrators', 'Wiki.Editor': 'Editors' });
+  });
+
+  it('requires issuer, client ID and PUBLIC_URL when enabled', () => {
+    assert.throws(() => load({ SSO_ENABLED: 'true', SSO_SCOPES: 'profile' }), err => {
+      assert.ok(err.problems.some(p => p.includes('sso.issuer')));
+      assert.ok(err.problems.some(p => p.includes('sso.clientId')));
+      assert.ok(err.problems.some(p => p.includes('PUBLIC_URL')));
+      assert.ok(err.problems.some(p => p.includes('openid')));
+      return true;
+    });
+  });
+});
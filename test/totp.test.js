@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../lib/totp');
+
+// RFC 6238 Appendix B test secret (SHA1)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.strictEqual(totp.generate(RFC_SECRET, { time: 59 * 1000, digits: 8 }), '94287082');
+    assert.strictEqual(totp.generate(RFC_SECRET, { time: 1111111109 * 1000, digits: 8 }), '07081804');
+    assert.strictEqual(totp.generate(RFC_SECRET, { time: 20000000000 * 1000, digits: 8 }), '65353130');
+  });
+
+  it('round-trips base32', () => {
+    const secret = totp.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.strictEqual(totp.base32Encode(totp.base32Decode(secret)), secret);
+    assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32/);
+  });
+
+  it('accepts codes within the drift window and returns the time step', () => {
+    const secret = totp.generateSecret();
+    const time = 1700000000 * 1000;
+    const step = totp.timeStep(time);
+
+    assert.strictEqual(totp.verify(secret, totp.generate(secret, { time }), { time }), step);
+    assert.strictEqual(totp.verify(secret, totp.generate(secret, { time: time - 30000 }), { time }), step - 1);
+    assert.strictEqual(totp.verify(secret, totp.generate(secret, { time: time + 30000 }), { time }), step + 1);
+    assert.strictEqual(totp.verify(secret, totp.generate(secret, { time: time + 90000 }), { time }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    const secret = totp.generateSecret();
+    assert.strictEqual(totp.verify(secret, ''), null);
+    assert.strictEqual(totp.verify(secret, '12345'), null);
+    assert.strictEqual(totp.verify(secret, 'abcdef'), null);
+    assert.strictEqual(totp.verify(secret, undefined), null);
+  });
+
+  it('builds an otpauth URI', () => {
+    const uri = totp.otpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'alice@example.com', issuer: 'Wiki.js' });
+    assert.ok(uri.startsWith('otpauth://totp/Wiki.js%3Aalice%40example.com?'));
+    const params = new URL(uri).searchParams;
+    assert.strictEqual(params.get('secret'), 'JBSWY3DPEHPK3PXP');
+    assert.strictEqual(params.get('issuer'), 'Wiki.js');
+    assert.strictEqual(params.get('digits'), '6');
+  });
+});
@@ -0,0 +1,283 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { ImportError, exportUsers, formatExport, importUsers, parseImport } = require('../lib/user-import');
+const { createSessionStore } = require('../lib/sessions');
+const { createRefreshTokenStore } = require('../lib/refresh-tokens');
+const { createTestDb, createUser } = require('./helpers');
+
+// bcrypt of "imported-password" (cost 4)
+const HASH = bcrypt.hashSync('imported-password', 4);
+
+const CSV = [
+  'email,name,isActive,groups,passwordHash',
+  `alice@example.com,"Smith, Alice",true,finance;staff,${HASH}`,
+  'bob@example.com,Bob,false,staff,',
+  '',
+  ',,,auditors,'
+].join('\r\n');
+
+function problems(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof ImportError, err.message);
+    return err.errors;
+  }
+  assert.fail('expected an ImportError');
+}
+
+async function passwordOf(pool, email) {
+  return (await pool.query('SELECT password FROM users WHERE email = $1', [email])).rows[0].password;
+}
+
+describe('parseImport', () => {
+  it('reads CSV with quoted fields, group lists and group-only rows', () => {
+    assert.deepStrictEqual(parseImport(CSV, 'csv'), {
+      groups: ['auditors'],
+      users: [
+        { email: 'alice@example.com', name: 'Smith, Alice', isActive: true, providerKey: undefined, passwordHash: HASH, groups: ['finance', 'staff'] },
+        { email: 'bob@example.com', name: 'Bob', isActive: false, providerKey: undefined, passwordHash: undefined, groups: ['staff'] }
+      ]
+    });
+  });
+
+  it('reads JSON', () => {
+    const data = parseImport(JSON.stringify({
+      groups: ['auditors'],
+      users: [{ email: 'carol@example.com', name: 'Carol', providerKey: 'ldap', groups: [] }]
+    }), 'json');
+    assert.deepStrictEqual(data.groups, ['auditors']);
+    assert.strictEqual(data.users[0].providerKey, 'ldap');
+    assert.strictEqual(data.users[0].isActive, undefined);
+  });
+
+  it('reports every problem with its line or entry', () => {
+    const csv = [
+      'email,name,isActive,groups,passwordHash',
+      'not-an-email,X,,,',
+      'dave@example.com,Dave,maybe,Bad Group,nothash',
+      'dave@example.com,Dave,,,',
+      ',Nobody,,,'
+    ].join('\n');
+    assert.deepStrictEqual(problems(() => parseImport(csv, 'csv')), [
+      'Line 5: a row without an email may only list groups',
+      'Line 2: Invalid email address',
+      'Line 3: isActive must be true or false',
+      'Line 3: Password hash must be a bcrypt hash ($2a$/$2b$/$2y$)',
+      'Line 4: Duplicate email, also in Line 3'
+    ]);
+
+    const json = JSON.stringify({
+      groups: [' '],
+      users: [{ email: 'erin@example.com', admin: true, groups: 'staff' }, { email: 'finn@example.com', groups: [''] }]
+    });
+    assert.deepStrictEqual(problems(() => parseImport(json, 'json')), [
+      'groups[0]: Group names must be non-empty strings',
+      'users[0]: Unknown field(s): admin',
+      'users[0]: groups must be a list of group names',
+      'users[1]: Group names must be non-empty strings'
+    ]);
+  });
+
+  it('refuses malformed files', () => {
+    assert.match(problems(() => parseImport('{', 'json'))[0], /^Invalid JSON/);
+    assert.match(problems(() => parseImport('[]', 'json'))[0], /must be an object/);
+    assert.match(problems(() => parseImport('mail,name\nx,y', 'csv'))[0], /^Line 1: the header/);
+    assert.match(problems(() => parseImport('email\n"open', 'csv'))[0], /unterminated/);
+    assert.match(problems(() => parseImport('email,name\na@example.com,A,extra', 'csv'))[0], /3 fields, the header has 2/);
+    assert.throws(() => parseImport('', 'xml'), /Unknown format/);
+  });
+});
+
+describe('importUsers', () => {
+  let pool;
+
+  beforeEach(() => {
+    ({ pool } = createTestDb());
+  });
+
+  it('shows the changes without writing on a dry run', async () => {
+    await createUser(pool, { email: 'bob@example.com', name: 'Bob', groups: ['staff'] });
+
+    const plan = await importUsers(pool, parseImport(CSV, 'csv'), { dryRun: true });
+    assert.deepStrictEqual(plan.groups, [
+      { name: 'auditors', action: 'create' },
+      { name: 'finance', action: 'create' },
+      { name: 'staff', action: 'skip' }
+    ]);
+    assert.deepStrictEqual(plan.users.map(({ email, action, changes }) => ({ email, action, changes })), [
+      { email: 'alice@example.com', action: 'create', changes: [] },
+      { email: 'bob@example.com', action: 'update', changes: ['isActive'] }
+    ]);
+    assert.deepStrictEqual(plan.memberships, [
+      { email: 'alice@example.com', group: 'finance', action: 'add' },
+      { email: 'alice@example.com', group: 'staff', action: 'add' },
+      { email: 'bob@example.com', group: 'staff', action: 'skip' }
+    ]);
+
+    const users = await pool.query('SELECT email FROM users');
+    assert.strictEqual(users.rows.length, 1);
+    const groups = await pool.query('SELECT name FROM groups ORDER BY name');
+    assert.deepStrictEqual(groups.rows.map(row => row.name), ['admin', 'staff']);
+  });
+
+  it('creates, updates and skips', async () => {
+    await createUser(pool, { email: 'bob@example.com', name: 'Bob', groups: ['staff'] });
+
+    const plan = await importUsers(pool, parseImport(CSV, 'csv'));
+    assert.strictEqual(plan.users[0].password, undefined);
+
+    assert.strictEqual(await passwordOf(pool, 'alice@example.com'), HASH);
+    const alice = await pool.query('SELECT name, "isActive" FROM users WHERE email = $1', ['alice@example.com']);
+    assert.deepStrictEqual(alice.rows[0], { name: 'Smith, Alice', isActive: true });
+    const bob = await pool.query('SELECT "isActive" FROM users WHERE email = $1', ['bob@example.com']);
+    assert.strictEqual(bob.rows[0].isActive, false);
+
+    // Same file again: nothing left to do
+    const again = await importUsers(pool, parseImport(CSV, 'csv'));
+    assert.ok([...again.groups, ...again.users, ...again.memberships].every(entry => entry.action === 'skip'));
+  });
+
+  it('generates passwords for new local users without a hash', async () => {
+    const data = parseImport(JSON.stringify({
+      users: [
+        { email: 'carol@example.com', name: 'Carol' },
+        { email: 'dan@example.com', name: 'Dan', providerKey: 'ldap' }
+      ]
+    }), 'json');
+    const plan = await importUsers(pool, data);
+
+    const { password } = plan.users[0];
+    assert.match(password, /^[A-Za-z0-9_-]{16}$/);
+    assert.ok(await bcrypt.compare(password, await passwordOf(pool, 'carol@example.com')));
+
+    // Provider accounts log in through their provider only
+    assert.strictEqual(plan.users[1].password, undefined);
+    assert.strictEqual(await passwordOf(pool, 'dan@example.com'), '');
+  });
+
+  it('updates the password of an existing user from the hash', async () => {
+    await createUser(pool, { email: 'erin@example.com', name: 'Erin' });
+    const data = parseImport(JSON.stringify({ users: [{ email: 'erin@example.com', passwordHash: HASH }] }), 'json');
+
+    const plan = await importUsers(pool, data);
+    assert.deepStrictEqual(plan.users[0].changes, ['password']);
+    assert.strictEqual(await passwordOf(pool, 'erin@example.com'), HASH);
+  });
+
+  it('uses existing groups whatever their name and checks the names of new ones', async () => {
+    await pool.query("INSERT INTO groups (name) VALUES ('Administrators')");
+    const data = parseImport('email,name,groups\ngina@example.com,Gina,Administrators;New Hires\n', 'csv');
+
+    await assert.rejects(importUsers(pool, data, { dryRun: true }), {
+      name: 'ImportError',
+      errors: ['Group New Hires: Group name must be lowercase alphanumeric (a-z, 0-9, -, _)']
+    });
+
+    const plan = await importUsers(pool, parseImport('email,name,groups\ngina@example.com,Gina,Administrators\n', 'csv'));
+    assert.deepStrictEqual(plan.groups, [{ name: 'Administrators', action: 'skip' }]);
+    assert.deepStrictEqual(plan.memberships, [{ email: 'gina@example.com', group: 'Administrators', action: 'add' }]);
+  });
+
+  it('signs out users it deactivates or gives a new password', async () => {
+    const signedIn = async email => {
+      const user = await createUser(pool, { email, name: email });
+      await createSessionStore(pool).create({ userId: user.id, expiresAt: new Date(Date.now() + 60000) });
+      await createRefreshTokenStore(pool, { expiresIn: 60 }).issue(user.id);
+      return user;
+    };
+    const active = async user => ({
+      sessions: (await pool.query('SELECT id FROM "authSessions" WHERE "userId" = $1 AND "revokedAt" IS NULL', [user.id])).rows.length,
+      refreshTokens: (await pool.query('SELECT id FROM "refreshTokens" WHERE "userId" = $1 AND "revokedAt" IS NULL', [user.id])).rows.length
+    });
+
+    const hal = await signedIn('hal@example.com');
+    const ida = await signedIn('ida@example.com');
+    const jo = await signedIn('jo@example.com');
+    await importUsers(pool, parseImport(JSON.stringify({
+      users: [
+        { email: 'hal@example.com', isActive: false },
+        { email: 'ida@example.com', passwordHash: HASH },
+        { email: 'jo@example.com', name: 'Jo' }
+      ]
+    }), 'json'));
+
+    assert.deepStrictEqual(await active(hal), { sessions: 0, refreshTokens: 0 });
+    assert.deepStrictEqual(await active(ida), { sessions: 0, refreshTokens: 0 });
+    assert.deepStrictEqual(await active(jo), { sessions: 1, refreshTokens: 1 });
+  });
+
+  it('needs a name for new users', async () => {
+    const data = parseImport('email\nfrank@example.com\n', 'csv');
+    await assert.rejects(importUsers(pool, data, { dryRun: true }), {
+      name: 'ImportError',
+      errors: ['frank@example.com: a name is required for a new user']
+    });
+  });
+
+  it('rolls back when a write fails', async () => {
+    const queries = [];
+    const client = await pool.connect();
+    const failing = {
+      connect: async () => ({
+        query: async (sql, params) => {
+          queries.push(sql.trim().split(/\s+/)[0]);
+          if (/INSERT INTO "userGroups"/.test(sql)) {
+            throw new Error('connection lost');
+          }
+          return client.query(sql, params);
+        },
+        release: () => queries.push('release')
+      })
+    };
+
+    await assert.rejects(importUsers(failing, parseImport(CSV, 'csv')), /connection lost/);
+    client.release();
+    assert.strictEqual(queries[0], 'BEGIN');
+    assert.deepStrictEqual(queries.slice(-2), ['ROLLBACK', 'release']);
+    assert.ok(!queries.includes('COMMIT'));
+  });
+});
+
+describe('exportUsers', () => {
+  for (const format of ['json', 'csv']) {
+    it(`round-trips through import as ${format}`, async () => {
+      const { pool } = createTestDb();
+      await createUser(pool, { email: 'alice@example.com', name: 'Smith, "Al"', groups: ['finance', 'staff'] });
+      await createUser(pool, { email: 'bob@example.com', name: 'Bob', isActive: false });
+      await pool.query("INSERT INTO users (email, name, password, \"providerKey\") VALUES ('carol@example.com', 'Carol', '', 'ldap')");
+      await pool.query("INSERT INTO groups (name) VALUES ('empty')");
+
+      const exported = await exportUsers(pool);
+      const text = formatExport(exported, format);
+
+      const target = createTestDb().pool;
+      await importUsers(target, parseImport(text, format));
+      assert.deepStrictEqual(await exportUsers(target), exported);
+
+      // Back into the source: no changes
+      const plan = await importUsers(pool, parseImport(text, format), { dryRun: true });
+      assert.ok([...plan.groups, ...plan.users, ...plan.memberships].every(entry => entry.action === 'skip'));
+    });
+  }
+
+  it('writes CSV with one row per user and a row per group without members', async () => {
+    const { pool } = createTestDb();
+    await createUser(pool, { email: 'alice@example.com', name: 'Alice', groups: ['staff'] });
+
+    const lines = formatExport(await exportUsers(pool), 'csv').trim().split('\n');
+    assert.strictEqual(lines[0], 'email,name,isActive,providerKey,groups,passwordHash');
+    assert.match(lines[1], /^alice@example\.com,Alice,true,local,staff,\$2b\$04\$/);
+    assert.strictEqual(lines[2], ',,,,admin,');
+  });
+
+  it('refuses to write group names containing the CSV group separator', async () => {
+    const { pool } = createTestDb();
+    await pool.query("INSERT INTO groups (name) VALUES ('R&D; Labs')");
+
+    const data = await exportUsers(pool);
+    assert.throws(() => formatExport(data, 'csv'), /R&D; Labs/);
+    assert.ok(parseImport(formatExport(data, 'json'), 'json').groups.includes('R&D; Labs'));
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createAuthApp } = require('../lib/app');
+const { loadKeys, keyId } = require('../lib/keys');
+const { createTestDb, createTestConfig, createUser, getCookie, silentLogger } = require('./helpers');
+
+describe('.well-known routes', () => {
+  let app, pool, keys;
+
+  before(async () => {
+    ({ pool } = createTestDb());
+    keys = await loadKeys(pool);
+    app = createAuthApp({ pool, keys, config: createTestConfig(), logger: silentLogger });
+    await createUser(pool, { email: 'alice@example.com', groups: ['dev'] });
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    it('publishes the certs public key as a JWK', async () => {
+      const res = await request(app).get('/.well-known/jwks.json').expect(200);
+
+      assert.match(res.headers['cache-control'], /max-age=\d+/);
+      assert.strictEqual(res.body.keys.length, 1);
+
+      const [jwk] = res.body.keys;
+      assert.strictEqual(jwk.kty, 'RSA');
+      assert.strictEqual(jwk.use, 'sig');
+      assert.strictEqual(jwk.alg, 'RS256');
+      assert.strictEqual(jwk.d, undefined, 'no private parts');
+
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      assert.strictEqual(publicKey.export({ type: 'spki', format: 'pem' }), keys.publicKey);
+    });
+
+    it('uses the RFC 7638 thumbprint as a stable kid', async () => {
+      const res = await request(app).get('/.well-known/jwks.json').expect(200);
+      const [jwk] = res.body.keys;
+
+      const { e, kty, n } = jwk;
+      const thumbprint = crypto.createHash('sha256')
+        .update(`{"e":"${e}","kty":"${kty}","n":"${n}"}`)
+        .digest('base64url');
+      assert.strictEqual(jwk.kid, thumbprint);
+      assert.strictEqual(keyId(crypto.createPublicKey(keys.publicKey)), thumbprint);
+    });
+
+    it('lets a verifier check login tokens by kid', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'alice@example.com', password: 'password123' })
+        .expect(200);
+      const token = getCookie(login, 'jwt').slice('jwt='.length);
+
+      const { keys: jwks } = (await request(app).get('/.well-known/jwks.json').expect(200)).body;
+      const { header } = jwt.decode(token, { complete: true });
+      const jwk = jwks.find(key => key.kid === header.kid);
+      assert.ok(jwk, 'token kid is in the JWKS');
+
+      const claims = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: ['RS256']
+      });
+      assert.strictEqual(claims.email, 'alice@example.com');
+    });
+  });
+
+  describe('GET /.well-known/openid-configuration', () => {
+    it('points at the JWKS on the requested host', async () => {
+      const res = await request(app)
+        .get('/.well-known/openid-configuration')
+        .set('Host', 'auth.example.com')
+        .expect(200);
+
+      assert.strictEqual(res.body.issuer, 'urn:wiki.js');
+      assert.strictEqual(res.body.jwks_uri, 'http://auth.example.com/.well-known/jwks.json');
+      assert.deepStrictEqual(res.body.id_token_signing_alg_values_supported, ['RS256']);
+      assert.ok(res.body.claims_supported.includes('groups'));
+    });
+
+    it('includes the mount path when embedded', async () => {
+      const server = express();
+      server.use('/auth', app);
+
+      const res = await request(server)
+        .get('/auth/.well-known/openid-configuration')
+        .set('Host', 'example.com')
+        .expect(200);
+      assert.strictEqual(res.body.jwks_uri, 'http://example.com/auth/.well-known/jwks.json');
+    });
+
+    it('uses PUBLIC_URL when configured', async () => {
+      const config = createTestConfig({ publicUrl: 'https://example.com/auth/', jwt: { issuer: 'https://example.com/auth' } });
+      const publicApp = createAuthApp({ pool, keys, config, logger: silentLogger });
+
+      const res = await request(publicApp).get('/.well-known/openid-configuration').expect(200);
+      assert.strictEqual(res.body.issuer, 'https://example.com/auth');
+      assert.strictEqual(res.body.jwks_uri, 'https://example.com/auth/.well-known/jwks.json');
+    });
+  });
+});